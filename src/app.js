@@ -3,16 +3,23 @@
 import {
   createDefaultState,
   createStore,
+  getGridFrequency,
   isSimulationState,
   normalizeState
 } from "./state.js";
 import { loadState, saveState } from "./persistence.js";
 import { initUI } from "./ui.js";
-import { createSolverFromState } from "./solver.js";
+import { SolverClient } from "./solverClient.js";
 import { Renderer2D } from "./renderer2d.js";
 import { Renderer3D } from "./renderer3d.js";
 import { initModal } from "./modal.js";
 import { initSignalSettings } from "./signalSettings.js";
+import { initProbePanel } from "./probePanel.js";
+import { initSectionPanel } from "./sectionPanel.js";
+import { initReceiverPanel } from "./receiverPanel.js";
+import { formatChannelKey } from "./channels.js";
+import { formatEmpiricalModel } from "./pathloss.js";
+import { isFieldComponent } from "./output.js";
 
 /**
  * @returns {import("./types.js").SimulationState}
@@ -32,6 +39,11 @@ const store = createStore(resolveInitialState());
 const viewportStatus = document.querySelector("#viewportStatus");
 const viewportCanvas2d = document.querySelector("#viewportCanvas2d");
 const viewportCanvas3d = document.querySelector("#viewportCanvas3d");
+// Typed non-null here, since updateViewportMode does not see the narrowing of
+// the instanceof check below; that check still guards it at startup.
+const viewportLegend3d = /** @type {HTMLCanvasElement} */ (
+  document.querySelector("#viewportLegend3d")
+);
 
 if (!(viewportCanvas2d instanceof HTMLCanvasElement)) {
   throw new Error("2D viewport canvas not found.");
@@ -39,12 +51,14 @@ if (!(viewportCanvas2d instanceof HTMLCanvasElement)) {
 if (!(viewportCanvas3d instanceof HTMLCanvasElement)) {
   throw new Error("3D viewport canvas not found.");
 }
+if (!(viewportLegend3d instanceof HTMLCanvasElement)) {
+  throw new Error("3D legend canvas not found.");
+}
 
 let currentState = store.getState();
-let solverKey = getSolverKey(currentState);
-let solver = createSolverFromState(currentState);
-let shapesKey = getShapesKey(currentState);
-const resetSimulation = () => solver.reset();
+// Physics runs in a worker; the main thread only renders the latest frame.
+const solverClient = new SolverClient(currentState);
+const resetSimulation = () => solverClient.reset();
 
 const render = initUI(store, { onReset: resetSimulation });
 let modal = null;
@@ -53,13 +67,17 @@ const renderer2d = new Renderer2D(viewportCanvas2d, store, {
     if (modal) {
       modal.openModal(draft);
     }
-  }
+  },
+  onHoverCell: (index) => solverClient.setHoverCell(index)
 });
 modal = initModal(store, {
   onDraftChange: (draft) => renderer2d.setModalDraft(draft)
 });
 initSignalSettings(store);
-const renderer3d = new Renderer3D(viewportCanvas3d);
+const renderer3d = new Renderer3D(viewportCanvas3d, viewportLegend3d);
+const renderProbePanel = initProbePanel(() => solverClient.getProbeHistory());
+const renderSectionPanel = initSectionPanel(store);
+const renderReceiverPanel = initReceiverPanel(store);
 
 store.subscribe((state) => {
   saveState(state);
@@ -68,70 +86,54 @@ store.subscribe((state) => {
   renderer2d.setState(state);
   renderer3d.setState(state);
   updateViewportMode(state.visualization.mode);
-
-  const nextKey = getSolverKey(state);
-  if (nextKey !== solverKey) {
-    solver = createSolverFromState(state);
-    solverKey = nextKey;
-    shapesKey = getShapesKey(state);
-  } else {
-    solver.setSources(state.sources);
-    const nextShapesKey = getShapesKey(state);
-    if (nextShapesKey !== shapesKey) {
-      solver.setBarrierFromShapes(state.shapes);
-      shapesKey = nextShapesKey;
-    }
-  }
+  solverClient.setState(state);
 });
 
 render(currentState);
-solver.setSources(currentState.sources);
 renderer3d.setState(currentState);
 updateViewportMode(currentState.visualization.mode);
 
-let lastTime = performance.now();
-requestAnimationFrame(function frame(now) {
-  const rawDelta = (now - lastTime) / 1000;
-  const clampedDelta = Math.min(0.1, Math.max(0, rawDelta));
-  lastTime = now;
-
-  let timeScale = Number.isFinite(currentState.simulation.timeScale)
-    ? currentState.simulation.timeScale
-    : 1;
-  timeScale = clamp(timeScale, 0, 4);
-
-  const isRunning = currentState.simulation.running !== false;
-  if (isRunning && timeScale > 0) {
-    solver.step(clampedDelta * timeScale);
-  }
-  updateViewportStatus();
+requestAnimationFrame(function frame() {
+  const fieldFrame = solverClient.getFrame();
+  updateViewportStatus(fieldFrame);
   if (currentState.visualization.mode === "2d") {
-    renderer2d.render(solver);
+    renderer2d.render(fieldFrame);
   } else {
-    renderer3d.render(solver);
+    renderer3d.render(fieldFrame);
   }
+  renderProbePanel(currentState);
+  renderSectionPanel(currentState, fieldFrame);
+  renderReceiverPanel(currentState, fieldFrame);
   requestAnimationFrame(frame);
 });
 
-function updateViewportStatus() {
+/**
+ * @param {import("./output.js").FieldFrame | null} fieldFrame
+ */
+function updateViewportStatus(fieldFrame) {
   if (!(viewportStatus instanceof HTMLDivElement)) {
     return;
   }
-  const stats = solver.getStats();
+  if (!fieldFrame) {
+    viewportStatus.textContent = "Starting solver…";
+    return;
+  }
+  const stats = fieldFrame.stats;
   const isRunning = currentState.simulation.running !== false;
-  const modelLabel = "EM (WiFi)";
-  const nx = solver.nx;
-  const ny = solver.ny;
-  const dx = Number.isFinite(solver.dx) ? solver.dx : 0;
-  const dt = Number.isFinite(solver.dt) ? solver.dt : 0;
+  const modelLabel =
+    currentState.simulation.model === "em2dTmz" ? "EM (WiFi) TMz" : "EM (WiFi) TEz";
+  const nx = fieldFrame.nx;
+  const ny = fieldFrame.ny;
+  const dx = Number.isFinite(fieldFrame.dx) ? fieldFrame.dx : 0;
+  const dt = Number.isFinite(fieldFrame.dt) ? fieldFrame.dt : 0;
   const gridClampNote = nx >= 512 || ny >= 512 ? " (grid clamped)" : "";
 
   const speed = Number.isFinite(currentState.simulation.solver.speed)
     ? currentState.simulation.solver.speed
     : 1;
-  const freq = Number.isFinite(currentState.simulation.sourceDefaults.frequency)
-    ? currentState.simulation.sourceDefaults.frequency
-    : 1;
+  // The frequency normalizeGrid sized the grid for, not just the default.
+  const gridFrequency = getGridFrequency(currentState.simulation, currentState.sources);
+  const freq = Number.isFinite(gridFrequency) ? gridFrequency : 1;
   const lambda = freq > 0 ? speed / freq : 0;
   const cellsPerLambda = dx > 0 ? lambda / dx : 0;
   const lines = [
@@ -139,17 +141,62 @@ function updateViewportStatus() {
     `Active tool: ${currentState.editor.activeTool}`,
     `Mode: ${currentState.visualization.mode.toUpperCase()}`,
     `Model: ${modelLabel}${gridClampNote}`,
-    `Output: ${currentState.visualization.output === "averaged" ? "AVERAGED" : "INSTANT"}`,
+    `Output: ${formatOutputLabel(currentState, fieldFrame)}`,
     `Status: ${isRunning ? "RUNNING" : "PAUSED"}`,
     `Sim time: ${stats.time.toFixed(2)}s`,
     `Grid: ${nx} x ${ny}`,
     `dx: ${dx.toExponential(2)}, dt: ${dt.toExponential(2)}`,
-    `λ: ${lambda.toExponential(2)}, cells/λ: ${cellsPerLambda.toFixed(1)}`,
+    `λ @ f=${Number(freq.toFixed(4))}: ${lambda.toExponential(2)}, cells/λ: ${cellsPerLambda.toFixed(1)}`,
+    `Boundary: CPML ${fieldFrame.pmlWidth} cells`,
     `Max amplitude: ${stats.maxInstantaneous.toFixed(3)}`
   ];
   viewportStatus.textContent = lines.join("\n");
 }
 
+/**
+ * @param {import("./types.js").SimulationState} state
+ * @param {import("./output.js").FieldFrame} fieldFrame
+ * @returns {string}
+ */
+function formatOutputLabel(state, fieldFrame) {
+  const { output, dftIndex } = state.visualization;
+  if (output === "amplitude" || output === "phase") {
+    const frequency = state.simulation.dft.frequencies[dftIndex];
+    const duration = fieldFrame.dftDuration;
+    return frequency === undefined
+      ? `${output.toUpperCase()} (no DFT frequency, showing INSTANT)`
+      : `DFT ${output.toUpperCase()} @ f=${frequency} (${duration.toFixed(1)}s accumulated)`;
+  }
+  if (isFieldComponent(output)) {
+    return fieldFrame.output.kind === "signed"
+      ? `${output.toUpperCase()} (signed)`
+      : `${output.toUpperCase()} (not in this polarization, showing INSTANT)`;
+  }
+  if (output === "rssi") {
+    return fieldFrame.output.kind === "dbm" ? "RSSI (dBm)" : "RSSI (no access point, showing INSTANT)";
+  }
+  if (output === "channelPower") {
+    const { channels } = fieldFrame;
+    const key = channels.includes(state.visualization.channel) ? state.visualization.channel : channels[0];
+    return fieldFrame.output.kind === "dbm" && key
+      ? `CHANNEL POWER ${formatChannelKey(key)} (dBm)`
+      : "CHANNEL POWER (channel analysis off or no access point, showing INSTANT)";
+  }
+  if (output === "sinr") {
+    return fieldFrame.output.kind === "sinr"
+      ? "SINR (dB)"
+      : "SINR (channel analysis off or no access point, showing INSTANT)";
+  }
+  if (output === "empirical" || output === "empiricalDiff") {
+    const model = formatEmpiricalModel(state.visualization.empirical);
+    if (fieldFrame.output.kind === "magnitude") {
+      return `${model} model (no access point, showing INSTANT)`;
+    }
+    return output === "empirical" ? `${model} model (dBm)` : `FDTD − ${model} model (dB)`;
+  }
+  return output === "averaged" ? "AVERAGED" : "INSTANT";
+}
+
 /**
  * @param {"2d" | "3d"} mode
  */
@@ -157,35 +204,7 @@ function updateViewportMode(mode) {
   const is2d = mode === "2d";
   viewportCanvas2d.style.display = is2d ? "block" : "none";
   viewportCanvas3d.style.display = is2d ? "none" : "block";
+  viewportLegend3d.style.display = is2d ? "none" : "block";
   viewportCanvas2d.style.pointerEvents = is2d ? "auto" : "none";
   viewportCanvas3d.style.pointerEvents = is2d ? "none" : "auto";
 }
-
-/**
- * @param {import("./types.js").SimulationState} state
- * @returns {string}
- */
-function getSolverKey(state) {
-  return JSON.stringify({
-    domain: state.domain,
-    solver: state.simulation.solver,
-    model: state.simulation.model
-  });
-}
-
-/**
- * @param {import("./types.js").SimulationState} state
- * @returns {string}
- */
-function getShapesKey(state) {
-  return JSON.stringify(state.shapes || []);
-}
-
-/**
- * @param {number} value
- * @param {number} min
- * @param {number} max
- */
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
-}
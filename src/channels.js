@@ -0,0 +1,296 @@
+// @ts-check
+
+// Co-channel interference analysis. The main solver adds every source into one
+// field, so access points on different channels still interfere as if they
+// were one transmitter. Here each active access point also runs in a solver of
+// its own (same grid and walls, only that source) and the per-AP RSSI maps
+// (see rssi.js) are combined as powers, which is how separate transmitters add:
+//
+//   channel power = Σ P over the access points on that channel
+//   SINR = P_serving / (Σ overlap · P_other + noise)
+//
+// The serving access point is the strongest one at each node. `overlap` is the
+// spectral overlap of the two 20 MHz channels: 1 on the same channel, falling
+// linearly to 0 at 20 MHz apart (2.4 GHz channels 1, 6 and 11 do not overlap).
+
+/** @typedef {import("./types.js").SourceObject} SourceObject */
+/** @typedef {import("./types.js").AccessPointSettings} AccessPointSettings */
+/** @typedef {import("./types.js").RadioCalibration} RadioCalibration */
+/** @typedef {import("./types.js").ChannelAnalysisSettings} ChannelAnalysisSettings */
+/** @typedef {import("./types.js").ShapeObject} ShapeObject */
+
+import { getChannelFrequencyMHz, WIFI_BANDS } from "./radio.js";
+import { RSSI_FLOOR_DBM } from "./rssi.js";
+
+/** Written where no access point reaches (PML, metal, not reached yet). */
+export const SINR_FLOOR_DB = -20;
+
+const CHANNEL_WIDTH_MHZ = 20;
+
+/**
+ * Solver surface one per-AP run needs (EMSolver2D or EMSolverTMz).
+ * @typedef {Object} ChannelRunSolver
+ * @property {(sources: SourceObject[]) => void} setSources
+ * @property {(shapes: ShapeObject[]) => void} setBarrierFromShapes
+ * @property {(calibration: RadioCalibration) => void} setCalibration
+ * @property {(count: number) => void} advanceSteps
+ * @property {() => void} reset
+ * @property {() => Float32Array | null} getRssi
+ */
+
+/**
+ * Serving and interfering power at one node (mW), for link estimates.
+ * @typedef {Object} ChannelLink
+ * @property {number} signal strongest access point
+ * @property {number} interference the others, weighted by channel overlap
+ */
+
+/**
+ * "band:channel", e.g. "2.4:6".
+ * @param {AccessPointSettings} radio
+ * @returns {string}
+ */
+export function getChannelKey(radio) {
+  return `${radio.band}:${radio.channel}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {string} e.g. "2.4 GHz ch 6"
+ */
+export function formatChannelKey(key) {
+  const [band, channel] = key.split(":");
+  const label = WIFI_BANDS[/** @type {AccessPointSettings["band"]} */ (band)]?.label ?? band;
+  return `${label} ch ${channel}`;
+}
+
+/**
+ * Channels of the active access points, in source order without repeats.
+ * @param {SourceObject[]} sources
+ * @returns {string[]}
+ */
+export function getChannelKeys(sources) {
+  /** @type {string[]} */
+  const keys = [];
+  for (const source of sources) {
+    if (source.active && source.radio) {
+      const key = getChannelKey(source.radio);
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Share of one channel's power that lands in the other, 0..1.
+ * @param {AccessPointSettings} a
+ * @param {AccessPointSettings} b
+ * @returns {number}
+ */
+export function channelOverlap(a, b) {
+  if (a.band !== b.band) {
+    return 0;
+  }
+  const spacing = Math.abs(
+    getChannelFrequencyMHz(a.band, a.channel) - getChannelFrequencyMHz(b.band, b.channel)
+  );
+  return Math.max(0, 1 - spacing / CHANNEL_WIDTH_MHZ);
+}
+
+/**
+ * Per-AP solver runs and the maps combined from them. The owning solver
+ * forwards its sources, walls, calibration, steps and resets.
+ */
+export class ChannelAnalysis {
+  /**
+   * @param {() => ChannelRunSolver} createSolver new solver on the owner's grid
+   * @param {number} size nodes per map (nx·ny)
+   */
+  constructor(createSolver, size) {
+    this.createSolver = createSolver;
+    /** @type {{ source: SourceObject, key: string, solver: ChannelRunSolver }[]} */
+    this.runs = [];
+    /** @type {ShapeObject[]} */
+    this.shapes = [];
+    /** @type {RadioCalibration | null} */
+    this.calibration = null;
+    this.noiseFloorDbm = -95;
+    this.overlapThresholdDbm = -82;
+    this.size = size;
+    /** @type {Map<string, Float32Array>} */
+    this.channelPower = new Map();
+    this.sinr = new Float32Array(size);
+    this.overlap = new Uint8Array(size);
+    /** @type {Float32Array[]} per-run RSSI maps from the last update */
+    this.maps = [];
+    this.mapsTime = NaN;
+  }
+
+  /** @param {ChannelAnalysisSettings} settings */
+  setSettings(settings) {
+    this.noiseFloorDbm = settings.noiseFloorDbm;
+    this.overlapThresholdDbm = settings.overlapThresholdDbm;
+    this.mapsTime = NaN;
+  }
+
+  /**
+   * Keep one run per access point. Runs are matched by id, so editing or
+   * moving an access point keeps its field; a new one starts from rest.
+   * @param {SourceObject[]} accessPoints active sources with `radio` set
+   */
+  setSources(accessPoints) {
+    this.runs = accessPoints
+      .filter((source) => source.radio)
+      .map((source) => {
+        const existing = this.runs.find((run) => run.source.id === source.id);
+        const solver = existing ? existing.solver : this.createRun();
+        solver.setSources([source]);
+        return {
+          source,
+          key: getChannelKey(/** @type {AccessPointSettings} */ (source.radio)),
+          solver
+        };
+      });
+    this.mapsTime = NaN;
+  }
+
+  /** @returns {ChannelRunSolver} */
+  createRun() {
+    const solver = this.createSolver();
+    solver.setBarrierFromShapes(this.shapes);
+    if (this.calibration) {
+      solver.setCalibration(this.calibration);
+    }
+    return solver;
+  }
+
+  /** @param {ShapeObject[]} shapes */
+  setBarrierFromShapes(shapes) {
+    this.shapes = shapes;
+    for (const run of this.runs) {
+      run.solver.setBarrierFromShapes(shapes);
+    }
+    this.mapsTime = NaN;
+  }
+
+  /** @param {RadioCalibration} calibration */
+  setCalibration(calibration) {
+    this.calibration = calibration;
+    for (const run of this.runs) {
+      run.solver.setCalibration(calibration);
+    }
+    this.mapsTime = NaN;
+  }
+
+  /** @param {number} count */
+  advanceSteps(count) {
+    for (const run of this.runs) {
+      run.solver.advanceSteps(count);
+    }
+  }
+
+  reset() {
+    for (const run of this.runs) {
+      run.solver.reset();
+    }
+    this.mapsTime = NaN;
+  }
+
+  /** @returns {string[]} */
+  getChannelKeys() {
+    return getChannelKeys(this.runs.map((run) => run.source));
+  }
+
+  /**
+   * Recombine the per-AP maps, at most once per owner time step.
+   * @param {number} time owner solver time
+   */
+  update(time) {
+    if (this.mapsTime === time) {
+      return;
+    }
+    this.mapsTime = time;
+    const size = this.size;
+    const runs = this.runs;
+    this.maps = runs.map((run) => run.solver.getRssi() ?? new Float32Array(size).fill(RSSI_FLOOR_DBM));
+    const maps = this.maps;
+
+    /** @type {Map<string, Float32Array>} */
+    const channelPower = new Map();
+    for (const key of this.getChannelKeys()) {
+      const members = maps.filter((_, r) => runs[r].key === key);
+      const out = this.channelPower.get(key) ?? new Float32Array(size);
+      for (let i = 0; i < size; i += 1) {
+        let power = 0;
+        for (const map of members) {
+          if (map[i] > RSSI_FLOOR_DBM) {
+            power += 10 ** (map[i] / 10);
+          }
+        }
+        out[i] = power > 0 ? Math.max(RSSI_FLOOR_DBM, 10 * Math.log10(power)) : RSSI_FLOOR_DBM;
+      }
+      channelPower.set(key, out);
+    }
+    this.channelPower = channelPower;
+
+    const overlap = runs.map((a) =>
+      runs.map((b) =>
+        channelOverlap(
+          /** @type {AccessPointSettings} */ (a.source.radio),
+          /** @type {AccessPointSettings} */ (b.source.radio)
+        )
+      )
+    );
+    const noise = 10 ** (this.noiseFloorDbm / 10);
+    const threshold = this.overlapThresholdDbm;
+    for (let i = 0; i < size; i += 1) {
+      const link = this.readLink(i, overlap);
+      this.sinr[i] = link
+        ? Math.max(SINR_FLOOR_DB, 10 * Math.log10(link.signal / (link.interference + noise)))
+        : SINR_FLOOR_DB;
+      // Two access points on the same channel both heard above the threshold:
+      // their cells contend for airtime here.
+      let shared = 0;
+      for (let a = 0; a < runs.length && !shared; a += 1) {
+        if (maps[a][i] < threshold) continue;
+        for (let b = a + 1; b < runs.length; b += 1) {
+          if (maps[b][i] >= threshold && runs[a].key === runs[b].key) {
+            shared = 1;
+            break;
+          }
+        }
+      }
+      this.overlap[i] = shared;
+    }
+  }
+
+  /**
+   * @param {number} index
+   * @param {number[][]} [overlap] channel overlap between runs, computed when omitted
+   * @returns {ChannelLink | null} null where no access point reaches
+   */
+  readLink(index, overlap) {
+    const maps = this.maps;
+    let best = -1;
+    for (let r = 0; r < maps.length; r += 1) {
+      if (maps[r][index] > RSSI_FLOOR_DBM && (best < 0 || maps[r][index] > maps[best][index])) {
+        best = r;
+      }
+    }
+    if (best < 0) {
+      return null;
+    }
+    const serving = /** @type {AccessPointSettings} */ (this.runs[best].source.radio);
+    let interference = 0;
+    for (let r = 0; r < maps.length; r += 1) {
+      if (r === best || !(maps[r][index] > RSSI_FLOOR_DBM)) continue;
+      const factor = overlap
+        ? overlap[best][r]
+        : channelOverlap(serving, /** @type {AccessPointSettings} */ (this.runs[r].source.radio));
+      interference += factor * 10 ** (maps[r][index] / 10);
+    }
+    return { signal: 10 ** (maps[best][index] / 10), interference };
+  }
+}
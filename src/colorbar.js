@@ -0,0 +1,102 @@
+// @ts-check
+
+import { getScaleTicks } from "./output.js";
+
+/** @typedef {import("./output.js").ColorScale} ColorScale */
+/** @typedef {import("./types.js").ColorScaleSettings} ColorScaleSettings */
+
+const NORMALIZATION_LABELS = {
+  auto: "auto",
+  fixed: "fixed",
+  peakHold: "peak hold"
+};
+
+/**
+ * Caption above the bar: the unit and how the top is chosen.
+ * @param {ColorScale} scale
+ * @param {ColorScaleSettings} settings
+ * @returns {string}
+ */
+export function getColorbarTitle(scale, settings) {
+  if (scale.kind === "phase") {
+    return "Phase (rad)";
+  }
+  if (scale.kind === "dbm") {
+    return "RSSI (dBm)";
+  }
+  if (scale.kind === "sinr") {
+    return "SINR (dB)";
+  }
+  if (scale.kind === "delta") {
+    return "FDTD − model (dB)";
+  }
+  const normalization = NORMALIZATION_LABELS[settings.normalization];
+  if (scale.mode === "db") {
+    return `dB re ${formatReference(scale.reference)} · ${normalization}`;
+  }
+  return `${scale.kind === "signed" ? "Field" : "Magnitude"} · ${normalization}`;
+}
+
+/**
+ * Vertical colorbar with tick labels on its left, anchored at its top-right
+ * corner. Sizes are CSS pixels multiplied by `dpr`.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Uint8ClampedArray} palette 256 RGBA entries
+ * @param {ColorScale} scale
+ * @param {{ right: number, top: number, height: number, dpr: number, title: string }} layout
+ */
+export function drawColorbar(ctx, palette, scale, layout) {
+  const { right, top, height, dpr, title } = layout;
+  const barWidth = 12 * dpr;
+  const padding = 6 * dpr;
+  const ticks = getScaleTicks(scale, 5);
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.font = `${11 * dpr}px sans-serif`;
+  const labelWidth = Math.max(...ticks.map((tick) => ctx.measureText(tick.label).width));
+  const titleWidth = ctx.measureText(title).width;
+  const barLeft = right - padding - barWidth;
+  const barTop = top + padding + 14 * dpr;
+  const panelWidth = Math.max(labelWidth + 6 * dpr + barWidth, titleWidth) + 2 * padding;
+  const panelHeight = height + 2 * padding + 14 * dpr;
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+  ctx.fillRect(right - panelWidth, top, panelWidth, panelHeight);
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "top";
+  ctx.fillText(title, right - padding, top + padding);
+
+  // One row per device pixel, top of the bar = top of the palette.
+  const rows = Math.max(1, Math.round(height));
+  for (let row = 0; row < rows; row += 1) {
+    const t = 1 - row / Math.max(1, rows - 1);
+    const offset = Math.min(255, Math.max(0, Math.floor(t * 255))) * 4;
+    ctx.fillStyle = `rgb(${palette[offset]}, ${palette[offset + 1]}, ${palette[offset + 2]})`;
+    ctx.fillRect(barLeft, barTop + row, barWidth, 1);
+  }
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.45)";
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(barLeft, barTop, barWidth, height);
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.textBaseline = "middle";
+  for (const tick of ticks) {
+    const y = barTop + (1 - tick.t) * height;
+    ctx.beginPath();
+    ctx.moveTo(barLeft - 3 * dpr, y);
+    ctx.lineTo(barLeft, y);
+    ctx.stroke();
+    ctx.fillText(tick.label, barLeft - 5 * dpr, y);
+  }
+  ctx.restore();
+}
+
+/**
+ * @param {number} value
+ */
+function formatReference(value) {
+  return value >= 1e4 || value < 1e-3 ? value.toExponential(0) : String(Number(value.toPrecision(3)));
+}
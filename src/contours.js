@@ -0,0 +1,92 @@
+// @ts-check
+
+// Iso-lines of a node grid by marching squares, for the RSSI threshold
+// contours. Segments are in fractional node coordinates (column, row) so each
+// renderer maps them to its own space.
+
+/**
+ * @param {Float32Array} values row-major, `nx` columns
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} level
+ * @param {number} [floor] cells with a corner at or below this are skipped
+ *   (e.g. the PML, which would otherwise be outlined)
+ * @returns {Float32Array} segments as [x0, y0, x1, y1, ...]
+ */
+export function traceContours(values, nx, ny, level, floor = -Infinity) {
+  /** @type {number[]} */
+  const segments = [];
+  for (let y = 0; y < ny - 1; y += 1) {
+    for (let x = 0; x < nx - 1; x += 1) {
+      const i = y * nx + x;
+      // Corners counter-clockwise from the top-left: a (x, y), b (x+1, y), c (x+1, y+1), d (x, y+1).
+      const a = values[i];
+      const b = values[i + 1];
+      const c = values[i + nx + 1];
+      const d = values[i + nx];
+      if (a <= floor || b <= floor || c <= floor || d <= floor) {
+        continue;
+      }
+      const code = (a >= level ? 8 : 0) | (b >= level ? 4 : 0) | (c >= level ? 2 : 0) | (d >= level ? 1 : 0);
+      if (code === 0 || code === 15) {
+        continue;
+      }
+      // Crossing points on each edge.
+      const top = () => [x + fraction(a, b, level), y];
+      const right = () => [x + 1, y + fraction(b, c, level)];
+      const bottom = () => [x + fraction(d, c, level), y + 1];
+      const left = () => [x, y + fraction(a, d, level)];
+      /** @type {[() => number[], () => number[]][]} */
+      let pairs;
+      switch (code) {
+        case 1:
+        case 14:
+          pairs = [[left, bottom]];
+          break;
+        case 2:
+        case 13:
+          pairs = [[bottom, right]];
+          break;
+        case 3:
+        case 12:
+          pairs = [[left, right]];
+          break;
+        case 4:
+        case 11:
+          pairs = [[top, right]];
+          break;
+        case 6:
+        case 9:
+          pairs = [[top, bottom]];
+          break;
+        case 7:
+        case 8:
+          pairs = [[left, top]];
+          break;
+        default: {
+          // Saddle (5 or 10): the cell mean decides which corners connect.
+          const centerAbove = (a + b + c + d) / 4 >= level;
+          pairs =
+            (code === 5) === centerAbove
+              ? [[left, top], [bottom, right]]
+              : [[left, bottom], [top, right]];
+        }
+      }
+      for (const [from, to] of pairs) {
+        segments.push(...from(), ...to());
+      }
+    }
+  }
+  return new Float32Array(segments);
+}
+
+/**
+ * Position of `level` between two node values, in [0, 1].
+ * @param {number} from
+ * @param {number} to
+ * @param {number} level
+ */
+function fraction(from, to, level) {
+  const span = to - from;
+  return span === 0 ? 0.5 : Math.min(1, Math.max(0, (level - from) / span));
+}
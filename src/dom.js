@@ -0,0 +1,20 @@
+// @ts-check
+
+// DOM predicates shared by the UI and the 2D renderer's keyboard shortcuts.
+
+/**
+ * True for fields that take typed text. Keys there belong to the browser
+ * (text undo, Enter, Backspace), not to the scene's shortcuts.
+ * @param {EventTarget | null} target
+ * @returns {boolean}
+ */
+export function isTextEntryTarget(target) {
+  if (target instanceof HTMLInputElement) {
+    return !["checkbox", "radio", "button", "range"].includes(target.type);
+  }
+  return (
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement ||
+    (target instanceof HTMLElement && target.isContentEditable)
+  );
+}
@@ -0,0 +1,536 @@
+// @ts-check
+
+/** @typedef {import("./types.js").Vec2} Vec2 */
+
+// Outline helpers for shapes defined by a vertex list (polygons and walls) and
+// for openings cut into rectangles and walls. Shared by the solver
+// (rasterization), both renderers and the editor so they agree on the shape.
+
+export const MIN_POLYGON_VERTICES = 3;
+export const MAX_POLYGON_VERTICES = 64;
+export const MIN_WALL_VERTICES = 2;
+// Mitre length is capped at this multiple of the half thickness so very
+// sharp corners do not spike out of the wall.
+const MITER_LIMIT = 4;
+
+/**
+ * World-space vertices of a polygon shape (offsets rotated by angles.z, then
+ * translated to the center).
+ * @param {{ center: Vec2, points: Vec2[], angles?: { z?: number } }} shape
+ * @returns {Vec2[]}
+ */
+export function getPolygonPoints(shape) {
+  const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
+  const cosA = Math.cos(angle);
+  const sinA = Math.sin(angle);
+  return shape.points.map((p) => ({
+    x: shape.center.x + p.x * cosA - p.y * sinA,
+    y: shape.center.y + p.x * sinA + p.y * cosA
+  }));
+}
+
+/**
+ * Inverse of getPolygonPoints for a single point.
+ * @param {{ center: Vec2, angles?: { z?: number } }} shape
+ * @param {Vec2} world
+ * @returns {Vec2}
+ */
+export function toPolygonLocal(shape, world) {
+  const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
+  const cosA = Math.cos(angle);
+  const sinA = Math.sin(angle);
+  const dx = world.x - shape.center.x;
+  const dy = world.y - shape.center.y;
+  return {
+    x: dx * cosA + dy * sinA,
+    y: -dx * sinA + dy * cosA
+  };
+}
+
+/**
+ * Even-odd point-in-polygon test.
+ * @param {number} x
+ * @param {number} y
+ * @param {Vec2[]} points
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * @param {Vec2[]} points
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+ */
+export function getPointsBounds(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Signed area (positive for counter-clockwise in a y-up frame).
+ * @param {Vec2[]} points
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    sum += points[j].x * points[i].y - points[i].x * points[j].y;
+  }
+  return sum * 0.5;
+}
+
+/**
+ * Area centroid; falls back to the vertex average for degenerate outlines.
+ * @param {Vec2[]} points
+ * @returns {Vec2}
+ */
+export function polygonCentroid(points) {
+  const area = polygonArea(points);
+  if (Math.abs(area) < 1e-9) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    const count = Math.max(1, points.length);
+    return { x: sum.x / count, y: sum.y / count };
+  }
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const cross = points[j].x * points[i].y - points[i].x * points[j].y;
+    cx += (points[j].x + points[i].x) * cross;
+    cy += (points[j].y + points[i].y) * cross;
+  }
+  return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+/**
+ * Left and right edges of a wall, one point per centerline vertex. Interior
+ * joins are mitred; open ends are cut square. Coincident vertices are dropped.
+ * @param {{ center: Vec2, points: Vec2[], thickness: number, closed: boolean, angles?: { z?: number } }} shape
+ * @param {number} [minThickness] widen thinner walls to this (e.g. one solver cell)
+ * @returns {{ left: Vec2[], right: Vec2[], closed: boolean } | null}
+ */
+export function getWallRails(shape, minThickness = 0) {
+  const wall = getWallPath(shape);
+  if (!wall) {
+    return null;
+  }
+  const { path, closed } = wall;
+
+  const half = Math.max(shape.thickness, minThickness) * 0.5;
+  const count = path.length;
+  /** @type {Vec2[]} */
+  const left = [];
+  /** @type {Vec2[]} */
+  const right = [];
+  for (let i = 0; i < count; i += 1) {
+    const hasPrev = closed || i > 0;
+    const hasNext = closed || i < count - 1;
+    const inNormal = hasPrev ? segmentNormal(path[(i + count - 1) % count], path[i]) : null;
+    const outNormal = hasNext ? segmentNormal(path[i], path[(i + 1) % count]) : null;
+
+    let offset;
+    if (inNormal && outNormal) {
+      const mx = inNormal.x + outNormal.x;
+      const my = inNormal.y + outNormal.y;
+      const length = Math.hypot(mx, my);
+      if (length < 1e-9) {
+        // Wall doubles back on itself: cut square.
+        offset = { x: outNormal.x * half, y: outNormal.y * half };
+      } else {
+        const mitre = { x: mx / length, y: my / length };
+        const cosHalf = mitre.x * outNormal.x + mitre.y * outNormal.y;
+        const scale = half / Math.max(cosHalf, 1 / MITER_LIMIT);
+        offset = { x: mitre.x * scale, y: mitre.y * scale };
+      }
+    } else {
+      const normal = /** @type {Vec2} */ (inNormal || outNormal);
+      offset = { x: normal.x * half, y: normal.y * half };
+    }
+    left.push({ x: path[i].x + offset.x, y: path[i].y + offset.y });
+    right.push({ x: path[i].x - offset.x, y: path[i].y - offset.y });
+  }
+  return { left, right, closed };
+}
+
+/**
+ * World-space centerline of a wall without coincident vertices.
+ * @param {{ center: Vec2, points: Vec2[], closed: boolean, angles?: { z?: number } }} shape
+ * @returns {{ path: Vec2[], closed: boolean } | null}
+ */
+function getWallPath(shape) {
+  /** @type {Vec2[]} */
+  const path = [];
+  for (const point of getPolygonPoints(shape)) {
+    const prev = path[path.length - 1];
+    if (!prev || Math.hypot(point.x - prev.x, point.y - prev.y) > 1e-9) {
+      path.push(point);
+    }
+  }
+  if (shape.closed && path.length > 1) {
+    const first = path[0];
+    const last = path[path.length - 1];
+    if (Math.hypot(first.x - last.x, first.y - last.y) <= 1e-9) {
+      path.pop();
+    }
+  }
+  if (path.length < MIN_WALL_VERTICES) {
+    return null;
+  }
+  return { path, closed: shape.closed && path.length >= 3 };
+}
+
+/**
+ * One quadrilateral per wall segment; neighbours share their mitre edge so
+ * the union covers the wall without gaps or overlaps.
+ * @param {{ left: Vec2[], right: Vec2[], closed: boolean }} rails
+ * @returns {Vec2[][]}
+ */
+export function getWallQuads(rails) {
+  const count = rails.left.length;
+  const segments = rails.closed ? count : count - 1;
+  /** @type {Vec2[][]} */
+  const quads = [];
+  for (let i = 0; i < segments; i += 1) {
+    const j = (i + 1) % count;
+    quads.push([rails.left[i], rails.left[j], rails.right[j], rails.right[i]]);
+  }
+  return quads;
+}
+
+/**
+ * Filled outlines of a vertex-based shape in world units (empty for
+ * rectangles and circles, which are tested analytically).
+ * @param {import("./types.js").ShapeObject} shape
+ * @param {number} [minThickness] forwarded to getWallRails
+ * @returns {Vec2[][]}
+ */
+export function getShapeOutlines(shape, minThickness = 0) {
+  if (shape.kind === "polygon" && shape.points.length >= MIN_POLYGON_VERTICES) {
+    return [getPolygonPoints(shape)];
+  }
+  if (shape.kind === "wall") {
+    const rails = getWallRails(shape, minThickness);
+    return rails ? getWallQuads(rails) : [];
+  }
+  return [];
+}
+
+/**
+ * Straight piece of a host shape that openings are measured along. `quad` is
+ * the filled footprint (mitred for walls); `origin` + t·`dir` for t in
+ * [0, length] runs along its centerline, starting `offset` from the host start.
+ * @typedef {{ quad: Vec2[], origin: Vec2, dir: Vec2, offset: number, length: number }} HostSegment
+ */
+
+/** Widest opening, as a share of its host's length, so a host never vanishes. */
+export const MAX_OPENING_FRACTION = 0.8;
+
+/**
+ * Segments of a shape that can host openings: the whole length of a rectangle
+ * (along its longer side) or each segment of a wall. Empty for other kinds.
+ * @param {import("./types.js").ShapeObject} shape
+ * @param {number} [minThickness] forwarded to getWallRails
+ * @returns {HostSegment[]}
+ */
+export function getHostSegments(shape, minThickness = 0) {
+  if (shape.kind === "rectangle") {
+    const halfW = shape.size.width * 0.5;
+    const halfH = shape.size.height * 0.5;
+    const corners = getPolygonPoints({
+      center: shape.center,
+      angles: shape.angles,
+      points: [
+        { x: -halfW, y: -halfH },
+        { x: halfW, y: -halfH },
+        { x: halfW, y: halfH },
+        { x: -halfW, y: halfH }
+      ]
+    });
+    // A tall rectangle is a wall running along its local y axis.
+    const alongY = shape.size.height > shape.size.width;
+    const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180 + (alongY ? Math.PI * 0.5 : 0);
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    const half = alongY ? halfH : halfW;
+    return [
+      {
+        quad: corners,
+        origin: { x: shape.center.x - dir.x * half, y: shape.center.y - dir.y * half },
+        dir,
+        offset: 0,
+        length: 2 * half
+      }
+    ];
+  }
+  if (shape.kind !== "wall") {
+    return [];
+  }
+  const wall = getWallPath(shape);
+  const rails = getWallRails(shape, minThickness);
+  if (!wall || !rails) {
+    return [];
+  }
+  const quads = getWallQuads(rails);
+  /** @type {HostSegment[]} */
+  const segments = [];
+  let offset = 0;
+  quads.forEach((quad, i) => {
+    const a = wall.path[i];
+    const b = wall.path[(i + 1) % wall.path.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    segments.push({
+      quad,
+      origin: a,
+      dir: { x: (b.x - a.x) / length, y: (b.y - a.y) / length },
+      offset,
+      length
+    });
+    offset += length;
+  });
+  return segments;
+}
+
+/**
+ * Total length openings can be placed along (0 when the shape cannot host).
+ * @param {import("./types.js").ShapeObject} shape
+ * @returns {number}
+ */
+export function getHostLength(shape) {
+  const segments = getHostSegments(shape);
+  const last = segments[segments.length - 1];
+  return last ? last.offset + last.length : 0;
+}
+
+/**
+ * Parts of each host segment an opening covers, as local [t0, t1] ranges
+ * along the segment (clipped to the host).
+ * @param {HostSegment[]} segments
+ * @param {{ offset: number, width: number }} opening
+ * @returns {{ segment: HostSegment, t0: number, t1: number }[]}
+ */
+export function getOpeningSpans(segments, opening) {
+  const start = opening.offset - opening.width * 0.5;
+  const end = opening.offset + opening.width * 0.5;
+  /** @type {{ segment: HostSegment, t0: number, t1: number }[]} */
+  const spans = [];
+  for (const segment of segments) {
+    const t0 = Math.max(0, start - segment.offset);
+    const t1 = Math.min(segment.length, end - segment.offset);
+    if (t1 > t0) {
+      spans.push({ segment, t0, t1 });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Footprint pieces of one opening (one per host segment it covers).
+ * @param {import("./types.js").ShapeObject} shape
+ * @param {{ offset: number, width: number }} opening
+ * @param {number} [minThickness] forwarded to getWallRails
+ * @returns {Vec2[][]}
+ */
+export function getOpeningOutlines(shape, opening, minThickness = 0) {
+  return getOpeningSpans(getHostSegments(shape, minThickness), opening).map(getSpanOutline);
+}
+
+/**
+ * The parts of each segment not covered by any opening.
+ * @param {HostSegment[]} segments
+ * @param {{ offset: number, width: number }[]} openings
+ * @returns {{ segment: HostSegment, t0: number, t1: number }[]}
+ */
+export function getSolidSpans(segments, openings) {
+  /** @type {{ segment: HostSegment, t0: number, t1: number }[]} */
+  const spans = [];
+  for (const segment of segments) {
+    const cuts = openings
+      .flatMap((opening) => getOpeningSpans([segment], opening))
+      .sort((a, b) => a.t0 - b.t0);
+    let t = 0;
+    for (const cut of cuts) {
+      if (cut.t0 > t) {
+        spans.push({ segment, t0: t, t1: cut.t0 });
+      }
+      t = Math.max(t, cut.t1);
+    }
+    if (t < segment.length) {
+      spans.push({ segment, t0: t, t1: segment.length });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Footprint of a span: the segment quad clipped to t0 ≤ t ≤ t1, so mitred
+ * ends survive where the span reaches a corner.
+ * @param {{ segment: HostSegment, t0: number, t1: number }} span
+ * @returns {Vec2[]}
+ */
+export function getSpanOutline(span) {
+  const { lower, upper } = getSpanLimits(span);
+  /** @param {Vec2} p */
+  const along = (p) => alongSegment(span.segment, p.x, p.y);
+  return clipByAlong(clipByAlong(span.segment.quad, along, lower, 1), along, upper, -1);
+}
+
+/**
+ * Whether a point inside the segment's quad lies within the span.
+ * @param {{ segment: HostSegment, t0: number, t1: number }} span
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function spanContains(span, x, y) {
+  const { lower, upper } = getSpanLimits(span);
+  const t = alongSegment(span.segment, x, y);
+  return t >= lower && t <= upper;
+}
+
+/**
+ * Slab limits along the segment. A span that reaches a segment end keeps the
+ * whole mitre there (mitre corners project past 0 or the segment length).
+ * @param {{ segment: HostSegment, t0: number, t1: number }} span
+ */
+function getSpanLimits(span) {
+  const eps = 1e-9;
+  return {
+    lower: span.t0 <= eps ? -Infinity : span.t0,
+    upper: span.t1 >= span.segment.length - eps ? Infinity : span.t1
+  };
+}
+
+/**
+ * @param {HostSegment} segment
+ * @param {number} x
+ * @param {number} y
+ */
+function alongSegment(segment, x, y) {
+  return (x - segment.origin.x) * segment.dir.x + (y - segment.origin.y) * segment.dir.y;
+}
+
+/**
+ * Sutherland–Hodgman clip against along(p) ≥ limit (sign 1) or ≤ limit (sign -1).
+ * @param {Vec2[]} points
+ * @param {(p: Vec2) => number} along
+ * @param {number} limit
+ * @param {1 | -1} sign
+ * @returns {Vec2[]}
+ */
+function clipByAlong(points, along, limit, sign) {
+  if (!Number.isFinite(limit)) {
+    return points;
+  }
+  /** @type {Vec2[]} */
+  const out = [];
+  for (let i = 0; i < points.length; i += 1) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const da = (along(a) - limit) * sign;
+    const db = (along(b) - limit) * sign;
+    if (da >= 0) {
+      out.push(a);
+    }
+    if ((da >= 0) !== (db >= 0)) {
+      const k = da / (da - db);
+      out.push({ x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k });
+    }
+  }
+  return out;
+}
+
+/**
+ * Ear-clipping triangulation of a simple polygon (either winding).
+ * @param {Vec2[]} points
+ * @returns {number[]} vertex indices, three per triangle, counter-clockwise
+ */
+export function triangulatePolygon(points) {
+  const count = points.length;
+  if (count < 3) {
+    return [];
+  }
+  const ccw = polygonArea(points) >= 0;
+  const remaining = Array.from({ length: count }, (_, i) => (ccw ? i : count - 1 - i));
+  /** @type {number[]} */
+  const triangles = [];
+  let guard = count * count;
+
+  while (remaining.length > 3 && guard > 0) {
+    guard -= 1;
+    let clipped = false;
+    for (let i = 0; i < remaining.length; i += 1) {
+      const ia = remaining[(i + remaining.length - 1) % remaining.length];
+      const ib = remaining[i];
+      const ic = remaining[(i + 1) % remaining.length];
+      const a = points[ia];
+      const b = points[ib];
+      const c = points[ic];
+      if (cross(a, b, c) <= 0) {
+        continue; // reflex (or flat) corner
+      }
+      const containsOther = remaining.some(
+        (k) => k !== ia && k !== ib && k !== ic && pointInTriangle(points[k], a, b, c)
+      );
+      if (containsOther) {
+        continue;
+      }
+      triangles.push(ia, ib, ic);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) {
+      break; // self-intersecting outline; fall back to a fan for the rest
+    }
+  }
+  for (let i = 1; i + 1 < remaining.length; i += 1) {
+    triangles.push(remaining[0], remaining[i], remaining[i + 1]);
+  }
+  return triangles;
+}
+
+/**
+ * Unit left-hand normal of the segment a→b.
+ * @param {Vec2} a
+ * @param {Vec2} b
+ * @returns {Vec2}
+ */
+function segmentNormal(a, b) {
+  const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  return { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+}
+
+/**
+ * @param {Vec2} a
+ * @param {Vec2} b
+ * @param {Vec2} c
+ */
+function cross(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/**
+ * @param {Vec2} p
+ * @param {Vec2} a
+ * @param {Vec2} b
+ * @param {Vec2} c
+ */
+function pointInTriangle(p, a, b, c) {
+  return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+}
@@ -0,0 +1,186 @@
+// @ts-check
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./solver.js").SolverStats} SolverStats */
+/** @typedef {ReturnType<typeof createSolverFromState>} Solver */
+
+import { createSolverFromState, EMSolver2D, EMSolverTMz } from "./solver.js";
+import { isSimulationState, normalizeState } from "./state.js";
+
+/**
+ * How far to advance. Exactly one of `steps` or `seconds` is expected;
+ * `seconds` is rounded to the nearest whole number of solver steps.
+ * @typedef {Object} HeadlessRunOptions
+ * @property {number} [steps]
+ * @property {number} [seconds] simulation time (scaled seconds)
+ */
+
+/**
+ * Phasor maps for every configured DFT frequency (EM models only).
+ * @typedef {Object} HeadlessDft
+ * @property {number[]} frequencies
+ * @property {Float32Array[]} amplitude
+ * @property {Float32Array[]} phase
+ * @property {number} duration accumulated simulation time
+ */
+
+/**
+ * Snapshot of a headless run. Arrays are copies, row-major with `nx` columns.
+ * @typedef {Object} HeadlessResult
+ * @property {SimulationState} state normalized state that was simulated
+ * @property {string} model
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {number} dt
+ * @property {number} steps total steps advanced so far
+ * @property {number} time
+ * @property {SolverStats} stats
+ * @property {Record<string, Float32Array>} fields
+ * @property {HeadlessDft | null} dft
+ */
+
+/**
+ * @typedef {Object} HeadlessSimulation
+ * @property {SimulationState} state
+ * @property {Solver} solver
+ * @property {(options: HeadlessRunOptions) => number} advance returns the steps taken
+ * @property {() => HeadlessResult} snapshot
+ */
+
+/**
+ * Parse and normalize an exported state (JSON text or an already parsed object).
+ * @param {string | unknown} input
+ * @returns {SimulationState}
+ */
+export function parseState(input) {
+  const parsed = typeof input === "string" ? JSON.parse(input) : input;
+  if (!isSimulationState(parsed)) {
+    throw new Error("Invalid simulation state file.");
+  }
+  return normalizeState(parsed);
+}
+
+/**
+ * Build a solver for a saved scene without touching the DOM. The solver is
+ * only advanced by whole steps, so two runs of the same state give identical
+ * fields regardless of machine speed.
+ * @param {string | unknown} input
+ * @returns {HeadlessSimulation}
+ */
+export function createHeadlessSimulation(input) {
+  const state = parseState(input);
+  const solver = createSolverFromState(state);
+  let steps = 0;
+
+  return {
+    state,
+    solver,
+    advance(options) {
+      const count = resolveStepCount(solver.dt, options);
+      solver.advanceSteps(count);
+      steps += count;
+      return count;
+    },
+    snapshot() {
+      return {
+        state,
+        model: state.simulation.model,
+        nx: solver.nx,
+        ny: solver.ny,
+        dx: solver.dx,
+        dy: solver.dy,
+        dt: solver.dt,
+        steps,
+        time: solver.time,
+        stats: { ...solver.getStats() },
+        fields: collectFields(solver),
+        dft: collectDft(solver)
+      };
+    }
+  };
+}
+
+/**
+ * One-shot helper: build, advance, snapshot.
+ * @param {string | unknown} input
+ * @param {HeadlessRunOptions} options
+ * @returns {HeadlessResult}
+ */
+export function runHeadless(input, options) {
+  const simulation = createHeadlessSimulation(input);
+  simulation.advance(options);
+  return simulation.snapshot();
+}
+
+/**
+ * @param {number} dt
+ * @param {HeadlessRunOptions} options
+ * @returns {number}
+ */
+export function resolveStepCount(dt, options) {
+  const { steps, seconds } = options ?? {};
+  if (steps !== undefined && seconds !== undefined) {
+    throw new Error("Pass either steps or seconds, not both.");
+  }
+  if (steps !== undefined) {
+    if (!Number.isInteger(steps) || steps < 0) {
+      throw new Error(`Invalid step count: ${steps}`);
+    }
+    return steps;
+  }
+  if (seconds !== undefined) {
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`Invalid duration: ${seconds}`);
+    }
+    return Math.round(seconds / dt);
+  }
+  throw new Error("Pass steps or seconds.");
+}
+
+/**
+ * @param {Solver} solver
+ * @returns {Record<string, Float32Array>}
+ */
+function collectFields(solver) {
+  /** @type {Record<string, Float32Array>} */
+  const fields = {
+    instantaneous: solver.getInstantaneousMagnitude().slice(),
+    averaged: solver.getAveragedMagnitude().slice()
+  };
+  if (solver instanceof EMSolverTMz) {
+    fields.ez = solver.ez.slice();
+    fields.hx = solver.hx.slice();
+    fields.hy = solver.hy.slice();
+  } else if (solver instanceof EMSolver2D) {
+    fields.ex = solver.ex.slice();
+    fields.ey = solver.ey.slice();
+    fields.hz = solver.hz.slice();
+  } else {
+    fields.u = solver.curr.slice();
+  }
+  return fields;
+}
+
+/**
+ * @param {Solver} solver
+ * @returns {HeadlessDft | null}
+ */
+function collectDft(solver) {
+  if (!(solver instanceof EMSolver2D || solver instanceof EMSolverTMz)) {
+    return null;
+  }
+  const frequencies = solver.getDftFrequencies().slice();
+  const size = solver.nx * solver.ny;
+  return {
+    frequencies,
+    amplitude: frequencies.map(
+      (_, index) => solver.getDftAmplitude(index, new Float32Array(size)) ?? new Float32Array(0)
+    ),
+    phase: frequencies.map(
+      (_, index) => solver.getDftPhase(index, new Float32Array(size)) ?? new Float32Array(0)
+    ),
+    duration: solver.dft.duration
+  };
+}
@@ -0,0 +1,124 @@
+// @ts-check
+
+// Link estimate at a receiver: the received power is read from the RSSI map
+// (see rssi.js) at the receiver's node, the SNR is taken against its noise
+// floor, and the highest 802.11ax MCS that SNR supports gives the PHY rate.
+// Throughput is that rate times a fixed MAC efficiency, a rough figure for a
+// single client with no contention. With the channel analysis on (see
+// channels.js) the MCS follows the SINR instead: the strongest access point
+// against the others on overlapping channels plus the receiver's noise floor.
+
+/** @typedef {import("./types.js").ReceiverObject} ReceiverObject */
+
+/**
+ * @typedef {Object} McsEntry
+ * @property {number} mcs
+ * @property {string} modulation
+ * @property {string} coding code rate
+ * @property {number} minSnrDb SNR needed to hold the rate
+ * @property {number} rateMbps PHY rate for one spatial stream
+ */
+
+/**
+ * 802.11ax (Wi-Fi 6), 20 MHz channel, 0.8 µs guard interval. The SNR
+ * thresholds are typical vendor planning values, not a standard's minimum.
+ * @type {McsEntry[]}
+ */
+export const MCS_TABLE = [
+  { mcs: 0, modulation: "BPSK", coding: "1/2", minSnrDb: 5, rateMbps: 8.6 },
+  { mcs: 1, modulation: "QPSK", coding: "1/2", minSnrDb: 8, rateMbps: 17.2 },
+  { mcs: 2, modulation: "QPSK", coding: "3/4", minSnrDb: 11, rateMbps: 25.8 },
+  { mcs: 3, modulation: "16-QAM", coding: "1/2", minSnrDb: 14, rateMbps: 34.4 },
+  { mcs: 4, modulation: "16-QAM", coding: "3/4", minSnrDb: 17, rateMbps: 51.6 },
+  { mcs: 5, modulation: "64-QAM", coding: "2/3", minSnrDb: 21, rateMbps: 68.8 },
+  { mcs: 6, modulation: "64-QAM", coding: "3/4", minSnrDb: 23, rateMbps: 77.4 },
+  { mcs: 7, modulation: "64-QAM", coding: "5/6", minSnrDb: 25, rateMbps: 86 },
+  { mcs: 8, modulation: "256-QAM", coding: "3/4", minSnrDb: 29, rateMbps: 103.2 },
+  { mcs: 9, modulation: "256-QAM", coding: "5/6", minSnrDb: 31, rateMbps: 114.7 },
+  { mcs: 10, modulation: "1024-QAM", coding: "3/4", minSnrDb: 34, rateMbps: 129 },
+  { mcs: 11, modulation: "1024-QAM", coding: "5/6", minSnrDb: 37, rateMbps: 143.4 }
+];
+
+// Share of the PHY rate left after preambles, ACKs and contention.
+const MAC_EFFICIENCY = 0.65;
+
+/**
+ * @typedef {Object} LinkEstimate
+ * @property {string} id receiver id
+ * @property {number | null} rssi dBm at the receiver (null without an access point)
+ * @property {number | null} snr dB
+ * @property {number | null} sinr dB (null without the channel analysis)
+ * @property {number | null} mcs index into MCS_TABLE (null below MCS 0)
+ * @property {number} phyRateMbps
+ * @property {number} throughputMbps
+ */
+
+/**
+ * @typedef {Object} ReceiverGrid
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {{ origin: { x: number, y: number } }} domain
+ * @property {() => Float32Array | null} [getRssi]
+ * @property {(index: number) => import("./channels.js").ChannelLink | null} [getChannelLink]
+ */
+
+/**
+ * Link estimates for the active receivers, in the order given.
+ * @param {ReceiverGrid} grid
+ * @param {ReceiverObject[]} receivers
+ * @returns {LinkEstimate[]}
+ */
+export function sampleReceivers(grid, receivers) {
+  const { nx, ny, dx, dy } = grid;
+  const { origin } = grid.domain;
+  const rssi = grid.getRssi ? grid.getRssi() : null;
+  return receivers
+    .filter((receiver) => receiver.active)
+    .map((receiver) => {
+      const ix = Math.round((receiver.position.x - origin.x) / dx);
+      const iy = Math.round((receiver.position.y - origin.y) / dy);
+      const inside = ix >= 0 && iy >= 0 && ix < nx && iy < ny;
+      if (!rssi || !inside) {
+        return estimateLink(receiver, null);
+      }
+      const index = iy * nx + ix;
+      return estimateLink(receiver, rssi[index], grid.getChannelLink?.(index) ?? null);
+    });
+}
+
+/**
+ * @param {ReceiverObject} receiver
+ * @param {number | null} rssi dBm
+ * @param {import("./channels.js").ChannelLink | null} [link] serving and
+ *   interfering power, when the channel analysis is on
+ * @returns {LinkEstimate}
+ */
+export function estimateLink(receiver, rssi, link = null) {
+  if (rssi === null) {
+    return { id: receiver.id, rssi: null, snr: null, sinr: null, mcs: null, phyRateMbps: 0, throughputMbps: 0 };
+  }
+  const snr = rssi - receiver.noiseFloorDbm;
+  const sinr = link
+    ? 10 * Math.log10(link.signal / (link.interference + 10 ** (receiver.noiseFloorDbm / 10)))
+    : null;
+  const margin = sinr ?? snr;
+  let mcs = null;
+  for (let i = MCS_TABLE.length - 1; i >= 0; i -= 1) {
+    if (margin >= MCS_TABLE[i].minSnrDb) {
+      mcs = i;
+      break;
+    }
+  }
+  const phyRateMbps = mcs === null ? 0 : MCS_TABLE[mcs].rateMbps * receiver.spatialStreams;
+  return {
+    id: receiver.id,
+    rssi,
+    snr,
+    sinr,
+    mcs,
+    phyRateMbps,
+    throughputMbps: phyRateMbps * MAC_EFFICIENCY
+  };
+}
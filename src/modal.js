@@ -3,12 +3,17 @@
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 /** @typedef {import("./types.js").ShapeObject} ShapeObject */
 
+import { DISPERSION_PARAMETERS, normalizeDispersion, SHAPE_LABELS } from "./state.js";
+
 /**
  * @typedef {Object} DraftShape
- * @property {"rectangle" | "circle"} shapeKind
+ * @property {"rectangle" | "circle" | "polygon" | "wall"} shapeKind
  * @property {{ x: number, y: number }} center
  * @property {{ width: number, height: number } | null} size
  * @property {number | null} radius
+ * @property {import("./types.js").Vec2[]} [points] polygon/wall vertex offsets from `center`
+ * @property {number} [thickness] wall thickness
+ * @property {boolean} [closed] wall joins its last vertex back to the first
  * @property {{ x?: number, y?: number, z?: number }} [angles]
  * @property {import("./types.js").MaterialSettings} [material]
  */
@@ -31,6 +36,8 @@ export function initModal(store, options = {}) {
   const widthInputEl = document.querySelector("#modalWidth");
   const radiusFieldEl = document.querySelector("#modalRadiusField");
   const radiusInputEl = document.querySelector("#modalRadius");
+  const thicknessFieldEl = document.querySelector("#modalThicknessField");
+  const thicknessInputEl = document.querySelector("#modalThickness");
   const heightInputEl = document.querySelector("#modalHeight");
   const anglesFieldEl = document.querySelector("#modalAnglesField");
   const angleZInputEl = document.querySelector("#modalAngleZ");
@@ -38,6 +45,11 @@ export function initModal(store, options = {}) {
   const materialCustomRowEl = document.querySelector("#modalMaterialCustomRow");
   const materialEpsRInputEl = document.querySelector("#modalMaterialEpsR");
   const materialSigmaInputEl = document.querySelector("#modalMaterialSigma");
+  const dispersionSelectEl = document.querySelector("#modalDispersionModel");
+  const dispersionRowEl = document.querySelector("#modalDispersionRow");
+  const dispersionInputEls = [0, 1, 2].map((i) =>
+    document.querySelector(`#modalDispersionParam${i}`)
+  );
   const cancelBtnEl = document.querySelector("#modalCancel");
   const applyBtnEl = document.querySelector("#modalApply");
   const errorTextEl = document.querySelector("#modalError");
@@ -52,6 +64,8 @@ export function initModal(store, options = {}) {
   if (!(widthInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
   if (!(radiusFieldEl instanceof HTMLLabelElement)) throw new Error("Modal elements not found.");
   if (!(radiusInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
+  if (!(thicknessFieldEl instanceof HTMLLabelElement)) throw new Error("Modal elements not found.");
+  if (!(thicknessInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
   if (!(heightInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
   if (!(anglesFieldEl instanceof HTMLLabelElement)) throw new Error("Modal elements not found.");
   if (!(angleZInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
@@ -59,6 +73,14 @@ export function initModal(store, options = {}) {
   if (!(materialCustomRowEl instanceof HTMLDivElement)) throw new Error("Modal elements not found.");
   if (!(materialEpsRInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
   if (!(materialSigmaInputEl instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
+  if (!(dispersionSelectEl instanceof HTMLSelectElement)) throw new Error("Modal elements not found.");
+  if (!(dispersionRowEl instanceof HTMLDivElement)) throw new Error("Modal elements not found.");
+  /** @type {HTMLInputElement[]} */
+  const dispersionInputs = [];
+  for (const el of dispersionInputEls) {
+    if (!(el instanceof HTMLInputElement)) throw new Error("Modal elements not found.");
+    dispersionInputs.push(el);
+  }
   if (!(cancelBtnEl instanceof HTMLButtonElement)) throw new Error("Modal elements not found.");
   if (!(applyBtnEl instanceof HTMLButtonElement)) throw new Error("Modal elements not found.");
   if (!(errorTextEl instanceof HTMLParagraphElement)) throw new Error("Modal elements not found.");
@@ -73,6 +95,8 @@ export function initModal(store, options = {}) {
   const widthInput = widthInputEl;
   const radiusField = radiusFieldEl;
   const radiusInput = radiusInputEl;
+  const thicknessField = thicknessFieldEl;
+  const thicknessInput = thicknessInputEl;
   const heightInput = heightInputEl;
   const anglesField = anglesFieldEl;
   const angleZInput = angleZInputEl;
@@ -80,6 +104,8 @@ export function initModal(store, options = {}) {
   const materialCustomRow = materialCustomRowEl;
   const materialEpsRInput = materialEpsRInputEl;
   const materialSigmaInput = materialSigmaInputEl;
+  const dispersionSelect = dispersionSelectEl;
+  const dispersionRow = dispersionRowEl;
   const cancelBtn = cancelBtnEl;
   const applyBtn = applyBtnEl;
   const errorText = errorTextEl;
@@ -115,6 +141,7 @@ export function initModal(store, options = {}) {
     materialEpsRInput.value = String(material.epsR);
     materialSigmaInput.value = String(material.sigma);
     materialCustomRow.hidden = materialPresetSelect.value !== "custom";
+    setDispersionInputs(material.dispersion ?? null);
 
     if (newDraft.shapeKind === "rectangle") {
       lengthField.hidden = false;
@@ -136,6 +163,15 @@ export function initModal(store, options = {}) {
       const radiusValue = newDraft.radius ?? 1;
       radiusInput.value = (Math.round(radiusValue * 100) / 100).toFixed(2);
     }
+    if (newDraft.shapeKind === "polygon" || newDraft.shapeKind === "wall") {
+      // The outline comes from the drawn vertices; only name/height/material apply.
+      radiusField.hidden = true;
+    }
+    // Thickness keeps the last value entered so consecutive walls match.
+    thicknessField.hidden = newDraft.shapeKind !== "wall";
+    if (newDraft.shapeKind === "wall" && newDraft.thickness != null) {
+      thicknessInput.value = String(newDraft.thickness);
+    }
 
     backdrop.hidden = false;
     nameInput.focus();
@@ -188,6 +224,7 @@ export function initModal(store, options = {}) {
   lengthInput.addEventListener("input", () => updatePreview());
   widthInput.addEventListener("input", () => updatePreview());
   radiusInput.addEventListener("input", () => updatePreview());
+  thicknessInput.addEventListener("input", () => updatePreview());
   heightInput.addEventListener("input", () => updatePreview());
   angleZInput.addEventListener("input", () => updatePreview());
   materialPresetSelect.addEventListener("change", () => {
@@ -196,6 +233,12 @@ export function initModal(store, options = {}) {
   });
   materialEpsRInput.addEventListener("input", () => updatePreview());
   materialSigmaInput.addEventListener("input", () => updatePreview());
+  dispersionSelect.addEventListener("change", () => {
+    const model = dispersionSelect.value;
+    setDispersionInputs(model === "none" ? null : normalizeDispersion({ model }));
+    updatePreview();
+  });
+  dispersionInputs.forEach((input) => input.addEventListener("input", () => updatePreview()));
 
   cancelBtn.addEventListener("click", () => {
     closeModal();
@@ -225,9 +268,10 @@ export function initModal(store, options = {}) {
     } else {
       lengthField.hidden = true;
       widthField.hidden = true;
-      radiusField.hidden = false;
+      radiusField.hidden = draft.shapeKind === "polygon" || draft.shapeKind === "wall";
       anglesField.hidden = true;
     }
+    thicknessField.hidden = draft.shapeKind !== "wall";
     const validation = validateForm();
     if (!validation.valid) {
       errorText.textContent = validation.message;
@@ -268,6 +312,11 @@ export function initModal(store, options = {}) {
       if (!Number.isFinite(radius) || radius <= 0) {
         return { valid: false, message: "Radius must be greater than 0." };
       }
+    } else if (draft?.shapeKind === "wall") {
+      const thickness = readNumber(thicknessInput, NaN);
+      if (!Number.isFinite(thickness) || thickness <= 0) {
+        return { valid: false, message: "Thickness must be greater than 0." };
+      }
     }
 
     const height = readNumber(heightInput, NaN);
@@ -304,6 +353,41 @@ export function initModal(store, options = {}) {
     };
   }
 
+  /**
+   * Show the pole parameters of `dispersion` (or hide the row when null).
+   * @param {import("./types.js").DispersionSettings | null} dispersion
+   */
+  function setDispersionInputs(dispersion) {
+    dispersionSelect.value = dispersion ? dispersion.model : "none";
+    dispersionRow.hidden = !dispersion;
+    const params = dispersion ? DISPERSION_PARAMETERS[dispersion.model] : [];
+    dispersionInputs.forEach((input, i) => {
+      const param = params[i];
+      input.hidden = !param;
+      if (!param || !dispersion) return;
+      const [key, label, title] = param;
+      input.placeholder = label;
+      input.title = `${label}: ${title}`;
+      input.value = String(/** @type {Record<string, number>} */ (/** @type {unknown} */ (dispersion))[key]);
+    });
+  }
+
+  /**
+   * @returns {import("./types.js").DispersionSettings | null}
+   */
+  function readDispersion() {
+    const model = dispersionSelect.value;
+    if (model !== "debye" && model !== "drude" && model !== "lorentz") {
+      return null;
+    }
+    /** @type {Record<string, number | string>} */
+    const raw = { model };
+    DISPERSION_PARAMETERS[model].forEach(([key], i) => {
+      raw[key] = readNumber(dispersionInputs[i], NaN);
+    });
+    return normalizeDispersion(raw);
+  }
+
   /**
    * @returns {import("./types.js").MaterialSettings}
    */
@@ -314,6 +398,8 @@ export function initModal(store, options = {}) {
       air: { epsR: 1, sigma: 0 },
       drywall: { epsR: 2.7, sigma: 0.02 },
       concrete: { epsR: 6, sigma: 0.2 },
+      glass: { epsR: 6, sigma: 0.004 },
+      wood: { epsR: 2, sigma: 0.01 },
       metal: { epsR: 1, sigma: 50 },
       custom: { epsR: 2.7, sigma: 0.02 }
     };
@@ -329,7 +415,8 @@ export function initModal(store, options = {}) {
     return {
       preset: /** @type {import("./types.js").MaterialSettings["preset"]} */ (preset),
       epsR,
-      sigma
+      sigma,
+      dispersion: readDispersion()
     };
   }
 
@@ -351,6 +438,26 @@ export function initModal(store, options = {}) {
       };
     }
 
+    if (baseDraft.shapeKind === "wall") {
+      return {
+        ...baseDraft,
+        size: null,
+        radius: null,
+        thickness: clamp(readNumber(thicknessInput, 0.2), 0.01, 5),
+        angles: readAngles(),
+        material
+      };
+    }
+    if (baseDraft.shapeKind === "polygon") {
+      return {
+        ...baseDraft,
+        size: null,
+        radius: null,
+        angles: readAngles(),
+        material
+      };
+    }
+
     const radius = clamp(readNumber(radiusInput, 1), 0.01, sizeLimits);
     return {
       ...baseDraft,
@@ -378,6 +485,14 @@ function describeDraft(draft) {
   if (draft.shapeKind === "circle" && draft.radius != null) {
     return `Circle r=${draft.radius.toFixed(2)}`;
   }
+  if (draft.shapeKind === "polygon" && draft.points) {
+    return `Polygon (${draft.points.length} vertices)`;
+  }
+  if (draft.shapeKind === "wall" && draft.points) {
+    const segments = draft.closed ? draft.points.length : draft.points.length - 1;
+    const thickness = draft.thickness != null ? ` t=${draft.thickness.toFixed(2)}` : "";
+    return `Wall (${segments} segment${segments === 1 ? "" : "s"}${draft.closed ? ", closed" : ""})${thickness}`;
+  }
   return "Shape";
 }
 
@@ -405,6 +520,47 @@ function createShapeFromDraft(draft, params) {
       height: params.height,
       angles: params.angles,
       material,
+      openings: [],
+      tags: []
+    };
+  }
+  if (draft.shapeKind === "wall") {
+    const points = (draft.points || []).map((p) => ({
+      x: clamp(p.x, -sizeLimit, sizeLimit),
+      y: clamp(p.y, -sizeLimit, sizeLimit)
+    }));
+    return {
+      id: createId("shape"),
+      kind: "wall",
+      name: params.name,
+      center: { x: draft.center.x, y: draft.center.y, z: 0 },
+      size: null,
+      radius: null,
+      points,
+      thickness: clamp(draft.thickness ?? 0.2, 0.01, 5),
+      closed: draft.closed === true && points.length >= 3,
+      height: params.height,
+      angles: params.angles,
+      material,
+      openings: [],
+      tags: []
+    };
+  }
+  if (draft.shapeKind === "polygon") {
+    return {
+      id: createId("shape"),
+      kind: "polygon",
+      name: params.name,
+      center: { x: draft.center.x, y: draft.center.y, z: 0 },
+      size: null,
+      radius: null,
+      points: (draft.points || []).map((p) => ({
+        x: clamp(p.x, -sizeLimit, sizeLimit),
+        y: clamp(p.y, -sizeLimit, sizeLimit)
+      })),
+      height: params.height,
+      angles: params.angles,
+      material,
       tags: []
     };
   }
@@ -439,11 +595,11 @@ function computeMaxHalf(state, center) {
 
 /**
  * @param {SimulationState} state
- * @param {"rectangle" | "circle"} kind
+ * @param {"rectangle" | "circle" | "polygon" | "wall"} kind
  * @returns {string}
  */
 function getDefaultName(state, kind) {
-  const label = kind === "circle" ? "Circle" : "Rectangle";
+  const label = SHAPE_LABELS[kind];
   const count = state.shapes.filter((shape) => shape.kind === kind).length;
   return `${label} ${count + 1}`;
 }
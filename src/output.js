@@ -0,0 +1,504 @@
+// @ts-check
+
+/** @typedef {import("./types.js").VisualizationSettings} VisualizationSettings */
+/** @typedef {import("./types.js").ColorScaleSettings} ColorScaleSettings */
+
+// Colour range for dBm outputs when the caller passes none (the state default).
+const RSSI_RANGE = { floor: -90, ceiling: -30 };
+// Fixed SINR colour range (dB): below -5 nothing decodes, above 40 every MCS does.
+const SINR_RANGE = { floor: -5, ceiling: 40 };
+// Fixed ± range (dB) of the FDTD − empirical difference.
+const DELTA_RANGE_DB = 20;
+
+// Per-frame linear normalization, the behaviour before scale settings existed.
+/** @type {ColorScaleSettings} */
+const AUTO_LINEAR = {
+  mode: "linear",
+  normalization: "auto",
+  fixedMax: 1,
+  dbReference: 1,
+  dbFloor: -40,
+  dbCeiling: 0
+};
+
+/**
+ * Minimal solver surface the renderers read from. DFT getters are optional
+ * (the scalar wave solver has none).
+ * @typedef {Object} OutputSource
+ * @property {number} nx
+ * @property {number} ny
+ * @property {() => Float32Array} getInstantaneousMagnitude
+ * @property {() => Float32Array} getAveragedMagnitude
+ * @property {(index: number) => Float32Array | null} [getDftAmplitude]
+ * @property {(index: number) => Float32Array | null} [getDftPhase]
+ * @property {(component: import("./types.js").FieldComponent) => Float32Array | null} [getField]
+ * @property {(component: import("./types.js").FieldComponent, index: number) => number | null} [getFieldAt]
+ * @property {() => Float32Array | null} [getRssi]
+ * @property {(key: string) => Float32Array | null} [getChannelPower]
+ * @property {() => Float32Array | null} [getSinr]
+ * @property {() => Uint8Array | null} [getChannelOverlap]
+ * @property {() => string[]} [getChannelKeys]
+ * @property {(settings: import("./types.js").EmpiricalSettings) => Float32Array | null} [getEmpiricalRssi]
+ * @property {(settings: import("./types.js").EmpiricalSettings) => Float32Array | null} [getEmpiricalDifference]
+ */
+
+/**
+ * Field selected for display.
+ * - magnitude: non-negative values, normalized to the frame maximum
+ * - phase: radians in -π..π, mapped onto the palette with a fixed range
+ * - signed: field component, normalized symmetrically to the frame's max |value|
+ * - dbm: received power in dBm, mapped over the fixed `visualization.rssi` range
+ * - sinr: signal to interference plus noise in dB, mapped over a fixed range
+ * - delta: difference of two dB maps, zero mid-palette over a fixed ± range
+ * @typedef {Object} OutputField
+ * @property {Float32Array} values
+ * @property {"magnitude" | "phase" | "signed" | "dbm" | "sinr" | "delta"} kind
+ */
+
+/**
+ * Mapping from values to palette positions, resolved for one frame.
+ * - linear: |value| / top with a 0.6 gamma (signed: both signs, zero mid-palette)
+ * - db: 20·log10(|value| / reference) from `bottom` to `top` dB (signed: the
+ *   bottom is mid-palette and the sign picks the half)
+ * Phase always spans -π..π; dBm, SINR and delta values map linearly from
+ * `bottom` to `top` (mode "db").
+ * @typedef {Object} ColorScale
+ * @property {OutputField["kind"]} kind
+ * @property {"linear" | "db"} mode
+ * @property {number} top value (linear) or dB (db) at the palette end
+ * @property {number} bottom dB at the palette bottom or middle (db); 0 for linear
+ * @property {number} reference value at 0 dB
+ * @property {number} peak largest |value| in the frame (feeds peak hold)
+ */
+
+/**
+ * Everything known at one grid node, for the hover readout.
+ * @typedef {Object} CellSample
+ * @property {number} index row-major node index
+ * @property {number} instantaneous |E| (or |u| for the scalar model)
+ * @property {number} averaged time-averaged magnitude
+ * @property {Partial<Record<import("./types.js").FieldComponent, number>>} fields
+ *   components carried by the current polarization
+ * @property {number | null} epsR relative permittivity (null without materials)
+ * @property {number | null} sigma conductivity (null without materials)
+ * @property {number | null} rssi estimated dBm (null without an access point)
+ * @property {number | null} sinr dB (null without the channel analysis)
+ */
+
+/**
+ * One displayable snapshot of the solver, as posted by the solver worker.
+ * @typedef {Object} FieldFrame
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {number} dt
+ * @property {number} pmlWidth
+ * @property {import("./solver.js").SolverStats} stats
+ * @property {number} dftDuration simulation time accumulated by the DFT (0 if none)
+ * @property {OutputField} output
+ * @property {CellSample | null} cell node under the pointer, if one was requested
+ * @property {import("./section.js").SectionProfile | null} section profile along
+ *   `visualization.section`, filled in by the worker
+ * @property {import("./link.js").LinkEstimate[]} receivers one estimate per
+ *   active receiver, filled in by the worker
+ * @property {string[]} channels channels of the channel analysis (empty when off)
+ * @property {Uint8Array | null} channelOverlap co-channel overlap mask (see
+ *   channels.js), null when the analysis is off
+ * @property {OutputField | null} compare RSSI map shown beside the empirical
+ *   output in split view, null otherwise
+ */
+
+/**
+ * @typedef {OutputSource & { epsRGrid?: Float32Array, sigmaGrid?: Float32Array }} CellSource
+ */
+
+/**
+ * Snapshot the selected output. `buffer` (if large enough) receives a copy of
+ * the values so it can be transferred; otherwise a new array is allocated.
+ * @param {CellSource & { dx: number, dy: number, dt: number, pmlWidth: number, getStats: () => import("./solver.js").SolverStats, dft?: { duration: number } }} solver
+ * @param {VisualizationSettings} visualization
+ * @param {ArrayBuffer} [buffer]
+ * @param {number | null} [cellIndex] node to sample into `cell`
+ * @returns {FieldFrame}
+ */
+export function createFieldFrame(solver, visualization, buffer, cellIndex = null) {
+  const selected = selectOutput(solver, visualization);
+  const length = selected.values.length;
+  const values =
+    buffer && buffer.byteLength === length * 4
+      ? new Float32Array(buffer)
+      : new Float32Array(length);
+  values.set(selected.values);
+  return {
+    nx: solver.nx,
+    ny: solver.ny,
+    dx: solver.dx,
+    dy: solver.dy,
+    dt: solver.dt,
+    pmlWidth: solver.pmlWidth,
+    stats: { ...solver.getStats() },
+    dftDuration: solver.dft ? solver.dft.duration : 0,
+    output: { values, kind: selected.kind },
+    cell: cellIndex === null ? null : sampleCell(solver, cellIndex),
+    section: null,
+    receivers: [],
+    channels: solver.getChannelKeys ? solver.getChannelKeys() : [],
+    channelOverlap: solver.getChannelOverlap?.()?.slice() ?? null,
+    compare: selectCompare(solver, visualization, selected)
+  };
+}
+
+/**
+ * Copy of the RSSI map for the split view of the empirical output.
+ * @param {OutputSource} solver
+ * @param {VisualizationSettings} visualization
+ * @param {OutputField} selected
+ * @returns {OutputField | null}
+ */
+function selectCompare(solver, visualization, selected) {
+  if (visualization.output !== "empirical" || !visualization.empirical?.split || selected.kind !== "dbm") {
+    return null;
+  }
+  const rssi = solver.getRssi ? solver.getRssi() : null;
+  return rssi ? { values: rssi.slice(), kind: "dbm" } : null;
+}
+
+/**
+ * Read every per-node quantity at `index`; null when it is off the grid.
+ * @param {CellSource} solver
+ * @param {number} index
+ * @returns {CellSample | null}
+ */
+export function sampleCell(solver, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= solver.nx * solver.ny) {
+    return null;
+  }
+  /** @type {CellSample["fields"]} */
+  const fields = {};
+  if (solver.getFieldAt) {
+    for (const component of /** @type {const} */ (["ex", "ey", "hz", "ez", "hx", "hy"])) {
+      const value = solver.getFieldAt(component, index);
+      if (value !== null) {
+        fields[component] = value;
+      }
+    }
+  }
+  return {
+    index,
+    instantaneous: solver.getInstantaneousMagnitude()[index],
+    averaged: solver.getAveragedMagnitude()[index],
+    fields,
+    epsR: solver.epsRGrid ? solver.epsRGrid[index] : null,
+    sigma: solver.sigmaGrid ? solver.sigmaGrid[index] : null,
+    rssi: solver.getRssi?.()?.[index] ?? null,
+    sinr: solver.getSinr?.()?.[index] ?? null
+  };
+}
+
+/**
+ * Resolve `visualization.output` to a solver array. DFT outputs fall back to the
+ * instantaneous magnitude when the solver has no phasor at `dftIndex`, field
+ * components when the current polarization does not carry them, RSSI when
+ * there is no active access point (also for the empirical outputs), channel
+ * power and SINR when the channel analysis is off.
+ * @param {OutputSource} solver
+ * @param {VisualizationSettings} visualization
+ * @returns {OutputField}
+ */
+export function selectOutput(solver, visualization) {
+  const index = visualization.dftIndex ?? 0;
+  if (visualization.output === "amplitude" && solver.getDftAmplitude) {
+    const values = solver.getDftAmplitude(index);
+    if (values) {
+      return { values, kind: "magnitude" };
+    }
+  }
+  if (visualization.output === "phase" && solver.getDftPhase) {
+    const values = solver.getDftPhase(index);
+    if (values) {
+      return { values, kind: "phase" };
+    }
+  }
+  if (isFieldComponent(visualization.output) && solver.getField) {
+    const values = solver.getField(visualization.output);
+    if (values) {
+      return { values, kind: "signed" };
+    }
+  }
+  if (visualization.output === "rssi" && solver.getRssi) {
+    const values = solver.getRssi();
+    if (values) {
+      return { values, kind: "dbm" };
+    }
+  }
+  if (visualization.output === "channelPower" && solver.getChannelPower) {
+    const values = solver.getChannelPower(visualization.channel ?? "");
+    if (values) {
+      return { values, kind: "dbm" };
+    }
+  }
+  if (visualization.output === "sinr" && solver.getSinr) {
+    const values = solver.getSinr();
+    if (values) {
+      return { values, kind: "sinr" };
+    }
+  }
+  if (visualization.output === "empirical" && solver.getEmpiricalRssi && visualization.empirical) {
+    const values = solver.getEmpiricalRssi(visualization.empirical);
+    if (values) {
+      return { values, kind: "dbm" };
+    }
+  }
+  if (visualization.output === "empiricalDiff" && solver.getEmpiricalDifference && visualization.empirical) {
+    const values = solver.getEmpiricalDifference(visualization.empirical);
+    if (values) {
+      return { values, kind: "delta" };
+    }
+  }
+  if (visualization.output === "averaged") {
+    return { values: solver.getAveragedMagnitude(), kind: "magnitude" };
+  }
+  return { values: solver.getInstantaneousMagnitude(), kind: "magnitude" };
+}
+
+/**
+ * @param {string} output
+ * @returns {output is import("./types.js").FieldComponent}
+ */
+export function isFieldComponent(output) {
+  return (
+    output === "hz" ||
+    output === "ex" ||
+    output === "ey" ||
+    output === "ez" ||
+    output === "hx" ||
+    output === "hy"
+  );
+}
+
+/**
+ * Resolve the scale settings against one frame. `heldPeak` is the largest
+ * |value| seen in earlier frames (used by peak hold). dBm outputs ignore the
+ * settings and use `rssi` (floor and ceiling in dBm); SINR and delta use fixed ranges.
+ * @param {OutputField} output
+ * @param {ColorScaleSettings} [settings]
+ * @param {number} [heldPeak]
+ * @param {{ floor: number, ceiling: number }} [rssi]
+ * @returns {ColorScale}
+ */
+export function computeColorScale(output, settings = AUTO_LINEAR, heldPeak = 0, rssi = RSSI_RANGE) {
+  if (output.kind === "phase") {
+    return { kind: "phase", mode: "linear", top: Math.PI, bottom: -Math.PI, reference: 1, peak: Math.PI };
+  }
+  if (output.kind === "dbm") {
+    return { kind: "dbm", mode: "db", top: rssi.ceiling, bottom: rssi.floor, reference: 1, peak: 0 };
+  }
+  if (output.kind === "sinr") {
+    return { kind: "sinr", mode: "db", top: SINR_RANGE.ceiling, bottom: SINR_RANGE.floor, reference: 1, peak: 0 };
+  }
+  if (output.kind === "delta") {
+    return { kind: "delta", mode: "db", top: DELTA_RANGE_DB, bottom: -DELTA_RANGE_DB, reference: 1, peak: 0 };
+  }
+  const values = output.values;
+  let peak = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    const magnitude = Math.abs(values[i]);
+    if (magnitude > peak) {
+      peak = magnitude;
+    }
+  }
+  const held = Math.max(peak, heldPeak);
+
+  if (settings.mode === "db") {
+    const reference = settings.dbReference > 0 ? settings.dbReference : 1;
+    const range = Math.max(1, settings.dbCeiling - settings.dbFloor);
+    if (settings.normalization === "fixed") {
+      return {
+        kind: output.kind,
+        mode: "db",
+        top: settings.dbFloor + range,
+        bottom: settings.dbFloor,
+        reference,
+        peak
+      };
+    }
+    const topValue = settings.normalization === "peakHold" ? held : peak;
+    const top = topValue > 0 ? 20 * Math.log10(topValue / reference) : settings.dbCeiling;
+    return { kind: output.kind, mode: "db", top, bottom: top - range, reference, peak };
+  }
+
+  const top =
+    settings.normalization === "fixed"
+      ? settings.fixedMax
+      : settings.normalization === "peakHold"
+        ? held
+        : peak;
+  return { kind: output.kind, mode: "linear", top, bottom: 0, reference: 1, peak };
+}
+
+/**
+ * Palette position in [0, 1] of one value under a resolved scale.
+ * @param {number} value
+ * @param {ColorScale} scale
+ * @returns {number}
+ */
+export function valueToUnit(value, scale) {
+  if (scale.kind === "phase") {
+    return phaseToUnit(value);
+  }
+  if (scale.kind === "dbm" || scale.kind === "sinr" || scale.kind === "delta") {
+    return Math.min(1, Math.max(0, (value - scale.bottom) / (scale.top - scale.bottom || 1)));
+  }
+  if (scale.mode === "db") {
+    const magnitude = Math.abs(value);
+    const db = magnitude > 0 ? 20 * Math.log10(magnitude / scale.reference) : -Infinity;
+    const span = scale.top - scale.bottom || 1;
+    const u = Math.min(1, Math.max(0, (db - scale.bottom) / span));
+    if (scale.kind === "signed") {
+      return 0.5 + (value < 0 ? -0.5 : 0.5) * u;
+    }
+    return u;
+  }
+  const inverse = scale.top > 0 ? 1 / scale.top : 1;
+  if (scale.kind === "signed") {
+    return signedToUnit(value, inverse);
+  }
+  return Math.min(1, Math.pow(Math.max(0, value) * inverse, 0.6));
+}
+
+/**
+ * Evenly spaced legend ticks (in value or dB) and their palette positions.
+ * @param {ColorScale} scale
+ * @param {number} [count]
+ * @returns {{ t: number, label: string }[]}
+ */
+export function getScaleTicks(scale, count = 5) {
+  /** @type {{ t: number, label: string }[]} */
+  const ticks = [];
+  const steps = Math.max(2, count) - 1;
+  for (let k = 0; k <= steps; k += 1) {
+    const f = k / steps;
+    if (scale.kind === "phase") {
+      const labels = ["-π", "-3π/4", "-π/2", "-π/4", "0", "π/4", "π/2", "3π/4", "π"];
+      const phase = -Math.PI + f * 2 * Math.PI;
+      const exact = labels[Math.round(f * 8)];
+      ticks.push({ t: f, label: Number.isInteger(f * 8) ? exact : phase.toFixed(2) });
+    } else if (scale.kind === "dbm") {
+      ticks.push({ t: f, label: `${Math.round(scale.bottom + f * (scale.top - scale.bottom))} dBm` });
+    } else if (scale.kind === "sinr") {
+      ticks.push({ t: f, label: `${Math.round(scale.bottom + f * (scale.top - scale.bottom))} dB` });
+    } else if (scale.kind === "delta") {
+      const db = Math.round(scale.bottom + f * (scale.top - scale.bottom));
+      ticks.push({ t: f, label: `${db > 0 ? "+" : ""}${db} dB` });
+    } else if (scale.mode === "db") {
+      if (scale.kind === "signed") {
+        // Outer ends are ±top dB, the middle is at or below the floor.
+        const half = Math.abs(2 * f - 1);
+        const db = scale.bottom + half * (scale.top - scale.bottom);
+        const label =
+          f < 0.5 ? `${formatDb(db)} (−)` : f > 0.5 ? `${formatDb(db)} (+)` : `≤ ${formatDb(db)}`;
+        ticks.push({ t: f, label });
+      } else {
+        ticks.push({ t: f, label: formatDb(scale.bottom + f * (scale.top - scale.bottom)) });
+      }
+    } else if (scale.kind === "signed") {
+      const value = (2 * f - 1) * scale.top;
+      ticks.push({ t: valueToUnit(value, scale), label: formatValue(value) });
+    } else {
+      const value = f * scale.top;
+      ticks.push({ t: valueToUnit(value, scale), label: formatValue(value) });
+    }
+  }
+  return ticks;
+}
+
+/**
+ * Running maximum for peak-hold normalization. Restarts when `key` (what is
+ * displayed) changes or simulation time runs backwards (a reset).
+ * @param {{ key: string, time: number, peak: number }} hold updated in place
+ * @param {string} key
+ * @param {number} time
+ * @returns {number} peak held from earlier frames
+ */
+export function readPeakHold(hold, key, time) {
+  if (hold.key !== key || time < hold.time) {
+    hold.key = key;
+    hold.peak = 0;
+  }
+  hold.time = time;
+  return hold.peak;
+}
+
+/**
+ * @param {number} db
+ */
+function formatDb(db) {
+  return `${Math.round(db)} dB`;
+}
+
+/**
+ * @param {number} value
+ */
+function formatValue(value) {
+  if (value === 0) {
+    return "0";
+  }
+  const magnitude = Math.abs(value);
+  return magnitude >= 1000 || magnitude < 0.01 ? value.toExponential(1) : value.toPrecision(3);
+}
+
+/**
+ * Map a signed value to a palette position in [0, 1] with zero in the middle
+ * (same 0.6 gamma as magnitudes, applied to |value|).
+ * @param {number} value
+ * @param {number} scale 1 / max |value|
+ * @returns {number}
+ */
+export function signedToUnit(value, scale) {
+  const magnitude = Math.min(1, Math.pow(Math.abs(value) * scale, 0.6));
+  return 0.5 + (value < 0 ? -0.5 : 0.5) * magnitude;
+}
+
+/**
+ * Map a phase in radians to a palette position in [0, 1].
+ * @param {number} phase
+ * @returns {number}
+ */
+export function phaseToUnit(phase) {
+  return (phase + Math.PI) / (2 * Math.PI);
+}
+
+/**
+ * Paint an output field into RGBA pixels (row-major, same size as the field).
+ * Without a scale, magnitudes are normalized to the field maximum with a 0.6
+ * gamma so weak regions stay visible; phase uses the full palette over -π..π;
+ * signed fields put zero mid-palette and ±max |value| at the ends.
+ * @param {OutputField} output
+ * @param {Uint8ClampedArray} palette 256 RGBA entries (see buildPalette)
+ * @param {Uint8ClampedArray} pixels length 4 * output.values.length
+ * @param {ColorScale} [scale] from computeColorScale
+ * @returns {ColorScale} the scale used
+ */
+export function colorizeOutput(output, palette, pixels, scale = computeColorScale(output)) {
+  const values = output.values;
+  for (let i = 0; i < values.length; i += 1) {
+    writePixel(pixels, i, palette, valueToUnit(values[i], scale));
+  }
+  return scale;
+}
+
+/**
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} index
+ * @param {Uint8ClampedArray} palette
+ * @param {number} t palette position in [0, 1]
+ */
+function writePixel(pixels, index, palette, t) {
+  const pOffset = Math.min(255, Math.floor(t * 255)) * 4;
+  const dOffset = index * 4;
+  pixels[dOffset] = palette[pOffset];
+  pixels[dOffset + 1] = palette[pOffset + 1];
+  pixels[dOffset + 2] = palette[pOffset + 2];
+  pixels[dOffset + 3] = 255;
+}
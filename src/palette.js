@@ -1,13 +1,199 @@
 // @ts-check
 
-export function buildPalette() {
-  const stops = [
-    { t: 0, color: [8, 10, 20] },
-    { t: 0.25, color: [0, 64, 128] },
-    { t: 0.5, color: [0, 180, 180] },
-    { t: 0.75, color: [255, 210, 64] },
-    { t: 1, color: [255, 80, 32] }
-  ];
+/**
+ * @typedef {Object} ColormapDefinition
+ * @property {string} label
+ * @property {"sequential" | "diverging"} kind diverging maps put zero in the middle
+ * @property {boolean} colorblindSafe readable with the common colour-vision deficiencies
+ * @property {{ t: number, color: number[] }[]} stops
+ */
+
+export const DEFAULT_COLORMAP = "spectral";
+// Used for signed fields while a sequential map is selected.
+export const DEFAULT_DIVERGING_COLORMAP = "rdbu";
+
+/**
+ * Named palettes, interpolated linearly between stops. The perceptually
+ * uniform maps are sampled from matplotlib's viridis family; the diverging
+ * ones are ColorBrewer RdBu/PuOr and Moreland's cool-warm.
+ * @type {Record<string, ColormapDefinition>}
+ */
+export const COLORMAPS = {
+  spectral: {
+    label: "Spectral (classic)",
+    kind: "sequential",
+    colorblindSafe: false,
+    stops: [
+      { t: 0, color: [8, 10, 20] },
+      { t: 0.25, color: [0, 64, 128] },
+      { t: 0.5, color: [0, 180, 180] },
+      { t: 0.75, color: [255, 210, 64] },
+      { t: 1, color: [255, 80, 32] }
+    ]
+  },
+  viridis: {
+    label: "Viridis",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [68, 1, 84],
+      [71, 45, 123],
+      [59, 82, 139],
+      [44, 114, 142],
+      [33, 145, 140],
+      [40, 174, 128],
+      [94, 201, 98],
+      [173, 220, 48],
+      [253, 231, 37]
+    ])
+  },
+  magma: {
+    label: "Magma",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [0, 0, 4],
+      [28, 16, 68],
+      [79, 18, 123],
+      [129, 37, 129],
+      [181, 54, 122],
+      [229, 89, 100],
+      [251, 135, 97],
+      [254, 194, 135],
+      [252, 253, 191]
+    ])
+  },
+  inferno: {
+    label: "Inferno",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [0, 0, 4],
+      [31, 12, 72],
+      [85, 15, 109],
+      [136, 34, 106],
+      [186, 54, 85],
+      [227, 89, 51],
+      [249, 142, 9],
+      [249, 203, 53],
+      [252, 255, 164]
+    ])
+  },
+  plasma: {
+    label: "Plasma",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [13, 8, 135],
+      [76, 2, 161],
+      [126, 3, 168],
+      [169, 35, 149],
+      [204, 71, 120],
+      [229, 107, 93],
+      [248, 148, 65],
+      [253, 195, 40],
+      [240, 249, 33]
+    ])
+  },
+  cividis: {
+    label: "Cividis",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [0, 32, 77],
+      [65, 77, 107],
+      [124, 123, 120],
+      [188, 175, 111],
+      [255, 234, 70]
+    ])
+  },
+  grayscale: {
+    label: "Grayscale",
+    kind: "sequential",
+    colorblindSafe: true,
+    stops: evenStops([
+      [0, 0, 0],
+      [255, 255, 255]
+    ])
+  },
+  rdbu: {
+    label: "Red–Blue (diverging)",
+    kind: "diverging",
+    colorblindSafe: false,
+    stops: evenStops([
+      [33, 102, 172],
+      [67, 147, 195],
+      [146, 197, 222],
+      [209, 229, 240],
+      [247, 247, 247],
+      [253, 219, 199],
+      [244, 165, 130],
+      [214, 96, 77],
+      [178, 24, 43]
+    ])
+  },
+  puor: {
+    label: "Purple–Orange (diverging)",
+    kind: "diverging",
+    colorblindSafe: true,
+    stops: evenStops([
+      [84, 39, 136],
+      [128, 115, 172],
+      [178, 171, 210],
+      [216, 218, 235],
+      [247, 247, 247],
+      [254, 224, 182],
+      [253, 184, 99],
+      [224, 130, 20],
+      [179, 88, 6]
+    ])
+  },
+  coolwarm: {
+    label: "Cool–Warm (diverging)",
+    kind: "diverging",
+    colorblindSafe: false,
+    stops: evenStops([
+      [59, 76, 192],
+      [141, 176, 254],
+      [221, 221, 221],
+      [244, 154, 123],
+      [180, 4, 38]
+    ])
+  }
+};
+
+/**
+ * Registry key to use for `name`, falling back to the default for unknown names.
+ * @param {unknown} name
+ * @returns {string}
+ */
+export function resolveColormap(name) {
+  return typeof name === "string" && Object.prototype.hasOwnProperty.call(COLORMAPS, name)
+    ? name
+    : DEFAULT_COLORMAP;
+}
+
+/**
+ * Colormap to draw an output with: signed fields and differences need zero
+ * mid-palette, so a sequential selection is swapped for the default diverging map.
+ * @param {unknown} name selected colormap
+ * @param {import("./output.js").OutputField["kind"]} kind
+ * @returns {string}
+ */
+export function colormapForOutput(name, kind) {
+  const resolved = resolveColormap(name);
+  if ((kind === "signed" || kind === "delta") && COLORMAPS[resolved].kind !== "diverging") {
+    return DEFAULT_DIVERGING_COLORMAP;
+  }
+  return resolved;
+}
+
+/**
+ * @param {string} [name] registry key (see COLORMAPS); unknown names use the default
+ * @returns {Uint8ClampedArray} 256 RGBA entries
+ */
+export function buildPalette(name = DEFAULT_COLORMAP) {
+  const stops = COLORMAPS[resolveColormap(name)].stops;
 
   const palette = new Uint8ClampedArray(256 * 4);
   for (let i = 0; i < 256; i += 1) {
@@ -35,6 +221,14 @@ export function samplePalette(palette, t) {
   return [palette[offset], palette[offset + 1], palette[offset + 2]];
 }
 
+/**
+ * @param {number[][]} colors
+ * @returns {{ t: number, color: number[] }[]}
+ */
+function evenStops(colors) {
+  return colors.map((color, i) => ({ t: i / (colors.length - 1), color }));
+}
+
 /**
  * @param {{ t: number, color: number[] }[]} stops
  * @param {number} t
@@ -0,0 +1,187 @@
+// @ts-check
+
+// Empirical path-loss maps, the planning formulas the FDTD map is compared
+// against. Each node gets every access point's EIRP minus
+//
+//   log-distance:  FSPL(d0) + 10·n·log10(d / d0) + wall losses
+//   ITU-R P.1238:  20·log10(f MHz) + N·log10(d) − 28 + wall losses
+//
+// d0 is the calibration's reference distance, where the FDTD map is anchored
+// too (see rssi.js), so both maps agree on that ring. Closer in, free-space
+// loss is used. Walls are found by marching a ray from the access point
+// through the solver's material grids; every entry into a non-air run of
+// cells adds that material's penetration loss. Several access points add as
+// powers, like the FDTD field does.
+
+/** @typedef {import("./types.js").SourceObject} SourceObject */
+/** @typedef {import("./types.js").RadioCalibration} RadioCalibration */
+/** @typedef {import("./types.js").EmpiricalSettings} EmpiricalSettings */
+
+import { getChannelFrequencyMHz, getEirpDbm } from "./radio.js";
+import { freeSpaceLossDb, RSSI_FLOOR_DBM } from "./rssi.js";
+
+// P.1238 distance power loss coefficient N for offices. The recommendation
+// lists 2.4 and 5.2 GHz; 6 GHz reuses the 5 GHz value.
+const P1238_COEFFICIENT = { "2.4": 30, 5: 31, 6: 31 };
+
+// Penetration loss per wall by conductivity (S/m): typical planning values for
+// the glass, drywall and concrete presets, interpolated on log σ in between
+// (wood lands near 2.6 dB) and clamped outside. Metal is flat.
+/** @type {[number, number][]} */
+const WALL_LOSS_POINTS = [
+  [0.004, 2],
+  [0.02, 3],
+  [0.2, 12]
+];
+const METAL_LOSS_DB = 26;
+
+/**
+ * @typedef {Object} EmpiricalGrid
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {{ origin: { x: number, y: number } }} domain
+ * @property {Float32Array} epsRGrid
+ * @property {Float32Array} sigmaGrid
+ * @property {Uint8Array | null} metalMask
+ * @property {Uint8Array | null} pmlMask
+ */
+
+/**
+ * @param {EmpiricalGrid} grid
+ * @param {SourceObject[]} accessPoints active sources with `radio` set
+ * @param {RadioCalibration} calibration
+ * @param {EmpiricalSettings} settings
+ * @param {Float32Array} out receives nx·ny values in dBm
+ * @returns {Float32Array | null} null without access points
+ */
+export function computeEmpiricalRssi(grid, accessPoints, calibration, settings, out) {
+  const { nx, ny, dx, dy, epsRGrid, sigmaGrid, metalMask, pmlMask } = grid;
+  const { origin } = grid.domain;
+  const anchors = accessPoints.filter((source) => source.radio);
+  if (!anchors.length) {
+    return null;
+  }
+  const size = nx * ny;
+  const wallLoss = new Float32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    if (metalMask && metalMask[i]) {
+      wallLoss[i] = METAL_LOSS_DB;
+    } else if (epsRGrid[i] > 1 || sigmaGrid[i] > 0) {
+      wallLoss[i] = penetrationLossDb(sigmaGrid[i]);
+    }
+  }
+  const minDistance = 0.5 * Math.min(dx, dy);
+  const referenceDistance = calibration.referenceDistance;
+
+  const power = new Float64Array(size);
+  for (const source of anchors) {
+    const radio = /** @type {NonNullable<SourceObject["radio"]>} */ (source.radio);
+    const frequencyMHz = getChannelFrequencyMHz(radio.band, radio.channel);
+    const eirp = getEirpDbm(radio);
+    const gx = (source.position.x - origin.x) / dx;
+    const gy = (source.position.y - origin.y) / dy;
+    const referenceLoss = freeSpaceLossDb(referenceDistance, frequencyMHz);
+    const coefficient = P1238_COEFFICIENT[radio.band];
+    for (let iy = 0; iy < ny; iy += 1) {
+      for (let ix = 0; ix < nx; ix += 1) {
+        const i = iy * nx + ix;
+        const distance = Math.max(minDistance, Math.hypot((ix - gx) * dx, (iy - gy) * dy));
+        let loss;
+        if (settings.model === "p1238") {
+          loss =
+            distance < 1
+              ? freeSpaceLossDb(distance, frequencyMHz)
+              : 20 * Math.log10(frequencyMHz) + coefficient * Math.log10(distance) - 28;
+        } else {
+          loss =
+            distance < referenceDistance
+              ? freeSpaceLossDb(distance, frequencyMHz)
+              : referenceLoss + 10 * settings.exponent * Math.log10(distance / referenceDistance);
+        }
+        loss += marchWalls(wallLoss, nx, ny, gx, gy, ix, iy);
+        power[i] += 10 ** ((eirp - loss) / 10);
+      }
+    }
+  }
+
+  for (let i = 0; i < size; i += 1) {
+    // Same masking as the FDTD map: PML and metal cells read as the floor.
+    const masked = (pmlMask && pmlMask[i]) || (metalMask && metalMask[i]);
+    out[i] = masked || !(power[i] > 0) ? RSSI_FLOOR_DBM : Math.max(RSSI_FLOOR_DBM, 10 * Math.log10(power[i]));
+  }
+  return out;
+}
+
+/**
+ * Sum of the penetration losses of the walls between a source (fractional
+ * node coordinates) and node (ix, iy), sampled every half cell.
+ * @param {Float32Array} wallLoss per-node loss, 0 in air
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} gx
+ * @param {number} gy
+ * @param {number} ix
+ * @param {number} iy
+ * @returns {number} dB
+ */
+function marchWalls(wallLoss, nx, ny, gx, gy, ix, iy) {
+  const steps = Math.ceil(2 * Math.max(Math.abs(ix - gx), Math.abs(iy - gy)));
+  let total = 0;
+  let inside = 0;
+  for (let k = 1; k <= steps; k += 1) {
+    const t = k / steps;
+    const x = Math.round(gx + (ix - gx) * t);
+    const y = Math.round(gy + (iy - gy) * t);
+    const loss = x >= 0 && y >= 0 && x < nx && y < ny ? wallLoss[y * nx + x] : 0;
+    // Count a wall once, on entry; a change of material inside counts as a new wall.
+    if (loss > 0 && loss !== inside) {
+      total += loss;
+    }
+    inside = loss;
+  }
+  return total;
+}
+
+/**
+ * @param {number} sigma S/m
+ * @returns {number} dB per wall
+ */
+function penetrationLossDb(sigma) {
+  const points = WALL_LOSS_POINTS;
+  if (sigma <= points[0][0]) {
+    return points[0][1];
+  }
+  for (let k = 1; k < points.length; k += 1) {
+    const [s1, l1] = points[k];
+    if (sigma <= s1) {
+      const [s0, l0] = points[k - 1];
+      return l0 + ((l1 - l0) * Math.log(sigma / s0)) / Math.log(s1 / s0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * `measured` minus `model` in dB, 0 where either is at the RSSI floor (PML,
+ * metal, or not reached yet).
+ * @param {Float32Array} measured
+ * @param {Float32Array} model
+ * @param {Float32Array} out
+ * @returns {Float32Array}
+ */
+export function subtractRssi(measured, model, out) {
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = measured[i] > RSSI_FLOOR_DBM && model[i] > RSSI_FLOOR_DBM ? measured[i] - model[i] : 0;
+  }
+  return out;
+}
+
+/**
+ * @param {EmpiricalSettings} settings
+ * @returns {string} e.g. "Log-distance (n = 2)"
+ */
+export function formatEmpiricalModel(settings) {
+  return settings.model === "p1238" ? "ITU-R P.1238" : `Log-distance (n = ${settings.exponent})`;
+}
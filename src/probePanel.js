@@ -0,0 +1,503 @@
+// @ts-check
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./probes.js").ProbeHistory} ProbeHistory */
+/** @typedef {import("./probes.js").ProbeChannel} ProbeChannel */
+/** @typedef {import("./spectrum.js").ProbeResponse} ProbeResponse */
+
+import { PROBE_CHANNEL_LABELS } from "./probes.js";
+import { analyzeProbeResponse } from "./spectrum.js";
+
+// One colour per probe, in placement order (cycled past eight probes).
+const TRACE_COLORS = [
+  "#d97706",
+  "#2563eb",
+  "#16a34a",
+  "#dc2626",
+  "#7c3aed",
+  "#0891b2",
+  "#db2777",
+  "#4b5563"
+];
+// The FFTs run on up to 4096 samples; while the solver runs, refresh a few times a second.
+const ANALYSIS_INTERVAL_MS = 250;
+// Lowest level shown on the spectrum and delay-profile plots.
+const PLOT_FLOOR_DB = -40;
+
+/**
+ * Time-trace and response panel over the viewport. The history lives in the
+ * solver client; this only draws it and exports it, so `render` is cheap to
+ * call every frame.
+ * @param {() => ProbeHistory | null} getHistory
+ * @returns {(state: SimulationState) => void}
+ */
+export function initProbePanel(getHistory) {
+  const panel = document.querySelector("#probePanel");
+  const viewSelect = document.querySelector("#probeViewSelect");
+  const targetSelect = document.querySelector("#probeTargetSelect");
+  const channelSelect = document.querySelector("#probeChannelSelect");
+  const exportBtn = document.querySelector("#probeExportBtn");
+  const canvas = document.querySelector("#probePlot");
+  const stats = document.querySelector("#probeStats");
+
+  if (
+    !(panel instanceof HTMLDivElement) ||
+    !(viewSelect instanceof HTMLSelectElement) ||
+    !(targetSelect instanceof HTMLSelectElement) ||
+    !(channelSelect instanceof HTMLSelectElement) ||
+    !(exportBtn instanceof HTMLButtonElement) ||
+    !(canvas instanceof HTMLCanvasElement) ||
+    !(stats instanceof HTMLDivElement)
+  ) {
+    throw new Error("Probe panel elements not found.");
+  }
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Probe plot context not available.");
+  }
+
+  /** @type {SimulationState | null} */
+  let current = null;
+  let drawnKey = "";
+  /** @type {{ key: string, at: number, result: ProbeResponse | null }} */
+  let analysis = { key: "", at: 0, result: null };
+
+  for (const select of [viewSelect, targetSelect, channelSelect]) {
+    select.addEventListener("change", () => {
+      drawnKey = "";
+      analysis = { key: "", at: 0, result: null };
+    });
+  }
+
+  exportBtn.addEventListener("click", () => {
+    const history = getHistory();
+    if (!history || !history.length || !current) {
+      return;
+    }
+    const probes = current.probes;
+    const csv = history.toCsv((id) => probes.find((probe) => probe.id === id)?.name ?? id);
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = "wifi-wave-sim-probes.csv";
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  return function render(state) {
+    current = state;
+    const visible = state.probes.length > 0;
+    panel.hidden = !visible;
+    if (!visible) {
+      return;
+    }
+    const history = getHistory();
+    const view = viewSelect.value;
+    const isTrace = view === "trace";
+    syncChannels(channelSelect, history, isTrace);
+    syncTargets(targetSelect, history, state);
+    targetSelect.style.display = isTrace ? "none" : "";
+    exportBtn.disabled = !history || !history.length;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    const names = state.probes.map((probe) => `${probe.id}=${probe.name}`).join("|");
+    const selection = `${view}:${targetSelect.value}:${channelSelect.value}`;
+    const key = history
+      ? `${history.epoch}:${history.version}:${selection}:${width}x${height}:${names}`
+      : `none:${width}x${height}`;
+    if (key === drawnKey) {
+      return;
+    }
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    if (isTrace) {
+      drawnKey = key;
+      stats.textContent = "";
+      drawTraces(ctx, history, channelSelect.value, state, dpr);
+      return;
+    }
+
+    const now = performance.now();
+    const analysisKey = history
+      ? `${history.epoch}:${history.version}:${selection}:${JSON.stringify(state.sources)}`
+      : "";
+    if (analysisKey !== analysis.key) {
+      if (analysis.key && now - analysis.at < ANALYSIS_INTERVAL_MS) {
+        return;
+      }
+      analysis = {
+        key: analysisKey,
+        at: now,
+        result: analyze(history, targetSelect.value, channelSelect.value, state)
+      };
+    }
+    drawnKey = key;
+    const result = analysis.result;
+    stats.textContent = result ? formatStats(result) : "";
+    if (!result) {
+      drawMessage(ctx, dpr, "Needs a Gaussian or Ricker source pulse inside the recording");
+    } else if (view === "spectrum") {
+      drawSpectrum(ctx, result, dpr);
+    } else {
+      drawDelayProfile(ctx, result, dpr);
+    }
+  };
+}
+
+/**
+ * Offer the channels of the current recording, keeping the choice when the
+ * polarization does not change. |E| is left out of the analysis views since
+ * its spectrum is not a linear response.
+ * @param {HTMLSelectElement} select
+ * @param {ProbeHistory | null} history
+ * @param {boolean} withMagnitude
+ */
+function syncChannels(select, history, withMagnitude) {
+  const channels = (history ? history.channels : []).filter(
+    (channel) => withMagnitude || channel !== "e"
+  );
+  const key = channels.join(",");
+  if (select.dataset.key === key) {
+    return;
+  }
+  const previous = select.value;
+  select.textContent = "";
+  for (const channel of channels) {
+    const option = document.createElement("option");
+    option.value = channel;
+    option.textContent = PROBE_CHANNEL_LABELS[channel];
+    select.appendChild(option);
+  }
+  const fallback = withMagnitude ? "e" : (channels[0] ?? "");
+  select.value = channels.includes(/** @type {ProbeChannel} */ (previous)) ? previous : fallback;
+  select.dataset.key = key;
+}
+
+/**
+ * @param {HTMLSelectElement} select
+ * @param {ProbeHistory | null} history
+ * @param {SimulationState} state
+ */
+function syncTargets(select, history, state) {
+  const ids = history ? history.probeIds : [];
+  const labels = ids.map((id) => state.probes.find((probe) => probe.id === id)?.name ?? id);
+  const key = ids.map((id, index) => `${id}=${labels[index]}`).join("|");
+  if (select.dataset.key === key) {
+    return;
+  }
+  const previous = select.value;
+  select.textContent = "";
+  ids.forEach((id, index) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = labels[index];
+    select.appendChild(option);
+  });
+  select.value = ids.includes(previous) ? previous : (ids[0] ?? "");
+  select.dataset.key = key;
+}
+
+/**
+ * @param {ProbeHistory | null} history
+ * @param {string} probeId
+ * @param {string} channel
+ * @param {SimulationState} state
+ * @returns {ProbeResponse | null}
+ */
+function analyze(history, probeId, channel, state) {
+  if (!history) {
+    return null;
+  }
+  const probeIndex = history.probeIds.indexOf(probeId);
+  const channelIndex = history.channels.indexOf(/** @type {ProbeChannel} */ (channel));
+  if (probeIndex < 0 || channelIndex < 0) {
+    return null;
+  }
+  const { times, values } = history.getSeries(probeIndex, channelIndex);
+  const pulsed = state.sources.filter((source) => source.waveform !== "cw");
+  return pulsed.length ? analyzeProbeResponse(times, values, state.sources) : null;
+}
+
+/**
+ * @param {ProbeResponse} result
+ * @returns {string}
+ */
+function formatStats(result) {
+  const arrival = Number.isFinite(result.firstArrival)
+    ? `${result.firstArrival.toFixed(3)} s`
+    : "—";
+  const spread = Number.isFinite(result.rmsDelaySpread)
+    ? `${result.rmsDelaySpread.toFixed(3)} s`
+    : "—";
+  const mean = Number.isFinite(result.meanDelay) ? `${result.meanDelay.toFixed(3)} s` : "—";
+  return `First arrival ${arrival} · mean delay ${mean} · RMS delay spread ${spread} · band ${result.band[0].toFixed(2)}–${result.band[1].toFixed(2)} Hz`;
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} dpr
+ * @param {string} message
+ */
+function drawMessage(ctx, dpr, message) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = `${10 * dpr}px sans-serif`;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(message, width / 2, height / 2);
+}
+
+/**
+ * Plot area inside the canvas, leaving room for the value and time labels.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} dpr
+ */
+function getPlotBox(ctx, dpr) {
+  const { width, height } = ctx.canvas;
+  return { left: 44 * dpr, right: width - 8 * dpr, top: 8 * dpr, bottom: height - 18 * dpr };
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ProbeHistory | null} history
+ * @param {string} channel
+ * @param {SimulationState} state
+ * @param {number} dpr
+ */
+function drawTraces(ctx, history, channel, state, dpr) {
+  const channelIndex = history ? history.channels.indexOf(/** @type {ProbeChannel} */ (channel)) : -1;
+  if (!history || !history.length || channelIndex < 0) {
+    drawMessage(
+      ctx,
+      dpr,
+      state.probes.some((probe) => probe.active) ? "Waiting for samples…" : "No active probes"
+    );
+    return;
+  }
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = `${10 * dpr}px sans-serif`;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+
+  const series = history.probeIds.map((_, index) => history.getSeries(index, channelIndex));
+  const times = series[0].times;
+  const t0 = times[0];
+  const t1 = Math.max(t0 + 1e-9, times[times.length - 1]);
+  let peak = 0;
+  for (const { values } of series) {
+    for (let i = 0; i < values.length; i += 1) {
+      peak = Math.max(peak, Math.abs(values[i]));
+    }
+  }
+  peak = peak > 0 ? peak : 1;
+  // |E| is never negative; the signed components get a symmetric range.
+  const yMin = channel === "e" ? 0 : -peak;
+
+  const { left, right, top, bottom } = getPlotBox(ctx, dpr);
+  const toX = (/** @type {number} */ t) => left + ((t - t0) / (t1 - t0)) * (right - left);
+  const toY = (/** @type {number} */ v) => bottom - ((v - yMin) / (peak - yMin)) * (bottom - top);
+
+  ctx.strokeStyle = "rgba(15, 23, 42, 0.3)";
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(left, top, right - left, bottom - top);
+  if (yMin < 0) {
+    ctx.beginPath();
+    ctx.moveTo(left, toY(0));
+    ctx.lineTo(right, toY(0));
+    ctx.stroke();
+  }
+
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  ctx.fillText(formatValue(peak), left - 4 * dpr, top);
+  ctx.fillText(formatValue(yMin), left - 4 * dpr, bottom);
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(`${t0.toFixed(2)}s`, left, bottom + 4 * dpr);
+  ctx.textAlign = "right";
+  ctx.fillText(`${t1.toFixed(2)}s`, right, bottom + 4 * dpr);
+
+  ctx.lineWidth = 1.25 * dpr;
+  ctx.textAlign = "left";
+  series.forEach(({ times: sampleTimes, values }, index) => {
+    const color = TRACE_COLORS[index % TRACE_COLORS.length];
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    for (let i = 0; i < values.length; i += 1) {
+      const x = toX(sampleTimes[i]);
+      const y = toY(values[i]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+
+    const id = history.probeIds[index];
+    const name = state.probes.find((probe) => probe.id === id)?.name ?? id;
+    ctx.fillStyle = color;
+    ctx.fillText(name, left + 6 * dpr, top + (4 + index * 12) * dpr);
+  });
+}
+
+/**
+ * |H| in dB (top, re. its own peak) and phase (bottom) across the source band.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ProbeResponse} result
+ * @param {number} dpr
+ */
+function drawSpectrum(ctx, result, dpr) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = `${10 * dpr}px sans-serif`;
+  const { left, right, top, bottom } = getPlotBox(ctx, dpr);
+  const middle = top + (bottom - top) * 0.6;
+  const [f0, f1raw] = result.band;
+  const f1 = Math.max(f0 + 1e-9, f1raw);
+  const toX = (/** @type {number} */ f) => left + ((f - f0) / (f1 - f0)) * (right - left);
+
+  let peak = 0;
+  for (const value of result.magnitude) {
+    if (Number.isFinite(value)) {
+      peak = Math.max(peak, value);
+    }
+  }
+  const toDb = (/** @type {number} */ value) =>
+    Math.max(PLOT_FLOOR_DB, 20 * Math.log10(value / (peak || 1)));
+  const toMagY = (/** @type {number} */ db) => top + (db / PLOT_FLOOR_DB) * (middle - 4 * dpr - top);
+  const phaseTop = middle + 4 * dpr;
+  const toPhaseY = (/** @type {number} */ phase) =>
+    phaseTop + ((Math.PI - phase) / (2 * Math.PI)) * (bottom - phaseTop);
+
+  ctx.strokeStyle = "rgba(15, 23, 42, 0.3)";
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(left, top, right - left, middle - 4 * dpr - top);
+  ctx.strokeRect(left, phaseTop, right - left, bottom - phaseTop);
+
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  ctx.fillText(formatValue(peak), left - 4 * dpr, top);
+  ctx.fillText(`${PLOT_FLOOR_DB} dB`, left - 4 * dpr, middle - 4 * dpr);
+  ctx.fillText("π", left - 4 * dpr, phaseTop);
+  ctx.fillText("−π", left - 4 * dpr, bottom);
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(`${f0.toFixed(2)} Hz`, left, bottom + 4 * dpr);
+  ctx.textAlign = "right";
+  ctx.fillText(`${f1.toFixed(2)} Hz`, right, bottom + 4 * dpr);
+
+  ctx.lineWidth = 1.25 * dpr;
+  ctx.strokeStyle = TRACE_COLORS[1];
+  strokeSeries(ctx, result.frequencies, result.magnitude, toX, (value) => toMagY(toDb(value)));
+  ctx.fillStyle = TRACE_COLORS[3];
+  for (let k = 0; k < result.frequencies.length; k += 1) {
+    if (Number.isFinite(result.phase[k])) {
+      ctx.fillRect(toX(result.frequencies[k]) - dpr, toPhaseY(result.phase[k]) - dpr, 2 * dpr, 2 * dpr);
+    }
+  }
+  ctx.textAlign = "left";
+  ctx.fillStyle = TRACE_COLORS[1];
+  ctx.fillText("|H| (dB)", left + 6 * dpr, top + 4 * dpr);
+  ctx.fillStyle = TRACE_COLORS[3];
+  ctx.fillText("arg H", left + 6 * dpr, phaseTop + 4 * dpr);
+}
+
+/**
+ * Power delay profile in dB with markers for the first arrival and RMS spread.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ProbeResponse} result
+ * @param {number} dpr
+ */
+function drawDelayProfile(ctx, result, dpr) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = `${10 * dpr}px sans-serif`;
+  const { left, right, top, bottom } = getPlotBox(ctx, dpr);
+  const t1 = Math.max(1e-9, result.delays[result.delays.length - 1]);
+  const toX = (/** @type {number} */ t) => left + (t / t1) * (right - left);
+  const toY = (/** @type {number} */ power) =>
+    top + (Math.max(PLOT_FLOOR_DB, 10 * Math.log10(power)) / PLOT_FLOOR_DB) * (bottom - top);
+
+  ctx.strokeStyle = "rgba(15, 23, 42, 0.3)";
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(left, top, right - left, bottom - top);
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  ctx.fillText("0 dB", left - 4 * dpr, top);
+  ctx.fillText(`${PLOT_FLOOR_DB} dB`, left - 4 * dpr, bottom);
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText("0 s", left, bottom + 4 * dpr);
+  ctx.textAlign = "right";
+  ctx.fillText(`${t1.toFixed(2)} s`, right, bottom + 4 * dpr);
+
+  if (Number.isFinite(result.meanDelay) && Number.isFinite(result.rmsDelaySpread)) {
+    ctx.fillStyle = "rgba(37, 99, 235, 0.12)";
+    const x0 = toX(Math.max(0, result.meanDelay - result.rmsDelaySpread));
+    const x1 = toX(Math.min(t1, result.meanDelay + result.rmsDelaySpread));
+    ctx.fillRect(x0, top, x1 - x0, bottom - top);
+  }
+  ctx.lineWidth = 1.25 * dpr;
+  ctx.strokeStyle = TRACE_COLORS[0];
+  strokeSeries(ctx, result.delays, result.profile, toX, toY);
+  if (Number.isFinite(result.firstArrival)) {
+    const x = toX(result.firstArrival);
+    ctx.strokeStyle = TRACE_COLORS[3];
+    ctx.setLineDash([4 * dpr, 3 * dpr]);
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+/**
+ * Polyline through the finite samples, broken at NaN gaps.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ArrayLike<number>} xs
+ * @param {ArrayLike<number>} ys
+ * @param {(x: number) => number} toX
+ * @param {(y: number) => number} toY
+ */
+function strokeSeries(ctx, xs, ys, toX, toY) {
+  ctx.beginPath();
+  let drawing = false;
+  for (let i = 0; i < xs.length; i += 1) {
+    if (!Number.isFinite(ys[i])) {
+      drawing = false;
+      continue;
+    }
+    const x = toX(xs[i]);
+    const y = toY(ys[i]);
+    if (drawing) {
+      ctx.lineTo(x, y);
+    } else {
+      ctx.moveTo(x, y);
+      drawing = true;
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * @param {number} value
+ */
+function formatValue(value) {
+  const magnitude = Math.abs(value);
+  return magnitude !== 0 && (magnitude >= 1e3 || magnitude < 1e-2)
+    ? value.toExponential(1)
+    : value.toFixed(2);
+}
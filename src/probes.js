@@ -0,0 +1,239 @@
+// @ts-check
+
+// Point probes: field samples at fixed spots, one row per solver step. The
+// worker samples into a ProbeHistory used as a batch and posts it with each
+// tick; the main thread appends the batches to its own ProbeHistory, a ring
+// buffer that keeps the last PROBE_HISTORY_LENGTH steps for the plot and CSV.
+
+/** @typedef {import("./types.js").ProbeObject} ProbeObject */
+
+/**
+ * Recorded quantity: a field component of the current polarization or "e" (|E|).
+ * @typedef {"ex" | "ey" | "hz" | "ez" | "hx" | "hy" | "e"} ProbeChannel
+ */
+
+/**
+ * Ordered samples as posted by the worker. `values` is row-major: one row per
+ * time, each row probe-major (probe 0 channels, probe 1 channels, ...).
+ * @typedef {Object} ProbeBatch
+ * @property {number} epoch bumps whenever the recording restarts
+ * @property {string[]} probeIds
+ * @property {ProbeChannel[]} channels
+ * @property {Float64Array} times
+ * @property {Float32Array} values
+ */
+
+export const PROBE_HISTORY_LENGTH = 4096;
+
+/** @type {Record<"em2d" | "em2dTmz", ProbeChannel[]>} */
+export const PROBE_CHANNELS = {
+  em2d: ["ex", "ey", "hz", "e"],
+  em2dTmz: ["ez", "hx", "hy", "e"]
+};
+
+/** @type {Record<ProbeChannel, string>} */
+export const PROBE_CHANNEL_LABELS = {
+  ex: "Ex",
+  ey: "Ey",
+  hz: "Hz",
+  ez: "Ez",
+  hx: "Hx",
+  hy: "Hy",
+  e: "|E|"
+};
+
+/**
+ * Fixed-capacity time series for a set of probes and channels. Once full, each
+ * push overwrites the oldest row.
+ */
+export class ProbeHistory {
+  /**
+   * @param {string[]} probeIds
+   * @param {ProbeChannel[]} channels
+   * @param {number} [epoch]
+   * @param {number} [capacity]
+   */
+  constructor(probeIds, channels, epoch = 0, capacity = PROBE_HISTORY_LENGTH) {
+    this.probeIds = probeIds;
+    this.channels = channels;
+    this.epoch = epoch;
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.width = probeIds.length * channels.length;
+    this.times = new Float64Array(this.capacity);
+    this.values = new Float32Array(this.capacity * this.width);
+    // Next row to write and number of valid rows.
+    this.head = 0;
+    this.length = 0;
+    // Bumped on every change so the plot can skip redundant redraws.
+    this.version = 0;
+  }
+
+  /**
+   * @param {number} time
+   * @param {ArrayLike<number>} row `width` values, probe-major
+   */
+  push(time, row) {
+    const offset = this.head * this.width;
+    for (let i = 0; i < this.width; i += 1) {
+      this.values[offset + i] = row[i];
+    }
+    this.times[this.head] = time;
+    this.head = (this.head + 1) % this.capacity;
+    this.length = Math.min(this.capacity, this.length + 1);
+    this.version += 1;
+  }
+
+  /**
+   * Append a batch with the same layout.
+   * @param {ProbeBatch} batch
+   */
+  pushBatch(batch) {
+    for (let row = 0; row < batch.times.length; row += 1) {
+      this.push(batch.times[row], batch.values.subarray(row * this.width, (row + 1) * this.width));
+    }
+  }
+
+  clear() {
+    this.head = 0;
+    this.length = 0;
+    this.version += 1;
+  }
+
+  /**
+   * Ordered copy of the stored rows (oldest first).
+   * @returns {ProbeBatch}
+   */
+  toBatch() {
+    const times = new Float64Array(this.length);
+    const values = new Float32Array(this.length * this.width);
+    const start = (this.head - this.length + this.capacity) % this.capacity;
+    for (let row = 0; row < this.length; row += 1) {
+      const index = (start + row) % this.capacity;
+      times[row] = this.times[index];
+      values.set(
+        this.values.subarray(index * this.width, (index + 1) * this.width),
+        row * this.width
+      );
+    }
+    return {
+      epoch: this.epoch,
+      probeIds: this.probeIds.slice(),
+      channels: this.channels.slice(),
+      times,
+      values
+    };
+  }
+
+  /**
+   * Ordered samples of one probe and channel (oldest first).
+   * @param {number} probeIndex
+   * @param {number} channelIndex
+   * @returns {{ times: Float64Array, values: Float32Array }}
+   */
+  getSeries(probeIndex, channelIndex) {
+    const times = new Float64Array(this.length);
+    const values = new Float32Array(this.length);
+    const column = probeIndex * this.channels.length + channelIndex;
+    const start = (this.head - this.length + this.capacity) % this.capacity;
+    for (let row = 0; row < this.length; row += 1) {
+      const index = (start + row) % this.capacity;
+      times[row] = this.times[index];
+      values[row] = this.values[index * this.width + column];
+    }
+    return { times, values };
+  }
+
+  /**
+   * One row per step: time, then every channel of every probe.
+   * @param {(id: string) => string} nameOf column prefix for a probe id
+   * @returns {string}
+   */
+  toCsv(nameOf) {
+    const header = ["time"];
+    for (const id of this.probeIds) {
+      const name = nameOf(id).replace(/[",\n]/g, " ");
+      for (const channel of this.channels) {
+        header.push(`${name} ${PROBE_CHANNEL_LABELS[channel]}`);
+      }
+    }
+    const lines = [header.join(",")];
+    const batch = this.toBatch();
+    for (let row = 0; row < batch.times.length; row += 1) {
+      const cells = [String(batch.times[row])];
+      for (let i = 0; i < this.width; i += 1) {
+        cells.push(String(batch.values[row * this.width + i]));
+      }
+      lines.push(cells.join(","));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+/**
+ * Field arrays a probe reads; EMSolver2D carries ex/ey/hz, EMSolverTMz ez/hx/hy.
+ * @typedef {Object} ProbeSolver
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {{ origin: { x: number, y: number } }} domain
+ * @property {Float32Array} [ex]
+ * @property {Float32Array} [ey]
+ * @property {Float32Array} [hz]
+ * @property {Float32Array} [ez]
+ * @property {Float32Array} [hx]
+ * @property {Float32Array} [hy]
+ */
+
+/**
+ * Reads the probe channels straight from the solver's field arrays at the
+ * nearest grid node (no copy of the whole field per step).
+ * @param {ProbeSolver} solver
+ * @param {ProbeObject[]} probes active probes
+ * @param {"em2d" | "em2dTmz"} model
+ */
+export function createProbeSampler(solver, probes, model) {
+  const channels = PROBE_CHANNELS[model];
+  const { origin } = solver.domain;
+  const indices = probes.map((probe) => {
+    const ix = Math.round((probe.position.x - origin.x) / solver.dx);
+    const iy = Math.round((probe.position.y - origin.y) / solver.dy);
+    return clamp(iy, 0, solver.ny - 1) * solver.nx + clamp(ix, 0, solver.nx - 1);
+  });
+  const isTmz = model === "em2dTmz";
+  const empty = new Float32Array(solver.nx * solver.ny);
+  const [first, second, third] = isTmz
+    ? [solver.ez, solver.hx, solver.hy]
+    : [solver.ex, solver.ey, solver.hz];
+  const fields = [first ?? empty, second ?? empty, third ?? empty];
+
+  return {
+    probeIds: probes.map((probe) => probe.id),
+    channels,
+    /**
+     * @param {Float32Array} row receives probes.length * channels.length values
+     */
+    sample(row) {
+      let offset = 0;
+      for (const index of indices) {
+        const a = fields[0][index];
+        const b = fields[1][index];
+        row[offset] = a;
+        row[offset + 1] = b;
+        row[offset + 2] = fields[2][index];
+        // TEz: |E| = √(Ex² + Ey²); TMz: |E| = |Ez|.
+        row[offset + 3] = isTmz ? Math.abs(a) : Math.sqrt(a * a + b * b);
+        offset += channels.length;
+      }
+    }
+  };
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,106 @@
+// @ts-check
+
+// Wi-Fi radio settings for access-point sources and their calibration onto the
+// solver's scaled units. The solver only knows `frequency` (scaled Hz) and a
+// dimensionless `amplitude`; an access point carries real settings instead and
+// normalizeState derives those two from them:
+//
+//   frequency = carrier (GHz) × calibration.hzPerGHz
+//   amplitude = 10^((txPower + antennaGain − calibration.referenceEirpDbm) / 20)
+//
+// The frequency keeps the real ratio between bands (a 5 GHz wave is about half
+// as long as a 2.4 GHz one), and the amplitude is the field strength relative to
+// a source radiating `referenceEirpDbm`, so 6 dB more EIRP doubles the field.
+// Source amplitudes stop at 10, so limitEirp keeps the EIRP within 20 dB of
+// the reference.
+
+/** @typedef {import("./types.js").AccessPointSettings} AccessPointSettings */
+/** @typedef {import("./types.js").RadioCalibration} RadioCalibration */
+/** @typedef {AccessPointSettings["band"]} WifiBand */
+
+/**
+ * 20 MHz channel numbers per band. Centre frequencies follow the 802.11 channel
+ * plan: 2407 + 5·n MHz (channel 14: 2484), 5000 + 5·n and 5950 + 5·n MHz.
+ * @type {Record<WifiBand, { label: string, channels: number[] }>}
+ */
+export const WIFI_BANDS = {
+  "2.4": {
+    label: "2.4 GHz",
+    channels: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]
+  },
+  "5": {
+    label: "5 GHz",
+    channels: [
+      36, 40, 44, 48, 52, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 144,
+      149, 153, 157, 161, 165, 169, 173, 177
+    ]
+  },
+  "6": {
+    label: "6 GHz",
+    channels: Array.from({ length: 59 }, (_, i) => 1 + 4 * i)
+  }
+};
+
+/** Default channel when an access point is created or its band changes. */
+export const DEFAULT_CHANNELS = /** @type {Record<WifiBand, number>} */ ({
+  "2.4": 6,
+  "5": 36,
+  "6": 37
+});
+
+/**
+ * @param {WifiBand} band
+ * @param {number} channel
+ * @returns {number} centre frequency in MHz
+ */
+export function getChannelFrequencyMHz(band, channel) {
+  if (band === "2.4") {
+    return channel === 14 ? 2484 : 2407 + 5 * channel;
+  }
+  return (band === "5" ? 5000 : 5950) + 5 * channel;
+}
+
+/**
+ * Transmit power plus antenna gain.
+ * @param {AccessPointSettings} radio
+ * @returns {number} dBm
+ */
+export function getEirpDbm(radio) {
+  return radio.txPowerDbm + radio.antennaGainDbi;
+}
+
+/** Highest EIRP above `referenceEirpDbm`: the source amplitude limit of 10. */
+export const MAX_EIRP_ABOVE_REFERENCE_DB = 20;
+
+/**
+ * `radio` with its transmit power lowered, then its antenna gain if the power
+ * would drop below its −10 dBm floor, so the EIRP stays within
+ * MAX_EIRP_ABOVE_REFERENCE_DB of the reference. Returned as is when it does.
+ * @param {AccessPointSettings} radio
+ * @param {RadioCalibration} calibration
+ * @returns {AccessPointSettings}
+ */
+export function limitEirp(radio, calibration) {
+  const maxEirp = calibration.referenceEirpDbm + MAX_EIRP_ABOVE_REFERENCE_DB;
+  if (getEirpDbm(radio) <= maxEirp) {
+    return radio;
+  }
+  const antennaGainDbi = Math.min(radio.antennaGainDbi, maxEirp + 10);
+  return { ...radio, txPowerDbm: maxEirp - antennaGainDbi, antennaGainDbi };
+}
+
+/**
+ * Scaled solver frequency and amplitude for an access point (see the module
+ * comment). The amplitude is not clamped here; normalizeState applies the
+ * source limits after limitEirp.
+ * @param {AccessPointSettings} radio
+ * @param {RadioCalibration} calibration
+ * @returns {{ frequency: number, amplitude: number }}
+ */
+export function radioToSource(radio, calibration) {
+  const carrierGHz = getChannelFrequencyMHz(radio.band, radio.channel) / 1000;
+  return {
+    frequency: carrierGHz * calibration.hzPerGHz,
+    amplitude: 10 ** ((getEirpDbm(radio) - calibration.referenceEirpDbm) / 20)
+  };
+}
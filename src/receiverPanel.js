@@ -0,0 +1,111 @@
+// @ts-check
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./output.js").FieldFrame} FieldFrame */
+
+import { MCS_TABLE } from "./link.js";
+
+/**
+ * Sidebar table of the receivers' link estimates (RSSI, SNR, MCS and
+ * throughput). The worker estimates them into every frame, so this only lists
+ * `frame.receivers`; clicking a row selects the receiver. With the channel
+ * analysis on, the SNR column shows the SINR the MCS was picked from.
+ * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ * @returns {(state: SimulationState, frame: FieldFrame | null) => void}
+ */
+export function initReceiverPanel(store) {
+  const panel = document.querySelector("#receiverPanel");
+  const body = document.querySelector("#receiverResults");
+  const note = document.querySelector("#receiverNote");
+  const snrHeader = document.querySelector("#receiverSnrHeader");
+
+  if (
+    !(panel instanceof HTMLDivElement) ||
+    !(body instanceof HTMLTableSectionElement) ||
+    !(note instanceof HTMLDivElement) ||
+    !(snrHeader instanceof HTMLTableCellElement)
+  ) {
+    throw new Error("Receiver panel elements not found.");
+  }
+
+  /** @type {FieldFrame | null} */
+  let lastFrame = null;
+  /** @type {SimulationState["receivers"] | null} */
+  let lastReceivers = null;
+  /** @type {SimulationState["editor"]["selection"] | null} */
+  let lastSelection = null;
+
+  return function render(state, frame) {
+    const receivers = state.receivers;
+    panel.hidden = receivers.length === 0;
+    if (
+      frame === lastFrame &&
+      receivers === lastReceivers &&
+      state.editor.selection === lastSelection
+    ) {
+      return;
+    }
+    lastFrame = frame;
+    lastReceivers = receivers;
+    lastSelection = state.editor.selection;
+
+    const estimates = frame ? frame.receivers : [];
+    const showSinr = estimates.some((estimate) => estimate.sinr !== null);
+    snrHeader.textContent = showSinr ? "SINR" : "SNR";
+    snrHeader.title = showSinr
+      ? "Strongest access point over the others on overlapping channels plus the noise floor"
+      : "RSSI minus the receiver's noise floor";
+    const selection = state.editor.selection;
+    body.textContent = "";
+    let missingSignal = false;
+    for (const receiver of receivers) {
+      const row = document.createElement("tr");
+      row.dataset.selected = String(selection.type === "receiver" && selection.id === receiver.id);
+      row.addEventListener("click", () => {
+        store.updateState((draft) => {
+          draft.editor.selection = { type: "receiver", id: receiver.id };
+          return draft;
+        });
+      });
+      const name = document.createElement("td");
+      name.textContent = receiver.name;
+      name.title = receiver.name;
+      row.appendChild(name);
+
+      const estimate = receiver.active ? estimates.find((item) => item.id === receiver.id) : null;
+      if (!receiver.active || !estimate || estimate.rssi === null || estimate.snr === null) {
+        missingSignal = missingSignal || receiver.active;
+        const cell = document.createElement("td");
+        cell.colSpan = 4;
+        cell.dataset.muted = "true";
+        cell.textContent = receiver.active ? "—" : "inactive";
+        row.appendChild(cell);
+        body.appendChild(row);
+        continue;
+      }
+      const mcs = estimate.mcs === null ? null : MCS_TABLE[estimate.mcs];
+      const cells = [
+        [estimate.rssi.toFixed(1), "dBm"],
+        estimate.sinr === null
+          ? [estimate.snr.toFixed(1), "dB"]
+          : [estimate.sinr.toFixed(1), `dB (SNR ${estimate.snr.toFixed(1)} dB)`],
+        [mcs ? String(mcs.mcs) : "—", mcs ? `${mcs.modulation} ${mcs.coding}` : "Below MCS 0: no link"],
+        [
+          estimate.throughputMbps.toFixed(0),
+          `PHY ${estimate.phyRateMbps.toFixed(1)} Mbps over ${receiver.spatialStreams} stream${receiver.spatialStreams > 1 ? "s" : ""}`
+        ]
+      ];
+      for (const [text, title] of cells) {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        cell.title = title;
+        cell.dataset.muted = String(mcs === null);
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    }
+    note.textContent = missingSignal
+      ? "Place an active access point to estimate links (EM models only)."
+      : "";
+  };
+}
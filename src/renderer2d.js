@@ -1,9 +1,36 @@
 // @ts-check
 
-import { buildPalette } from "./palette.js";
+import { buildPalette, colormapForOutput } from "./palette.js";
+import { drawColorbar, getColorbarTitle } from "./colorbar.js";
+import { colorizeOutput, computeColorScale, readPeakHold } from "./output.js";
+import { formatEmpiricalModel } from "./pathloss.js";
+import {
+  getHostSegments,
+  getOpeningOutlines,
+  getOpeningSpans,
+  getPointsBounds,
+  getPolygonPoints,
+  getShapeOutlines,
+  getSpanOutline,
+  getWallRails,
+  MAX_POLYGON_VERTICES,
+  MIN_POLYGON_VERTICES,
+  MIN_WALL_VERTICES,
+  pointInPolygon,
+  polygonCentroid,
+  toPolygonLocal
+} from "./geometry.js";
+import { getCellSize } from "./state.js";
+import { PROBE_CHANNEL_LABELS } from "./probes.js";
+import { traceContours } from "./contours.js";
+import { RSSI_FLOOR_DBM } from "./rssi.js";
+import { isTextEntryTarget } from "./dom.js";
 
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 /** @typedef {import("./types.js").SourceObject} SourceObject */
+/** @typedef {import("./types.js").ProbeObject} ProbeObject */
+/** @typedef {import("./types.js").ReceiverObject} ReceiverObject */
+/** @typedef {import("./types.js").Vec2} Vec2 */
 
 const MIN_ZOOM = 0.2;
 const MAX_ZOOM = 8;
@@ -11,20 +38,29 @@ const SOURCE_MARKER_RADIUS = 6; // Base radius in pixels (constant screen-space)
 const SOURCE_MARKER_HOVER_RADIUS = 8; // Hover/selected radius
 const SOURCE_MARKER_HALO_WIDTH = 2; // Halo outline width
 const SOURCE_PICK_RADIUS = 12; // Larger pick radius for easier interaction
+const PROBE_MARKER_SIZE = 7; // Half-diagonal of the probe diamond in pixels
+const RECEIVER_MARKER_SIZE = 8; // Half-width of the receiver square in pixels
 const RESIZE_HANDLE_SIZE = 8; // pixels
 const RESIZE_HANDLE_PICK_RADIUS = 12; // pixels
 const SNAP_DISTANCE = 0.3; // world units (increased for better visibility)
 const SNAP_DISTANCE_PX = 15; // screen pixels for visual feedback
+const PATH_VERTEX_MIN_GAP_PX = 4; // clicks closer than this to the last vertex are ignored
+const GRID_MAJOR_MIN_PX = 80; // CSS pixels between labelled grid lines
+const GRID_MINOR_MIN_PX = 14; // minor lines (a fifth of a major step) are dropped below this
+const SCALE_BAR_MAX_PX = 140;
 
 export class Renderer2D {
   /**
  * @param {HTMLCanvasElement} canvas
  * @param {{
  *  getState: () => SimulationState,
- *  updateState: (updater: (draft: SimulationState) => SimulationState) => void
+ *  updateState: (updater: (draft: SimulationState) => SimulationState) => void,
+ *  beginGesture: () => void,
+ *  endGesture: () => void
  * }} store
    * @param {{
-   *  onDrawComplete?: (draft: { shapeKind: ("rectangle" | "circle"), center: { x: number, y: number }, size: { width: number, height: number } | null, radius: number | null }) => void
+   *  onDrawComplete?: (draft: { shapeKind: ("rectangle" | "circle" | "polygon" | "wall"), center: { x: number, y: number }, size: { width: number, height: number } | null, radius: number | null, points?: Vec2[], closed?: boolean }) => void,
+   *  onHoverCell?: (index: number | null) => void
    * }} [options]
  */
   constructor(canvas, store, options = {}) {
@@ -37,6 +73,20 @@ export class Renderer2D {
     this.store = store;
     this.state = store.getState();
     this.onDrawComplete = options.onDrawComplete || null;
+    // Grid node under the pointer is requested from the solver for the readout.
+    this.onHoverCell = options.onHoverCell || null;
+    /** @type {{ screen: { x: number, y: number }, world: Vec2, index: number | null } | null} */
+    this.hover = null;
+    /** @type {import("./output.js").FieldFrame | null} */
+    this.lastFrame = null;
+    /** @type {{ frame: import("./output.js").FieldFrame | null, key: string, lines: { level: number, segments: Float32Array }[], compareLines: { level: number, segments: Float32Array }[] }} */
+    this.contours = { frame: null, key: "", lines: [], compareLines: [] };
+    // Left half of the split view (frame.compare), one pixel per node.
+    this.compareCanvas = document.createElement("canvas");
+    // Co-channel overlap tint (one pixel per node) and its outline, per frame.
+    this.overlapCanvas = document.createElement("canvas");
+    /** @type {{ frame: import("./output.js").FieldFrame | null, segments: Float32Array }} */
+    this.overlap = { frame: null, segments: new Float32Array(0) };
 
     this.view = {
       center: { x: 0, y: 0 },
@@ -52,9 +102,20 @@ export class Renderer2D {
     this.offCtx = offCtx;
     this.imageData = null;
     this.palette = buildPalette();
+    this.paletteName = "";
+    // Largest |value| since the displayed output last changed (peak-hold normalization).
+    this.peakHold = { key: "", time: 0, peak: 0 };
 
     this.drag = null;
+    // True while a drag/resize is open as one undo entry in the store.
+    this.gestureOpen = false;
     this.draw = null;
+    // Vertices placed so far by the polygon/wall tool (world units) plus the pointer.
+    /** @type {{ tool: "draw-polygon" | "draw-wall", points: Vec2[], hover: Vec2 | null } | null} */
+    this.pathDraft = null;
+    // Cross-section being dragged out; written to visualization.section as it moves.
+    /** @type {{ start: Vec2, end: Vec2 } | null} */
+    this.sectionDraft = null;
     this.modalDraft = null;
     this.needsResize = true;
     this.lastRect = null;
@@ -66,12 +127,18 @@ export class Renderer2D {
     window.addEventListener("resize", () => {
       this.needsResize = true;
     });
+    window.addEventListener("keydown", (event) => this.onKeyDown(event));
 
     canvas.addEventListener("pointerdown", (event) => this.onPointerDown(event));
     canvas.addEventListener("pointermove", (event) => this.onPointerMove(event));
     canvas.addEventListener("pointerup", (event) => this.onPointerUp(event));
     canvas.addEventListener("pointerleave", (event) => this.onPointerUp(event));
     canvas.addEventListener("wheel", (event) => this.onWheel(event), { passive: false });
+    canvas.addEventListener("dblclick", () => {
+      if (this.pathDraft) {
+        this.finishPath(false);
+      }
+    });
   }
 
   /**
@@ -79,12 +146,15 @@ export class Renderer2D {
    */
   setState(state) {
     this.state = state;
+    if (this.pathDraft && state.editor.activeTool !== this.pathDraft.tool) {
+      this.pathDraft = null;
+    }
   }
 
   /**
-   * @param {import("./solver.js").WaveSolver2D} solver
+   * @param {import("./output.js").FieldFrame | null} frame latest solver frame (null until the worker posts one)
    */
-  render(solver) {
+  render(frame) {
     if (!this.state || this.state.visualization.mode !== "2d") {
       this.clearCanvas();
       return;
@@ -92,18 +162,64 @@ export class Renderer2D {
 
     this.ensureView();
     this.resizeIfNeeded();
-    this.ensureOffscreen(solver);
-
-    const output =
-      this.state.visualization.output === "averaged"
-        ? solver.getAveragedMagnitude()
-        : solver.getInstantaneousMagnitude();
-
-    const maxValue = this.fillHeatmap(output);
-    this.drawHeatmap(maxValue);
+    this.lastFrame = frame;
+    if (frame) {
+      this.syncPalette(frame.output.kind);
+      this.ensureOffscreen(frame);
+      const colorScale = this.fillHeatmap(frame);
+      this.drawHeatmap();
+      this.drawSplitCompare(frame, colorScale);
+      this.drawPml(frame);
+      this.drawRssiContours(frame);
+      this.drawChannelOverlap(frame);
+      this.drawGrid();
+      this.drawShapes();
+      this.drawSources();
+      this.drawProbes();
+      this.drawReceivers();
+      this.drawSection();
+      this.drawDraft();
+      this.drawAxes();
+      this.drawScaleBar();
+      this.drawLegend(colorScale);
+      this.drawReadout(frame);
+      return;
+    }
+    this.clearCanvas();
+    this.drawGrid();
     this.drawShapes();
     this.drawSources();
+    this.drawProbes();
+    this.drawReceivers();
+    this.drawSection();
     this.drawDraft();
+    this.drawAxes();
+    this.drawScaleBar();
+  }
+
+  /**
+   * @param {import("./output.js").OutputField["kind"]} kind
+   */
+  syncPalette(kind) {
+    const name = colormapForOutput(this.state.visualization.colormap, kind);
+    if (name !== this.paletteName) {
+      this.palette = buildPalette(name);
+      this.paletteName = name;
+    }
+  }
+
+  openGesture() {
+    if (!this.gestureOpen) {
+      this.store.beginGesture();
+      this.gestureOpen = true;
+    }
+  }
+
+  closeGesture() {
+    if (this.gestureOpen) {
+      this.store.endGesture();
+      this.gestureOpen = false;
+    }
   }
 
   clearCanvas() {
@@ -128,16 +244,16 @@ export class Renderer2D {
   }
 
   /**
-   * @param {import("./solver.js").WaveSolver2D} solver
+   * @param {{ nx: number, ny: number }} grid
    */
-  ensureOffscreen(solver) {
-    if (this.offscreen.width === solver.nx && this.offscreen.height === solver.ny) {
+  ensureOffscreen(grid) {
+    if (this.offscreen.width === grid.nx && this.offscreen.height === grid.ny) {
       return;
     }
 
-    this.offscreen.width = solver.nx;
-    this.offscreen.height = solver.ny;
-    this.imageData = this.offCtx.createImageData(solver.nx, solver.ny);
+    this.offscreen.width = grid.nx;
+    this.offscreen.height = grid.ny;
+    this.imageData = this.offCtx.createImageData(grid.nx, grid.ny);
   }
 
   resizeIfNeeded() {
@@ -157,43 +273,23 @@ export class Renderer2D {
   }
 
   /**
-   * @param {Float32Array} output
-   * @returns {number}
+   * @param {import("./output.js").FieldFrame} frame
+   * @returns {import("./output.js").ColorScale}
    */
-  fillHeatmap(output) {
-    if (!this.imageData) {
-      return 1;
-    }
-
-    const data = this.imageData.data;
-    let maxValue = 0;
-    for (let i = 0; i < output.length; i += 1) {
-      if (output[i] > maxValue) {
-        maxValue = output[i];
-      }
-    }
-
-    const scale = maxValue > 0 ? 1 / maxValue : 1;
-
-    for (let i = 0; i < output.length; i += 1) {
-      const t = Math.min(1, Math.pow(output[i] * scale, 0.6));
-      const paletteIndex = Math.min(255, Math.floor(t * 255));
-      const pOffset = paletteIndex * 4;
-      const dOffset = i * 4;
-      data[dOffset] = this.palette[pOffset];
-      data[dOffset + 1] = this.palette[pOffset + 1];
-      data[dOffset + 2] = this.palette[pOffset + 2];
-      data[dOffset + 3] = 255;
+  fillHeatmap(frame) {
+    const { output, scale } = this.state.visualization;
+    const key = `${output}:${this.state.visualization.dftIndex}:${frame.output.kind}:${scale.mode}`;
+    const held = readPeakHold(this.peakHold, key, frame.stats.time);
+    const colorScale = computeColorScale(frame.output, scale, held, this.state.visualization.rssi);
+    this.peakHold.peak = Math.max(held, colorScale.peak);
+    if (this.imageData) {
+      colorizeOutput(frame.output, this.palette, this.imageData.data, colorScale);
+      this.offCtx.putImageData(this.imageData, 0, 0);
     }
-
-    this.offCtx.putImageData(this.imageData, 0, 0);
-    return maxValue;
+    return colorScale;
   }
 
-  /**
-   * @param {number} maxValue
-   */
-  drawHeatmap(maxValue) {
+  drawHeatmap() {
     const ctx = this.ctx;
     const { scale, offsetX, offsetY } = this.getTransform();
 
@@ -213,12 +309,669 @@ export class Renderer2D {
       worldSize.x,
       worldSize.y
     );
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  /**
+   * Shade the absorbing layer around the domain edge: the solver damps the
+   * field there, so it is not physical space.
+   * @param {import("./output.js").FieldFrame} frame
+   */
+  drawPml(frame) {
+    if (!this.state.visualization.overlays2d.showPml || frame.pmlWidth <= 0) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { origin, worldSize } = this.state.domain;
+    const inset = { x: frame.pmlWidth * frame.dx, y: frame.pmlWidth * frame.dy };
+    const outerA = this.worldToScreen(origin);
+    const outerB = this.worldToScreen({ x: origin.x + worldSize.x, y: origin.y + worldSize.y });
+    const innerA = this.worldToScreen({ x: origin.x + inset.x, y: origin.y + inset.y });
+    const innerB = this.worldToScreen({
+      x: origin.x + worldSize.x - inset.x,
+      y: origin.y + worldSize.y - inset.y
+    });
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    ctx.rect(outerA.x, outerA.y, outerB.x - outerA.x, outerB.y - outerA.y);
+    ctx.rect(innerA.x, innerA.y, innerB.x - innerA.x, innerB.y - innerA.y);
+    ctx.fillStyle = "rgba(71, 85, 105, 0.35)";
+    ctx.fill("evenodd");
+    ctx.setLineDash([6 * dpr, 4 * dpr]);
+    ctx.lineWidth = dpr;
+    ctx.strokeStyle = "rgba(30, 41, 59, 0.8)";
+    ctx.strokeRect(innerA.x, innerA.y, innerB.x - innerA.x, innerB.y - innerA.y);
+    ctx.setLineDash([]);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.font = `${11 * dpr}px sans-serif`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText("PML", outerA.x + 4 * dpr, outerA.y + 4 * dpr);
+    ctx.restore();
+  }
+
+  /**
+   * Threshold contours over the RSSI map, each labelled with its level. Traced
+   * once per frame and threshold list. In split view each half gets the
+   * contours of its own map.
+   * @param {import("./output.js").FieldFrame} frame
+   */
+  drawRssiContours(frame) {
+    if (frame.output.kind !== "dbm") {
+      return;
+    }
+    const thresholds = this.state.visualization.rssi.thresholds;
+    const key = thresholds.join(",");
+    if (this.contours.frame !== frame || this.contours.key !== key) {
+      const trace = (/** @type {Float32Array} */ values) =>
+        thresholds.map((level) => ({
+          level,
+          segments: traceContours(values, frame.nx, frame.ny, level, RSSI_FLOOR_DBM)
+        }));
+      this.contours = {
+        frame,
+        key,
+        lines: trace(frame.output.values),
+        compareLines: frame.compare ? trace(frame.compare.values) : []
+      };
+    }
+    const width = this.canvas.width;
+    if (frame.compare) {
+      this.strokeContours(frame, this.contours.compareLines, 0, width / 2);
+      this.strokeContours(frame, this.contours.lines, width / 2, width);
+    } else {
+      this.strokeContours(frame, this.contours.lines, 0, width);
+    }
+  }
+
+  /**
+   * @param {import("./output.js").FieldFrame} frame
+   * @param {{ level: number, segments: Float32Array }[]} lines
+   * @param {number} clipLeft screen x (device pixels) the lines are clipped to
+   * @param {number} clipRight
+   */
+  strokeContours(frame, lines, clipLeft, clipRight) {
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { origin } = this.state.domain;
+    const toScreen = (/** @type {number} */ gx, /** @type {number} */ gy) =>
+      this.worldToScreen({ x: origin.x + gx * frame.dx, y: origin.y + gy * frame.dy });
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    ctx.rect(clipLeft, 0, clipRight - clipLeft, this.canvas.height);
+    ctx.clip();
+    ctx.font = `bold ${10 * dpr}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    lines.forEach(({ level, segments }, index) => {
+      if (!segments.length) {
+        return;
+      }
+      ctx.beginPath();
+      for (let i = 0; i < segments.length; i += 4) {
+        const a = toScreen(segments[i], segments[i + 1]);
+        const b = toScreen(segments[i + 2], segments[i + 3]);
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+      }
+      // White halo under a dark line so the contour reads on any palette colour;
+      // later thresholds are dashed to tell them apart.
+      ctx.setLineDash(index === 0 ? [] : [6 * dpr, 3 * dpr]);
+      ctx.lineWidth = 3.5 * dpr;
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+      ctx.stroke();
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.strokeStyle = "rgba(15, 23, 42, 0.9)";
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Label at the topmost point of the contour inside the clip.
+      /** @type {{ x: number, y: number } | null} */
+      let point = null;
+      for (let i = 0; i < segments.length; i += 2) {
+        const candidate = toScreen(segments[i], segments[i + 1]);
+        if (candidate.x >= clipLeft && candidate.x <= clipRight && (!point || candidate.y < point.y)) {
+          point = candidate;
+        }
+      }
+      if (!point) {
+        return;
+      }
+      const label = `${level} dBm`;
+      const width = ctx.measureText(label).width + 6 * dpr;
+      ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+      ctx.fillRect(point.x - width / 2, point.y - 7 * dpr, width, 14 * dpr);
+      ctx.fillStyle = "rgba(15, 23, 42, 0.95)";
+      ctx.fillText(label, point.x, point.y);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Split view of the empirical output: the RSSI map (frame.compare) over the
+   * left half of the canvas, the model on the right, with a divider and labels.
+   * Both use the same colour scale.
+   * @param {import("./output.js").FieldFrame} frame
+   * @param {import("./output.js").ColorScale} colorScale
+   */
+  drawSplitCompare(frame, colorScale) {
+    if (!frame.compare) {
+      return;
+    }
+    const canvas = this.compareCanvas;
+    if (canvas.width !== frame.nx || canvas.height !== frame.ny) {
+      canvas.width = frame.nx;
+      canvas.height = frame.ny;
+    }
+    const compareCtx = canvas.getContext("2d");
+    if (!compareCtx) {
+      return;
+    }
+    const image = compareCtx.createImageData(frame.nx, frame.ny);
+    colorizeOutput(frame.compare, this.palette, image.data, colorScale);
+    compareCtx.putImageData(image, 0, 0);
+
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const split = this.canvas.width / 2;
+    const { scale, offsetX, offsetY } = this.getTransform();
+    const { origin, worldSize } = this.state.domain;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, split, this.canvas.height);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = false;
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    ctx.drawImage(canvas, origin.x, origin.y, worldSize.x, worldSize.y);
+    ctx.restore();
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.strokeStyle = "rgba(15, 23, 42, 0.85)";
+    ctx.lineWidth = 2 * dpr;
+    ctx.beginPath();
+    ctx.moveTo(split, 0);
+    ctx.lineTo(split, this.canvas.height);
+    ctx.stroke();
+    ctx.font = `bold ${11 * dpr}px sans-serif`;
+    ctx.textBaseline = "top";
+    const labels = /** @type {const} */ ([
+      ["FDTD RSSI", "right", split - 8 * dpr],
+      [formatEmpiricalModel(this.state.visualization.empirical), "left", split + 8 * dpr]
+    ]);
+    for (const [label, align, x] of labels) {
+      const width = ctx.measureText(label).width + 8 * dpr;
+      const left = align === "right" ? x - width : x;
+      ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+      ctx.fillRect(left, 8 * dpr, width, 18 * dpr);
+      ctx.fillStyle = "rgba(15, 23, 42, 0.95)";
+      ctx.textAlign = "left";
+      ctx.fillText(label, left + 4 * dpr, 11 * dpr);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Red tint where two access points on the same channel are both above the
+   * overlap threshold (frame.channelOverlap), outlined and labelled. Shown over
+   * the dBm and SINR outputs while the channel analysis runs.
+   * @param {import("./output.js").FieldFrame} frame
+   */
+  drawChannelOverlap(frame) {
+    const mask = frame.channelOverlap;
+    if (!mask || (frame.output.kind !== "dbm" && frame.output.kind !== "sinr")) {
+      return;
+    }
+    const canvas = this.overlapCanvas;
+    if (this.overlap.frame !== frame) {
+      if (canvas.width !== frame.nx || canvas.height !== frame.ny) {
+        canvas.width = frame.nx;
+        canvas.height = frame.ny;
+      }
+      const overlapCtx = canvas.getContext("2d");
+      if (!overlapCtx) {
+        return;
+      }
+      const image = overlapCtx.createImageData(frame.nx, frame.ny);
+      const levels = new Float32Array(mask.length);
+      for (let i = 0; i < mask.length; i += 1) {
+        levels[i] = mask[i];
+        if (mask[i]) {
+          image.data[i * 4] = 220;
+          image.data[i * 4 + 1] = 38;
+          image.data[i * 4 + 2] = 38;
+          image.data[i * 4 + 3] = 90;
+        }
+      }
+      overlapCtx.putImageData(image, 0, 0);
+      this.overlap = { frame, segments: traceContours(levels, frame.nx, frame.ny, 0.5) };
+    }
+    const segments = this.overlap.segments;
+    if (!segments.length) {
+      return;
+    }
+
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { scale, offsetX, offsetY } = this.getTransform();
+    const { origin, worldSize } = this.state.domain;
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    ctx.drawImage(canvas, origin.x, origin.y, worldSize.x, worldSize.y);
+
+    const toScreen = (/** @type {number} */ gx, /** @type {number} */ gy) =>
+      this.worldToScreen({ x: origin.x + gx * frame.dx, y: origin.y + gy * frame.dy });
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    let labelAt = 0;
+    for (let i = 0; i < segments.length; i += 4) {
+      const a = toScreen(segments[i], segments[i + 1]);
+      const b = toScreen(segments[i + 2], segments[i + 3]);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      if (segments[i + 1] < segments[labelAt + 1]) {
+        labelAt = i;
+      }
+    }
+    ctx.setLineDash([4 * dpr, 3 * dpr]);
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.strokeStyle = "rgba(185, 28, 28, 0.95)";
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const point = toScreen(segments[labelAt], segments[labelAt + 1]);
+    const label = "co-channel overlap";
+    ctx.font = `bold ${10 * dpr}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    const width = ctx.measureText(label).width + 6 * dpr;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.fillRect(point.x - width / 2, point.y - 7 * dpr, width, 14 * dpr);
+    ctx.fillStyle = "rgba(185, 28, 28, 0.95)";
+    ctx.fillText(label, point.x, point.y);
+    ctx.restore();
+  }
+
+  /**
+   * Tooltip next to the pointer: position, grid node, fields, material and the
+   * distance to the nearest active source. Values come from `frame.cell`, which
+   * the solver fills for the node requested through `onHoverCell`.
+   * @param {import("./output.js").FieldFrame} frame
+   */
+  drawReadout(frame) {
+    const hover = this.hover;
+    if (
+      !this.state.visualization.overlays2d.showReadout ||
+      !hover ||
+      hover.index === null ||
+      this.drag ||
+      this.draw ||
+      this.sectionDraft
+    ) {
+      return;
+    }
+    const cell = frame.cell && frame.cell.index === hover.index ? frame.cell : null;
+    if (!cell) {
+      return;
+    }
+    const unit = getUnitSuffix(this.state.domain.units);
+    const suffix = unit ? ` ${unit}` : "";
+    const lines = [
+      `x ${hover.world.x.toFixed(3)}, y ${hover.world.y.toFixed(3)}${suffix}`,
+      `cell (${cell.index % frame.nx}, ${Math.floor(cell.index / frame.nx)})`,
+      `|E| ${formatReadout(cell.instantaneous)} · avg ${formatReadout(cell.averaged)}`
+    ];
+    if (cell.rssi !== null) {
+      lines.push(`RSSI ${cell.rssi.toFixed(1)} dBm`);
+    }
+    if (cell.sinr !== null) {
+      lines.push(`SINR ${cell.sinr.toFixed(1)} dB`);
+    }
+    const components = Object.entries(cell.fields).map(
+      ([component, value]) =>
+        `${PROBE_CHANNEL_LABELS[/** @type {keyof typeof PROBE_CHANNEL_LABELS} */ (component)]} ${formatReadout(value)}`
+    );
+    if (components.length) {
+      lines.push(components.join("  "));
+    }
+    if (cell.epsR !== null && cell.sigma !== null) {
+      lines.push(`εr ${formatReadout(cell.epsR)} · σ ${formatReadout(cell.sigma)}`);
+    }
+    const nearest = this.getNearestSource(hover.world);
+    if (nearest) {
+      const speed = this.state.simulation.solver.speed;
+      const wavelength = nearest.source.frequency > 0 ? speed / nearest.source.frequency : 0;
+      const inWavelengths = wavelength > 0 ? ` · ${(nearest.distance / wavelength).toFixed(2)} λ` : "";
+      lines.push(`${nearest.source.name}: ${nearest.distance.toFixed(3)}${suffix}${inWavelengths}`);
+    }
+
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.font = `${11 * dpr}px sans-serif`;
+    const padding = 6 * dpr;
+    const lineHeight = 14 * dpr;
+    const width = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 2 * padding;
+    const height = lines.length * lineHeight + 2 * padding;
+    // Below-right of the pointer, flipped when that would leave the canvas.
+    let left = hover.screen.x + 16 * dpr;
+    let top = hover.screen.y + 16 * dpr;
+    if (left + width > this.canvas.width) {
+      left = hover.screen.x - 16 * dpr - width;
+    }
+    if (top + height > this.canvas.height) {
+      top = hover.screen.y - 16 * dpr - height;
+    }
+    ctx.fillStyle = "rgba(15, 23, 42, 0.85)";
+    ctx.fillRect(left, top, width, height);
+    ctx.fillStyle = "#f8fafc";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    lines.forEach((line, index) => {
+      ctx.fillText(line, left + padding, top + padding + index * lineHeight);
+    });
+    ctx.restore();
+  }
 
+  /**
+   * Cross-section line with its end points labelled A and B (the profile runs
+   * from A to B).
+   */
+  drawSection() {
+    const section = this.state.visualization.section;
+    if (!section) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const a = this.worldToScreen(section.start);
+    const b = this.worldToScreen(section.end);
+    ctx.save();
     ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
-    ctx.font = "12px sans-serif";
+    ctx.lineWidth = 4 * dpr;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+    ctx.lineWidth = 2 * dpr;
+    ctx.strokeStyle = "rgba(124, 58, 237, 0.95)";
+    ctx.setLineDash([8 * dpr, 4 * dpr]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.font = `bold ${11 * dpr}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const [point, label] of /** @type {const} */ ([[a, "A"], [b, "B"]])) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 7 * dpr, 0, Math.PI * 2);
+      ctx.fillStyle = "rgba(124, 58, 237, 0.95)";
+      ctx.fill();
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(label, point.x, point.y);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * @param {Vec2} world
+   * @returns {Vec2}
+   */
+  clampToDomain(world) {
+    const { origin, worldSize } = this.state.domain;
+    return {
+      x: clamp(world.x, origin.x, origin.x + worldSize.x),
+      y: clamp(world.y, origin.y, origin.y + worldSize.y)
+    };
+  }
+
+  /**
+   * @param {Vec2} world
+   * @returns {{ source: SourceObject, distance: number } | null}
+   */
+  getNearestSource(world) {
+    /** @type {{ source: SourceObject, distance: number } | null} */
+    let nearest = null;
+    for (const source of this.state.sources) {
+      if (!source.active) {
+        continue;
+      }
+      const distance = Math.hypot(source.position.x - world.x, source.position.y - world.y);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { source, distance };
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Track the pointer for the readout and ask for the nearest solver node
+   * (null off the domain or when the readout is off).
+   * @param {{ x: number, y: number } | null} pos canvas pixels, null when the pointer left
+   */
+  updateHover(pos) {
+    const frame = this.lastFrame;
+    if (!pos || !this.state.visualization.overlays2d.showReadout) {
+      this.hover = null;
+    } else {
+      const world = this.screenToWorld(pos.x, pos.y);
+      let index = null;
+      if (frame) {
+        const { origin } = this.state.domain;
+        const ix = Math.round((world.x - origin.x) / frame.dx);
+        const iy = Math.round((world.y - origin.y) / frame.dy);
+        if (ix >= 0 && iy >= 0 && ix < frame.nx && iy < frame.ny) {
+          index = iy * frame.nx + ix;
+        }
+      }
+      this.hover = { screen: pos, world, index };
+    }
+    if (this.onHoverCell) {
+      this.onHoverCell(this.hover ? this.hover.index : null);
+    }
+  }
+
+  /**
+   * World grid over the domain. The step is the smallest 1-2-5 value whose
+   * lines stay GRID_MAJOR_MIN_PX apart, so it adapts to the zoom.
+   */
+  drawGrid() {
+    if (!this.state.visualization.showGrid) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { scale } = this.getTransform();
+    const major = niceStep((GRID_MAJOR_MIN_PX * dpr) / scale);
+    const minor = major / 5;
+    const { origin, worldSize } = this.state.domain;
+    const view = this.getVisibleWorld();
+    const x0 = Math.max(origin.x, view.minX);
+    const x1 = Math.min(origin.x + worldSize.x, view.maxX);
+    const y0 = Math.max(origin.y, view.minY);
+    const y1 = Math.min(origin.y + worldSize.y, view.maxY);
+    if (x0 >= x1 || y0 >= y1) {
+      return;
+    }
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.lineWidth = dpr;
+    /** @type {[number, string][]} */
+    const passes = [[major, "rgba(15, 23, 42, 0.22)"]];
+    if (minor * scale >= GRID_MINOR_MIN_PX * dpr) {
+      passes.unshift([minor, "rgba(15, 23, 42, 0.08)"]);
+    }
+    for (const [step, color] of passes) {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      for (let x = Math.ceil(x0 / step) * step; x <= x1; x += step) {
+        const a = this.worldToScreen({ x, y: y0 });
+        const b = this.worldToScreen({ x, y: y1 });
+        ctx.moveTo(Math.round(a.x) + 0.5, a.y);
+        ctx.lineTo(Math.round(b.x) + 0.5, b.y);
+      }
+      for (let y = Math.ceil(y0 / step) * step; y <= y1; y += step) {
+        const a = this.worldToScreen({ x: x0, y });
+        const b = this.worldToScreen({ x: x1, y });
+        ctx.moveTo(a.x, Math.round(a.y) + 0.5);
+        ctx.lineTo(b.x, Math.round(b.y) + 0.5);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Tick labels along the bottom and left canvas edges at the grid step, in
+   * domain units, plus the x = 0 / y = 0 lines when they are in view.
+   */
+  drawAxes() {
+    if (!this.state.visualization.showAxes) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { scale } = this.getTransform();
+    const step = niceStep((GRID_MAJOR_MIN_PX * dpr) / scale);
+    const view = this.getVisibleWorld();
+    const unit = getUnitSuffix(this.state.domain.units);
+    const band = 18 * dpr;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    const zero = this.worldToScreen({ x: 0, y: 0 });
+    ctx.strokeStyle = "rgba(15, 23, 42, 0.55)";
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    if (zero.x > 0 && zero.x < width) {
+      ctx.moveTo(Math.round(zero.x) + 0.5, 0);
+      ctx.lineTo(Math.round(zero.x) + 0.5, height);
+    }
+    if (zero.y > 0 && zero.y < height) {
+      ctx.moveTo(0, Math.round(zero.y) + 0.5);
+      ctx.lineTo(width, Math.round(zero.y) + 0.5);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.fillRect(0, height - band, width, band);
+    ctx.fillRect(0, 0, band, height - band);
+
+    ctx.font = `${10 * dpr}px sans-serif`;
+    ctx.fillStyle = "rgba(15, 23, 42, 0.85)";
+    ctx.strokeStyle = "rgba(15, 23, 42, 0.6)";
+    ctx.beginPath();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    for (let x = Math.ceil(view.minX / step) * step; x <= view.maxX; x += step) {
+      const sx = this.worldToScreen({ x, y: 0 }).x;
+      if (sx < band + 12 * dpr || sx > width - 12 * dpr) {
+        continue;
+      }
+      ctx.moveTo(sx, height - band);
+      ctx.lineTo(sx, height - band + 4 * dpr);
+      ctx.fillText(formatTick(x, step), sx, height - 2 * dpr);
+    }
+    ctx.save();
+    ctx.rotate(-Math.PI / 2);
+    for (let y = Math.ceil(view.minY / step) * step; y <= view.maxY; y += step) {
+      const sy = this.worldToScreen({ x: 0, y }).y;
+      if (sy < 12 * dpr || sy > height - band - 12 * dpr) {
+        continue;
+      }
+      ctx.fillText(formatTick(y, step), -sy, band - 4 * dpr);
+    }
+    ctx.restore();
+    for (let y = Math.ceil(view.minY / step) * step; y <= view.maxY; y += step) {
+      const sy = this.worldToScreen({ x: 0, y }).y;
+      if (sy < 12 * dpr || sy > height - band - 12 * dpr) {
+        continue;
+      }
+      ctx.moveTo(band, sy);
+      ctx.lineTo(band - 4 * dpr, sy);
+    }
+    ctx.stroke();
+
     ctx.textAlign = "right";
-    ctx.fillText(`Max: ${maxValue.toFixed(3)}`, this.canvas.width - 12, 20);
+    ctx.fillText(`x${unit ? ` (${unit})` : ""}`, width - 4 * dpr, height - band - 2 * dpr);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(`y${unit ? ` (${unit})` : ""}`, band + 4 * dpr, 4 * dpr);
+    ctx.restore();
+  }
+
+  /**
+   * Bar of a round length (1-2-5 steps) no longer than SCALE_BAR_MAX_PX.
+   */
+  drawScaleBar() {
+    if (!this.state.visualization.overlays2d.showScaleBar) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const { scale } = this.getTransform();
+    const maxLength = (SCALE_BAR_MAX_PX * dpr) / scale;
+    // Largest 1-2-5 length that fits: step down once from the next one up.
+    let length = niceStep(maxLength);
+    if (length > maxLength) {
+      const mantissa = Math.round(length / Math.pow(10, Math.floor(Math.log10(length) + 1e-9)));
+      length *= mantissa === 5 ? 0.4 : 0.5;
+    }
+    const barWidth = length * scale;
+    const axesBand = this.state.visualization.showAxes ? 18 * dpr : 0;
+    const x = axesBand + 12 * dpr;
+    const y = this.canvas.height - axesBand - 14 * dpr;
+    const unit = getUnitSuffix(this.state.domain.units);
+    const label = `${formatTick(length, length)}${unit ? ` ${unit}` : ""}`;
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.font = `${11 * dpr}px sans-serif`;
+    const labelWidth = ctx.measureText(label).width;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.fillRect(x - 6 * dpr, y - 20 * dpr, Math.max(barWidth, labelWidth) + 12 * dpr, 28 * dpr);
+    ctx.fillStyle = "rgba(15, 23, 42, 0.9)";
+    ctx.fillRect(x, y, barWidth, 3 * dpr);
+    ctx.fillRect(x, y - 4 * dpr, dpr, 7 * dpr);
+    ctx.fillRect(x + barWidth - dpr, y - 4 * dpr, dpr, 7 * dpr);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(label, x, y - 5 * dpr);
+    ctx.restore();
+  }
+
+  /**
+   * World rectangle covered by the canvas.
+   * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+   */
+  getVisibleWorld() {
+    const a = this.screenToWorld(0, 0);
+    const b = this.screenToWorld(this.canvas.width, this.canvas.height);
+    return { minX: a.x, minY: a.y, maxX: b.x, maxY: b.y };
+  }
+
+  /**
+   * @param {import("./output.js").ColorScale} colorScale
+   */
+  drawLegend(colorScale) {
+    const dpr = window.devicePixelRatio || 1;
+    drawColorbar(this.ctx, this.palette, colorScale, {
+      right: this.canvas.width - 12 * dpr,
+      top: 12 * dpr,
+      height: Math.min(180 * dpr, this.canvas.height * 0.4),
+      dpr,
+      title: getColorbarTitle(colorScale, this.state.visualization.scale)
+    });
   }
 
   drawSources() {
@@ -283,10 +1036,115 @@ export class Renderer2D {
         ctx.textAlign = "center";
         ctx.textBaseline = "top";
         ctx.fillText(coords, screen.x, screen.y + markerRadius + 8);
+      } else if (source.radio) {
+        // Access points show their channel under the marker.
+        ctx.fillStyle = "rgba(15, 23, 42, 0.85)";
+        ctx.font = "11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "top";
+        ctx.fillText(`ch ${source.radio.channel}`, screen.x, screen.y + markerRadius + 8);
       }
     }
   }
 
+  /**
+   * Probes are amber diamonds with a crosshair at the sampled point; inactive
+   * probes stay visible but hollow so they can still be picked and re-enabled.
+   */
+  drawProbes() {
+    const ctx = this.ctx;
+    const selection = this.state.editor.selection;
+    for (const probe of this.state.probes) {
+      const isSelected = selection && selection.type === "probe" && selection.id === probe.id;
+      const isDragging = this.drag && this.drag.type === "probe" && this.drag.id === probe.id;
+      const size = isSelected || isDragging ? PROBE_MARKER_SIZE + 2 : PROBE_MARKER_SIZE;
+      const screen = this.worldToScreen(probe.position);
+
+      ctx.beginPath();
+      ctx.moveTo(screen.x, screen.y - size);
+      ctx.lineTo(screen.x + size, screen.y);
+      ctx.lineTo(screen.x, screen.y + size);
+      ctx.lineTo(screen.x - size, screen.y);
+      ctx.closePath();
+      ctx.fillStyle = probe.active ? "rgba(245, 158, 11, 0.9)" : "rgba(255, 255, 255, 0.7)";
+      ctx.fill();
+      ctx.strokeStyle = isSelected || isDragging ? "#92400e" : "#b45309";
+      ctx.lineWidth = isSelected || isDragging ? 2.5 : 1.5;
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(screen.x - size / 2, screen.y);
+      ctx.lineTo(screen.x + size / 2, screen.y);
+      ctx.moveTo(screen.x, screen.y - size / 2);
+      ctx.lineTo(screen.x, screen.y + size / 2);
+      ctx.strokeStyle = "rgba(15, 23, 42, 0.8)";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.fillStyle = "rgba(15, 23, 42, 0.9)";
+      ctx.font = "11px sans-serif";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      const label = isDragging
+        ? `${probe.name} (${probe.position.x.toFixed(2)}, ${probe.position.y.toFixed(2)})`
+        : probe.name;
+      ctx.fillText(label, screen.x + size + 4, screen.y);
+    }
+  }
+
+  /**
+   * Receivers are teal squares with signal bars for their current MCS (none
+   * without a link) and the estimated throughput next to the name.
+   */
+  drawReceivers() {
+    const ctx = this.ctx;
+    const selection = this.state.editor.selection;
+    const estimates = this.lastFrame ? this.lastFrame.receivers : [];
+    for (const receiver of this.state.receivers) {
+      const isSelected =
+        selection && selection.type === "receiver" && selection.id === receiver.id;
+      const isDragging = this.drag && this.drag.type === "receiver" && this.drag.id === receiver.id;
+      const size = isSelected || isDragging ? RECEIVER_MARKER_SIZE + 2 : RECEIVER_MARKER_SIZE;
+      const screen = this.worldToScreen(receiver.position);
+      const estimate = receiver.active ? estimates.find((item) => item.id === receiver.id) : null;
+
+      ctx.beginPath();
+      ctx.roundRect(screen.x - size, screen.y - size, size * 2, size * 2, 3);
+      ctx.fillStyle = receiver.active ? "rgba(13, 148, 136, 0.9)" : "rgba(255, 255, 255, 0.7)";
+      ctx.fill();
+      ctx.strokeStyle = isSelected || isDragging ? "#134e4a" : "#0f766e";
+      ctx.lineWidth = isSelected || isDragging ? 2.5 : 1.5;
+      ctx.stroke();
+
+      // Four bars; MCS 0-2 light one, 9-11 light all four.
+      const bars = estimate && estimate.mcs !== null ? 1 + Math.floor(estimate.mcs / 3) : 0;
+      const barWidth = (size * 1.2) / 4;
+      for (let i = 0; i < 4; i += 1) {
+        const barHeight = (size * 1.2 * (i + 1)) / 4;
+        ctx.fillStyle = i < bars ? "#ffffff" : "rgba(255, 255, 255, 0.3)";
+        ctx.fillRect(
+          screen.x - size * 0.6 + i * barWidth + 0.5,
+          screen.y + size * 0.6 - barHeight,
+          barWidth - 1,
+          barHeight
+        );
+      }
+
+      ctx.fillStyle = "rgba(15, 23, 42, 0.9)";
+      ctx.font = "11px sans-serif";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      let label = receiver.name;
+      if (isDragging) {
+        label += ` (${receiver.position.x.toFixed(2)}, ${receiver.position.y.toFixed(2)})`;
+      }
+      if (estimate && estimate.rssi !== null) {
+        label += estimate.mcs === null ? " · no link" : ` · ${estimate.throughputMbps.toFixed(0)} Mbps`;
+      }
+      ctx.fillText(label, screen.x + size + 4, screen.y);
+    }
+  }
+
   drawShapes() {
     const shapes = this.state.shapes;
     if (!this.state.visualization.overlays2d.showShapes || !shapes.length) {
@@ -321,6 +1179,7 @@ export class Renderer2D {
           y: shape.center.y * scale + offsetY
         };
         const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
+        const clipped = this.clipOutOpenings(shape);
         ctx.save();
         ctx.translate(center.x, center.y);
         ctx.rotate(angle);
@@ -343,6 +1202,10 @@ export class Renderer2D {
           );
         }
         ctx.restore();
+        if (clipped) {
+          ctx.restore();
+        }
+        this.drawOpenings(shape);
         
         // Draw resize handles for selected rectangles
         if (isSelected) {
@@ -410,9 +1273,174 @@ export class Renderer2D {
           }
         }
       }
+
+      if (
+        (shape.kind === "polygon" || shape.kind === "wall") &&
+        getShapeOutlines(shape).length > 0
+      ) {
+        const rails = shape.kind === "wall" ? getWallRails(shape) : null;
+        const screenPoints = getPolygonPoints(shape).map((p) => this.worldToScreen(p));
+        const tracePath = rails
+          ? () => traceWallPath(ctx, rails, (p) => this.worldToScreen(p))
+          : () => {
+              ctx.beginPath();
+              screenPoints.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+              ctx.closePath();
+            };
+        const clipped = this.clipOutOpenings(shape);
+        tracePath();
+        ctx.fill("evenodd");
+        ctx.stroke();
+        if (clipped) {
+          ctx.restore();
+        }
+        this.drawOpenings(shape);
+        if (isSelected) {
+          strokePreviewOutline(ctx, tracePath, {
+            outerWidth: selectedOuterWidth,
+            innerWidth: selectedInnerWidth,
+            outerColor: selectedOuterColor,
+            innerColor: selectedInnerColor,
+            dash: null
+          });
+
+          // Vertex handles: drag to reshape
+          const handles = this.getResizeHandles(shape);
+          const hoveredHandle = this.hoveredHandle;
+          const dragLabel =
+            this.drag && this.drag.type === "resize" && this.drag.id === shape.id
+              ? this.drag.handle?.label
+              : null;
+
+          for (const handle of handles) {
+            const isHovered = hoveredHandle && hoveredHandle.shapeId === shape.id &&
+                             hoveredHandle.handle.label === handle.label;
+            ctx.fillStyle = isHovered || dragLabel === handle.label ? "rgba(59, 130, 246, 0.9)" : "rgba(37, 99, 235, 0.85)";
+            ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+            ctx.lineWidth = 1.5;
+
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, RESIZE_HANDLE_SIZE * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+          }
+        }
+      }
     }
     ctx.restore();
   }
+  /**
+   * Clip a host's openings out of everything drawn until the matching
+   * ctx.restore(), so its fill and outline stop at the jambs.
+   * @param {import("./types.js").ShapeObject} shape
+   * @returns {boolean} whether a clip was pushed (and must be restored)
+   */
+  clipOutOpenings(shape) {
+    if ((shape.kind !== "rectangle" && shape.kind !== "wall") || !shape.openings?.length) {
+      return false;
+    }
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+    for (const opening of shape.openings) {
+      for (const outline of getOpeningOutlines(shape, opening)) {
+        outline.forEach((p, i) => {
+          const s = this.worldToScreen(p);
+          if (i === 0) ctx.moveTo(s.x, s.y);
+          else ctx.lineTo(s.x, s.y);
+        });
+        ctx.closePath();
+      }
+    }
+    ctx.clip("evenodd");
+    return true;
+  }
+
+  /**
+   * Doors and windows on top of their host: tinted by fill material, with a
+   * dashed jamb outline, a swing arc for doors and a glazing line for windows.
+   * @param {import("./types.js").ShapeObject} shape
+   */
+  drawOpenings(shape) {
+    if ((shape.kind !== "rectangle" && shape.kind !== "wall") || !shape.openings?.length) {
+      return;
+    }
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const depth = shape.kind === "wall" ? shape.thickness : shape.size.height;
+    const segments = getHostSegments(shape);
+    /** @param {{ x: number, y: number }} p */
+    const toScreen = (p) => this.worldToScreen(p);
+
+    ctx.save();
+    for (const opening of shape.openings) {
+      const color =
+        opening.kind === "window" ? "rgba(2, 132, 199, 0.95)" : "rgba(180, 83, 9, 0.95)";
+      const preset = opening.material?.preset;
+      const fill = !opening.material
+        ? null
+        : preset === "glass"
+          ? "rgba(125, 211, 252, 0.55)"
+          : preset === "metal"
+            ? "rgba(71, 85, 105, 0.85)"
+            : "rgba(180, 130, 70, 0.55)";
+
+      for (const span of getOpeningSpans(segments, opening)) {
+        const { origin, dir } = span.segment;
+        const normal = { x: -dir.y, y: dir.x };
+        const half = depth * 0.5;
+        /**
+         * @param {number} t
+         * @param {number} n
+         */
+        const at = (t, n) =>
+          toScreen({
+            x: origin.x + dir.x * t + normal.x * n,
+            y: origin.y + dir.y * t + normal.y * n
+          });
+
+        const outline = getSpanOutline(span).map(toScreen);
+        ctx.beginPath();
+        outline.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        if (fill) {
+          ctx.fillStyle = fill;
+          ctx.fill();
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.25 * dpr;
+        ctx.setLineDash([4 * dpr, 3 * dpr]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        if (opening.kind === "window") {
+          const a = at(span.t0, 0);
+          const b = at(span.t1, 0);
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+        } else {
+          // Leaf hinged at the t0 jamb, swinging to the t1 jamb.
+          const leaf = span.t1 - span.t0;
+          const hinge = at(span.t0, half);
+          const open = at(span.t0, half + leaf);
+          ctx.moveTo(hinge.x, hinge.y);
+          ctx.lineTo(open.x, open.y);
+          for (let k = 1; k <= 12; k += 1) {
+            const theta = (k / 12) * Math.PI * 0.5;
+            const p = at(span.t0 + leaf * Math.sin(theta), half + leaf * Math.cos(theta));
+            ctx.lineTo(p.x, p.y);
+          }
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5 * dpr;
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
   drawDraft() {
     const ctx = this.ctx;
     const dpr = window.devicePixelRatio || 1;
@@ -422,6 +1450,42 @@ export class Renderer2D {
     const previewInnerColor = "rgba(34, 211, 238, 1)";
     const dash = [8 * dpr, 6 * dpr];
 
+    if (this.pathDraft) {
+      const { points, hover } = this.pathDraft;
+      const screenPoints = points.map((p) => this.worldToScreen(p));
+      if (hover) {
+        screenPoints.push(this.worldToScreen(hover));
+      }
+      ctx.save();
+      strokePreviewOutline(
+        ctx,
+        () => {
+          ctx.beginPath();
+          screenPoints.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        },
+        {
+          outerWidth: previewOuter,
+          innerWidth: previewInner,
+          outerColor: previewOuterColor,
+          innerColor: previewInnerColor,
+          dash
+        }
+      );
+      // Highlight the first vertex once the outline can be closed on it.
+      const canClose = points.length >= MIN_POLYGON_VERTICES;
+      screenPoints.slice(0, points.length).forEach((p, i) => {
+        ctx.fillStyle = i === 0 && canClose ? "rgba(34, 211, 238, 1)" : "rgba(255, 255, 255, 0.95)";
+        ctx.strokeStyle = previewOuterColor;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, RESIZE_HANDLE_SIZE * (i === 0 && canClose ? 0.75 : 0.5), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.restore();
+      return;
+    }
+
     if (this.draw) {
       const { start, current, tool } = this.draw;
       const startScreen = this.worldToScreen(start);
@@ -476,7 +1540,7 @@ export class Renderer2D {
       return;
     }
 
-    const { shapeKind, center, size, radius, angles } = this.modalDraft;
+    const { shapeKind, center, size, radius, angles, points, thickness, closed } = this.modalDraft;
     const { scale, offsetX, offsetY } = this.getTransform();
     const centerScreen = {
       x: center.x * scale + offsetX,
@@ -504,13 +1568,53 @@ export class Renderer2D {
           dash
         }
       );
-    } else if (shapeKind === "circle" && radius != null) {
-      const radiusPx = radius * scale;
+    } else if (shapeKind === "circle" && radius != null) {
+      const radiusPx = radius * scale;
+      strokePreviewOutline(
+        ctx,
+        () => {
+          ctx.beginPath();
+          ctx.arc(centerScreen.x, centerScreen.y, radiusPx, 0, Math.PI * 2);
+        },
+        {
+          outerWidth: previewOuter,
+          innerWidth: previewInner,
+          outerColor: previewOuterColor,
+          innerColor: previewInnerColor,
+          dash
+        }
+      );
+    } else if (shapeKind === "wall" && points && points.length >= MIN_WALL_VERTICES) {
+      const rails = getWallRails({
+        center,
+        points,
+        angles,
+        thickness: thickness ?? 0.2,
+        closed: closed === true
+      });
+      if (rails) {
+        strokePreviewOutline(
+          ctx,
+          () => traceWallPath(ctx, rails, (p) => this.worldToScreen(p)),
+          {
+            outerWidth: previewOuter,
+            innerWidth: previewInner,
+            outerColor: previewOuterColor,
+            innerColor: previewInnerColor,
+            dash
+          }
+        );
+      }
+    } else if (shapeKind === "polygon" && points && points.length >= MIN_POLYGON_VERTICES) {
+      const screenPoints = getPolygonPoints({ center, points, angles }).map((p) =>
+        this.worldToScreen(p)
+      );
       strokePreviewOutline(
         ctx,
         () => {
           ctx.beginPath();
-          ctx.arc(centerScreen.x, centerScreen.y, radiusPx, 0, Math.PI * 2);
+          screenPoints.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+          ctx.closePath();
         },
         {
           outerWidth: previewOuter,
@@ -537,11 +1641,23 @@ export class Renderer2D {
 
     const pos = this.getPointerPosition(event);
     const activeTool = this.state.editor.activeTool;
+    if (activeTool === "draw-polygon" || activeTool === "draw-wall") {
+      if (event.button === 0) {
+        this.addPathVertex(pos, activeTool);
+      }
+      return;
+    }
+    if (activeTool === "draw-section" && event.button === 0) {
+      const world = this.clampToDomain(this.applyGridSnapping(this.screenToWorld(pos.x, pos.y)));
+      this.sectionDraft = { start: world, end: world };
+      this.canvas.setPointerCapture(event.pointerId);
+      return;
+    }
     if (activeTool === "draw-rectangle" || activeTool === "draw-circle") {
       if (event.button !== 0) {
         return;
       }
-      const world = this.screenToWorld(pos.x, pos.y);
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
       this.draw = {
         tool: activeTool,
         start: world,
@@ -552,6 +1668,8 @@ export class Renderer2D {
     }
 
     const sourceId = this.pickSource(pos.x, pos.y);
+    const probeId = this.pickProbe(pos.x, pos.y);
+    const receiverId = this.pickReceiver(pos.x, pos.y);
     const handlePick = this.pickResizeHandle(pos.x, pos.y);
     const shapeId = this.pickShape(pos.x, pos.y);
 
@@ -565,6 +1683,7 @@ export class Renderer2D {
       const handleInfo = handles.find(h => h.label === handlePick.handle.label);
       
       this.setSelection("shape", handlePick.shapeId);
+      this.openGesture();
       this.drag = {
         type: "resize",
         id: handlePick.shapeId,
@@ -585,10 +1704,12 @@ export class Renderer2D {
     }
 
     if (activeTool === "place-source" && event.button === 0) {
-      const world = this.screenToWorld(pos.x, pos.y);
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
       const defaults = this.state.simulation.sourceDefaults;
       const newName = `Source ${this.state.sources.length + 1}`;
       const newSource = createSource(world, defaults, newName);
+      // Placing and the follow-up drag undo together.
+      this.openGesture();
       this.store.updateState((draft) => {
         draft.sources.push(newSource);
         draft.editor.selection = { type: "source", id: newSource.id };
@@ -602,9 +1723,72 @@ export class Renderer2D {
       return;
     }
 
+    if (probeId && (activeTool === "select" || activeTool === "place-probe") && event.button === 0) {
+      this.setSelection("probe", probeId);
+      this.openGesture();
+      this.drag = {
+        type: "probe",
+        id: probeId
+      };
+      this.canvas.setPointerCapture(event.pointerId);
+      return;
+    }
+
+    if (activeTool === "place-probe" && event.button === 0) {
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
+      const newProbe = createProbe(world, `Probe ${this.state.probes.length + 1}`);
+      // Placing and the follow-up drag undo together.
+      this.openGesture();
+      this.store.updateState((draft) => {
+        draft.probes.push(newProbe);
+        draft.editor.selection = { type: "probe", id: newProbe.id };
+        return draft;
+      });
+      this.drag = {
+        type: "probe",
+        id: newProbe.id
+      };
+      this.canvas.setPointerCapture(event.pointerId);
+      return;
+    }
+
+    if (
+      receiverId &&
+      (activeTool === "select" || activeTool === "place-receiver") &&
+      event.button === 0
+    ) {
+      this.setSelection("receiver", receiverId);
+      this.openGesture();
+      this.drag = {
+        type: "receiver",
+        id: receiverId
+      };
+      this.canvas.setPointerCapture(event.pointerId);
+      return;
+    }
+
+    if (activeTool === "place-receiver" && event.button === 0) {
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
+      const newReceiver = createReceiver(world, `Receiver ${this.state.receivers.length + 1}`);
+      // Placing and the follow-up drag undo together.
+      this.openGesture();
+      this.store.updateState((draft) => {
+        draft.receivers.push(newReceiver);
+        draft.editor.selection = { type: "receiver", id: newReceiver.id };
+        return draft;
+      });
+      this.drag = {
+        type: "receiver",
+        id: newReceiver.id
+      };
+      this.canvas.setPointerCapture(event.pointerId);
+      return;
+    }
+
     // Handle shape selection and dragging
     if (shapeId && activeTool === "select" && event.button === 0) {
       this.setSelection("shape", shapeId);
+      this.openGesture();
       this.drag = {
         type: "shape",
         id: shapeId,
@@ -618,6 +1802,7 @@ export class Renderer2D {
     if (sourceId && (activeTool === "select" || activeTool === "place-source")) {
       this.setSelection("source", sourceId);
       this.hoveredSourceId = sourceId; // Set hover when starting drag
+      this.openGesture();
       this.drag = {
         type: "source",
         id: sourceId
@@ -649,9 +1834,31 @@ export class Renderer2D {
     }
 
     const pos = this.getPointerPosition(event);
+    this.updateHover(pos);
 
     if (this.draw) {
-      this.draw.current = this.screenToWorld(pos.x, pos.y);
+      this.draw.current = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
+      return;
+    }
+
+    if (this.sectionDraft) {
+      const end = this.clampToDomain(this.applyGridSnapping(this.screenToWorld(pos.x, pos.y)));
+      const { start } = this.sectionDraft;
+      this.sectionDraft.end = end;
+      if (start.x !== end.x || start.y !== end.y) {
+        // Live: the worker starts sampling the new line on the next frame.
+        this.store.updateState((draft) => {
+          draft.visualization.section = { start: { ...start }, end: { ...end } };
+          return draft;
+        });
+      }
+      return;
+    }
+
+    if (this.pathDraft) {
+      const world = this.screenToWorld(pos.x, pos.y);
+      const snapped = this.applySnapping(world.x, world.y, "");
+      this.pathDraft.hover = { x: snapped.x, y: snapped.y };
       return;
     }
 
@@ -689,6 +1896,8 @@ export class Renderer2D {
             } else {
               cursor = "ew-resize";
             }
+          } else if (handle.type === "vertex") {
+            cursor = "move";
           }
           this.canvas.style.cursor = cursor;
         } else if (hoveredId) {
@@ -702,11 +1911,23 @@ export class Renderer2D {
     }
 
     if (this.drag.type === "source" && this.drag.id) {
-      const world = this.screenToWorld(pos.x, pos.y);
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
       this.updateSourcePosition(this.drag.id, world);
       return;
     }
 
+    if (this.drag.type === "probe" && this.drag.id) {
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
+      this.updateProbePosition(this.drag.id, world);
+      return;
+    }
+
+    if (this.drag.type === "receiver" && this.drag.id) {
+      const world = this.applyGridSnapping(this.screenToWorld(pos.x, pos.y));
+      this.updateReceiverPosition(this.drag.id, world);
+      return;
+    }
+
     if (this.drag.type === "shape" && this.drag.id) {
       const world = this.screenToWorld(pos.x, pos.y);
       this.updateShapePosition(this.drag.id, world);
@@ -736,6 +1957,10 @@ export class Renderer2D {
    * @param {PointerEvent} event
    */
   onPointerUp(event) {
+    if (event.type === "pointerleave") {
+      this.updateHover(null);
+    }
+    this.sectionDraft = null;
     if (this.draw) {
       const drawState = this.draw;
       this.draw = null;
@@ -745,6 +1970,7 @@ export class Renderer2D {
     if (this.drag) {
       this.drag = null;
     }
+    this.closeGesture();
     
     // Clear hover state when pointer is released (redraw will happen in next animation frame)
     if (this.hoveredSourceId !== null) {
@@ -807,6 +2033,123 @@ export class Renderer2D {
     });
   }
 
+  /**
+   * Polygon/wall tool click: add a vertex, or close the outline when clicking
+   * the first vertex again. Double-clicks finish through the dblclick listener
+   * (a wall finished that way stays open).
+   * @param {{ x: number, y: number }} pos screen position
+   * @param {"draw-polygon" | "draw-wall"} tool
+   */
+  addPathVertex(pos, tool) {
+    if (this.pathDraft && this.pathDraft.tool !== tool) {
+      this.pathDraft = null;
+    }
+    const draft = this.pathDraft || { tool, points: [], hover: null };
+    this.pathDraft = draft;
+    const last = draft.points[draft.points.length - 1];
+    if (last) {
+      // Second click of a double-click lands on the vertex just placed.
+      const lastScreen = this.worldToScreen(last);
+      if (Math.hypot(lastScreen.x - pos.x, lastScreen.y - pos.y) <= PATH_VERTEX_MIN_GAP_PX) {
+        return;
+      }
+    }
+    if (draft.points.length >= MIN_POLYGON_VERTICES) {
+      const first = this.worldToScreen(draft.points[0]);
+      if (Math.hypot(first.x - pos.x, first.y - pos.y) <= RESIZE_HANDLE_PICK_RADIUS) {
+        this.finishPath(true);
+        return;
+      }
+    }
+    const world = this.screenToWorld(pos.x, pos.y);
+    const snapped = this.applySnapping(world.x, world.y, "");
+    draft.points.push({ x: snapped.x, y: snapped.y });
+    if (draft.points.length >= MAX_POLYGON_VERTICES) {
+      this.finishPath(false);
+    }
+  }
+
+  /**
+   * @param {boolean} closeLoop the user closed the outline on its first vertex
+   */
+  finishPath(closeLoop) {
+    const draft = this.pathDraft;
+    this.pathDraft = null;
+    if (!draft || !this.onDrawComplete) {
+      return;
+    }
+    // Drop coincident vertices (e.g. two clicks snapped to the same target).
+    /** @type {Vec2[]} */
+    const points = [];
+    for (const point of draft.points) {
+      const prev = points[points.length - 1];
+      if (!prev || Math.hypot(point.x - prev.x, point.y - prev.y) > 1e-6) {
+        points.push(point);
+      }
+    }
+    let closed = closeLoop;
+    if (points.length > 1) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (Math.hypot(first.x - last.x, first.y - last.y) <= 1e-6) {
+        points.pop();
+        closed = true;
+      }
+    }
+
+    if (draft.tool === "draw-wall") {
+      if (points.length < MIN_WALL_VERTICES) {
+        return;
+      }
+      const bounds = getPointsBounds(points);
+      const center = {
+        x: (bounds.minX + bounds.maxX) * 0.5,
+        y: (bounds.minY + bounds.maxY) * 0.5
+      };
+      this.onDrawComplete({
+        shapeKind: "wall",
+        center,
+        size: null,
+        radius: null,
+        points: points.map((p) => ({ x: p.x - center.x, y: p.y - center.y })),
+        closed: closed && points.length >= MIN_POLYGON_VERTICES
+      });
+      return;
+    }
+
+    if (points.length < MIN_POLYGON_VERTICES) {
+      return;
+    }
+    const center = polygonCentroid(points);
+    this.onDrawComplete({
+      shapeKind: "polygon",
+      center,
+      size: null,
+      radius: null,
+      points: points.map((p) => ({ x: p.x - center.x, y: p.y - center.y }))
+    });
+  }
+
+  /**
+   * Polygon/wall tool keys: Enter finishes, Escape cancels, Backspace removes the last vertex.
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown(event) {
+    if (!this.pathDraft || isTextEntryTarget(event.target)) {
+      return;
+    }
+    if (event.key === "Enter") {
+      event.preventDefault();
+      this.finishPath(false);
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      this.pathDraft = null;
+    } else if (event.key === "Backspace" || event.key === "Delete") {
+      event.preventDefault();
+      this.pathDraft.points.pop();
+    }
+  }
+
   /**
    * @param {number} x
    * @param {number} y
@@ -828,6 +2171,40 @@ export class Renderer2D {
     return null;
   }
 
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {string | null}
+   */
+  pickProbe(x, y) {
+    for (const probe of this.state.probes) {
+      const screen = this.worldToScreen(probe.position);
+      const dx = screen.x - x;
+      const dy = screen.y - y;
+      if (dx * dx + dy * dy <= SOURCE_PICK_RADIUS * SOURCE_PICK_RADIUS) {
+        return probe.id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {string | null}
+   */
+  pickReceiver(x, y) {
+    for (const receiver of this.state.receivers) {
+      const screen = this.worldToScreen(receiver.position);
+      const dx = screen.x - x;
+      const dy = screen.y - y;
+      if (dx * dx + dy * dy <= SOURCE_PICK_RADIUS * SOURCE_PICK_RADIUS) {
+        return receiver.id;
+      }
+    }
+    return null;
+  }
+
   /**
    * @param {number} x Screen X coordinate
    * @param {number} y Screen Y coordinate
@@ -876,6 +2253,11 @@ export class Renderer2D {
         if (distSq <= radius * radius) {
           return shape.id;
         }
+      } else if (shape.kind === "polygon" || shape.kind === "wall") {
+        const outlines = getShapeOutlines(shape);
+        if (outlines.some((outline) => pointInPolygon(world.x, world.y, outline))) {
+          return shape.id;
+        }
       }
     }
     
@@ -966,6 +2348,18 @@ export class Renderer2D {
           worldY
         });
       }
+    } else if (shape.kind === "polygon" || shape.kind === "wall") {
+      getPolygonPoints(shape).forEach((point, index) => {
+        const screen = this.worldToScreen(point);
+        handles.push({
+          type: "vertex",
+          label: `v${index}`,
+          x: screen.x,
+          y: screen.y,
+          worldX: point.x,
+          worldY: point.y
+        });
+      });
     }
     
     return handles;
@@ -1080,6 +2474,24 @@ export class Renderer2D {
         targets.push({ type: "circle-point", x: cx + r, y: cy });
         targets.push({ type: "circle-point", x: cx, y: cy + r });
         targets.push({ type: "circle-point", x: cx - r, y: cy });
+      } else if (shape.kind === "polygon" && shape.points.length >= MIN_POLYGON_VERTICES) {
+        const worldPoints = getPolygonPoints(shape);
+        targets.push({ type: "center", x: shape.center.x, y: shape.center.y });
+        worldPoints.forEach((point, index) => {
+          const next = worldPoints[(index + 1) % worldPoints.length];
+          targets.push({ type: "corner", x: point.x, y: point.y });
+          targets.push({ type: "edge", x: point.x, y: point.y, edge: { p1: point, p2: next } });
+        });
+      } else if (shape.kind === "wall") {
+        // Centerline corners and segments, so new walls join existing ones.
+        const worldPoints = getPolygonPoints(shape);
+        worldPoints.forEach((point, index) => {
+          targets.push({ type: "corner", x: point.x, y: point.y });
+          const next = worldPoints[index + 1] ?? (shape.closed ? worldPoints[0] : null);
+          if (next) {
+            targets.push({ type: "edge", x: point.x, y: point.y, edge: { p1: point, p2: next } });
+          }
+        });
       }
     }
     
@@ -1094,12 +2506,55 @@ export class Renderer2D {
   }
 
   /**
+   * Shape features win over the grid when both are enabled.
    * @param {number} x
    * @param {number} y
    * @param {string} excludeShapeId
    * @returns {{ x: number, y: number, snapped: boolean }}
    */
   applySnapping(x, y, excludeShapeId) {
+    const shapeSnap = this.applyShapeSnapping(x, y, excludeShapeId);
+    return shapeSnap.snapped ? shapeSnap : this.applyGridSnapping({ x, y });
+  }
+
+  /**
+   * Round to the editor grid: multiples of gridSpacing from the domain origin,
+   * or with gridMatchesCell the solver cell boundaries, halfway between nodes,
+   * so shape edges never sit on a node and rasterize evenly.
+   * @param {{ x: number, y: number }} point
+   * @returns {{ x: number, y: number, snapped: boolean }}
+   */
+  applyGridSnapping(point) {
+    const editor = this.state.editor;
+    if (!editor.snapToGrid) {
+      return { x: point.x, y: point.y, snapped: false };
+    }
+    const { origin } = this.state.domain;
+    let stepX = editor.gridSpacing;
+    let stepY = editor.gridSpacing;
+    let originX = origin.x;
+    let originY = origin.y;
+    if (editor.gridMatchesCell) {
+      const { dx, dy } = getCellSize(this.state.domain);
+      stepX = dx;
+      stepY = dy;
+      originX += dx * 0.5;
+      originY += dy * 0.5;
+    }
+    return {
+      x: originX + Math.round((point.x - originX) / stepX) * stepX,
+      y: originY + Math.round((point.y - originY) / stepY) * stepY,
+      snapped: true
+    };
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string} excludeShapeId
+   * @returns {{ x: number, y: number, snapped: boolean }}
+   */
+  applyShapeSnapping(x, y, excludeShapeId) {
     if (!this.state.editor.snapToShapes) {
       return { x, y, snapped: false };
     }
@@ -1188,6 +2643,8 @@ export class Renderer2D {
       features.push({ x: desiredCenter.x + r, y: desiredCenter.y });
       features.push({ x: desiredCenter.x, y: desiredCenter.y + r });
       features.push({ x: desiredCenter.x - r, y: desiredCenter.y });
+    } else if (shape.kind === "polygon" || shape.kind === "wall") {
+      features.push(...getPolygonPoints({ ...shape, center: desiredCenter }));
     }
 
     return features;
@@ -1201,21 +2658,31 @@ export class Renderer2D {
    * @returns {{ x: number, y: number, snapped: boolean }}
    */
   applyMoveSnapping(shape, desiredCenter) {
-    if (!this.state.editor.snapToShapes) {
+    const { snapToShapes, snapToGrid } = this.state.editor;
+    if (!snapToShapes && !snapToGrid) {
       return { x: desiredCenter.x, y: desiredCenter.y, snapped: false };
     }
 
     const features = this.getShapeSnapFeatures(shape, desiredCenter);
     let best = null;
 
-    for (const f of features) {
-      const snapped = this.applySnapping(f.x, f.y, shape.id);
-      if (!snapped.snapped) continue;
-      const dx = snapped.x - f.x;
-      const dy = snapped.y - f.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (!best || dist < best.dist) {
-        best = { dx, dy, dist };
+    // Shape targets first; the grid only applies when no feature is near one.
+    for (const snap of [
+      (/** @type {{ x: number, y: number }} */ f) => this.applyShapeSnapping(f.x, f.y, shape.id),
+      (/** @type {{ x: number, y: number }} */ f) => this.applyGridSnapping(f)
+    ]) {
+      for (const f of features) {
+        const snapped = snap(f);
+        if (!snapped.snapped) continue;
+        const dx = snapped.x - f.x;
+        const dy = snapped.y - f.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (!best || dist < best.dist) {
+          best = { dx, dy, dist };
+        }
+      }
+      if (best) {
+        break;
       }
     }
 
@@ -1281,6 +2748,50 @@ export class Renderer2D {
     });
   }
 
+  /**
+   * @param {string} id
+   * @param {{ x: number, y: number }} world
+   */
+  updateProbePosition(id, world) {
+    const { origin, worldSize } = this.state.domain;
+    const clamped = {
+      x: clamp(world.x, origin.x, origin.x + worldSize.x),
+      y: clamp(world.y, origin.y, origin.y + worldSize.y)
+    };
+
+    this.store.updateState((draft) => {
+      const probe = draft.probes.find((item) => item.id === id);
+      if (!probe) {
+        return draft;
+      }
+      probe.position.x = clamped.x;
+      probe.position.y = clamped.y;
+      return draft;
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ x: number, y: number }} world
+   */
+  updateReceiverPosition(id, world) {
+    const { origin, worldSize } = this.state.domain;
+    const clamped = {
+      x: clamp(world.x, origin.x, origin.x + worldSize.x),
+      y: clamp(world.y, origin.y, origin.y + worldSize.y)
+    };
+
+    this.store.updateState((draft) => {
+      const receiver = draft.receivers.find((item) => item.id === id);
+      if (!receiver) {
+        return draft;
+      }
+      receiver.position.x = clamped.x;
+      receiver.position.y = clamped.y;
+      return draft;
+    });
+  }
+
   /**
    * @param {string} id
    * @param {{ x: number, y: number }} world
@@ -1436,6 +2947,15 @@ export class Renderer2D {
         shape.center.x = cx;
         shape.center.y = cy;
         shape.radius = Math.max(0.1, Math.sqrt(dx * dx + dy * dy));
+      } else if ((shape.kind === "polygon" || shape.kind === "wall") && handle.type === "vertex") {
+        // Move one vertex; the center (and so every other vertex) stays put.
+        const index = Number(handle.label.slice(1));
+        if (Number.isInteger(index) && index >= 0 && index < shape.points.length) {
+          shape.points[index] = toPolygonLocal(
+            { center: initialShape.center, angles: { z: initialShape.angleZ } },
+            snappedWorld
+          );
+        }
       }
       
       return draft;
@@ -1443,7 +2963,7 @@ export class Renderer2D {
   }
 
   /**
-   * @param {"source" | "shape" | null} type
+   * @param {"source" | "shape" | "probe" | "receiver" | null} type
    * @param {string | null} id
    */
   setSelection(type, id) {
@@ -1522,7 +3042,7 @@ export class Renderer2D {
   }
 
   /**
-   * @param {{ shapeKind: "rectangle" | "circle", center: { x: number, y: number }, size: { width: number, height: number } | null, radius: number | null, angles?: { x?: number, y?: number, z?: number } } | null} draft
+   * @param {{ shapeKind: "rectangle" | "circle" | "polygon" | "wall", center: { x: number, y: number }, size: { width: number, height: number } | null, radius: number | null, points?: Vec2[], thickness?: number, closed?: boolean, angles?: { x?: number, y?: number, z?: number } } | null} draft
    */
   setModalDraft(draft) {
     this.modalDraft = draft;
@@ -1557,10 +3077,92 @@ function createSource(position, defaults, name) {
     polarizationAngle: defaults?.polarizationAngle ?? 0,
     height: 1,
     angles: { x: 0, y: 0, z: 0 },
+    active: true,
+    radio: null
+  };
+}
+
+/**
+ * @param {{ x: number, y: number }} position
+ * @param {string} name
+ * @returns {ProbeObject}
+ */
+function createProbe(position, name) {
+  return {
+    id: `probe-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    name,
+    position: { x: position.x, y: position.y },
     active: true
   };
 }
 
+/**
+ * @param {{ x: number, y: number }} position
+ * @param {string} name
+ * @returns {ReceiverObject}
+ */
+function createReceiver(position, name) {
+  return {
+    id: `receiver-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    name,
+    position: { x: position.x, y: position.y },
+    active: true,
+    noiseFloorDbm: -95,
+    spatialStreams: 1
+  };
+}
+
+/**
+ * Smallest 1, 2 or 5 × 10^k that is at least `minimum`.
+ * @param {number} minimum
+ * @returns {number}
+ */
+function niceStep(minimum) {
+  if (!(minimum > 0) || !Number.isFinite(minimum)) {
+    return 1;
+  }
+  const power = Math.pow(10, Math.floor(Math.log10(minimum)));
+  for (const factor of [1, 2, 5, 10]) {
+    if (factor * power >= minimum * (1 - 1e-9)) {
+      return factor * power;
+    }
+  }
+  return 10 * power;
+}
+
+/**
+ * Label for a multiple of `step`, with just enough decimals for the step.
+ * @param {number} value
+ * @param {number} step
+ * @returns {string}
+ */
+function formatTick(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  const text = value.toFixed(Math.min(6, decimals));
+  return Number(text) === 0 ? "0" : text;
+}
+
+/**
+ * Three significant digits, switching to exponent form for tiny or huge values.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatReadout(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude === 0) {
+    return "0";
+  }
+  return magnitude >= 1e-3 && magnitude < 1e4 ? String(Number(value.toPrecision(3))) : value.toExponential(2);
+}
+
+/**
+ * @param {SimulationState["domain"]["units"]} units
+ * @returns {string}
+ */
+function getUnitSuffix(units) {
+  return units === "meters" ? "m" : "";
+}
+
 /**
  * @param {number} value
  * @param {number} min
@@ -1588,6 +3190,29 @@ function getBounds(a, b) {
   };
 }
 
+/**
+ * Path around a wall: one ring for an open chain (left rail out, right rail
+ * back), two rings for a closed loop (fill with "evenodd").
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ left: Vec2[], right: Vec2[], closed: boolean }} rails
+ * @param {(p: Vec2) => Vec2} toScreen
+ */
+function traceWallPath(ctx, rails, toScreen) {
+  const left = rails.left.map(toScreen);
+  const right = rails.right.map(toScreen);
+  ctx.beginPath();
+  left.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  if (rails.closed) {
+    ctx.closePath();
+    right.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  } else {
+    for (let i = right.length - 1; i >= 0; i -= 1) {
+      ctx.lineTo(right[i].x, right[i].y);
+    }
+  }
+  ctx.closePath();
+}
+
 /**
  * @param {CanvasRenderingContext2D} ctx
  * @param {() => void} drawPath
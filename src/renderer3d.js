@@ -1,18 +1,37 @@
 // @ts-check
 
-import { buildPalette, samplePalette } from "./palette.js";
+import { buildPalette, colormapForOutput, samplePalette } from "./palette.js";
+import { drawColorbar, getColorbarTitle } from "./colorbar.js";
+import { computeColorScale, readPeakHold, valueToUnit } from "./output.js";
+import {
+  getHostSegments,
+  getOpeningSpans,
+  getShapeOutlines,
+  getSolidSpans,
+  getSpanOutline,
+  triangulatePolygon
+} from "./geometry.js";
+import { traceContours } from "./contours.js";
+import { RSSI_FLOOR_DBM } from "./rssi.js";
 
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 
 const MIN_DISTANCE = 0.5;
 const MAX_DISTANCE = 200;
+// Opening heights as fractions of the host height: door and window heads,
+// and the window sill.
+const OPENING_HEAD = 0.8;
+const WINDOW_SILL = 0.35;
 
 export class Renderer3D {
   /**
    * @param {HTMLCanvasElement} canvas
+   * @param {HTMLCanvasElement} [legendCanvas] overlay canvas (2D context) for the colorbar
    */
-  constructor(canvas) {
+  constructor(canvas, legendCanvas) {
     this.canvas = canvas;
+    const legendCtx = legendCanvas ? legendCanvas.getContext("2d") : null;
+    this.legend = legendCanvas && legendCtx ? { canvas: legendCanvas, ctx: legendCtx } : null;
     const gl = canvas.getContext("webgl", { antialias: true });
     if (!gl) {
       throw new Error("WebGL is not available.");
@@ -41,8 +60,15 @@ export class Renderer3D {
     this.sourcePositionBuffer = gl.createBuffer();
     this.sourceColorBuffer = gl.createBuffer();
     this.sourceIndexBuffer = gl.createBuffer();
+    // RSSI threshold contours, drawn as line pairs just above the surface.
+    this.contourPositionBuffer = gl.createBuffer();
+    this.contourColorBuffer = gl.createBuffer();
+    this.contourVertexCount = 0;
 
     this.palette = buildPalette();
+    this.paletteName = "";
+    // Largest |value| since the displayed output last changed (peak-hold normalization).
+    this.peakHold = { key: "", time: 0, peak: 0 };
 
     this.meshKey = "";
     this.indexCount = 0;
@@ -99,20 +125,29 @@ export class Renderer3D {
   }
 
   /**
-   * @param {import("./solver.js").WaveSolver2D} solver
+   * @param {import("./output.js").OutputField["kind"]} kind
    */
-  render(solver) {
-    if (!this.state || this.state.visualization.mode !== "3d") {
+  syncPalette(kind) {
+    const name = colormapForOutput(this.state?.visualization.colormap, kind);
+    if (name !== this.paletteName) {
+      this.palette = buildPalette(name);
+      this.paletteName = name;
+    }
+  }
+
+  /**
+   * @param {import("./output.js").FieldFrame | null} frame latest solver frame (null until the worker posts one)
+   */
+  render(frame) {
+    if (!this.state || this.state.visualization.mode !== "3d" || !frame) {
       return;
     }
 
     this.resizeIfNeeded();
-    this.ensureMesh(solver);
+    this.ensureMesh(frame);
 
-    const output =
-      this.state.visualization.output === "averaged"
-        ? solver.getAveragedMagnitude()
-        : solver.getInstantaneousMagnitude();
+    const output = frame.output;
+    this.syncPalette(output.kind);
 
     const zScale = Number.isFinite(this.state.visualization.surface.zScale)
       ? this.state.visualization.surface.zScale
@@ -121,11 +156,19 @@ export class Renderer3D {
     // Throttle mesh updates for performance
     const now = performance.now();
     if (now - this.lastMeshUpdateTime >= this.meshUpdateInterval) {
-    this.updateSurface(output, zScale);
+      const { scale } = this.state.visualization;
+      const key = `${this.state.visualization.output}:${this.state.visualization.dftIndex}:${output.kind}:${scale.mode}`;
+      const held = readPeakHold(this.peakHold, key, frame.stats.time);
+      const colorScale = computeColorScale(output, scale, held, this.state.visualization.rssi);
+      this.peakHold.peak = Math.max(held, colorScale.peak);
+      this.updateSurface(output.values, zScale, colorScale);
+      this.updateContours(frame, zScale, colorScale);
+      this.drawLegend(colorScale);
       this.lastMeshUpdateTime = now;
     }
 
     this.drawScene();
+    this.drawContours();
     this.updateSolidsIfNeeded();
     this.drawWalls();
     this.drawSources();
@@ -171,7 +214,7 @@ export class Renderer3D {
   }
 
   /**
-   * @param {import("./solver.js").WaveSolver2D} solver
+   * @param {{ nx: number, ny: number }} solver solver grid size
    */
   ensureMesh(solver) {
     if (!this.state) {
@@ -275,11 +318,50 @@ export class Renderer3D {
     this.needsDownsampling = needsDownsampling;
   }
 
+  /**
+   * @param {import("./output.js").ColorScale} colorScale
+   */
+  drawLegend(colorScale) {
+    if (!this.legend || !this.state) {
+      return;
+    }
+    const { canvas, ctx } = this.legend;
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(rect.width * dpr));
+    const height = Math.max(1, Math.round(rect.height * dpr));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    drawColorbar(ctx, this.palette, colorScale, {
+      right: width,
+      top: 0,
+      height: Math.max(20 * dpr, height - 32 * dpr),
+      dpr,
+      title: getColorbarTitle(colorScale, this.state.visualization.scale)
+    });
+  }
+
   /**
    * @param {Float32Array} output
    * @param {number} zScale
+   * @param {import("./output.js").ColorScale} colorScale phase maps are drawn flat,
+   *   colored over -π..π; signed fields and differences rise and dip around zero.
+   *   In dB the height follows the palette position rather than the raw value.
    */
-  updateSurface(output, zScale) {
+  updateSurface(output, zScale, colorScale) {
+    const isPhase = colorScale.kind === "phase";
+    const isSigned = colorScale.kind === "signed" || colorScale.kind === "delta";
+    const isDb = colorScale.mode === "db";
+    /**
+     * @param {number} value
+     * @param {number} t palette position
+     */
+    const heightOf = (value, t) =>
+      isPhase ? 0 : isDb ? (isSigned ? 2 * t - 1 : t) * zScale : value * zScale;
     if (!this.positions || !this.colors) {
       return 0;
     }
@@ -303,17 +385,6 @@ export class Renderer3D {
       return 0;
     }
     
-    // Find max value from solver output
-    let maxValue = 0;
-    for (let i = 0; i < solverFieldLength; i += 1) {
-      const value = output[i];
-      if (Number.isFinite(value) && value > maxValue) {
-        maxValue = value;
-      }
-    }
-
-    const scale = maxValue > 0 ? 1 / maxValue : 1;
-
     if (this.needsDownsampling) {
       // Sample from full-resolution solver output to downsampled mesh
       for (let y = 0; y < renderNy; y += 1) {
@@ -334,9 +405,9 @@ export class Renderer3D {
           
           const renderIdx = y * renderNx + x;
           const offset = renderIdx * 3;
-          this.positions[offset + 2] = value * zScale;
+          const t = valueToUnit(value, colorScale);
+          this.positions[offset + 2] = heightOf(value, t);
 
-          const t = Math.min(1, Math.pow(value * scale, 0.6));
           const color = samplePalette(this.palette, t);
           this.colors[offset] = color[0] / 255;
           this.colors[offset + 1] = color[1] / 255;
@@ -354,9 +425,9 @@ export class Renderer3D {
           continue; // Skip NaN/Inf values
         }
       const offset = i * 3;
-      this.positions[offset + 2] = value * zScale;
+      const t = valueToUnit(value, colorScale);
+      this.positions[offset + 2] = heightOf(value, t);
 
-      const t = Math.min(1, Math.pow(value * scale, 0.6));
       const color = samplePalette(this.palette, t);
       this.colors[offset] = color[0] / 255;
       this.colors[offset + 1] = color[1] / 255;
@@ -370,7 +441,82 @@ export class Renderer3D {
     gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
     gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.colors);
 
-    return maxValue;
+    return colorScale.top;
+  }
+
+  /**
+   * Trace the RSSI thresholds at the height the surface has at that level.
+   * @param {import("./output.js").FieldFrame} frame
+   * @param {number} zScale
+   * @param {import("./output.js").ColorScale} colorScale
+   */
+  updateContours(frame, zScale, colorScale) {
+    if (!this.state || frame.output.kind !== "dbm") {
+      this.contourVertexCount = 0;
+      return;
+    }
+    const { origin, worldSize } = this.state.domain;
+    // Same node spacing as the surface mesh, which spans the domain edge to edge.
+    const stepX = worldSize.x / Math.max(1, frame.nx - 1);
+    const stepY = worldSize.y / Math.max(1, frame.ny - 1);
+    const lift = 0.01 * Math.max(zScale, 0.1);
+    /** @type {Float32Array[]} */
+    const traced = [];
+    /** @type {number[]} */
+    const heights = [];
+    for (const level of this.state.visualization.rssi.thresholds) {
+      traced.push(traceContours(frame.output.values, frame.nx, frame.ny, level, RSSI_FLOOR_DBM));
+      heights.push(valueToUnit(level, colorScale) * zScale + lift);
+    }
+    const vertexCount = traced.reduce((sum, segments) => sum + segments.length / 2, 0);
+    const positions = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    let offset = 0;
+    traced.forEach((segments, index) => {
+      for (let i = 0; i < segments.length; i += 2) {
+        positions[offset] = origin.x + segments[i] * stepX;
+        positions[offset + 1] = origin.y + segments[i + 1] * stepY;
+        positions[offset + 2] = heights[index];
+        colors[offset] = 0.06;
+        colors[offset + 1] = 0.09;
+        colors[offset + 2] = 0.16;
+        offset += 3;
+      }
+    });
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.contourPositionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.contourColorBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, colors, gl.DYNAMIC_DRAW);
+    this.contourVertexCount = vertexCount;
+  }
+
+  drawContours() {
+    if (this.contourVertexCount === 0) {
+      return;
+    }
+    const gl = this.gl;
+    gl.useProgram(this.program);
+    gl.enable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.contourPositionBuffer);
+    gl.enableVertexAttribArray(this.attribs.position);
+    gl.vertexAttribPointer(this.attribs.position, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.contourColorBuffer);
+    gl.enableVertexAttribArray(this.attribs.color);
+    gl.vertexAttribPointer(this.attribs.color, 3, gl.FLOAT, false, 0, 0);
+
+    const matrix = this.computeViewProjection();
+    if (this.uniforms.matrix) {
+      gl.uniformMatrix4fv(this.uniforms.matrix, false, matrix);
+    }
+    if (this.uniforms.alpha) {
+      gl.uniform1f(this.uniforms.alpha, 1);
+    }
+
+    gl.drawArrays(gl.LINES, 0, this.contourVertexCount);
   }
 
   drawScene() {
@@ -803,15 +949,45 @@ function clamp(value, min, max) {
  * @returns {{ positions: Float32Array, colors: Float32Array, indices: Uint16Array }}
  */
 function buildWallGeometry(state) {
+  /** @type {number[]} */
   const positions = [];
+  /** @type {number[]} */
   const colors = [];
+  /** @type {number[]} */
   const indices = [];
   let indexOffset = 0;
   const shapeColor = [0.2, 0.2, 0.2];
   const zOffset = 0.002;
 
   for (const shape of state.shapes) {
-    if (shape.kind === "rectangle" && shape.size) {
+    if ((shape.kind === "rectangle" || shape.kind === "wall") && shape.openings?.length) {
+      // Solid host pieces between openings, then sill/lintel and any door or
+      // glazing inside each opening.
+      const height = Math.max(0.01, shape.height ?? 1);
+      const segments = getHostSegments(shape);
+      for (const span of getSolidSpans(segments, shape.openings)) {
+        addPrism(positions, colors, indices, getSpanOutline(span), zOffset, height, shapeColor, indexOffset);
+        indexOffset = positions.length / 3;
+      }
+      for (const opening of shape.openings) {
+        const bottom = opening.kind === "window" ? height * WINDOW_SILL : 0;
+        const top = height * OPENING_HEAD;
+        const fillColor = getOpeningColor(opening.material);
+        for (const span of getOpeningSpans(segments, opening)) {
+          const outline = getSpanOutline(span);
+          if (bottom > 0) {
+            addPrism(positions, colors, indices, outline, zOffset, bottom, shapeColor, indexOffset);
+            indexOffset = positions.length / 3;
+          }
+          addPrism(positions, colors, indices, outline, zOffset + top, height - top, shapeColor, indexOffset);
+          indexOffset = positions.length / 3;
+          if (fillColor) {
+            addPrism(positions, colors, indices, outline, zOffset + bottom, top - bottom, fillColor, indexOffset);
+            indexOffset = positions.length / 3;
+          }
+        }
+      }
+    } else if (shape.kind === "rectangle" && shape.size) {
       const width = Math.max(0.01, shape.size.width);
       const depth = Math.max(0.01, shape.size.height);
       const height = Math.max(0.01, shape.height ?? 1);
@@ -849,6 +1025,22 @@ function buildWallGeometry(state) {
         indexOffset
       );
       indexOffset = positions.length / 3;
+    } else if (shape.kind === "polygon" || shape.kind === "wall") {
+      // Walls extrude one prism per mitred segment.
+      const height = Math.max(0.01, shape.height ?? 1);
+      for (const outline of getShapeOutlines(shape)) {
+        addPrism(
+          positions,
+          colors,
+          indices,
+          outline,
+          zOffset,
+          height,
+          shapeColor,
+          indexOffset
+        );
+        indexOffset = positions.length / 3;
+      }
     }
   }
 
@@ -859,6 +1051,24 @@ function buildWallGeometry(state) {
   };
 }
 
+/**
+ * Color of what fills an opening in 3D; null leaves it open.
+ * @param {import("./types.js").MaterialSettings | null} material
+ * @returns {number[] | null}
+ */
+function getOpeningColor(material) {
+  if (!material) {
+    return null;
+  }
+  if (material.preset === "glass") {
+    return [0.45, 0.75, 0.95];
+  }
+  if (material.preset === "metal") {
+    return [0.42, 0.47, 0.55];
+  }
+  return [0.55, 0.38, 0.2];
+}
+
 /**
  * @param {SimulationState} state
  * @returns {{ positions: Float32Array, colors: Float32Array, indices: Uint16Array }}
@@ -978,6 +1188,46 @@ function addBox(positions, colors, indices, center, size, angle, color, indexOff
   );
 }
 
+/**
+ * Extrude a polygon outline from `baseZ` up by `height`.
+ * @param {number[]} positions
+ * @param {number[]} colors
+ * @param {number[]} indices
+ * @param {{ x: number, y: number }[]} outline world-space vertices
+ * @param {number} baseZ
+ * @param {number} height
+ * @param {number[]} color
+ * @param {number} indexOffset
+ */
+function addPrism(positions, colors, indices, outline, baseZ, height, color, indexOffset) {
+  const count = outline.length;
+  for (const point of outline) {
+    positions.push(point.x, point.y, baseZ);
+    colors.push(color[0], color[1], color[2]);
+    positions.push(point.x, point.y, baseZ + height);
+    colors.push(color[0], color[1], color[2]);
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    const next = (i + 1) % count;
+    const bottomA = indexOffset + i * 2;
+    const topA = bottomA + 1;
+    const bottomB = indexOffset + next * 2;
+    const topB = bottomB + 1;
+    indices.push(bottomA, bottomB, topA);
+    indices.push(topA, bottomB, topB);
+  }
+
+  const caps = triangulatePolygon(outline);
+  for (let i = 0; i < caps.length; i += 3) {
+    const a = indexOffset + caps[i] * 2;
+    const b = indexOffset + caps[i + 1] * 2;
+    const c = indexOffset + caps[i + 2] * 2;
+    indices.push(a, c, b);
+    indices.push(a + 1, b + 1, c + 1);
+  }
+}
+
 /**
  * @param {number[]} positions
  * @param {number[]} colors
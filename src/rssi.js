@@ -0,0 +1,126 @@
+// @ts-check
+
+// Received signal strength (dBm) estimated from the solver's time-averaged
+// field. The field is in scaled units, so the map is anchored to the access
+// points: on a ring at the calibration's reference distance around each one,
+// the averaged field is taken to carry its EIRP minus the free-space path loss
+// at the real carrier frequency. Every other node is read relative to that
+// ring, so walls, reflections and interference come from the simulation.
+//
+// A 2D solver spreads power over a circle (field ∝ 1/√r) instead of a sphere
+// (1/r). With `sphericalSpreading` the missing 10·log10(r / r0) is subtracted,
+// r being the distance to the nearest access point, so open space falls off
+// at 20 dB per decade like a real survey.
+
+/** @typedef {import("./types.js").SourceObject} SourceObject */
+/** @typedef {import("./types.js").RadioCalibration} RadioCalibration */
+
+import { getChannelFrequencyMHz, getEirpDbm } from "./radio.js";
+
+/** Written where the averaged field is zero (PML, metal, not reached yet). */
+export const RSSI_FLOOR_DBM = -120;
+
+const RING_SAMPLES = 48;
+// Keep the ring a few cells out so it does not sample the source cell itself.
+const MIN_RING_CELLS = 3;
+
+/**
+ * @typedef {Object} RssiGrid
+ * @property {number} nx
+ * @property {number} ny
+ * @property {number} dx
+ * @property {number} dy
+ * @property {{ origin: { x: number, y: number } }} domain
+ * @property {() => Float32Array} getAveragedMagnitude
+ */
+
+/**
+ * @param {RssiGrid} grid
+ * @param {SourceObject[]} accessPoints active sources with `radio` set
+ * @param {RadioCalibration} calibration
+ * @param {Float32Array} out receives nx·ny values in dBm
+ * @returns {Float32Array | null} null without access points
+ */
+export function computeRssi(grid, accessPoints, calibration, out) {
+  const { nx, ny, dx, dy } = grid;
+  const { origin } = grid.domain;
+  const averaged = grid.getAveragedMagnitude();
+  const anchors = accessPoints.filter((source) => source.radio);
+  if (!anchors.length) {
+    return null;
+  }
+  const radius = Math.max(calibration.referenceDistance, MIN_RING_CELLS * Math.max(dx, dy));
+
+  // dBm = offset + 10·log10(mean square field); one offset per ring, weighted
+  // by ring power so the strongest access points dominate.
+  let offsetSum = 0;
+  let weightSum = 0;
+  for (const source of anchors) {
+    const radio = /** @type {NonNullable<SourceObject["radio"]>} */ (source.radio);
+    let power = 0;
+    let count = 0;
+    for (let k = 0; k < RING_SAMPLES; k += 1) {
+      const angle = (2 * Math.PI * k) / RING_SAMPLES;
+      const ix = Math.round((source.position.x + radius * Math.cos(angle) - origin.x) / dx);
+      const iy = Math.round((source.position.y + radius * Math.sin(angle) - origin.y) / dy);
+      if (ix < 0 || iy < 0 || ix >= nx || iy >= ny) {
+        continue;
+      }
+      // Zero nodes are PML or metal and would drag the ring level down.
+      const value = averaged[iy * nx + ix];
+      if (value > 0) {
+        power += value * value;
+        count += 1;
+      }
+    }
+    if (!count) {
+      continue;
+    }
+    const ring = power / count;
+    const level =
+      getEirpDbm(radio) - freeSpaceLossDb(radius, getChannelFrequencyMHz(radio.band, radio.channel));
+    offsetSum += ring * (level - 10 * Math.log10(ring));
+    weightSum += ring;
+  }
+  if (!(weightSum > 0)) {
+    // Nothing has reached the rings yet.
+    out.fill(RSSI_FLOOR_DBM);
+    return out;
+  }
+  const offset = offsetSum / weightSum;
+
+  for (let iy = 0; iy < ny; iy += 1) {
+    const y = origin.y + iy * dy;
+    for (let ix = 0; ix < nx; ix += 1) {
+      const i = iy * nx + ix;
+      const value = averaged[i];
+      if (!(value > 0)) {
+        out[i] = RSSI_FLOOR_DBM;
+        continue;
+      }
+      let rssi = offset + 20 * Math.log10(value);
+      if (calibration.sphericalSpreading) {
+        const x = origin.x + ix * dx;
+        let nearest = Infinity;
+        for (const source of anchors) {
+          nearest = Math.min(nearest, Math.hypot(x - source.position.x, y - source.position.y));
+        }
+        if (nearest > radius) {
+          rssi -= 10 * Math.log10(nearest / radius);
+        }
+      }
+      out[i] = Math.max(RSSI_FLOOR_DBM, rssi);
+    }
+  }
+  return out;
+}
+
+/**
+ * Free-space path loss 20·log10(4π·d·f / c).
+ * @param {number} distance metres
+ * @param {number} frequencyMHz
+ * @returns {number} dB
+ */
+export function freeSpaceLossDb(distance, frequencyMHz) {
+  return 20 * Math.log10(distance) + 20 * Math.log10(frequencyMHz) - 27.55;
+}
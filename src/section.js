@@ -0,0 +1,181 @@
+// @ts-check
+
+// Cross-section: the displayed output and the averaged envelope sampled along
+// a segment, plus the material under each sample so wall crossings can be
+// marked. Sampled in the solver worker and posted with each frame.
+
+/** @typedef {import("./types.js").VisualizationSettings} VisualizationSettings */
+/** @typedef {import("./types.js").CrossSection} CrossSection */
+/** @typedef {import("./output.js").OutputSource} OutputSource */
+/** @typedef {import("./output.js").OutputField} OutputField */
+
+import { selectOutput } from "./output.js";
+
+// About two samples per cell, capped so long lines stay cheap to post every frame.
+const MAX_SECTION_SAMPLES = 1024;
+
+/**
+ * @typedef {Object} SectionProfile
+ * @property {CrossSection} line
+ * @property {OutputField["kind"]} kind kind of the displayed output
+ * @property {Float32Array} distances from the start point (world units)
+ * @property {Float32Array} values displayed output, interpolated
+ * @property {Float32Array} envelope time-averaged magnitude, interpolated
+ * @property {Float32Array} epsR at the nearest node
+ * @property {Float32Array} sigma at the nearest node
+ * @property {Uint8Array} metal 1 where the nearest node is PEC
+ */
+
+/**
+ * Contiguous run of samples over the same non-air material.
+ * @typedef {Object} SectionCrossing
+ * @property {number} start distance where the run begins
+ * @property {number} end distance where it ends
+ * @property {number} epsR
+ * @property {number} sigma
+ * @property {boolean} metal
+ */
+
+/**
+ * @typedef {OutputSource & {
+ *   dx: number,
+ *   dy: number,
+ *   domain: { origin: { x: number, y: number } },
+ *   epsRGrid?: Float32Array,
+ *   sigmaGrid?: Float32Array,
+ *   metalMask?: Uint8Array | null
+ * }} SectionSource
+ */
+
+/**
+ * @param {SectionSource} solver
+ * @param {VisualizationSettings} visualization
+ * @param {CrossSection} line
+ * @returns {SectionProfile}
+ */
+export function sampleSection(solver, visualization, line) {
+  const { nx, ny, dx, dy } = solver;
+  const { origin } = solver.domain;
+  const length = Math.hypot(line.end.x - line.start.x, line.end.y - line.start.y);
+  const count = Math.max(
+    2,
+    Math.min(MAX_SECTION_SAMPLES, Math.ceil((2 * length) / Math.min(dx, dy)) + 1)
+  );
+  const output = selectOutput(solver, visualization);
+  const averaged = solver.getAveragedMagnitude();
+  const profile = {
+    line,
+    kind: output.kind,
+    distances: new Float32Array(count),
+    values: new Float32Array(count),
+    envelope: new Float32Array(count),
+    epsR: new Float32Array(count),
+    sigma: new Float32Array(count),
+    metal: new Uint8Array(count)
+  };
+
+  for (let i = 0; i < count; i += 1) {
+    const t = i / (count - 1);
+    const gx = clamp((line.start.x + t * (line.end.x - line.start.x) - origin.x) / dx, 0, nx - 1);
+    const gy = clamp((line.start.y + t * (line.end.y - line.start.y) - origin.y) / dy, 0, ny - 1);
+    const nearest = Math.round(gy) * nx + Math.round(gx);
+    profile.distances[i] = t * length;
+    // Phase wraps at ±π, so it is not interpolated.
+    profile.values[i] =
+      output.kind === "phase" ? output.values[nearest] : bilinear(output.values, nx, ny, gx, gy);
+    profile.envelope[i] = bilinear(averaged, nx, ny, gx, gy);
+    profile.epsR[i] = solver.epsRGrid ? solver.epsRGrid[nearest] : 1;
+    profile.sigma[i] = solver.sigmaGrid ? solver.sigmaGrid[nearest] : 0;
+    profile.metal[i] = solver.metalMask ? solver.metalMask[nearest] : 0;
+  }
+  return profile;
+}
+
+/**
+ * Runs of samples that are not free space (εr ≠ 1, σ ≠ 0 or metal).
+ * @param {SectionProfile} profile
+ * @returns {SectionCrossing[]}
+ */
+export function findSectionCrossings(profile) {
+  /** @type {SectionCrossing[]} */
+  const crossings = [];
+  /** @type {SectionCrossing | null} */
+  let current = null;
+  const count = profile.distances.length;
+  const half = count > 1 ? (profile.distances[1] - profile.distances[0]) / 2 : 0;
+  for (let i = 0; i < count; i += 1) {
+    const metal = profile.metal[i] === 1;
+    const epsR = profile.epsR[i];
+    const sigma = profile.sigma[i];
+    const isAir = !metal && epsR === 1 && sigma === 0;
+    const same =
+      current && current.metal === metal && current.epsR === epsR && current.sigma === sigma;
+    if (current && !same) {
+      current.end = Math.max(0, profile.distances[i] - half);
+      crossings.push(current);
+      current = null;
+    }
+    if (!isAir && !current) {
+      current = { start: Math.max(0, profile.distances[i] - half), end: 0, epsR, sigma, metal };
+    }
+  }
+  if (current) {
+    current.end = profile.distances[count - 1];
+    crossings.push(current);
+  }
+  return crossings;
+}
+
+/**
+ * One row per sample: distance, world position, output, envelope and material.
+ * @param {SectionProfile} profile
+ * @returns {string}
+ */
+export function sectionToCsv(profile) {
+  const { start, end } = profile.line;
+  const count = profile.distances.length;
+  const lines = ["distance,x,y,output,envelope,epsR,sigma,metal"];
+  for (let i = 0; i < count; i += 1) {
+    const t = count > 1 ? i / (count - 1) : 0;
+    lines.push(
+      [
+        profile.distances[i],
+        start.x + t * (end.x - start.x),
+        start.y + t * (end.y - start.y),
+        profile.values[i],
+        profile.envelope[i],
+        profile.epsR[i],
+        profile.sigma[i],
+        profile.metal[i]
+      ].join(",")
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * @param {Float32Array} values row-major, `nx` columns
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} gx fractional column
+ * @param {number} gy fractional row
+ */
+function bilinear(values, nx, ny, gx, gy) {
+  const x0 = Math.min(nx - 2, Math.floor(gx));
+  const y0 = Math.min(ny - 2, Math.floor(gy));
+  const fx = gx - x0;
+  const fy = gy - y0;
+  const i = y0 * nx + x0;
+  const top = values[i] * (1 - fx) + values[i + 1] * fx;
+  const bottom = values[i + nx] * (1 - fx) + values[i + nx + 1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,237 @@
+// @ts-check
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./output.js").FieldFrame} FieldFrame */
+/** @typedef {import("./section.js").SectionProfile} SectionProfile */
+
+import { findSectionCrossings, sectionToCsv } from "./section.js";
+
+/**
+ * Profile plot for the cross-section line: the displayed output, the averaged
+ * envelope and shaded bands where the line crosses walls. The worker samples
+ * the line into every frame, so this only draws `frame.section`.
+ * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ * @returns {(state: SimulationState, frame: FieldFrame | null) => void}
+ */
+export function initSectionPanel(store) {
+  const panel = document.querySelector("#sectionPanel");
+  const lengthLabel = document.querySelector("#sectionLength");
+  const exportBtn = document.querySelector("#sectionExportBtn");
+  const clearBtn = document.querySelector("#sectionClearBtn");
+  const canvas = document.querySelector("#sectionPlot");
+
+  if (
+    !(panel instanceof HTMLDivElement) ||
+    !(lengthLabel instanceof HTMLSpanElement) ||
+    !(exportBtn instanceof HTMLButtonElement) ||
+    !(clearBtn instanceof HTMLButtonElement) ||
+    !(canvas instanceof HTMLCanvasElement)
+  ) {
+    throw new Error("Cross-section panel elements not found.");
+  }
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Cross-section plot context not available.");
+  }
+
+  /** @type {SectionProfile | null} */
+  let profile = null;
+
+  clearBtn.addEventListener("click", () => {
+    store.updateState((draft) => {
+      draft.visualization.section = null;
+      return draft;
+    });
+  });
+
+  exportBtn.addEventListener("click", () => {
+    if (!profile) {
+      return;
+    }
+    const blob = new Blob([sectionToCsv(profile)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = "wifi-wave-sim-section.csv";
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  return function render(state, frame) {
+    const section = state.visualization.section;
+    const visible = Boolean(section) && state.visualization.mode === "2d";
+    panel.hidden = !visible;
+    if (!visible || !section) {
+      profile = null;
+      return;
+    }
+    const length = Math.hypot(section.end.x - section.start.x, section.end.y - section.start.y);
+    lengthLabel.textContent = `A→B ${length.toFixed(2)}${state.domain.units === "meters" ? " m" : ""}`;
+
+    // A frame sampled before the line moved would plot the old segment.
+    const next = frame && frame.section && sameLine(frame.section.line, section) ? frame.section : null;
+    exportBtn.disabled = !next;
+    if (next === profile) {
+      return;
+    }
+    profile = next;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    drawProfile(ctx, profile, dpr);
+  };
+}
+
+/**
+ * @param {{ start: { x: number, y: number }, end: { x: number, y: number } }} a
+ * @param {{ start: { x: number, y: number }, end: { x: number, y: number } }} b
+ */
+function sameLine(a, b) {
+  return (
+    a.start.x === b.start.x && a.start.y === b.start.y && a.end.x === b.end.x && a.end.y === b.end.y
+  );
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {SectionProfile | null} profile
+ * @param {number} dpr
+ */
+function drawProfile(ctx, profile, dpr) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = `${10 * dpr}px sans-serif`;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+  if (!profile) {
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("Waiting for the solver…", width / 2, height / 2);
+    return;
+  }
+
+  const { distances, values, envelope, kind } = profile;
+  const length = Math.max(1e-9, distances[distances.length - 1]);
+  let peak = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    peak = Math.max(peak, Math.abs(values[i]), envelope[i]);
+  }
+  peak = peak > 0 ? peak : 1;
+  // Phase spans ±π; signed components get a symmetric range; magnitudes start
+  // at 0. dBm, SINR and differences span the values along the line.
+  let top = kind === "phase" ? Math.PI : peak;
+  let bottom = kind === "phase" ? -Math.PI : kind === "signed" ? -peak : 0;
+  const isDb = kind === "dbm" || kind === "sinr" || kind === "delta";
+  if (isDb) {
+    top = Math.max(...values);
+    bottom = Math.min(...values);
+    if (top - bottom < 1) {
+      top += 0.5;
+      bottom -= 0.5;
+    }
+  }
+
+  const left = 44 * dpr;
+  const right = width - 8 * dpr;
+  const plotTop = 8 * dpr;
+  const plotBottom = height - 18 * dpr;
+  const toX = (/** @type {number} */ d) => left + (d / length) * (right - left);
+  const toY = (/** @type {number} */ v) =>
+    plotBottom - ((v - bottom) / (top - bottom)) * (plotBottom - plotTop);
+
+  // Wall crossings first so the traces stay on top.
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  for (const crossing of findSectionCrossings(profile)) {
+    const x0 = toX(crossing.start);
+    const x1 = Math.max(x0 + dpr, toX(crossing.end));
+    ctx.fillStyle = crossing.metal ? "rgba(71, 85, 105, 0.35)" : "rgba(180, 83, 9, 0.18)";
+    ctx.fillRect(x0, plotTop, x1 - x0, plotBottom - plotTop);
+    ctx.fillStyle = "rgba(15, 23, 42, 0.75)";
+    const label = crossing.metal
+      ? "metal"
+      : `εr ${Number(crossing.epsR.toPrecision(3))}${crossing.sigma ? ` σ ${Number(crossing.sigma.toPrecision(2))}` : ""}`;
+    ctx.fillText(label, (x0 + x1) / 2, plotTop + 2 * dpr);
+  }
+
+  ctx.strokeStyle = "rgba(15, 23, 42, 0.3)";
+  ctx.lineWidth = dpr;
+  ctx.strokeRect(left, plotTop, right - left, plotBottom - plotTop);
+  if (bottom < 0 && top > 0) {
+    ctx.beginPath();
+    ctx.moveTo(left, toY(0));
+    ctx.lineTo(right, toY(0));
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = "rgba(15, 23, 42, 0.7)";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  ctx.fillText(kind === "phase" ? "π" : formatValue(top), left - 4 * dpr, plotTop);
+  ctx.fillText(kind === "phase" ? "−π" : formatValue(bottom), left - 4 * dpr, plotBottom);
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText("A", left, plotBottom + 4 * dpr);
+  ctx.textAlign = "right";
+  ctx.fillText(`B (${length.toFixed(2)})`, right, plotBottom + 4 * dpr);
+
+  // Averaged envelope (dashed) under the live output. The dB outputs are
+  // already derived from the average, and in other units, so they are drawn alone.
+  ctx.lineWidth = 1.25 * dpr;
+  if (!isDb) {
+    ctx.strokeStyle = "rgba(37, 99, 235, 0.8)";
+    ctx.setLineDash([5 * dpr, 3 * dpr]);
+    strokeProfile(ctx, distances, envelope, toX, toY);
+    ctx.setLineDash([]);
+  }
+  ctx.strokeStyle = "rgba(124, 58, 237, 0.95)";
+  strokeProfile(ctx, distances, values, toX, toY);
+
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "rgba(124, 58, 237, 0.95)";
+  ctx.fillText(
+    kind === "sinr" ? "SINR (dB)" : kind === "delta" ? "FDTD − model (dB)" : isDb ? "RSSI (dBm)" : "output",
+    left + 6 * dpr,
+    plotBottom - 26 * dpr
+  );
+  if (!isDb) {
+    ctx.fillStyle = "rgba(37, 99, 235, 0.9)";
+    ctx.fillText("averaged", left + 6 * dpr, plotBottom - 14 * dpr);
+  }
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Float32Array} xs
+ * @param {Float32Array} ys
+ * @param {(x: number) => number} toX
+ * @param {(y: number) => number} toY
+ */
+function strokeProfile(ctx, xs, ys, toX, toY) {
+  ctx.beginPath();
+  for (let i = 0; i < xs.length; i += 1) {
+    if (i === 0) {
+      ctx.moveTo(toX(xs[i]), toY(ys[i]));
+    } else {
+      ctx.lineTo(toX(xs[i]), toY(ys[i]));
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * @param {number} value
+ */
+function formatValue(value) {
+  const magnitude = Math.abs(value);
+  return magnitude !== 0 && (magnitude >= 1e3 || magnitude < 1e-2)
+    ? value.toExponential(1)
+    : value.toFixed(2);
+}
@@ -2,6 +2,8 @@
 
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 
+import { isEmModel, normalizeGrid } from "./state.js";
+
 /**
  * @param {{
  *  getState: () => SimulationState,
@@ -85,10 +87,10 @@ export function initSignalSettings(store) {
     // Model-specific hinting
     if (frequencyLabel instanceof HTMLElement) {
       frequencyLabel.textContent =
-        state.simulation.model === "em2d" ? "Frequency (scaled)" : "Frequency";
+        isEmModel(state.simulation.model) ? "Frequency (scaled)" : "Frequency";
     }
     frequencyInput.title =
-      state.simulation.model === "em2d"
+      isEmModel(state.simulation.model)
         ? "EM mode uses a scaled frequency for real-time visualization. Wavelength ≈ speed / frequency."
         : "Scalar wave frequency (arbitrary units).";
   }
@@ -114,7 +116,7 @@ export function initSignalSettings(store) {
 
   function readSettingsFromForm() {
     const state = store.getState();
-    const isEm = state.simulation.model === "em2d";
+    const isEm = isEmModel(state.simulation.model);
     const frequency = clamp(
       readNumber(frequencyInput, isEm ? 5 : 1.5),
       isEm ? 0.01 : 0.1,
@@ -130,7 +132,11 @@ export function initSignalSettings(store) {
     const injection = injectionSelect.value === "hard" ? "hard" : "soft";
     const exciteRaw = exciteSelect.value;
     const excite =
-      exciteRaw === "ex" || exciteRaw === "ey" || exciteRaw === "e" || exciteRaw === "hz"
+      exciteRaw === "ex" ||
+      exciteRaw === "ey" ||
+      exciteRaw === "e" ||
+      exciteRaw === "hz" ||
+      exciteRaw === "ez"
         ? exciteRaw
         : "hz";
     const polarizationAngle = clamp(readNumber(polarizationAngleInput, 0), -180, 180);
@@ -163,10 +169,11 @@ export function initSignalSettings(store) {
     const settings = readSettingsFromForm();
     store.updateState((draft) => {
       draft.simulation.sourceDefaults = settings;
+      // Access points keep the frequency and amplitude derived from their radio settings.
       draft.sources = (draft.sources || []).map((s) => ({
         ...s,
-        amplitude: settings.amplitude,
-        frequency: settings.frequency,
+        amplitude: s.radio ? s.amplitude : settings.amplitude,
+        frequency: s.radio ? s.frequency : settings.frequency,
         phase: settings.phase,
         waveform: settings.waveform,
         pulseWidth: settings.pulseWidth,
@@ -175,6 +182,12 @@ export function initSignalSettings(store) {
         excite: settings.excite,
         polarizationAngle: settings.polarizationAngle
       }));
+      draft.domain.grid = normalizeGrid(
+        draft.domain.grid,
+        draft.domain.worldSize,
+        draft.simulation,
+        draft.sources
+      );
       return draft;
     });
     closeModal();
@@ -3,7 +3,22 @@
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 /** @typedef {import("./types.js").SourceObject} SourceObject */
 
+import {
+  getHostSegments,
+  getOpeningSpans,
+  getPointsBounds,
+  getShapeOutlines,
+  getSpanOutline,
+  pointInPolygon,
+  spanContains
+} from "./geometry.js";
+import { ChannelAnalysis } from "./channels.js";
+import { computeEmpiricalRssi, subtractRssi } from "./pathloss.js";
+import { computeRssi } from "./rssi.js";
+
 const TAU = Math.PI * 2;
+// Each DFT frequency costs six full-grid Float32 accumulators.
+const MAX_DFT_FREQUENCIES = 4;
 
 /**
  * @typedef {Object} SolverConfig
@@ -11,7 +26,57 @@ const TAU = Math.PI * 2;
  * @property {SimulationState["simulation"]["solver"]} solver
  * @property {number} [avgTau]
  * @property {number} [cfl]
- * @property {number} [pmlWidth]
+ * @property {number} [pmlWidth] CPML thickness in cells (overrides solver.pml.thickness)
+ * @property {number} [pmlOrder] polynomial grading order of the CPML profiles
+ * @property {number} [pmlKappaMax] peak coordinate-stretching factor κ
+ * @property {number} [pmlAlphaMax] peak complex-frequency shift α (1/s)
+ * @property {number} [pmlReflection] target normal-incidence reflection used to size σ
+ */
+
+/**
+ * Per-axis CPML coefficients. E-type arrays are sampled on integer nodes,
+ * H-type arrays half a cell further along the axis (Yee staggering).
+ * @typedef {Object} CpmlAxis
+ * @property {Float32Array} bE
+ * @property {Float32Array} cE
+ * @property {Float32Array} invKappaE
+ * @property {Float32Array} bH
+ * @property {Float32Array} cH
+ * @property {Float32Array} invKappaH
+ */
+
+/**
+ * @typedef {Object} MaterialGrids
+ * @property {Float32Array} epsR
+ * @property {Float32Array} sigma
+ * @property {Uint8Array | null} metalMask
+ * @property {Uint16Array | null} poleIndex
+ * @property {import("./types.js").DispersionSettings[]} poles
+ */
+
+/**
+ * Compact storage for dispersive cells: `slot[cell]` is -1 for ordinary cells,
+ * otherwise the index into the per-slot ADE coefficients and polarization state.
+ * @typedef {Object} DispersionSlots
+ * @property {Int32Array} slot
+ * @property {Float32Array} a
+ * @property {Float32Array} b
+ * @property {Float32Array} c weight of E^{n+1}
+ * @property {Float32Array} cNow weight of E^n
+ * @property {Float32Array} cPrev weight of E^{n-1}
+ * @property {number} count
+ */
+
+/**
+ * Running DFT accumulators. For frequency k and field component c the phasor
+ * sum Σ x(t) e^{-j 2π f t} dt lives in re[k * components + c] / im[...];
+ * dividing by `duration / 2` turns it into a steady-state amplitude.
+ * @typedef {Object} DftBins
+ * @property {number[]} frequencies
+ * @property {number} components
+ * @property {Float32Array[]} re
+ * @property {Float32Array[]} im
+ * @property {number} duration accumulated time (s)
  */
 
 /**
@@ -20,6 +85,12 @@ const TAU = Math.PI * 2;
  * @property {number} amplitude
  * @property {number} phase
  * @property {number} frequency
+ * @property {"cw" | "gaussian" | "ricker"} [waveform]
+ * @property {number} [pulseWidth]
+ * @property {number} [pulseDelay]
+ * @property {"soft" | "hard"} [injection]
+ * @property {SourceObject["excite"]} [excite]
+ * @property {number} [polarizationAngle]
  */
 
 /**
@@ -114,86 +185,7 @@ export class WaveSolver2D {
    * @param {import("./types.js").ShapeObject[]} shapes
    */
   setBarrierFromShapes(shapes) {
-    const nx = this.nx;
-    const ny = this.ny;
-    if (!shapes || shapes.length === 0) {
-      this.barrierMask = null;
-      return;
-    }
-
-    const mask = new Uint8Array(nx * ny);
-
-    const { origin, worldSize } = this.domain;
-    const dx = this.dx;
-    const dy = this.dy;
-
-    for (const shape of shapes) {
-      if (shape.kind === "circle") {
-        const radius = Math.max(0, shape.radius ?? 0);
-        if (radius <= 0) {
-          continue;
-        }
-        const minX = shape.center.x - radius;
-        const maxX = shape.center.x + radius;
-        const minY = shape.center.y - radius;
-        const maxY = shape.center.y + radius;
-
-        const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-        const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-        const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-        const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
-
-        const r2 = radius * radius;
-        for (let y = iy0; y <= iy1; y += 1) {
-          const wy = origin.y + y * dy;
-          const dyc = wy - shape.center.y;
-          for (let x = ix0; x <= ix1; x += 1) {
-            const wx = origin.x + x * dx;
-            const dxc = wx - shape.center.x;
-            if (dxc * dxc + dyc * dyc <= r2) {
-              mask[y * nx + x] = 1;
-            }
-          }
-        }
-      } else if (shape.kind === "rectangle" && shape.size) {
-        const halfW = shape.size.width * 0.5;
-        const halfH = shape.size.height * 0.5;
-        if (halfW <= 0 || halfH <= 0) {
-          continue;
-        }
-        const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
-        const cosA = Math.cos(angle);
-        const sinA = Math.sin(angle);
-        const radius = Math.hypot(halfW, halfH);
-        const minX = shape.center.x - radius;
-        const maxX = shape.center.x + radius;
-        const minY = shape.center.y - radius;
-        const maxY = shape.center.y + radius;
-
-        const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-        const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-        const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-        const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
-
-        for (let y = iy0; y <= iy1; y += 1) {
-          const wy = origin.y + y * dy;
-          const dyc = wy - shape.center.y;
-          for (let x = ix0; x <= ix1; x += 1) {
-            const wx = origin.x + x * dx;
-            const dxc = wx - shape.center.x;
-
-            const localX = cosA * dxc + sinA * dyc;
-            const localY = -sinA * dxc + cosA * dyc;
-
-            if (Math.abs(localX) <= halfW && Math.abs(localY) <= halfH) {
-              mask[y * nx + x] = 1;
-            }
-          }
-        }
-      }
-    }
-
-    this.barrierMask = mask;
+    this.barrierMask = buildBarrierMask(this.domain, this.nx, this.ny, shapes);
   }
 
   /**
@@ -224,6 +216,17 @@ export class WaveSolver2D {
     }
   }
 
+  /**
+   * Advance exactly `count` solver steps of `dt`, bypassing the frame
+   * accumulator. Used by headless runs that need deterministic output.
+   * @param {number} count
+   */
+  advanceSteps(count) {
+    for (let i = 0; i < count; i += 1) {
+      this.#advance(this.dt);
+    }
+  }
+
   /**
    * @returns {Float32Array}
    */
@@ -482,23 +485,28 @@ export class WaveSolver2D {
 }
 
 /**
- * 2D electromagnetic wave solver (TEz-style) using an explicit FDTD-like update.
- * This is a simplified model intended for visualization (not a full material EM stack).
- *
- * Fields:
- * - Ex, Ey: electric field components
- * - Hz: magnetic field component (out of plane)
+ * Machinery shared by the TEz and TMz solvers: grid sizing, materials and
+ * dispersion slots, the CPML coefficients, sources, stepping, magnitudes and the
+ * running DFT. Subclasses own their field arrays and implement `updateFields`,
+ * the only part where the two polarizations differ.
  *
  * Output magnitude:
- * - instantaneous: |E| = sqrt(Ex^2 + Ey^2)
+ * - instantaneous: |E| over the components in `electricFields`
  * - averaged: EMA of power
+ *
+ * Boundaries: a convolutional PML (CPML, Roden & Gedney) absorbs outgoing waves
+ * in a graded layer along each edge; the outermost cells act as a PEC wall.
+ *
+ * Materials: per-cell εr and σ, PEC-like metal, and optional Debye / Drude / Lorentz
+ * poles integrated with auxiliary differential equations (see buildDispersionSlots).
  */
-export class EMSolver2D {
+class EMSolverBase {
   /**
    * @param {SolverConfig} config
    */
   constructor(config) {
     const { domain, solver, avgTau = 0.35, cfl = 0.45 } = config;
+    this.config = config;
     const nx = Math.max(2, Math.floor(domain.grid.nx));
     const ny = Math.max(2, Math.floor(domain.grid.ny));
     this.nx = nx;
@@ -529,18 +537,37 @@ export class EMSolver2D {
     this.eps = 1 / (waveSpeed * waveSpeed);
 
     const size = nx * ny;
-    this.ex = new Float32Array(size);
-    this.ey = new Float32Array(size);
-    this.hz = new Float32Array(size);
     this.instantaneous = new Float32Array(size);
     this.avgPower = new Float32Array(size);
     this.avgMagnitude = new Float32Array(size);
+    // Set by the subclass: the E components behind |E|, and every component the
+    // DFT tracks with its time within a step (E at t + dt, H at t + dt/2).
+    /** @type {Float32Array[]} */
+    this.electricFields = [];
+    /** @type {Float32Array[]} */
+    this.dftFields = [];
+    /** @type {number[]} */
+    this.dftTimeOffsets = [];
+    // Per-step sample times of the dftFields, reused so stepping does not allocate.
+    this.dftTimes = new Float64Array(0);
+    // Index into dftFields of the out-of-plane component shown by getDftPhase.
+    this.dftPhaseComponent = 0;
+    // The signed components getField and getFieldAt read, by name.
+    /** @type {Partial<Record<import("./types.js").FieldComponent, Float32Array>>} */
+    this.fieldComponents = {};
+    /** @type {Required<SourceSample>[]} */
     this.sources = [];
     // Material grids (same resolution as fields)
+    /** @type {Float32Array} */
     this.epsRGrid = new Float32Array(size);
+    /** @type {Float32Array} */
     this.sigmaGrid = new Float32Array(size);
     // Optional PEC-like metal mask
+    /** @type {Uint8Array | null} */
     this.metalMask = null;
+    // Dispersive cells; the subclass keeps the ADE polarization state per slot.
+    /** @type {DispersionSlots | null} */
+    this.dispersion = null;
     this.epsRGrid.fill(1);
     this.sigmaGrid.fill(0);
     this.accumulator = 0;
@@ -550,39 +577,59 @@ export class EMSolver2D {
       maxInstantaneous: 0,
       meanInstantaneous: 0
     };
+    const pml = resolvePmlSettings(config);
     const maxPmlWidth = Math.floor(Math.min(nx, ny) * 0.5) - 1;
-    const requestedPmlWidth = clamp(config.pmlWidth ?? 24, 16, 32);
-    const usablePmlWidth = Math.max(0, Math.min(requestedPmlWidth, maxPmlWidth));
+    const usablePmlWidth = Math.max(0, Math.min(pml.thickness, maxPmlWidth));
     this.pmlWidth = usablePmlWidth;
-    // Sigma is an electric-conductivity-like profile (1/s).
-    this.pmlSigma = buildPmlSigma(nx, ny, usablePmlWidth, this.dx, this.dy, waveSpeed);
+    this.pmlSettings = pml;
+    this.cpmlX = buildCpmlAxis(nx, usablePmlWidth, this.dx, dt, waveSpeed, pml);
+    this.cpmlY = buildCpmlAxis(ny, usablePmlWidth, this.dy, dt, waveSpeed, pml);
     this.pmlMask = buildPmlMask(nx, ny, usablePmlWidth);
+    // Running DFT (phasor) accumulators; see setDftFrequencies.
+    this.dft = createDftBins(size, [], 3);
+    this.dftAmplitude = new Float32Array(size);
+    this.dftPhase = new Float32Array(size);
+    this.fieldView = new Float32Array(size);
+    // RSSI map (see getRssi), recomputed at most once per step.
+    /** @type {SourceObject[]} */
+    this.accessPoints = [];
+    /** @type {import("./types.js").RadioCalibration | null} */
+    this.calibration = null;
+    this.rssi = new Float32Array(size);
+    this.rssiTime = NaN;
+    // Per-AP runs for co-channel interference (see setChannelAnalysis).
+    /** @type {import("./types.js").ShapeObject[]} */
+    this.shapes = [];
+    /** @type {ChannelAnalysis | null} */
+    this.channelAnalysis = null;
+    // Empirical path-loss map (see getEmpiricalRssi), recomputed when its inputs change.
+    this.empiricalRssi = new Float32Array(size);
+    this.empiricalDifference = new Float32Array(size);
+    this.empiricalKey = "";
+    this.barrierVersion = 0;
   }
 
-  /** @param {SourceObject[]} _sources */
+  /** @param {SourceObject[]} sources */
   setSources(sources) {
-    this.sources = sources
-      .filter((source) => source.active)
-      .map((source) => {
-        const index = indexFromWorld(source.position, this.domain, this.nx, this.ny);
-        return {
-          index,
-          amplitude: source.amplitude,
-          phase: source.phase,
-          frequency: source.frequency,
-          waveform: source.waveform || "cw",
-          pulseWidth: source.pulseWidth ?? 0.4,
-          pulseDelay: source.pulseDelay ?? 0,
-          injection: source.injection || "soft",
-          excite: source.excite || "hz",
-          polarizationAngle: source.polarizationAngle ?? 0
-        };
-      });
+    this.sources = toSourceSamples(sources, this.domain, this.nx, this.ny);
+    this.accessPoints = sources.filter((source) => source.active && source.radio);
+    this.rssiTime = NaN;
+    this.channelAnalysis?.setSources(this.accessPoints);
   }
 
-  /** @param {import("./types.js").ShapeObject[]} _shapes */
+  /**
+   * Rebuild the material grids and dispersion slots; subclasses resize their
+   * polarization state to `dispersion.count` after calling this.
+   * @param {import("./types.js").ShapeObject[]} shapes
+   */
   setBarrierFromShapes(shapes) {
+    this.shapes = shapes;
+    this.barrierVersion += 1;
+    this.channelAnalysis?.setBarrierFromShapes(shapes);
     const grids = buildMaterialGrids(this.domain, this.nx, this.ny, shapes);
+    this.dispersion = grids
+      ? buildDispersionSlots(grids.poleIndex, grids.poles, this.dt, this.eps)
+      : null;
     if (!grids) {
       this.epsRGrid.fill(1);
       this.sigmaGrid.fill(0);
@@ -608,6 +655,7 @@ export class EMSolver2D {
       this.accumulator -= dt;
       substepCount += 1;
     }
+    this.channelAnalysis?.advanceSteps(substepCount);
 
     if (this.accumulator >= dt && substepCount >= this.maxSubstepsPerFrame) {
       const maxAccumulator = dt * this.maxSubstepsPerFrame;
@@ -617,18 +665,30 @@ export class EMSolver2D {
     }
   }
 
+  /**
+   * Advance exactly `count` steps of `dt`, bypassing the frame accumulator.
+   * @param {number} count
+   */
+  advanceSteps(count) {
+    for (let i = 0; i < count; i += 1) {
+      this.#advance(this.dt);
+    }
+    this.channelAnalysis?.advanceSteps(count);
+  }
+
+  /** Clears the shared state; subclasses also clear their fields. */
   reset() {
     this.time = 0;
+    this.rssiTime = NaN;
+    this.channelAnalysis?.reset();
     this.accumulator = 0;
     this.stats.time = 0;
     this.stats.maxInstantaneous = 0;
     this.stats.meanInstantaneous = 0;
-    this.ex.fill(0);
-    this.ey.fill(0);
-    this.hz.fill(0);
     this.instantaneous.fill(0);
     this.avgPower.fill(0);
     this.avgMagnitude.fill(0);
+    resetDftBins(this.dft);
   }
 
   /** @returns {Float32Array} */
@@ -641,15 +701,350 @@ export class EMSolver2D {
     return this.avgMagnitude;
   }
 
+  /**
+   * Signed snapshot of a field component (PML zeroed): Ex, Ey or Hz in TEz,
+   * Ez, Hx or Hy in TMz; null for the other polarization's components.
+   * @param {import("./types.js").FieldComponent} component
+   * @returns {Float32Array | null}
+   */
+  getField(component) {
+    const source = this.fieldComponents[component];
+    return source ? readField(source, this.pmlMask, this.fieldView) : null;
+  }
+
+  /**
+   * One node of getField without copying the grid, for the hover readout.
+   * @param {import("./types.js").FieldComponent} component
+   * @param {number} index
+   * @returns {number | null}
+   */
+  getFieldAt(component, index) {
+    const source = this.fieldComponents[component];
+    if (!source) {
+      return null;
+    }
+    return this.pmlMask && this.pmlMask[index] ? 0 : source[index];
+  }
+
+  /**
+   * Restart the running DFT at the given frequencies (empty disables it).
+   * @param {number[]} frequencies
+   */
+  setDftFrequencies(frequencies) {
+    this.dft = createDftBins(this.nx * this.ny, frequencies, this.dftFields.length);
+  }
+
+  /** @returns {number[]} */
+  getDftFrequencies() {
+    return this.dft.frequencies;
+  }
+
+  /**
+   * Steady-state |E| amplitude at DFT frequency `index`. Without `out` the
+   * result lands in a buffer of this getter's own, overwritten by its next call.
+   * @param {number} index
+   * @param {Float32Array} [out] nx·ny values
+   * @returns {Float32Array | null}
+   */
+  getDftAmplitude(index, out = this.dftAmplitude) {
+    const components = this.electricFields.map((_, component) => component);
+    return readDftAmplitude(this.dft, index, components, this.pmlMask, out);
+  }
+
+  /**
+   * Phase (radians, -π..π) of the out-of-plane component (Hz in TEz, Ez in TMz)
+   * at DFT frequency `index`. Buffer reuse as in getDftAmplitude.
+   * @param {number} index
+   * @param {Float32Array} [out] nx·ny values
+   * @returns {Float32Array | null}
+   */
+  getDftPhase(index, out = this.dftPhase) {
+    return readDftPhase(this.dft, index, this.dftPhaseComponent, this.pmlMask, out);
+  }
+
   /** @returns {SolverStats} */
   getStats() {
     return this.stats;
   }
 
+  /** @param {import("./types.js").RadioCalibration} calibration */
+  setCalibration(calibration) {
+    this.calibration = calibration;
+    this.rssiTime = NaN;
+    this.channelAnalysis?.setCalibration(calibration);
+  }
+
+  /**
+   * Estimated received power (dBm) from the averaged |E|, anchored to the
+   * access points (see rssi.js); null without an active one.
+   * @returns {Float32Array | null}
+   */
+  getRssi() {
+    if (!this.calibration || !this.accessPoints.length) {
+      return null;
+    }
+    if (this.rssiTime !== this.time) {
+      computeRssi(this, this.accessPoints, this.calibration, this.rssi);
+      this.rssiTime = this.time;
+    }
+    return this.rssi;
+  }
+
+  /**
+   * Log-distance or ITU-R P.1238 received power (dBm), with the walls found in
+   * the material grids (see pathloss.js); null without an active access point.
+   * Only recomputed when the access points, walls or settings change.
+   * @param {import("./types.js").EmpiricalSettings} settings
+   * @returns {Float32Array | null}
+   */
+  getEmpiricalRssi(settings) {
+    if (!this.calibration || !this.accessPoints.length) {
+      return null;
+    }
+    const key = JSON.stringify([
+      settings.model,
+      settings.exponent,
+      this.barrierVersion,
+      this.calibration.referenceDistance,
+      this.accessPoints.map((source) => [source.position.x, source.position.y, source.radio])
+    ]);
+    if (key !== this.empiricalKey) {
+      computeEmpiricalRssi(this, this.accessPoints, this.calibration, settings, this.empiricalRssi);
+      this.empiricalKey = key;
+    }
+    return this.empiricalRssi;
+  }
+
+  /**
+   * RSSI map minus the empirical one (dB).
+   * @param {import("./types.js").EmpiricalSettings} settings
+   * @returns {Float32Array | null}
+   */
+  getEmpiricalDifference(settings) {
+    const model = this.getEmpiricalRssi(settings);
+    const rssi = this.getRssi();
+    return model && rssi ? subtractRssi(rssi, model, this.empiricalDifference) : null;
+  }
+
+  /**
+   * Start or stop the per-AP runs behind the channel power and SINR maps.
+   * Each active access point gets a solver of its own, so this multiplies
+   * the stepping cost by 1 + the number of access points.
+   * @param {import("./types.js").ChannelAnalysisSettings} settings
+   */
+  setChannelAnalysis(settings) {
+    if (!settings.enabled) {
+      this.channelAnalysis = null;
+      return;
+    }
+    if (!this.channelAnalysis) {
+      // The per-AP runs use this solver's class, so they share its polarization.
+      const Solver = /** @type {new (config: SolverConfig) => EMSolverBase} */ (this.constructor);
+      const analysis = new ChannelAnalysis(() => new Solver(this.config), this.nx * this.ny);
+      analysis.setBarrierFromShapes(this.shapes);
+      if (this.calibration) {
+        analysis.setCalibration(this.calibration);
+      }
+      analysis.setSources(this.accessPoints);
+      this.channelAnalysis = analysis;
+    }
+    this.channelAnalysis.setSettings(settings);
+  }
+
+  /** @returns {string[]} channels with an active access point (empty without the analysis) */
+  getChannelKeys() {
+    return this.channelAnalysis ? this.channelAnalysis.getChannelKeys() : [];
+  }
+
+  /**
+   * Summed RSSI (dBm) of the access points on channel `key`, or on the first
+   * channel when `key` has none.
+   * @param {string} key
+   * @returns {Float32Array | null}
+   */
+  getChannelPower(key) {
+    const analysis = this.channelAnalysis;
+    if (!analysis || !this.calibration) {
+      return null;
+    }
+    analysis.update(this.time);
+    return analysis.channelPower.get(key) ?? analysis.channelPower.values().next().value ?? null;
+  }
+
+  /**
+   * SINR (dB) of the strongest access point against the others and the noise floor.
+   * @returns {Float32Array | null}
+   */
+  getSinr() {
+    if (!this.channelAnalysis || !this.calibration || !this.accessPoints.length) {
+      return null;
+    }
+    this.channelAnalysis.update(this.time);
+    return this.channelAnalysis.sinr;
+  }
+
+  /**
+   * 1 where two access points on the same channel are both above the overlap threshold.
+   * @returns {Uint8Array | null}
+   */
+  getChannelOverlap() {
+    if (!this.channelAnalysis || !this.calibration || !this.accessPoints.length) {
+      return null;
+    }
+    this.channelAnalysis.update(this.time);
+    return this.channelAnalysis.overlap;
+  }
+
+  /**
+   * Serving and interfering power at node `index`, for receiver SINR.
+   * @param {number} index
+   * @returns {import("./channels.js").ChannelLink | null}
+   */
+  getChannelLink(index) {
+    if (!this.channelAnalysis || !this.calibration) {
+      return null;
+    }
+    this.channelAnalysis.update(this.time);
+    return this.channelAnalysis.readLink(index);
+  }
+
+  /**
+   * Advance E and H by one leapfrog step, including metal, sources and the
+   * outer PEC wall. Implemented per polarization.
+   * @param {number} _dt
+   */
+  updateFields(_dt) {
+    throw new Error("updateFields is implemented by EMSolver2D and EMSolverTMz.");
+  }
+
   /**
    * @param {number} dt
    */
   #advance(dt) {
+    this.updateFields(dt);
+
+    // Compute magnitudes + stats
+    const pmlMask = this.pmlMask;
+    const [e0, e1] = this.electricFields;
+    const alpha = Math.min(1, dt / this.avgTau);
+    const avgPower = this.avgPower;
+    const avgMagnitude = this.avgMagnitude;
+    const instant = this.instantaneous;
+    let max = 0;
+    let sum = 0;
+
+    for (let i = 0; i < instant.length; i += 1) {
+      if (pmlMask && pmlMask[i]) {
+        avgPower[i] = 0;
+        avgMagnitude[i] = 0;
+        instant[i] = 0;
+        continue;
+      }
+      const power = e1 ? e0[i] * e0[i] + e1[i] * e1[i] : e0[i] * e0[i];
+      const value = Math.sqrt(power);
+
+      const nextAvg = avgPower[i] + alpha * (power - avgPower[i]);
+      avgPower[i] = nextAvg;
+      avgMagnitude[i] = Math.sqrt(nextAvg);
+      instant[i] = value;
+
+      if (value > max) {
+        max = value;
+      }
+      sum += value;
+    }
+
+    if (this.dft.frequencies.length > 0) {
+      const times = this.dftTimes;
+      for (let c = 0; c < times.length; c += 1) {
+        times[c] = this.time + this.dftTimeOffsets[c] * dt;
+      }
+      accumulateDft(this.dft, this.dftFields, times, dt);
+    }
+
+    this.time += dt;
+    this.stats = {
+      time: this.time,
+      maxInstantaneous: max,
+      meanInstantaneous: sum / instant.length
+    };
+  }
+}
+
+/**
+ * 2D electromagnetic wave solver (TEz-style) using an explicit FDTD-like update.
+ * This is a simplified model intended for visualization (not a full material EM stack).
+ *
+ * Fields:
+ * - Ex, Ey: electric field components
+ * - Hz: magnetic field component (out of plane)
+ *
+ * Output magnitude: |E| = sqrt(Ex^2 + Ey^2); grid, materials, CPML and stepping
+ * come from EMSolverBase.
+ */
+export class EMSolver2D extends EMSolverBase {
+  /**
+   * @param {SolverConfig} config
+   */
+  constructor(config) {
+    super(config);
+    const size = this.nx * this.ny;
+    this.ex = new Float32Array(size);
+    this.ey = new Float32Array(size);
+    this.hz = new Float32Array(size);
+    // Dispersive cells: ADE polarization (current + previous step) and previous E per slot
+    this.px = new Float32Array(0);
+    this.pxPrev = new Float32Array(0);
+    this.py = new Float32Array(0);
+    this.pyPrev = new Float32Array(0);
+    this.exPrev = new Float32Array(0);
+    this.eyPrev = new Float32Array(0);
+    // Auxiliary CPML convolution terms, one per spatial derivative.
+    this.psiHzX = new Float32Array(size);
+    this.psiHzY = new Float32Array(size);
+    this.psiEx = new Float32Array(size);
+    this.psiEy = new Float32Array(size);
+    this.electricFields = [this.ex, this.ey];
+    this.dftFields = [this.ex, this.ey, this.hz];
+    this.dftTimeOffsets = [1, 1, 0.5];
+    this.dftTimes = new Float64Array(3);
+    this.dftPhaseComponent = 2;
+    this.fieldComponents = { ex: this.ex, ey: this.ey, hz: this.hz };
+  }
+
+  /** @param {import("./types.js").ShapeObject[]} shapes */
+  setBarrierFromShapes(shapes) {
+    super.setBarrierFromShapes(shapes);
+    const poleCount = this.dispersion ? this.dispersion.count : 0;
+    this.px = new Float32Array(poleCount);
+    this.pxPrev = new Float32Array(poleCount);
+    this.py = new Float32Array(poleCount);
+    this.pyPrev = new Float32Array(poleCount);
+    this.exPrev = new Float32Array(poleCount);
+    this.eyPrev = new Float32Array(poleCount);
+  }
+
+  reset() {
+    super.reset();
+    this.ex.fill(0);
+    this.ey.fill(0);
+    this.hz.fill(0);
+    this.psiHzX.fill(0);
+    this.psiHzY.fill(0);
+    this.psiEx.fill(0);
+    this.psiEy.fill(0);
+    this.px.fill(0);
+    this.pxPrev.fill(0);
+    this.py.fill(0);
+    this.pyPrev.fill(0);
+    this.exPrev.fill(0);
+    this.eyPrev.fill(0);
+  }
+
+  /**
+   * @param {number} dt
+   */
+  updateFields(dt) {
     const { nx, ny } = this;
     const ex = this.ex;
     const ey = this.ey;
@@ -657,9 +1052,21 @@ export class EMSolver2D {
     const epsRGrid = this.epsRGrid;
     const sigmaGrid = this.sigmaGrid;
     const metal = this.metalMask;
-    const sigma = this.pmlSigma;
     const loss = this.loss;
     const pmlMask = this.pmlMask;
+    const cpmlX = this.cpmlX;
+    const cpmlY = this.cpmlY;
+    const psiHzX = this.psiHzX;
+    const psiHzY = this.psiHzY;
+    const psiEx = this.psiEx;
+    const psiEy = this.psiEy;
+    const dispersion = this.dispersion;
+    const px = this.px;
+    const pxPrev = this.pxPrev;
+    const py = this.py;
+    const pyPrev = this.pyPrev;
+    const exPrev = this.exPrev;
+    const eyPrev = this.eyPrev;
 
     const invDx = 1 / Math.max(1e-9, this.dx);
     const invDy = 1 / Math.max(1e-9, this.dy);
@@ -679,21 +1086,35 @@ export class EMSolver2D {
       }
     }
 
-    // Update Hz from curl(E) with matched (approx) magnetic conductivity near boundaries.
+    // Update Hz from curl(E). Inside the CPML each derivative is stretched by 1/κ
+    // and corrected by its recursive-convolution term ψ.
     for (let y = 0; y < ny - 1; y += 1) {
       const row = y * nx;
+      const bHy = cpmlY.bH[y];
+      const cHy = cpmlY.cH[y];
+      const kHy = cpmlY.invKappaH[y];
       for (let x = 0; x < nx - 1; x += 1) {
         const idx = row + x;
         if (metal && metal[idx]) continue;
 
-        const dEx_dy = (ex[idx + nx] - ex[idx]) * invDy;
-        const dEy_dx = (ey[idx + 1] - ey[idx]) * invDx;
+        let dEx_dy = (ex[idx + nx] - ex[idx]) * invDy;
+        let dEy_dx = (ey[idx + 1] - ey[idx]) * invDx;
+        if (cHy !== 0) {
+          psiHzY[idx] = bHy * psiHzY[idx] + cHy * dEx_dy;
+          dEx_dy = dEx_dy * kHy + psiHzY[idx];
+        }
+        const cHx = cpmlX.cH[x];
+        if (cHx !== 0) {
+          psiHzX[idx] = cpmlX.bH[x] * psiHzX[idx] + cHx * dEy_dx;
+          dEy_dx = dEy_dx * cpmlX.invKappaH[x] + psiHzX[idx];
+        }
         const curlE = dEx_dy - dEy_dx;
 
         const epsCell = epsBase * epsRGrid[idx];
         const sigmaMat = sigmaGrid[idx];
-        const sigmaE = (sigma ? sigma[idx] : 0) + sigmaMat + loss;
-        const sigmaM = sigmaE * (mu / epsCell); // matched-layer approximation
+        const sigmaE = sigmaMat + loss;
+        // Magnetic loss mirrors the electric loss so lossy regions stay impedance-matched.
+        const sigmaM = sigmaE * (mu / epsCell);
         const denom = 1 + (sigmaM * dt) / (2 * mu);
         const ch1 = (1 - (sigmaM * dt) / (2 * mu)) / denom;
         const ch2 = dtOverMu / denom;
@@ -701,40 +1122,67 @@ export class EMSolver2D {
       }
     }
 
-    // Source injection into Hz (soft source).
-    if (this.sources.length) {
-      const t = this.time;
-      for (const source of this.sources) {
-        const signal =
-          source.amplitude *
-          Math.sin(TAU * source.frequency * t + source.phase);
-        hz[source.index] += signal;
-      }
-    }
-
-    // Update Ex, Ey from curl(H) with electric conductivity.
+    // Update Ex, Ey from curl(H) with electric conductivity (CPML-stretched near edges)
+    // and, in dispersive cells, the ADE polarization current J.
     for (let y = 1; y < ny - 1; y += 1) {
       const row = y * nx;
+      const bEy = cpmlY.bE[y];
+      const cEy = cpmlY.cE[y];
+      const kEy = cpmlY.invKappaE[y];
       for (let x = 1; x < nx - 1; x += 1) {
         const idx = row + x;
         if (metal && metal[idx]) continue;
 
-        const dHz_dy = (hz[idx] - hz[idx - nx]) * invDy;
-        const dHz_dx = (hz[idx] - hz[idx - 1]) * invDx;
+        let dHz_dy = (hz[idx] - hz[idx - nx]) * invDy;
+        let dHz_dx = (hz[idx] - hz[idx - 1]) * invDx;
+        if (cEy !== 0) {
+          psiEx[idx] = bEy * psiEx[idx] + cEy * dHz_dy;
+          dHz_dy = dHz_dy * kEy + psiEx[idx];
+        }
+        const cEx = cpmlX.cE[x];
+        if (cEx !== 0) {
+          psiEy[idx] = cpmlX.bE[x] * psiEy[idx] + cEx * dHz_dx;
+          dHz_dx = dHz_dx * cpmlX.invKappaE[x] + psiEy[idx];
+        }
 
         const epsCell = epsBase * epsRGrid[idx];
         const dtOverEps = dt / epsCell;
         const sigmaMat = sigmaGrid[idx];
-        const sigmaE = (sigma ? sigma[idx] : 0) + sigmaMat + loss;
+        const sigmaE = sigmaMat + loss;
         const denom = 1 + (sigmaE * dt) / (2 * epsCell);
         const ce1 = (1 - (sigmaE * dt) / (2 * epsCell)) / denom;
         const ce2 = dtOverEps / denom;
 
         // TEz-like updates:
-        // Ex += (1/eps) * dHz/dy
-        // Ey -= (1/eps) * dHz/dx
-        ex[idx] = ce1 * ex[idx] + ce2 * dHz_dy;
-        ey[idx] = ce1 * ey[idx] - ce2 * dHz_dx;
+        // Ex += (1/eps) * (dHz/dy - Jx)
+        // Ey -= (1/eps) * (dHz/dx + Jy)
+        const slot = dispersion ? dispersion.slot[idx] : -1;
+        if (dispersion && slot >= 0) {
+          // P^{n+1} = q + c E^{n+1} (see buildDispersionSlots); substituting
+          // J = (P^{n+1} - P^n) / dt gives E^{n+1} in closed form.
+          const a = dispersion.a[slot];
+          const b = dispersion.b[slot];
+          const c = dispersion.c[slot];
+          const cNow = dispersion.cNow[slot];
+          const cPrev = dispersion.cPrev[slot];
+          const k = ce2 / dt;
+          const norm = 1 / (1 + k * c);
+          const qx = a * px[slot] + b * pxPrev[slot] + cNow * ex[idx] + cPrev * exPrev[slot];
+          const qy = a * py[slot] + b * pyPrev[slot] + cNow * ey[idx] + cPrev * eyPrev[slot];
+          const nextEx = (ce1 * ex[idx] + ce2 * dHz_dy - k * (qx - px[slot])) * norm;
+          const nextEy = (ce1 * ey[idx] - ce2 * dHz_dx - k * (qy - py[slot])) * norm;
+          pxPrev[slot] = px[slot];
+          px[slot] = qx + c * nextEx;
+          pyPrev[slot] = py[slot];
+          py[slot] = qy + c * nextEy;
+          exPrev[slot] = ex[idx];
+          eyPrev[slot] = ey[idx];
+          ex[idx] = nextEx;
+          ey[idx] = nextEy;
+        } else {
+          ex[idx] = ce1 * ex[idx] + ce2 * dHz_dy;
+          ey[idx] = ce1 * ey[idx] - ce2 * dHz_dx;
+        }
       }
     }
 
@@ -750,7 +1198,8 @@ export class EMSolver2D {
         const inj = source.injection;
         const excite = source.excite;
 
-        if (excite === "hz") {
+        // Ez does not exist in TEz; treat it as the out-of-plane Hz drive.
+        if (excite === "hz" || excite === "ez") {
           if (inj === "hard") hz[idx] = s;
           else hz[idx] += s;
         } else if (excite === "ex") {
@@ -774,7 +1223,7 @@ export class EMSolver2D {
       }
     }
 
-    // Hard boundary: zero fields at edges to keep things stable.
+    // Outer PEC wall terminating the CPML.
     for (let x = 0; x < nx; x += 1) {
       const top = x;
       const bottom = (ny - 1) * nx + x;
@@ -795,43 +1244,223 @@ export class EMSolver2D {
       ey[right] = 0;
       hz[right] = 0;
     }
+  }
+}
+
+/**
+ * 2D electromagnetic wave solver for the TMz polarization (E normal to the plan view).
+ * Shares grid sizing, materials, the CPML boundary and stepping with `EMSolver2D`
+ * through EMSolverBase, so both solvers expose the same API and can be swapped
+ * through `simulation.model`.
+ *
+ * Fields (Yee staggering):
+ * - Ez: electric field out of plane, on integer nodes
+ * - Hx: magnetic field along +X, half a cell up in Y
+ * - Hy: magnetic field along +Y, half a cell right in X
+ *
+ * Output magnitude: |E| = |Ez|.
+ *
+ * Sources always drive Ez; the in-plane excite options only exist in TEz.
+ */
+export class EMSolverTMz extends EMSolverBase {
+  /**
+   * @param {SolverConfig} config
+   */
+  constructor(config) {
+    super(config);
+    const size = this.nx * this.ny;
+    this.ez = new Float32Array(size);
+    this.hx = new Float32Array(size);
+    this.hy = new Float32Array(size);
+    this.pz = new Float32Array(0);
+    this.pzPrev = new Float32Array(0);
+    this.ezPrev = new Float32Array(0);
+    this.psiHx = new Float32Array(size);
+    this.psiHy = new Float32Array(size);
+    this.psiEzX = new Float32Array(size);
+    this.psiEzY = new Float32Array(size);
+    this.electricFields = [this.ez];
+    this.dftFields = [this.ez, this.hx, this.hy];
+    this.dftTimeOffsets = [1, 0.5, 0.5];
+    this.dftTimes = new Float64Array(3);
+    this.dftPhaseComponent = 0;
+    this.fieldComponents = { ez: this.ez, hx: this.hx, hy: this.hy };
+  }
+
+  /** @param {import("./types.js").ShapeObject[]} shapes */
+  setBarrierFromShapes(shapes) {
+    super.setBarrierFromShapes(shapes);
+    const poleCount = this.dispersion ? this.dispersion.count : 0;
+    this.pz = new Float32Array(poleCount);
+    this.pzPrev = new Float32Array(poleCount);
+    this.ezPrev = new Float32Array(poleCount);
+  }
+
+  reset() {
+    super.reset();
+    this.ez.fill(0);
+    this.hx.fill(0);
+    this.hy.fill(0);
+    this.psiHx.fill(0);
+    this.psiHy.fill(0);
+    this.psiEzX.fill(0);
+    this.psiEzY.fill(0);
+    this.pz.fill(0);
+    this.pzPrev.fill(0);
+    this.ezPrev.fill(0);
+  }
+
+  /**
+   * @param {number} dt
+   */
+  updateFields(dt) {
+    const { nx, ny } = this;
+    const ez = this.ez;
+    const hx = this.hx;
+    const hy = this.hy;
+    const epsRGrid = this.epsRGrid;
+    const sigmaGrid = this.sigmaGrid;
+    const metal = this.metalMask;
+    const loss = this.loss;
+    const pmlMask = this.pmlMask;
+    const cpmlX = this.cpmlX;
+    const cpmlY = this.cpmlY;
+    const psiHx = this.psiHx;
+    const psiHy = this.psiHy;
+    const psiEzX = this.psiEzX;
+    const psiEzY = this.psiEzY;
+    const dispersion = this.dispersion;
+    const pz = this.pz;
+    const pzPrev = this.pzPrev;
+    const ezPrev = this.ezPrev;
+
+    const invDx = 1 / Math.max(1e-9, this.dx);
+    const invDy = 1 / Math.max(1e-9, this.dy);
+
+    const mu = this.mu;
+    const epsBase = this.eps;
+    const dtOverMu = dt / mu;
+
+    // PEC-like metal: tangential Ez vanishes inside metal.
+    if (metal) {
+      for (let i = 0; i < metal.length; i += 1) {
+        if (metal[i]) {
+          ez[i] = 0;
+          hx[i] = 0;
+          hy[i] = 0;
+        }
+      }
+    }
 
-    // Compute magnitudes + stats
-    const alpha = Math.min(1, dt / this.avgTau);
-    const avgPower = this.avgPower;
-    const avgMagnitude = this.avgMagnitude;
-    const instant = this.instantaneous;
-    let max = 0;
-    let sum = 0;
+    // Update Hx, Hy from curl(E):
+    // Hx -= (dt/μ) dEz/dy
+    // Hy += (dt/μ) dEz/dx
+    for (let y = 0; y < ny - 1; y += 1) {
+      const row = y * nx;
+      const bHy = cpmlY.bH[y];
+      const cHy = cpmlY.cH[y];
+      const kHy = cpmlY.invKappaH[y];
+      for (let x = 0; x < nx - 1; x += 1) {
+        const idx = row + x;
+        if (metal && metal[idx]) continue;
 
-    for (let i = 0; i < instant.length; i += 1) {
-      if (pmlMask && pmlMask[i]) {
-        avgPower[i] = 0;
-        avgMagnitude[i] = 0;
-        instant[i] = 0;
-        continue;
+        let dEz_dy = (ez[idx + nx] - ez[idx]) * invDy;
+        let dEz_dx = (ez[idx + 1] - ez[idx]) * invDx;
+        if (cHy !== 0) {
+          psiHx[idx] = bHy * psiHx[idx] + cHy * dEz_dy;
+          dEz_dy = dEz_dy * kHy + psiHx[idx];
+        }
+        const cHx = cpmlX.cH[x];
+        if (cHx !== 0) {
+          psiHy[idx] = cpmlX.bH[x] * psiHy[idx] + cHx * dEz_dx;
+          dEz_dx = dEz_dx * cpmlX.invKappaH[x] + psiHy[idx];
+        }
+
+        const epsCell = epsBase * epsRGrid[idx];
+        const sigmaE = sigmaGrid[idx] + loss;
+        // Magnetic loss mirrors the electric loss so lossy regions stay impedance-matched.
+        const sigmaM = sigmaE * (mu / epsCell);
+        const denom = 1 + (sigmaM * dt) / (2 * mu);
+        const ch1 = (1 - (sigmaM * dt) / (2 * mu)) / denom;
+        const ch2 = dtOverMu / denom;
+        hx[idx] = ch1 * hx[idx] - ch2 * dEz_dy;
+        hy[idx] = ch1 * hy[idx] + ch2 * dEz_dx;
       }
-      const e2 = ex[i] * ex[i] + ey[i] * ey[i];
-      const value = Math.sqrt(e2);
-      const power = value * value;
+    }
 
-      const nextAvg = avgPower[i] + alpha * (power - avgPower[i]);
-      avgPower[i] = nextAvg;
-      avgMagnitude[i] = Math.sqrt(nextAvg);
-      instant[i] = value;
+    // Update Ez from curl(H): Ez += (dt/ε) (dHy/dx - dHx/dy - Jz), Jz from the ADE pole.
+    for (let y = 1; y < ny - 1; y += 1) {
+      const row = y * nx;
+      const bEy = cpmlY.bE[y];
+      const cEy = cpmlY.cE[y];
+      const kEy = cpmlY.invKappaE[y];
+      for (let x = 1; x < nx - 1; x += 1) {
+        const idx = row + x;
+        if (metal && metal[idx]) continue;
 
-      if (value > max) {
-        max = value;
+        let dHy_dx = (hy[idx] - hy[idx - 1]) * invDx;
+        let dHx_dy = (hx[idx] - hx[idx - nx]) * invDy;
+        const cEx = cpmlX.cE[x];
+        if (cEx !== 0) {
+          psiEzX[idx] = cpmlX.bE[x] * psiEzX[idx] + cEx * dHy_dx;
+          dHy_dx = dHy_dx * cpmlX.invKappaE[x] + psiEzX[idx];
+        }
+        if (cEy !== 0) {
+          psiEzY[idx] = bEy * psiEzY[idx] + cEy * dHx_dy;
+          dHx_dy = dHx_dy * kEy + psiEzY[idx];
+        }
+
+        const epsCell = epsBase * epsRGrid[idx];
+        const sigmaE = sigmaGrid[idx] + loss;
+        const denom = 1 + (sigmaE * dt) / (2 * epsCell);
+        const ce1 = (1 - (sigmaE * dt) / (2 * epsCell)) / denom;
+        const ce2 = dt / epsCell / denom;
+
+        const curlH = dHy_dx - dHx_dy;
+        const slot = dispersion ? dispersion.slot[idx] : -1;
+        if (dispersion && slot >= 0) {
+          // Semi-implicit ADE coupling, see EMSolver2D.
+          const c = dispersion.c[slot];
+          const k = ce2 / dt;
+          const q =
+            dispersion.a[slot] * pz[slot] +
+            dispersion.b[slot] * pzPrev[slot] +
+            dispersion.cNow[slot] * ez[idx] +
+            dispersion.cPrev[slot] * ezPrev[slot];
+          const nextEz = (ce1 * ez[idx] + ce2 * curlH - k * (q - pz[slot])) / (1 + k * c);
+          pzPrev[slot] = pz[slot];
+          pz[slot] = q + c * nextEz;
+          ezPrev[slot] = ez[idx];
+          ez[idx] = nextEz;
+        } else {
+          ez[idx] = ce1 * ez[idx] + ce2 * curlH;
+        }
       }
-      sum += value;
     }
 
-    this.time += dt;
-    this.stats = {
-      time: this.time,
-      maxInstantaneous: max,
-      meanInstantaneous: sum / instant.length
-    };
+    // Sources: Ez is the only electric component in TMz.
+    if (this.sources.length) {
+      const t = this.time;
+      for (const source of this.sources) {
+        const idx = source.index;
+        if (metal && metal[idx]) continue;
+        if (pmlMask && pmlMask[idx]) continue;
+
+        const s = source.amplitude * evalSourceSignal(source, t);
+        if (source.injection === "hard") ez[idx] = s;
+        else ez[idx] += s;
+      }
+    }
+
+    // Outer PEC wall terminating the CPML.
+    for (let x = 0; x < nx; x += 1) {
+      ez[x] = 0;
+      ez[(ny - 1) * nx + x] = 0;
+    }
+    for (let y = 0; y < ny; y += 1) {
+      ez[y * nx] = 0;
+      ez[y * nx + nx - 1] = 0;
+    }
   }
 }
 
@@ -844,7 +1473,7 @@ export class EMSolver2D {
  * @param {{ waveform?: string, frequency: number, phase: number, pulseWidth?: number, pulseDelay?: number }} source
  * @param {number} t
  */
-function evalSourceSignal(source, t) {
+export function evalSourceSignal(source, t) {
   const f = Math.max(0, Number.isFinite(source.frequency) ? source.frequency : 0);
   const phase = Number.isFinite(source.phase) ? source.phase : 0;
   const t0 = Number.isFinite(source.pulseDelay) ? source.pulseDelay : 0;
@@ -869,21 +1498,27 @@ function evalSourceSignal(source, t) {
 
 /**
  * @param {SimulationState} state
- * @returns {WaveSolver2D | EMSolver2D}
+ * @returns {WaveSolver2D | EMSolver2D | EMSolverTMz}
  */
 export function createSolverFromState(state) {
-  const solver =
-    state.simulation.model === "em2d"
-      ? new EMSolver2D({
-          domain: state.domain,
-          solver: state.simulation.solver
-        })
-      : new WaveSolver2D({
+  const config = {
     domain: state.domain,
     solver: state.simulation.solver
-  });
+  };
+  const model = state.simulation.model;
+  const solver =
+    model === "em2dTmz"
+      ? new EMSolverTMz(config)
+      : model === "em2d"
+        ? new EMSolver2D(config)
+        : new WaveSolver2D(config);
   solver.setSources(state.sources);
   solver.setBarrierFromShapes(state.shapes);
+  if (!(solver instanceof WaveSolver2D)) {
+    solver.setDftFrequencies(state.simulation.dft?.frequencies ?? []);
+    solver.setCalibration(state.simulation.calibration);
+    solver.setChannelAnalysis(state.simulation.channelAnalysis);
+  }
   return solver;
 }
 
@@ -902,67 +1537,16 @@ function buildBarrierMask(domain, nx, ny, shapes) {
   const { origin, worldSize } = domain;
   const dx = worldSize.x / Math.max(1, nx - 1);
   const dy = worldSize.y / Math.max(1, ny - 1);
+  const grid = { origin, dx, dy, nx, ny };
 
   for (const shape of shapes) {
-    if (shape.kind === "circle") {
-      const radius = Math.max(0, shape.radius ?? 0);
-      if (radius <= 0) continue;
-      const minX = shape.center.x - radius;
-      const maxX = shape.center.x + radius;
-      const minY = shape.center.y - radius;
-      const maxY = shape.center.y + radius;
-
-      const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-      const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-      const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-      const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
-
-      const r2 = radius * radius;
-      for (let y = iy0; y <= iy1; y += 1) {
-        const wy = origin.y + y * dy;
-        const dyc = wy - shape.center.y;
-        for (let x = ix0; x <= ix1; x += 1) {
-          const wx = origin.x + x * dx;
-          const dxc = wx - shape.center.x;
-          if (dxc * dxc + dyc * dyc <= r2) {
-            mask[y * nx + x] = 1;
-          }
-        }
-      }
-    } else if (shape.kind === "rectangle" && shape.size) {
-      const halfW = shape.size.width * 0.5;
-      const halfH = shape.size.height * 0.5;
-      if (halfW <= 0 || halfH <= 0) continue;
-
-      const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
-      const cosA = Math.cos(angle);
-      const sinA = Math.sin(angle);
-      const radius = Math.hypot(halfW, halfH);
-      const minX = shape.center.x - radius;
-      const maxX = shape.center.x + radius;
-      const minY = shape.center.y - radius;
-      const maxY = shape.center.y + radius;
-
-      const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-      const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-      const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-      const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
-
-      for (let y = iy0; y <= iy1; y += 1) {
-        const wy = origin.y + y * dy;
-        const dyc = wy - shape.center.y;
-        for (let x = ix0; x <= ix1; x += 1) {
-          const wx = origin.x + x * dx;
-          const dxc = wx - shape.center.x;
-
-          const localX = cosA * dxc + sinA * dyc;
-          const localY = -sinA * dxc + cosA * dyc;
-
-          if (Math.abs(localX) <= halfW && Math.abs(localY) <= halfH) {
-            mask[y * nx + x] = 1;
-          }
-        }
-      }
+    forEachShapeCell(shape, grid, (idx) => {
+      mask[idx] = 1;
+    });
+    for (const opening of getOpenings(shape)) {
+      forEachOpeningCell(shape, opening, grid, (idx) => {
+        mask[idx] = opening.material ? 1 : 0;
+      });
     }
   }
 
@@ -974,13 +1558,16 @@ function buildBarrierMask(domain, nx, ny, shapes) {
  * - epsR: relative permittivity
  * - sigma: conductivity-like loss (normalized)
  * - metalMask: PEC-like cells
- * Later shapes overwrite earlier ones.
+ * - poleIndex: 1-based index into `poles` for dispersive cells (0 = none)
+ * Later shapes overwrite earlier ones; a host's openings then overwrite the
+ * host cells they cover (open ones with air). Walls thinner than a cell
+ * diagonal are widened to it so they stay watertight on the grid.
  *
  * @param {SimulationState["domain"]} domain
  * @param {number} nx
  * @param {number} ny
  * @param {import("./types.js").ShapeObject[]} shapes
- * @returns {{ epsR: Float32Array, sigma: Float32Array, metalMask: Uint8Array | null } | null}
+ * @returns {MaterialGrids | null}
  */
 function buildMaterialGrids(domain, nx, ny, shapes) {
   if (!shapes || shapes.length === 0) {
@@ -992,10 +1579,15 @@ function buildMaterialGrids(domain, nx, ny, shapes) {
   sigma.fill(0);
   /** @type {Uint8Array | null} */
   let metalMask = null;
+  /** @type {Uint16Array | null} */
+  let poleIndex = null;
+  /** @type {import("./types.js").DispersionSettings[]} */
+  const poles = [];
 
   const { origin, worldSize } = domain;
   const dx = worldSize.x / Math.max(1, nx - 1);
   const dy = worldSize.y / Math.max(1, ny - 1);
+  const grid = { origin, dx, dy, nx, ny };
 
   for (const shape of shapes) {
     const mat = shape.material || { preset: "drywall", epsR: 2.7, sigma: 0.02 };
@@ -1005,80 +1597,321 @@ function buildMaterialGrids(domain, nx, ny, shapes) {
     if (isMetal && !metalMask) {
       metalMask = new Uint8Array(nx * ny);
     }
+    let poleId = 0;
+    if (mat.dispersion && !isMetal) {
+      poles.push(mat.dispersion);
+      poleId = poles.length;
+      if (!poleIndex) {
+        poleIndex = new Uint16Array(nx * ny);
+      }
+    }
+
+    const metalCells = metalMask;
+    const poleCells = poleIndex;
+    forEachShapeCell(shape, grid, (idx) => {
+      epsR[idx] = epsVal;
+      sigma[idx] = sigVal;
+      if (metalCells) {
+        metalCells[idx] = isMetal ? 1 : 0;
+      }
+      if (poleCells) {
+        poleCells[idx] = poleId;
+      }
+    });
+
+    for (const opening of getOpenings(shape)) {
+      const cut = opening.material || { preset: "air", epsR: 1, sigma: 0 };
+      const cutEps = clamp(cut.epsR ?? 1, 1, 20);
+      const cutSigma = clamp(cut.sigma ?? 0, 0, 200);
+      const cutMetal = cut.preset === "metal";
+      if (cutMetal && !metalMask) {
+        metalMask = new Uint8Array(nx * ny);
+      }
+      let cutPole = 0;
+      if (cut.dispersion && !cutMetal) {
+        poles.push(cut.dispersion);
+        cutPole = poles.length;
+        if (!poleIndex) {
+          poleIndex = new Uint16Array(nx * ny);
+        }
+      }
+      const cutMetalCells = metalMask;
+      const cutPoleCells = poleIndex;
+      forEachOpeningCell(shape, opening, grid, (idx) => {
+        epsR[idx] = cutEps;
+        sigma[idx] = cutSigma;
+        if (cutMetalCells) {
+          cutMetalCells[idx] = cutMetal ? 1 : 0;
+        }
+        if (cutPoleCells) {
+          cutPoleCells[idx] = cutPole;
+        }
+      });
+    }
+  }
 
-    if (shape.kind === "circle") {
-      const radius = Math.max(0, shape.radius ?? 0);
-      if (radius <= 0) continue;
-      const minX = shape.center.x - radius;
-      const maxX = shape.center.x + radius;
-      const minY = shape.center.y - radius;
-      const maxY = shape.center.y + radius;
+  return { epsR, sigma, metalMask, poleIndex, poles };
+}
 
-      const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-      const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-      const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-      const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
+/**
+ * Grid nodes in world space: node (x, y) sits at origin + (x·dx, y·dy).
+ * @typedef {Object} RasterGrid
+ * @property {{ x: number, y: number }} origin
+ * @property {number} dx
+ * @property {number} dy
+ * @property {number} nx
+ * @property {number} ny
+ */
 
-      const r2 = radius * radius;
-      for (let y = iy0; y <= iy1; y += 1) {
-        const wy = origin.y + y * dy;
-        const dyc = wy - shape.center.y;
-        for (let x = ix0; x <= ix1; x += 1) {
-          const wx = origin.x + x * dx;
-          const dxc = wx - shape.center.x;
-          if (dxc * dxc + dyc * dyc <= r2) {
-            const idx = y * nx + x;
-            epsR[idx] = epsVal;
-            sigma[idx] = sigVal;
-            if (metalMask) {
-              metalMask[idx] = isMetal ? 1 : 0;
-            }
-          }
+/**
+ * Visit the grid nodes a shape covers: inside the circle, the rotated
+ * rectangle, or the polygon / wall outline. Walls thinner than a cell diagonal
+ * are widened to it so they stay watertight on the grid. Openings are not cut
+ * out here; see forEachOpeningCell.
+ * @param {import("./types.js").ShapeObject} shape
+ * @param {RasterGrid} grid
+ * @param {(idx: number) => void} visit
+ */
+function forEachShapeCell(shape, grid, visit) {
+  const { origin, dx, dy, nx, ny } = grid;
+  if (shape.kind === "circle") {
+    const radius = Math.max(0, shape.radius ?? 0);
+    if (radius <= 0) return;
+    const minX = shape.center.x - radius;
+    const maxX = shape.center.x + radius;
+    const minY = shape.center.y - radius;
+    const maxY = shape.center.y + radius;
+
+    const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
+    const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
+    const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
+    const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
+
+    const r2 = radius * radius;
+    for (let y = iy0; y <= iy1; y += 1) {
+      const wy = origin.y + y * dy;
+      const dyc = wy - shape.center.y;
+      for (let x = ix0; x <= ix1; x += 1) {
+        const wx = origin.x + x * dx;
+        const dxc = wx - shape.center.x;
+        if (dxc * dxc + dyc * dyc <= r2) {
+          visit(y * nx + x);
+        }
+      }
+    }
+  } else if (shape.kind === "rectangle" && shape.size) {
+    const halfW = shape.size.width * 0.5;
+    const halfH = shape.size.height * 0.5;
+    if (halfW <= 0 || halfH <= 0) return;
+
+    const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
+    const cosA = Math.cos(angle);
+    const sinA = Math.sin(angle);
+    const radius = Math.hypot(halfW, halfH);
+    const minX = shape.center.x - radius;
+    const maxX = shape.center.x + radius;
+    const minY = shape.center.y - radius;
+    const maxY = shape.center.y + radius;
+
+    const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
+    const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
+    const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
+    const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
+
+    for (let y = iy0; y <= iy1; y += 1) {
+      const wy = origin.y + y * dy;
+      const dyc = wy - shape.center.y;
+      for (let x = ix0; x <= ix1; x += 1) {
+        const wx = origin.x + x * dx;
+        const dxc = wx - shape.center.x;
+
+        const localX = cosA * dxc + sinA * dyc;
+        const localY = -sinA * dxc + cosA * dyc;
+
+        if (Math.abs(localX) <= halfW && Math.abs(localY) <= halfH) {
+          visit(y * nx + x);
         }
       }
-    } else if (shape.kind === "rectangle" && shape.size) {
-      const halfW = shape.size.width * 0.5;
-      const halfH = shape.size.height * 0.5;
-      if (halfW <= 0 || halfH <= 0) continue;
-
-      const angle = ((shape.angles?.z ?? 0) * Math.PI) / 180;
-      const cosA = Math.cos(angle);
-      const sinA = Math.sin(angle);
-      const radius = Math.hypot(halfW, halfH);
-      const minX = shape.center.x - radius;
-      const maxX = shape.center.x + radius;
-      const minY = shape.center.y - radius;
-      const maxY = shape.center.y + radius;
-
-      const ix0 = clamp(Math.floor((minX - origin.x) / dx), 0, nx - 1);
-      const ix1 = clamp(Math.ceil((maxX - origin.x) / dx), 0, nx - 1);
-      const iy0 = clamp(Math.floor((minY - origin.y) / dy), 0, ny - 1);
-      const iy1 = clamp(Math.ceil((maxY - origin.y) / dy), 0, ny - 1);
+    }
+  } else if (shape.kind === "polygon" || shape.kind === "wall") {
+    for (const points of getShapeOutlines(shape, Math.hypot(dx, dy))) {
+      const bounds = getPointsBounds(points);
+
+      const ix0 = clamp(Math.floor((bounds.minX - origin.x) / dx), 0, nx - 1);
+      const ix1 = clamp(Math.ceil((bounds.maxX - origin.x) / dx), 0, nx - 1);
+      const iy0 = clamp(Math.floor((bounds.minY - origin.y) / dy), 0, ny - 1);
+      const iy1 = clamp(Math.ceil((bounds.maxY - origin.y) / dy), 0, ny - 1);
 
       for (let y = iy0; y <= iy1; y += 1) {
         const wy = origin.y + y * dy;
-        const dyc = wy - shape.center.y;
         for (let x = ix0; x <= ix1; x += 1) {
-          const wx = origin.x + x * dx;
-          const dxc = wx - shape.center.x;
-
-          const localX = cosA * dxc + sinA * dyc;
-          const localY = -sinA * dxc + cosA * dyc;
-
-          if (Math.abs(localX) <= halfW && Math.abs(localY) <= halfH) {
-            const idx = y * nx + x;
-            epsR[idx] = epsVal;
-            sigma[idx] = sigVal;
-            if (metalMask) {
-              metalMask[idx] = isMetal ? 1 : 0;
-            }
+          if (pointInPolygon(origin.x + x * dx, wy, points)) {
+            visit(y * nx + x);
           }
         }
       }
     }
   }
+}
+
+/**
+ * @param {import("./types.js").ShapeObject} shape
+ * @returns {import("./types.js").OpeningObject[]}
+ */
+function getOpenings(shape) {
+  return shape.kind === "rectangle" || shape.kind === "wall" ? shape.openings ?? [] : [];
+}
+
+/**
+ * Visit the grid nodes an opening cuts out of its host: nodes the host itself
+ * covers (same inside tests as its rasterization) whose position along the
+ * host falls within the opening.
+ * @param {import("./types.js").ShapeObject} host
+ * @param {import("./types.js").OpeningObject} opening
+ * @param {RasterGrid} grid
+ * @param {(idx: number) => void} visit
+ */
+function forEachOpeningCell(host, opening, grid, visit) {
+  const { origin, dx, dy, nx, ny } = grid;
+  const segments = getHostSegments(host, Math.hypot(dx, dy));
+  for (const span of getOpeningSpans(segments, opening)) {
+    const bounds = getPointsBounds(getSpanOutline(span));
+
+    const ix0 = clamp(Math.floor((bounds.minX - origin.x) / dx), 0, nx - 1);
+    const ix1 = clamp(Math.ceil((bounds.maxX - origin.x) / dx), 0, nx - 1);
+    const iy0 = clamp(Math.floor((bounds.minY - origin.y) / dy), 0, ny - 1);
+    const iy1 = clamp(Math.ceil((bounds.maxY - origin.y) / dy), 0, ny - 1);
+
+    for (let y = iy0; y <= iy1; y += 1) {
+      const wy = origin.y + y * dy;
+      for (let x = ix0; x <= ix1; x += 1) {
+        const wx = origin.x + x * dx;
+        if (!spanContains(span, wx, wy)) {
+          continue;
+        }
+        let inside = false;
+        if (host.kind === "rectangle") {
+          const angle = ((host.angles?.z ?? 0) * Math.PI) / 180;
+          const dxc = wx - host.center.x;
+          const dyc = wy - host.center.y;
+          const localX = Math.cos(angle) * dxc + Math.sin(angle) * dyc;
+          const localY = -Math.sin(angle) * dxc + Math.cos(angle) * dyc;
+          inside =
+            Math.abs(localX) <= host.size.width * 0.5 && Math.abs(localY) <= host.size.height * 0.5;
+        } else {
+          inside = pointInPolygon(wx, wy, span.segment.quad);
+        }
+        if (inside) {
+          visit(y * nx + x);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Per-cell auxiliary-differential-equation (ADE) coefficients for dispersive cells.
+ *
+ * Each pole drives a polarization P with the recurrence
+ *   P^{n+1} = a P^n + b P^{n-1} + c E^{n+1} + cNow E^n + cPrev E^{n-1}
+ * and the E update subtracts the polarization current J = (P^{n+1} - P^n) / dt.
+ * Because P^{n+1} depends on E^{n+1}, the solvers solve the E update in closed form,
+ * which keeps the coupling stable for any Δε/εr.
+ * - Debye: τ P' + P = ε Δε E, trapezoidal at n+½ (E^{n+1} and E^n weighted equally)
+ * - Lorentz: P'' + γ P' + ω0² P = ε Δε ω0² E, central at n with E^n ≈ (E^{n+1} + E^{n-1}) / 2
+ * - Drude: Lorentz with ω0 = 0 and ε Δε ω0² replaced by ε ωp²
+ * Pole frequencies are capped at ω dt = 1 so the recurrence itself stays
+ * stable on coarse grids.
+ *
+ * @param {Uint16Array | null} poleIndex
+ * @param {import("./types.js").DispersionSettings[]} poles
+ * @param {number} dt
+ * @param {number} eps base permittivity (ε of the normalized system)
+ * @returns {DispersionSlots | null}
+ */
+function buildDispersionSlots(poleIndex, poles, dt, eps) {
+  if (!poleIndex || poles.length === 0) {
+    return null;
+  }
+  const coefficients = poles.map((pole) => {
+    if (pole.model === "debye") {
+      const tau2 = 2 * Math.max(1e-6, pole.tau);
+      const drive = (eps * pole.deltaEps * dt) / (tau2 + dt);
+      return { a: (tau2 - dt) / (tau2 + dt), b: 0, c: drive, cNow: drive, cPrev: 0 };
+    }
+    const maxOmega = 1 / dt;
+    const gamma = pole.model === "drude" ? pole.collisionFrequency : pole.damping;
+    const gammaHalf = (Math.max(0, gamma) * dt) / 2;
+    const denom = 1 + gammaHalf;
+    const b = (gammaHalf - 1) / denom;
+    if (pole.model === "drude") {
+      const wp = Math.min(TAU * pole.plasmaFrequency, maxOmega);
+      const drive = (0.5 * eps * wp * wp * dt * dt) / denom;
+      return { a: 2 / denom, b, c: drive, cNow: 0, cPrev: drive };
+    }
+    const w0 = Math.min(TAU * pole.resonanceFrequency, maxOmega);
+    const w0dt2 = w0 * w0 * dt * dt;
+    const drive = (0.5 * eps * pole.deltaEps * w0dt2) / denom;
+    return { a: (2 - w0dt2) / denom, b, c: drive, cNow: 0, cPrev: drive };
+  });
+
+  const slot = new Int32Array(poleIndex.length);
+  slot.fill(-1);
+  let count = 0;
+  for (let i = 0; i < poleIndex.length; i += 1) {
+    if (poleIndex[i]) {
+      slot[i] = count;
+      count += 1;
+    }
+  }
+  if (count === 0) {
+    return null;
+  }
+  const slots = {
+    slot,
+    a: new Float32Array(count),
+    b: new Float32Array(count),
+    c: new Float32Array(count),
+    cNow: new Float32Array(count),
+    cPrev: new Float32Array(count),
+    count
+  };
+  for (let i = 0; i < poleIndex.length; i += 1) {
+    const k = slot[i];
+    if (k < 0) continue;
+    const coeff = coefficients[poleIndex[i] - 1];
+    slots.a[k] = coeff.a;
+    slots.b[k] = coeff.b;
+    slots.c[k] = coeff.c;
+    slots.cNow[k] = coeff.cNow;
+    slots.cPrev[k] = coeff.cPrev;
+  }
+  return slots;
+}
 
-  return { epsR, sigma, metalMask };
+/**
+ * Resolve active sources to grid indices with signal defaults filled in.
+ * @param {SourceObject[]} sources
+ * @param {SimulationState["domain"]} domain
+ * @param {number} nx
+ * @param {number} ny
+ * @returns {Required<SourceSample>[]}
+ */
+function toSourceSamples(sources, domain, nx, ny) {
+  return sources
+    .filter((source) => source.active)
+    .map((source) => ({
+      index: indexFromWorld(source.position, domain, nx, ny),
+      amplitude: source.amplitude,
+      phase: source.phase,
+      frequency: source.frequency,
+      waveform: source.waveform || "cw",
+      pulseWidth: source.pulseWidth ?? 0.4,
+      pulseDelay: source.pulseDelay ?? 0,
+      injection: source.injection || "soft",
+      excite: source.excite || "hz",
+      polarizationAngle: source.polarizationAngle ?? 0
+    }));
 }
 
 /**
@@ -1098,34 +1931,212 @@ function indexFromWorld(position, domain, nx, ny) {
 }
 
 /**
- * @param {number} nx
- * @param {number} ny
- * @param {number} width
- * @param {number} dx
- * @param {number} dy
+ * Merge CPML settings from the state (`solver.pml`) with explicit config overrides.
+ * @param {SolverConfig} config
+ * @returns {import("./types.js").PmlSettings}
+ */
+function resolvePmlSettings(config) {
+  const pml = config.solver?.pml;
+  return {
+    thickness: Math.round(clamp(config.pmlWidth ?? pml?.thickness ?? 24, 4, 64)),
+    order: clamp(config.pmlOrder ?? pml?.order ?? 3, 1, 6),
+    kappaMax: clamp(config.pmlKappaMax ?? pml?.kappaMax ?? 1, 1, 30),
+    alphaMax: clamp(config.pmlAlphaMax ?? pml?.alphaMax ?? 0.5, 0, 20),
+    reflection: clamp(config.pmlReflection ?? pml?.reflection ?? 1e-5, 1e-12, 0.1)
+  };
+}
+
+/**
+ * Build CPML update coefficients along one axis.
+ *
+ * Grading over depth ρ ∈ [0, 1] into the layer (ρ = 1 at the outer wall):
+ * - σ(ρ) = σmax ρ^m, with σmax = (m + 1) ln(1/R) c / (2 L)
+ * - κ(ρ) = 1 + (κmax - 1) ρ^m
+ * - α(ρ) = αmax (1 - ρ)
+ * σ and α are normalized by ε (rates in 1/s), which leaves the recursive
+ * convolution coefficients b = exp(-(σ/κ + α) dt) and c = σ (b - 1) / (κ (σ + κ α))
+ * unchanged. Outside the layer c = 0 and 1/κ = 1, so ψ stays zero.
+ *
+ * @param {number} n grid samples along the axis
+ * @param {number} width layer thickness in cells
+ * @param {number} cell cell size along the axis
+ * @param {number} dt
  * @param {number} waveSpeed
- * @returns {Float32Array | null}
+ * @param {import("./types.js").PmlSettings} pml
+ * @returns {CpmlAxis}
  */
-function buildPmlSigma(nx, ny, width, dx, dy, waveSpeed) {
-  if (width <= 0) return null;
-  const sigma = new Float32Array(nx * ny);
-  const p = 3;
-  const targetReflection = 1e-6;
-  const thickness = width * Math.min(dx, dy);
-  const sigmaMax =
-    ((p + 1) * Math.log(1 / targetReflection) * waveSpeed) / (2 * thickness);
+function buildCpmlAxis(n, width, cell, dt, waveSpeed, pml) {
+  const axis = {
+    bE: new Float32Array(n),
+    cE: new Float32Array(n),
+    invKappaE: new Float32Array(n),
+    bH: new Float32Array(n),
+    cH: new Float32Array(n),
+    invKappaH: new Float32Array(n)
+  };
+  axis.invKappaE.fill(1);
+  axis.invKappaH.fill(1);
+  if (width <= 0) {
+    return axis;
+  }
 
-  for (let y = 0; y < ny; y += 1) {
-    const distY = Math.min(y, ny - 1 - y);
-    const rampY = distY < width ? (width - distY) / width : 0;
-    for (let x = 0; x < nx; x += 1) {
-      const distX = Math.min(x, nx - 1 - x);
-      const rampX = distX < width ? (width - distX) / width : 0;
-      const sigmaVal = sigmaMax * (Math.pow(rampX, p) + Math.pow(rampY, p));
-      sigma[y * nx + x] = sigmaVal;
+  const m = pml.order;
+  const thickness = width * cell;
+  const sigmaMax = ((m + 1) * Math.log(1 / pml.reflection) * waveSpeed) / (2 * thickness);
+
+  /**
+   * @param {number} position sample position in cells along the axis
+   * @returns {{ b: number, c: number, invKappa: number }}
+   */
+  const coefficientsAt = (position) => {
+    const low = (width - position) / width;
+    const high = (position - (n - 1 - width)) / width;
+    const depth = Math.max(low, high);
+    if (depth <= 0) {
+      return { b: 0, c: 0, invKappa: 1 };
     }
+    const rho = Math.min(1, depth);
+    const graded = Math.pow(rho, m);
+    const sigma = sigmaMax * graded;
+    const kappa = 1 + (pml.kappaMax - 1) * graded;
+    const alpha = pml.alphaMax * (1 - rho);
+    const b = Math.exp(-(sigma / kappa + alpha) * dt);
+    const denom = kappa * (sigma + kappa * alpha);
+    const c = denom > 0 ? (sigma * (b - 1)) / denom : 0;
+    return { b, c, invKappa: 1 / kappa };
+  };
+
+  for (let i = 0; i < n; i += 1) {
+    const e = coefficientsAt(i);
+    axis.bE[i] = e.b;
+    axis.cE[i] = e.c;
+    axis.invKappaE[i] = e.invKappa;
+    const h = coefficientsAt(i + 0.5);
+    axis.bH[i] = h.b;
+    axis.cH[i] = h.c;
+    axis.invKappaH[i] = h.invKappa;
+  }
+  return axis;
+}
+
+/**
+ * @param {number} size cells per component
+ * @param {number[]} frequencies
+ * @param {number} components
+ * @returns {DftBins}
+ */
+function createDftBins(size, frequencies, components) {
+  const valid = frequencies.filter((f) => Number.isFinite(f) && f > 0).slice(0, MAX_DFT_FREQUENCIES);
+  const count = valid.length * components;
+  return {
+    frequencies: valid,
+    components,
+    re: Array.from({ length: count }, () => new Float32Array(size)),
+    im: Array.from({ length: count }, () => new Float32Array(size)),
+    duration: 0
+  };
+}
+
+/** @param {DftBins} bins */
+function resetDftBins(bins) {
+  bins.re.forEach((arr) => arr.fill(0));
+  bins.im.forEach((arr) => arr.fill(0));
+  bins.duration = 0;
+}
+
+/**
+ * Add one time step to every phasor. Each component is sampled at its own
+ * (staggered) time so E and H phases line up.
+ * @param {DftBins} bins
+ * @param {Float32Array[]} fields
+ * @param {Float64Array} times sample time per field
+ * @param {number} dt
+ */
+function accumulateDft(bins, fields, times, dt) {
+  const { frequencies, components } = bins;
+  if (frequencies.length === 0) {
+    return;
+  }
+  for (let k = 0; k < frequencies.length; k += 1) {
+    const omega = TAU * frequencies[k];
+    for (let c = 0; c < components; c += 1) {
+      const field = fields[c];
+      const re = bins.re[k * components + c];
+      const im = bins.im[k * components + c];
+      const angle = omega * times[c];
+      const wr = Math.cos(angle) * dt;
+      const wi = -Math.sin(angle) * dt;
+      for (let i = 0; i < field.length; i += 1) {
+        const v = field[i];
+        re[i] += v * wr;
+        im[i] += v * wi;
+      }
+    }
+  }
+  bins.duration += dt;
+}
+
+/**
+ * Copy a field array with the PML layer zeroed.
+ * @param {Float32Array} source
+ * @param {Uint8Array | null} pmlMask
+ * @param {Float32Array} out
+ * @returns {Float32Array}
+ */
+function readField(source, pmlMask, out) {
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = pmlMask && pmlMask[i] ? 0 : source[i];
+  }
+  return out;
+}
+
+/**
+ * Amplitude of the combined phasor sqrt(Σ |X_c|²) over `components`.
+ * @param {DftBins} bins
+ * @param {number} index frequency index
+ * @param {number[]} components
+ * @param {Uint8Array | null} pmlMask
+ * @param {Float32Array} out
+ * @returns {Float32Array | null}
+ */
+function readDftAmplitude(bins, index, components, pmlMask, out) {
+  if (index < 0 || index >= bins.frequencies.length) {
+    return null;
+  }
+  const scale = bins.duration > 0 ? 2 / bins.duration : 0;
+  out.fill(0);
+  for (const c of components) {
+    const re = bins.re[index * bins.components + c];
+    const im = bins.im[index * bins.components + c];
+    for (let i = 0; i < out.length; i += 1) {
+      out[i] += re[i] * re[i] + im[i] * im[i];
+    }
+  }
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = pmlMask && pmlMask[i] ? 0 : Math.sqrt(out[i]) * scale;
+  }
+  return out;
+}
+
+/**
+ * Phase of one component's phasor, in radians (-π..π).
+ * @param {DftBins} bins
+ * @param {number} index frequency index
+ * @param {number} component
+ * @param {Uint8Array | null} pmlMask
+ * @param {Float32Array} out
+ * @returns {Float32Array | null}
+ */
+function readDftPhase(bins, index, component, pmlMask, out) {
+  if (index < 0 || index >= bins.frequencies.length) {
+    return null;
+  }
+  const re = bins.re[index * bins.components + component];
+  const im = bins.im[index * bins.components + component];
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = pmlMask && pmlMask[i] ? 0 : Math.atan2(im[i], re[i]);
   }
-  return sigma;
+  return out;
 }
 
 /**
@@ -0,0 +1,108 @@
+// @ts-check
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./output.js").FieldFrame} FieldFrame */
+/** @typedef {import("./solverWorker.js").SolverWorkerRequest} SolverWorkerRequest */
+/** @typedef {import("./solverWorker.js").SolverWorkerResponse} SolverWorkerResponse */
+
+import { ProbeHistory } from "./probes.js";
+
+/**
+ * Main-thread handle on the solver worker. Keeps the latest frame for the
+ * renderers and returns the previous frame's buffer to the worker. Probe
+ * batches are appended to a local history that restarts with each epoch.
+ */
+export class SolverClient {
+  /**
+   * @param {SimulationState} state
+   */
+  constructor(state) {
+    this.worker = new Worker(new URL("./solverWorker.js", import.meta.url), {
+      type: "module"
+    });
+    /** @type {FieldFrame | null} */
+    this.frame = null;
+    /** @type {ProbeHistory | null} */
+    this.probeHistory = null;
+    /** @type {number | null} */
+    this.hoverIndex = null;
+    this.worker.addEventListener("message", (event) => {
+      this.#handleMessage(/** @type {SolverWorkerResponse} */ (event.data));
+    });
+    this.worker.addEventListener("error", (event) => {
+      console.error("Solver worker failed", event.message);
+    });
+    this.setState(state);
+  }
+
+  /**
+   * Forward a store update. The worker decides whether to rebuild the solver
+   * or patch sources/shapes in place.
+   * @param {SimulationState} state
+   */
+  setState(state) {
+    this.#post({ type: "state", state });
+  }
+
+  reset() {
+    this.#post({ type: "reset" });
+  }
+
+  /**
+   * Ask for the values at one grid node in every following frame (`frame.cell`).
+   * @param {number | null} index row-major node index, null to stop
+   */
+  setHoverCell(index) {
+    if (index === this.hoverIndex) {
+      return;
+    }
+    this.hoverIndex = index;
+    this.#post({ type: "hover", index });
+  }
+
+  /**
+   * @returns {FieldFrame | null}
+   */
+  getFrame() {
+    return this.frame;
+  }
+
+  /**
+   * @returns {ProbeHistory | null}
+   */
+  getProbeHistory() {
+    return this.probeHistory;
+  }
+
+  /**
+   * @param {SolverWorkerResponse} message
+   */
+  #handleMessage(message) {
+    if (message.type === "error") {
+      console.error("Solver error:", message.message);
+      return;
+    }
+    if (message.type === "probes") {
+      const { batch } = message;
+      if (!this.probeHistory || this.probeHistory.epoch !== batch.epoch) {
+        this.probeHistory = new ProbeHistory(batch.probeIds, batch.channels, batch.epoch);
+      }
+      this.probeHistory.pushBatch(batch);
+      return;
+    }
+    const previous = this.frame;
+    this.frame = message.frame;
+    if (previous) {
+      const buffer = /** @type {ArrayBuffer} */ (previous.output.values.buffer);
+      this.#post({ type: "release", buffer }, [buffer]);
+    }
+  }
+
+  /**
+   * @param {SolverWorkerRequest} message
+   * @param {Transferable[]} [transfer]
+   */
+  #post(message, transfer = []) {
+    this.worker.postMessage(message, transfer);
+  }
+}
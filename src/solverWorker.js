@@ -0,0 +1,283 @@
+// @ts-check
+
+// Solver thread. Owns the solver, steps it against wall-clock time at its own
+// pace and posts the displayed field back as transferable Float32 buffers.
+// The main thread forwards store updates and hands each buffer back once the
+// frame has been replaced, so at most MAX_BUFFERS frames are ever in flight.
+// Probes are sampled after every step and posted as one batch per tick. The
+// node under the pointer (hover readout), the cross-section profile and the
+// receivers' link estimates are sampled into each frame. With the channel
+// analysis on, the solver also steps one run per access point (see channels.js).
+
+/** @typedef {import("./types.js").SimulationState} SimulationState */
+/** @typedef {import("./output.js").FieldFrame} FieldFrame */
+/** @typedef {import("./probes.js").ProbeBatch} ProbeBatch */
+
+/**
+ * Messages accepted by the worker.
+ * @typedef {{ type: "state", state: SimulationState }
+ *   | { type: "reset" }
+ *   | { type: "hover", index: number | null }
+ *   | { type: "release", buffer: ArrayBuffer }} SolverWorkerRequest
+ */
+
+/**
+ * Messages posted by the worker.
+ * @typedef {{ type: "frame", frame: FieldFrame }
+ *   | { type: "probes", batch: ProbeBatch }
+ *   | { type: "error", message: string }} SolverWorkerResponse
+ */
+
+/**
+ * @typedef {Object} WorkerScope
+ * @property {(message: SolverWorkerResponse, transfer?: Transferable[]) => void} postMessage
+ * @property {(type: "message", listener: (event: MessageEvent<SolverWorkerRequest>) => void) => void} addEventListener
+ */
+
+import { createSolverFromState } from "./solver.js";
+import { createFieldFrame } from "./output.js";
+import { createProbeSampler, ProbeHistory } from "./probes.js";
+import { sampleSection } from "./section.js";
+import { sampleReceivers } from "./link.js";
+
+const TICK_MS = 16;
+const STEP_BUDGET_MS = 12;
+const MAX_BUFFERS = 3;
+// Backlog kept when stepping falls behind real time (in solver steps).
+const MAX_PENDING_STEPS = 8;
+
+const scope = /** @type {WorkerScope} */ (/** @type {unknown} */ (self));
+
+/** @type {SimulationState | null} */
+let state = null;
+/** @type {ReturnType<typeof createSolverFromState> | null} */
+let solver = null;
+let solverKey = "";
+let shapesKey = "";
+let dftKey = "";
+let pending = 0;
+let dirty = true;
+let lastTick = performance.now();
+/** @type {ArrayBuffer[]} */
+let freeBuffers = [];
+let buffersInFlight = 0;
+/** @type {ReturnType<typeof createProbeSampler> | null} */
+let sampler = null;
+/** @type {ProbeHistory | null} */
+let probeBatch = null;
+let probesKey = "";
+let probeEpoch = 0;
+let postedEpoch = -1;
+let probeRow = new Float32Array(0);
+/** @type {number | null} */
+let hoverIndex = null;
+
+scope.addEventListener("message", (event) => {
+  const message = event.data;
+  try {
+    if (message.type === "state") {
+      applyState(message.state);
+    } else if (message.type === "reset") {
+      solver?.reset();
+      pending = 0;
+      dirty = true;
+      restartProbes();
+    } else if (message.type === "hover") {
+      hoverIndex = message.index;
+      // Repost even while paused so the readout follows the pointer.
+      dirty = true;
+    } else if (message.type === "release") {
+      buffersInFlight = Math.max(0, buffersInFlight - 1);
+      freeBuffers.push(message.buffer);
+    }
+  } catch (error) {
+    scope.postMessage({
+      type: "error",
+      message: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+setTimeout(tick, TICK_MS);
+
+/**
+ * Mirrors the rebuild rules the main loop used: a new solver only when the
+ * domain, solver settings or model change; otherwise patch sources, shapes
+ * and DFT frequencies in place.
+ * @param {SimulationState} next
+ */
+function applyState(next) {
+  state = next;
+  dirty = true;
+  const nextSolverKey = JSON.stringify({
+    domain: next.domain,
+    solver: next.simulation.solver,
+    model: next.simulation.model
+  });
+  if (!solver || nextSolverKey !== solverKey) {
+    solver = createSolverFromState(next);
+    solverKey = nextSolverKey;
+    shapesKey = JSON.stringify(next.shapes || []);
+    dftKey = JSON.stringify(next.simulation.dft);
+    pending = 0;
+    probesKey = "";
+    syncProbes(next);
+    return;
+  }
+  solver.setSources(next.sources);
+  const nextShapesKey = JSON.stringify(next.shapes || []);
+  if (nextShapesKey !== shapesKey) {
+    solver.setBarrierFromShapes(next.shapes);
+    shapesKey = nextShapesKey;
+  }
+  if ("setCalibration" in solver) {
+    solver.setCalibration(next.simulation.calibration);
+  }
+  if ("setChannelAnalysis" in solver) {
+    solver.setChannelAnalysis(next.simulation.channelAnalysis);
+  }
+  const nextDftKey = JSON.stringify(next.simulation.dft);
+  if (nextDftKey !== dftKey && "setDftFrequencies" in solver) {
+    solver.setDftFrequencies(next.simulation.dft.frequencies);
+    dftKey = nextDftKey;
+  }
+  syncProbes(next);
+}
+
+/**
+ * Rebuild the sampler when the active probes move or change; the recording
+ * restarts (new epoch) so a trace never mixes two positions.
+ * @param {SimulationState} next
+ */
+function syncProbes(next) {
+  const probes = (next.probes || []).filter((probe) => probe.active);
+  const nextKey = JSON.stringify(probes.map((probe) => [probe.id, probe.position.x, probe.position.y]));
+  if (nextKey === probesKey) {
+    return;
+  }
+  probesKey = nextKey;
+  const model = next.simulation.model;
+  if (!solver || !probes.length || (model !== "em2d" && model !== "em2dTmz")) {
+    sampler = null;
+    probeBatch = null;
+  } else {
+    sampler = createProbeSampler(solver, probes, model);
+    probeRow = new Float32Array(sampler.probeIds.length * sampler.channels.length);
+  }
+  restartProbes();
+}
+
+function restartProbes() {
+  probeEpoch += 1;
+  probeBatch = sampler ? new ProbeHistory(sampler.probeIds, sampler.channels, probeEpoch) : null;
+}
+
+function recordProbes() {
+  if (sampler && probeBatch && solver) {
+    sampler.sample(probeRow);
+    probeBatch.push(solver.time, probeRow);
+  }
+}
+
+function postProbes() {
+  if (postedEpoch === probeEpoch && (!probeBatch || probeBatch.length === 0)) {
+    return;
+  }
+  const batch = probeBatch
+    ? probeBatch.toBatch()
+    : {
+        epoch: probeEpoch,
+        probeIds: [],
+        channels: [],
+        times: new Float64Array(0),
+        values: new Float32Array(0)
+      };
+  probeBatch?.clear();
+  postedEpoch = probeEpoch;
+  scope.postMessage({ type: "probes", batch }, [batch.times.buffer, batch.values.buffer]);
+}
+
+function tick() {
+  const now = performance.now();
+  const elapsed = Math.min(0.1, Math.max(0, (now - lastTick) / 1000));
+  lastTick = now;
+
+  try {
+    if (solver && state) {
+      stepFor(solver, state, elapsed, now + STEP_BUDGET_MS);
+      postProbes();
+      postFrame(solver, state);
+    }
+  } catch (error) {
+    scope.postMessage({
+      type: "error",
+      message: error instanceof Error ? error.message : String(error)
+    });
+  }
+
+  const spent = performance.now() - now;
+  setTimeout(tick, Math.max(0, TICK_MS - spent));
+}
+
+/**
+ * @param {NonNullable<typeof solver>} target
+ * @param {SimulationState} current
+ * @param {number} elapsed wall-clock seconds since the last tick
+ * @param {number} deadline performance.now() value to stop stepping at
+ */
+function stepFor(target, current, elapsed, deadline) {
+  const timeScale = Number.isFinite(current.simulation.timeScale)
+    ? Math.min(4, Math.max(0, current.simulation.timeScale))
+    : 1;
+  if (current.simulation.running === false || timeScale <= 0) {
+    pending = 0;
+    return;
+  }
+  const dt = target.dt;
+  pending += elapsed * timeScale;
+  while (pending >= dt && performance.now() < deadline) {
+    target.advanceSteps(1);
+    recordProbes();
+    pending -= dt;
+    dirty = true;
+  }
+  pending = Math.min(pending, dt * MAX_PENDING_STEPS);
+}
+
+/**
+ * @param {NonNullable<typeof solver>} source
+ * @param {SimulationState} current
+ */
+function postFrame(source, current) {
+  if (!dirty) {
+    return;
+  }
+  const byteLength = source.nx * source.ny * 4;
+  freeBuffers = freeBuffers.filter((buffer) => buffer.byteLength === byteLength);
+  let buffer = freeBuffers.pop();
+  if (!buffer) {
+    if (buffersInFlight >= MAX_BUFFERS) {
+      return;
+    }
+    buffer = new ArrayBuffer(byteLength);
+  }
+  const frame = createFieldFrame(source, current.visualization, buffer, hoverIndex);
+  const section = current.visualization.section;
+  if (section) {
+    frame.section = sampleSection(source, current.visualization, section);
+  }
+  if (current.receivers.length) {
+    frame.receivers = sampleReceivers(source, current.receivers);
+  }
+  buffersInFlight += 1;
+  dirty = false;
+  /** @type {Transferable[]} */
+  const transfer = [frame.output.values.buffer];
+  if (frame.channelOverlap) {
+    transfer.push(frame.channelOverlap.buffer);
+  }
+  if (frame.compare) {
+    transfer.push(frame.compare.values.buffer);
+  }
+  scope.postMessage({ type: "frame", frame }, transfer);
+}
@@ -0,0 +1,232 @@
+// @ts-check
+
+// Frequency response and delay profile at a probe. The recorded trace is
+// divided by the spectrum of the source waveform evaluated on the same time
+// base, so the result describes the path from the sources to the probe rather
+// than the pulse shape. Only meaningful for broadband (Gaussian / Ricker)
+// excitation whose pulse fits inside the recorded window.
+
+/** @typedef {import("./types.js").SourceObject} SourceObject */
+
+import { evalSourceSignal } from "./solver.js";
+
+/**
+ * @typedef {Object} ProbeResponse
+ * @property {Float64Array} frequencies bin centres, 0 up to Nyquist
+ * @property {Float64Array} magnitude |H(f)|, NaN where the source has no energy
+ * @property {Float64Array} phase arg H(f) in radians (wrapped), NaN outside the band
+ * @property {[number, number]} band lowest and highest frequency with source energy
+ * @property {Float64Array} delays lag of each impulse-response sample (s)
+ * @property {Float64Array} profile power delay profile |h(τ)|², peak = 1
+ * @property {number} firstArrival delay of the first profile peak within
+ *   `arrivalThresholdDb` of the strongest one (s), NaN if none
+ * @property {number} meanDelay power-weighted mean delay (s)
+ * @property {number} rmsDelaySpread power-weighted standard deviation of the delay (s)
+ */
+
+/**
+ * @typedef {Object} ProbeResponseOptions
+ * @property {number} [bandThresholdDb] source bins weaker than this (re. the
+ *   strongest bin) are left out of H and damp the deconvolution
+ * @property {number} [arrivalThresholdDb] profile level that counts as an arrival
+ * @property {number} [delayThresholdDb] profile samples below this are ignored
+ *   for the mean delay and RMS delay spread
+ */
+
+/**
+ * @param {ArrayLike<number>} times uniformly spaced sample times (s)
+ * @param {ArrayLike<number>} values one linear field component at the probe
+ * @param {SourceObject[]} sources the reference is the sum of the active ones
+ * @param {ProbeResponseOptions} [options]
+ * @returns {ProbeResponse | null} null when the window is too short or the
+ *   sources carry no energy in it
+ */
+export function analyzeProbeResponse(times, values, sources, options = {}) {
+  const bandThresholdDb = options.bandThresholdDb ?? -30;
+  const arrivalThresholdDb = options.arrivalThresholdDb ?? -10;
+  const delayThresholdDb = options.delayThresholdDb ?? -30;
+  const count = Math.min(times.length, values.length);
+  const active = sources.filter((source) => source.active);
+  if (count < 8 || !active.length) {
+    return null;
+  }
+  const dt = (times[count - 1] - times[0]) / (count - 1);
+  if (!(dt > 0)) {
+    return null;
+  }
+
+  // Zero-pad to at least twice the window so the deconvolution is linear, not circular.
+  const size = nextPowerOfTwo(2 * count);
+  const yRe = new Float64Array(size);
+  const yIm = new Float64Array(size);
+  const xRe = new Float64Array(size);
+  const xIm = new Float64Array(size);
+  for (let i = 0; i < count; i += 1) {
+    yRe[i] = values[i];
+    // A sample taken at t holds what was injected during the step from t - dt.
+    const t = times[i] - dt;
+    let reference = 0;
+    for (const source of active) {
+      reference += source.amplitude * evalSourceSignal(source, t);
+    }
+    xRe[i] = reference;
+  }
+  fft(yRe, yIm, false);
+  fft(xRe, xIm, false);
+
+  let peakPower = 0;
+  for (let k = 0; k <= size / 2; k += 1) {
+    peakPower = Math.max(peakPower, xRe[k] * xRe[k] + xIm[k] * xIm[k]);
+  }
+  if (!(peakPower > 0)) {
+    return null;
+  }
+  const floor = peakPower * 10 ** (bandThresholdDb / 10);
+
+  const bins = size / 2 + 1;
+  const frequencies = new Float64Array(bins);
+  const magnitude = new Float64Array(bins);
+  const phase = new Float64Array(bins);
+  /** @type {[number, number]} */
+  const band = [Infinity, -Infinity];
+  // Analytic (one-sided) Wiener estimate of H, so the impulse response comes
+  // back complex and its modulus is a smooth envelope.
+  const hRe = new Float64Array(size);
+  const hIm = new Float64Array(size);
+  for (let k = 0; k < bins; k += 1) {
+    const frequency = k / (size * dt);
+    frequencies[k] = frequency;
+    const power = xRe[k] * xRe[k] + xIm[k] * xIm[k];
+    // Y · conj(X)
+    const re = yRe[k] * xRe[k] + yIm[k] * xIm[k];
+    const im = yIm[k] * xRe[k] - yRe[k] * xIm[k];
+    if (power >= floor) {
+      magnitude[k] = Math.hypot(re, im) / power;
+      phase[k] = Math.atan2(im, re);
+      band[0] = Math.min(band[0], frequency);
+      band[1] = Math.max(band[1], frequency);
+    } else {
+      magnitude[k] = NaN;
+      phase[k] = NaN;
+    }
+    const weight = k === 0 || k === size / 2 ? 1 : 2;
+    hRe[k] = (weight * re) / (power + floor);
+    hIm[k] = (weight * im) / (power + floor);
+  }
+  fft(hRe, hIm, true);
+
+  // Causal lags only, up to the window length.
+  const delays = new Float64Array(count);
+  const profile = new Float64Array(count);
+  let peak = 0;
+  for (let i = 0; i < count; i += 1) {
+    delays[i] = i * dt;
+    profile[i] = hRe[i] * hRe[i] + hIm[i] * hIm[i];
+    peak = Math.max(peak, profile[i]);
+  }
+  if (peak > 0) {
+    for (let i = 0; i < count; i += 1) {
+      profile[i] /= peak;
+    }
+  }
+
+  const arrivalLevel = 10 ** (arrivalThresholdDb / 10);
+  const delayLevel = 10 ** (delayThresholdDb / 10);
+  let firstArrival = NaN;
+  for (let i = 0; i < count; i += 1) {
+    if (profile[i] >= arrivalLevel) {
+      // Climb to the top of that path's envelope.
+      while (i + 1 < count && profile[i + 1] >= profile[i]) {
+        i += 1;
+      }
+      firstArrival = delays[i];
+      break;
+    }
+  }
+  let sum = 0;
+  let sumDelay = 0;
+  let sumDelaySquared = 0;
+  for (let i = 0; i < count; i += 1) {
+    const power = profile[i];
+    if (power >= delayLevel) {
+      sum += power;
+      sumDelay += power * delays[i];
+      sumDelaySquared += power * delays[i] * delays[i];
+    }
+  }
+  const meanDelay = sum > 0 ? sumDelay / sum : NaN;
+  const rmsDelaySpread =
+    sum > 0 ? Math.sqrt(Math.max(0, sumDelaySquared / sum - meanDelay * meanDelay)) : NaN;
+
+  return {
+    frequencies,
+    magnitude,
+    phase,
+    band: band[0] <= band[1] ? band : [0, 0],
+    delays,
+    profile,
+    firstArrival,
+    meanDelay,
+    rmsDelaySpread
+  };
+}
+
+/**
+ * In-place iterative radix-2 FFT; `inverse` also applies the 1/N scaling.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean} inverse
+ */
+function fft(re, im, inverse) {
+  const size = re.length;
+  for (let i = 1, j = 0; i < size; i += 1) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < size; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < length / 2; k += 1) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < size; i += 1) {
+      re[i] /= size;
+      im[i] /= size;
+    }
+  }
+}
+
+/**
+ * @param {number} value
+ */
+function nextPowerOfTwo(value) {
+  let size = 1;
+  while (size < value) {
+    size <<= 1;
+  }
+  return size;
+}
@@ -2,8 +2,55 @@
 
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 
+import { MAX_POLYGON_VERTICES, MIN_POLYGON_VERTICES, MIN_WALL_VERTICES } from "./geometry.js";
+import { DEFAULT_COLORMAP, resolveColormap } from "./palette.js";
+import { DEFAULT_CHANNELS, limitEirp, radioToSource, WIFI_BANDS } from "./radio.js";
+
 const DEFAULT_VERSION = "1.0";
 
+/** @type {import("./types.js").OutputMode[]} */
+const OUTPUT_MODES = [
+  "instantaneous",
+  "averaged",
+  "amplitude",
+  "phase",
+  "rssi",
+  "channelPower",
+  "sinr",
+  "empirical",
+  "empiricalDiff",
+  "hz",
+  "ex",
+  "ey",
+  "ez",
+  "hx",
+  "hy"
+];
+
+/**
+ * Signed field components each polarization carries. Entries at the same
+ * position are duals (hz ↔ ez, ex ↔ hx, ey ↔ hy), used when the model flips.
+ * @type {Record<"em2d" | "em2dTmz", import("./types.js").FieldComponent[]>}
+ */
+export const FIELD_COMPONENTS = {
+  em2d: ["hz", "ex", "ey"],
+  em2dTmz: ["ez", "hx", "hy"]
+};
+
+/**
+ * Display name per shape kind, also used for default names ("Wall 3").
+ * @type {Record<string, string>}
+ */
+export const SHAPE_LABELS = {
+  rectangle: "Rectangle",
+  circle: "Circle",
+  polygon: "Polygon",
+  wall: "Wall"
+};
+
+// Undo entries kept by createStore; each is a full state snapshot.
+const HISTORY_LIMIT = 100;
+
 /**
  * @returns {string}
  */
@@ -47,15 +94,52 @@ export function createDefaultState() {
       solver: {
         type: "sumOfSources",
         speed: 1,
-        attenuation: 0.1
+        attenuation: 0.1,
+        pml: {
+          thickness: 24,
+          order: 3,
+          kappaMax: 1,
+          alphaMax: 0.5,
+          reflection: 1e-5
+        }
+      },
+      // Off until a DFT output asks for it: every frequency adds six full-grid
+      // multiply-adds per step (see the UI's output handler).
+      dft: {
+        frequencies: []
+      },
+      // 2.4 GHz lands on the default source frequency (1.5); 20 dBm EIRP is amplitude 1.
+      calibration: {
+        hzPerGHz: 0.625,
+        referenceEirpDbm: 20,
+        referenceDistance: 1,
+        sphericalSpreading: true
+      },
+      // -82 dBm is the 802.11 preamble-detect level: above it co-channel
+      // access points hear each other and share airtime.
+      channelAnalysis: {
+        enabled: false,
+        noiseFloorDbm: -95,
+        overlapThresholdDbm: -82
       }
     },
     sources: [],
     shapes: [],
+    probes: [],
+    receivers: [],
     visualization: {
       mode: "2d",
       output: "instantaneous",
-      colormap: "spectral",
+      dftIndex: 0,
+      colormap: DEFAULT_COLORMAP,
+      scale: {
+        mode: "linear",
+        normalization: "auto",
+        fixedMax: 1,
+        dbReference: 1,
+        dbFloor: -40,
+        dbCeiling: 0
+      },
       showGrid: true,
       showAxes: true,
       surface: {
@@ -64,12 +148,31 @@ export function createDefaultState() {
       },
       overlays2d: {
         showSources: true,
-        showShapes: true
+        showShapes: true,
+        showScaleBar: true,
+        showPml: false,
+        showReadout: true
+      },
+      section: null,
+      // Typical survey targets: -67 dBm for voice/video, -80 dBm for basic connectivity.
+      rssi: {
+        floor: -90,
+        ceiling: -30,
+        thresholds: [-67, -80]
+      },
+      channel: "",
+      // n = 2 is free space; the walls are counted separately.
+      empirical: {
+        model: "logDistance",
+        exponent: 2,
+        split: false
       }
     },
     editor: {
       activeTool: "select",
       snapToGrid: false,
+      gridSpacing: 0.25,
+      gridMatchesCell: false,
       snapToShapes: true,
       modal: {
         open: false,
@@ -133,7 +236,7 @@ export function normalizeState(state) {
     if (!Number.isFinite(next.simulation.timeScale)) {
       next.simulation.timeScale = defaults.simulation.timeScale;
     }
-    if (next.simulation.model !== "scalarWave2d" && next.simulation.model !== "em2d") {
+    if (next.simulation.model !== "scalarWave2d" && !isEmModel(next.simulation.model)) {
       next.simulation.model = defaults.simulation.model;
     }
     if (!next.simulation.solver) {
@@ -146,9 +249,13 @@ export function normalizeState(state) {
           next.simulation.solver.attenuation ?? defaults.simulation.solver.attenuation,
           0,
           2
-        )
+        ),
+        pml: normalizePml(next.simulation.solver.pml)
       };
     }
+    next.simulation.dft = normalizeDft(next.simulation.dft);
+    next.simulation.calibration = normalizeCalibration(next.simulation.calibration);
+    next.simulation.channelAnalysis = normalizeChannelAnalysis(next.simulation.channelAnalysis);
     if (!next.simulation.sourceDefaults) {
       next.simulation.sourceDefaults = defaults.simulation.sourceDefaults;
     } else {
@@ -159,7 +266,11 @@ export function normalizeState(state) {
       const injection = injectionRaw === "hard" ? "hard" : "soft";
       const exciteRaw = next.simulation.sourceDefaults.excite;
       const excite =
-        exciteRaw === "ex" || exciteRaw === "ey" || exciteRaw === "e" || exciteRaw === "hz"
+        exciteRaw === "ex" ||
+        exciteRaw === "ey" ||
+        exciteRaw === "e" ||
+        exciteRaw === "hz" ||
+        exciteRaw === "ez"
           ? exciteRaw
           : "hz";
       next.simulation.sourceDefaults = {
@@ -179,20 +290,53 @@ export function normalizeState(state) {
       };
     }
   }
-  // EM-only app: always force the model to EM.
-  next.simulation.model = "em2d";
+  // EM-only app: keep the chosen polarization, otherwise force the model to EM.
+  if (!isEmModel(next.simulation.model)) {
+    next.simulation.model = "em2d";
+  }
   if (!next.visualization) {
     next.visualization = defaults.visualization;
   } else {
-    if (!next.visualization.output) {
+    if (!OUTPUT_MODES.includes(next.visualization.output)) {
       next.visualization.output = "instantaneous";
     }
+    next.visualization.output = matchOutputToModel(
+      next.visualization.output,
+      next.simulation.model
+    );
+    next.visualization.dftIndex = Math.round(
+      clamp(
+        Number.isFinite(next.visualization.dftIndex) ? next.visualization.dftIndex : 0,
+        0,
+        Math.max(0, next.simulation.dft.frequencies.length - 1)
+      )
+    );
     if (!next.visualization.surface) {
       next.visualization.surface = defaults.visualization.surface;
     }
-    if (!next.visualization.overlays2d) {
-      next.visualization.overlays2d = defaults.visualization.overlays2d;
+    next.visualization.colormap = resolveColormap(next.visualization.colormap);
+    next.visualization.scale = normalizeColorScale(
+      next.visualization.scale,
+      defaults.visualization.scale
+    );
+    for (const key of /** @type {const} */ (["showGrid", "showAxes"])) {
+      if (typeof next.visualization[key] !== "boolean") {
+        next.visualization[key] = defaults.visualization[key];
+      }
+    }
+    const overlays = next.visualization.overlays2d ?? defaults.visualization.overlays2d;
+    next.visualization.overlays2d = {
+      showSources: overlays.showSources !== false,
+      showShapes: overlays.showShapes !== false,
+      showScaleBar: overlays.showScaleBar !== false,
+      showPml: overlays.showPml === true,
+      showReadout: overlays.showReadout !== false
+    };
+    next.visualization.rssi = normalizeRssiSettings(next.visualization.rssi);
+    if (typeof next.visualization.channel !== "string") {
+      next.visualization.channel = "";
     }
+    next.visualization.empirical = normalizeEmpirical(next.visualization.empirical);
   }
   if (next.visualization && Object.prototype.hasOwnProperty.call(next.visualization, "zProbe")) {
     delete /** @type {any} */ (next.visualization).zProbe;
@@ -203,6 +347,14 @@ export function normalizeState(state) {
     if (typeof next.editor.snapToGrid !== "boolean") {
       next.editor.snapToGrid = defaults.editor.snapToGrid;
     }
+    next.editor.gridSpacing = clamp(
+      Number.isFinite(next.editor.gridSpacing) ? next.editor.gridSpacing : defaults.editor.gridSpacing,
+      0.001,
+      100
+    );
+    if (typeof next.editor.gridMatchesCell !== "boolean") {
+      next.editor.gridMatchesCell = defaults.editor.gridMatchesCell;
+    }
     if (typeof next.editor.snapToShapes !== "boolean") {
       next.editor.snapToShapes = defaults.editor.snapToShapes;
     }
@@ -217,67 +369,136 @@ export function normalizeState(state) {
   const origin = next.domain.origin;
   const worldSize = next.domain.worldSize;
   const maxSize = Math.max(worldSize.x, worldSize.y, 1);
-  next.domain.grid = normalizeGrid(next.domain.grid, worldSize, next.simulation);
 
-  next.sources = (next.sources || []).map((source, index) => ({
-    ...source,
-    name: typeof source.name === "string" && source.name.trim()
-      ? source.name.trim()
-      : `Source ${index + 1}`,
-    position: {
-      x: clamp(source.position?.x ?? 0, origin.x, origin.x + worldSize.x),
-      y: clamp(source.position?.y ?? 0, origin.y, origin.y + worldSize.y),
-      z: 0
-    },
-    amplitude: clamp(source.amplitude ?? 1, 0, 10),
-    frequency: clamp(
-      source.frequency ?? next.simulation.sourceDefaults.frequency ?? 1.5,
-      0.01,
-      50
-    ),
-    phase: clamp(source.phase ?? 0, -Math.PI, Math.PI),
-    waveform:
-      source.waveform === "gaussian" || source.waveform === "ricker"
-        ? source.waveform
-        : "cw",
-    pulseWidth: clamp(
-      source.pulseWidth ?? next.simulation.sourceDefaults.pulseWidth ?? 0.4,
-      0.001,
-      20
-    ),
-    pulseDelay: clamp(
-      source.pulseDelay ?? next.simulation.sourceDefaults.pulseDelay ?? 0,
-      0,
-      20
-    ),
-    injection: source.injection === "hard" ? "hard" : "soft",
-    excite:
-      source.excite === "ex" ||
-      source.excite === "ey" ||
-      source.excite === "e" ||
-      source.excite === "hz"
-        ? source.excite
-        : next.simulation.sourceDefaults.excite ?? "hz",
-    polarizationAngle: clamp(
-      source.polarizationAngle ?? next.simulation.sourceDefaults.polarizationAngle ?? 0,
-      -180,
-      180
-    ),
-    height: clamp(source.height ?? 1, 0, 10),
-    angles: {
-      x: clamp(source.angles?.x ?? 0, -180, 180),
-      y: clamp(source.angles?.y ?? 0, -180, 180),
-      z: clamp(source.angles?.z ?? 0, -180, 180)
-    },
-    active: source.active !== false
-  }));
+  next.sources = (next.sources || []).map((source, index) => {
+    const settings = normalizeRadio(source.radio);
+    const radio = settings ? limitEirp(settings, next.simulation.calibration) : null;
+    // Access points derive their scaled frequency and amplitude from the radio settings.
+    const derived = radio ? radioToSource(radio, next.simulation.calibration) : null;
+    return {
+      ...source,
+      name: typeof source.name === "string" && source.name.trim()
+        ? source.name.trim()
+        : `Source ${index + 1}`,
+      position: {
+        x: clamp(source.position?.x ?? 0, origin.x, origin.x + worldSize.x),
+        y: clamp(source.position?.y ?? 0, origin.y, origin.y + worldSize.y),
+        z: 0
+      },
+      amplitude: clamp(derived ? derived.amplitude : source.amplitude ?? 1, 0, 10),
+      frequency: clamp(
+        derived
+          ? derived.frequency
+          : source.frequency ?? next.simulation.sourceDefaults.frequency ?? 1.5,
+        0.01,
+        50
+      ),
+      phase: clamp(source.phase ?? 0, -Math.PI, Math.PI),
+      waveform:
+        source.waveform === "gaussian" || source.waveform === "ricker"
+          ? source.waveform
+          : "cw",
+      pulseWidth: clamp(
+        source.pulseWidth ?? next.simulation.sourceDefaults.pulseWidth ?? 0.4,
+        0.001,
+        20
+      ),
+      pulseDelay: clamp(
+        source.pulseDelay ?? next.simulation.sourceDefaults.pulseDelay ?? 0,
+        0,
+        20
+      ),
+      injection: source.injection === "hard" ? "hard" : "soft",
+      excite:
+        source.excite === "ex" ||
+        source.excite === "ey" ||
+        source.excite === "e" ||
+        source.excite === "hz" ||
+        source.excite === "ez"
+          ? source.excite
+          : next.simulation.sourceDefaults.excite ?? "hz",
+      polarizationAngle: clamp(
+        source.polarizationAngle ?? next.simulation.sourceDefaults.polarizationAngle ?? 0,
+        -180,
+        180
+      ),
+      height: clamp(source.height ?? 1, 0, 10),
+      angles: {
+        x: clamp(source.angles?.x ?? 0, -180, 180),
+        y: clamp(source.angles?.y ?? 0, -180, 180),
+        z: clamp(source.angles?.z ?? 0, -180, 180)
+      },
+      active: source.active !== false,
+      radio
+    };
+  });
+  next.domain.grid = normalizeGrid(next.domain.grid, worldSize, next.simulation, next.sources);
 
-  next.shapes = (next.shapes || []).map((shape, index) => {
-    const defaultName = shape.kind === "circle" ? "Circle" : "Rectangle";
+  // Polygons with fewer than three usable vertices (walls: two) are dropped.
+  /** @type {(import("./types.js").ShapeObject | null)[]} */
+  const shapes = (next.shapes || []).map((shape, index) => {
+    const defaultName = SHAPE_LABELS[shape.kind] ?? "Rectangle";
     const name =
       typeof shape.name === "string" && shape.name.trim()
         ? shape.name.trim()
         : `${defaultName} ${index + 1}`;
+    if (shape.kind === "wall") {
+      const points = normalizePolygonPoints(shape.points, maxSize, MIN_WALL_VERTICES);
+      if (!points) {
+        return null;
+      }
+      return {
+        id: shape.id,
+        kind: "wall",
+        name,
+        center: {
+          x: clamp(shape.center?.x ?? 0, origin.x, origin.x + worldSize.x),
+          y: clamp(shape.center?.y ?? 0, origin.y, origin.y + worldSize.y),
+          z: 0
+        },
+        size: null,
+        radius: null,
+        points,
+        thickness: clamp(Number.isFinite(shape.thickness) ? shape.thickness : 0.2, 0.01, 5),
+        closed: shape.closed === true && points.length >= MIN_POLYGON_VERTICES,
+        height: clamp(shape.height ?? 1, 0, 10),
+        angles: {
+          x: clamp(shape.angles?.x ?? 0, -180, 180),
+          y: clamp(shape.angles?.y ?? 0, -180, 180),
+          z: clamp(shape.angles?.z ?? 0, -180, 180)
+        },
+        material: normalizeMaterial(shape.material),
+        openings: normalizeOpenings(shape.openings, maxSize),
+        tags: Array.isArray(shape.tags) ? shape.tags : []
+      };
+    }
+    if (shape.kind === "polygon") {
+      const points = normalizePolygonPoints(shape.points, maxSize, MIN_POLYGON_VERTICES);
+      if (!points) {
+        return null;
+      }
+      return {
+        id: shape.id,
+        kind: "polygon",
+        name,
+        center: {
+          x: clamp(shape.center?.x ?? 0, origin.x, origin.x + worldSize.x),
+          y: clamp(shape.center?.y ?? 0, origin.y, origin.y + worldSize.y),
+          z: 0
+        },
+        size: null,
+        radius: null,
+        points,
+        height: clamp(shape.height ?? 1, 0, 10),
+        angles: {
+          x: clamp(shape.angles?.x ?? 0, -180, 180),
+          y: clamp(shape.angles?.y ?? 0, -180, 180),
+          z: clamp(shape.angles?.z ?? 0, -180, 180)
+        },
+        material: normalizeMaterial(shape.material),
+        tags: Array.isArray(shape.tags) ? shape.tags : []
+      };
+    }
     if (shape.kind === "circle") {
       const material = normalizeMaterial(shape.material);
       return {
@@ -325,12 +546,144 @@ export function normalizeState(state) {
         z: clamp(shape.angles?.z ?? 0, -180, 180)
       },
       material,
+      openings: normalizeOpenings(shape.openings, maxSize),
       tags: Array.isArray(shape.tags) ? shape.tags : []
     };
   });
+  next.shapes = shapes.filter((shape) => shape !== null);
+
+  next.probes = (Array.isArray(next.probes) ? next.probes : []).map((probe, index) => ({
+    id: typeof probe.id === "string" && probe.id ? probe.id : `probe-${index + 1}`,
+    name: typeof probe.name === "string" && probe.name.trim()
+      ? probe.name.trim()
+      : `Probe ${index + 1}`,
+    position: {
+      x: clamp(probe.position?.x ?? 0, origin.x, origin.x + worldSize.x),
+      y: clamp(probe.position?.y ?? 0, origin.y, origin.y + worldSize.y)
+    },
+    active: probe.active !== false
+  }));
+
+  next.receivers = (Array.isArray(next.receivers) ? next.receivers : []).map((receiver, index) => ({
+    id: typeof receiver.id === "string" && receiver.id ? receiver.id : `receiver-${index + 1}`,
+    name: typeof receiver.name === "string" && receiver.name.trim()
+      ? receiver.name.trim()
+      : `Receiver ${index + 1}`,
+    position: {
+      x: clamp(receiver.position?.x ?? 0, origin.x, origin.x + worldSize.x),
+      y: clamp(receiver.position?.y ?? 0, origin.y, origin.y + worldSize.y)
+    },
+    active: receiver.active !== false,
+    // About −101 dBm of thermal noise in 20 MHz plus a 6 dB noise figure.
+    noiseFloorDbm: clamp(
+      Number.isFinite(receiver.noiseFloorDbm) ? receiver.noiseFloorDbm : -95,
+      -120,
+      -40
+    ),
+    spatialStreams: clamp(
+      Math.round(Number.isFinite(receiver.spatialStreams) ? receiver.spatialStreams : 1),
+      1,
+      4
+    )
+  }));
+
+  const section = next.visualization?.section;
+  if (next.visualization) {
+    next.visualization.section = null;
+    if (section && section.start && section.end) {
+      /** @param {{ x: number, y: number }} point */
+      const clampPoint = (point) => ({
+        x: clamp(Number.isFinite(point.x) ? point.x : origin.x, origin.x, origin.x + worldSize.x),
+        y: clamp(Number.isFinite(point.y) ? point.y : origin.y, origin.y, origin.y + worldSize.y)
+      });
+      const start = clampPoint(section.start);
+      const end = clampPoint(section.end);
+      if (start.x !== end.x || start.y !== end.y) {
+        next.visualization.section = { start, end };
+      }
+    }
+  }
   return next;
 }
 
+/**
+ * Keep finite vertex offsets within ±maxSize, capped at MAX_POLYGON_VERTICES.
+ * @param {unknown} value
+ * @param {number} maxSize
+ * @param {number} minCount fewer valid vertices than this yields null
+ * @returns {import("./types.js").Vec2[] | null}
+ */
+function normalizePolygonPoints(value, maxSize, minCount) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  /** @type {unknown[]} */
+  const raw = value;
+  const points = raw
+    .map((point) => /** @type {{ x?: unknown, y?: unknown } | null} */ (point))
+    .filter((point) => point && Number.isFinite(point.x) && Number.isFinite(point.y))
+    .slice(0, MAX_POLYGON_VERTICES)
+    .map((point) => ({
+      x: clamp(Number(point?.x), -maxSize, maxSize),
+      y: clamp(Number(point?.y), -maxSize, maxSize)
+    }));
+  return points.length >= minCount ? points : null;
+}
+
+/**
+ * The dB ceiling is kept at least 1 dB above the floor.
+ * @param {Partial<import("./types.js").ColorScaleSettings> | undefined} value
+ * @param {import("./types.js").ColorScaleSettings} defaults
+ * @returns {import("./types.js").ColorScaleSettings}
+ */
+function normalizeColorScale(value, defaults) {
+  const scale = value ?? {};
+  const finite = (/** @type {unknown} */ v, /** @type {number} */ fallback) =>
+    typeof v === "number" && Number.isFinite(v) ? v : fallback;
+  const dbFloor = clamp(finite(scale.dbFloor, defaults.dbFloor), -200, 199);
+  return {
+    mode: scale.mode === "db" ? "db" : "linear",
+    normalization:
+      scale.normalization === "fixed" || scale.normalization === "peakHold"
+        ? scale.normalization
+        : "auto",
+    fixedMax: clamp(finite(scale.fixedMax, defaults.fixedMax), 1e-9, 1e9),
+    dbReference: clamp(finite(scale.dbReference, defaults.dbReference), 1e-12, 1e12),
+    dbFloor,
+    dbCeiling: clamp(finite(scale.dbCeiling, defaults.dbCeiling), dbFloor + 1, 200)
+  };
+}
+
+/**
+ * Openings keep their offset even when the host shrinks; the solver and
+ * renderers clip them to the host length.
+ * @param {unknown} value
+ * @param {number} maxSize
+ * @returns {import("./types.js").OpeningObject[]}
+ */
+function normalizeOpenings(value, maxSize) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((opening) => opening && typeof opening === "object")
+    .map((opening, index) => {
+      const kind = opening.kind === "window" ? "window" : "door";
+      const label = kind === "window" ? "Window" : "Door";
+      return {
+        id: typeof opening.id === "string" ? opening.id : `opening-${index + 1}`,
+        name:
+          typeof opening.name === "string" && opening.name.trim()
+            ? opening.name.trim()
+            : `${label} ${index + 1}`,
+        kind,
+        offset: clamp(Number.isFinite(opening.offset) ? opening.offset : 0, 0, maxSize),
+        width: clamp(Number.isFinite(opening.width) ? opening.width : 0.9, 0.05, maxSize),
+        material: opening.material ? normalizeMaterial(opening.material) : null
+      };
+    });
+}
+
 /**
  * @param {any} value
  * @returns {import("./types.js").MaterialSettings}
@@ -347,12 +700,16 @@ function normalizeMaterial(value) {
   // - air: epsR=1, sigma=0
   // - drywall: epsR~2.7, sigma small
   // - concrete: epsR~6, sigma higher
+  // - glass: epsR~6, nearly lossless (windows)
+  // - wood: epsR~2, sigma small (doors)
   // - metal: treat as highly conductive + PEC-like in solver
   /** @type {Record<string, { epsR: number, sigma: number, preset: string }>} */
   const presets = {
     air: { preset: "air", epsR: 1, sigma: 0 },
     drywall: { preset: "drywall", epsR: 2.7, sigma: 0.02 },
     concrete: { preset: "concrete", epsR: 6, sigma: 0.2 },
+    glass: { preset: "glass", epsR: 6, sigma: 0.004 },
+    wood: { preset: "wood", epsR: 2, sigma: 0.01 },
     metal: { preset: "metal", epsR: 1, sigma: 50 },
     custom: { preset: "custom", epsR: 2.7, sigma: 0.02 }
   };
@@ -366,7 +723,200 @@ function normalizeMaterial(value) {
       base.preset
     ),
     epsR,
-    sigma
+    sigma,
+    dispersion: normalizeDispersion(value?.dispersion)
+  };
+}
+
+/**
+ * Editable pole parameters per dispersion model: [key, label, tooltip].
+ * Shared by the shape modal and the properties panel.
+ * @type {Record<import("./types.js").DispersionSettings["model"], [string, string, string][]>}
+ */
+export const DISPERSION_PARAMETERS = {
+  debye: [
+    ["deltaEps", "Δε", "Static minus high-frequency permittivity (εs - ε∞)"],
+    ["tau", "τ (s)", "Relaxation time (seconds, scaled)"]
+  ],
+  drude: [
+    ["plasmaFrequency", "fp", "Plasma frequency (scaled Hz); waves below it are reflected"],
+    ["collisionFrequency", "γ (1/s)", "Collision rate (loss)"]
+  ],
+  lorentz: [
+    ["deltaEps", "Δε", "Oscillator strength (static permittivity increase)"],
+    ["resonanceFrequency", "f0", "Resonance frequency (scaled Hz)"],
+    ["damping", "γ (1/s)", "Damping rate (loss)"]
+  ]
+};
+
+/**
+ * Normalize an optional dispersion pole. Missing parameters fall back to
+ * defaults that sit near the default (scaled) source frequency, so
+ * `normalizeDispersion({ model: "drude" })` yields a usable pole.
+ * @param {any} value
+ * @returns {import("./types.js").DispersionSettings | null}
+ */
+export function normalizeDispersion(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  /**
+   * @param {unknown} raw
+   * @param {number} fallback
+   * @param {number} min
+   * @param {number} max
+   */
+  const num = (raw, fallback, min, max) =>
+    clamp(typeof raw === "number" && Number.isFinite(raw) ? raw : fallback, min, max);
+
+  if (value.model === "debye") {
+    return {
+      model: "debye",
+      deltaEps: num(value.deltaEps, 3, 0, 100),
+      tau: num(value.tau, 0.1, 0.001, 100)
+    };
+  }
+  if (value.model === "drude") {
+    return {
+      model: "drude",
+      plasmaFrequency: num(value.plasmaFrequency, 3, 0, 50),
+      collisionFrequency: num(value.collisionFrequency, 1, 0, 100)
+    };
+  }
+  if (value.model === "lorentz") {
+    return {
+      model: "lorentz",
+      deltaEps: num(value.deltaEps, 2, 0, 100),
+      resonanceFrequency: num(value.resonanceFrequency, 2, 0.01, 50),
+      damping: num(value.damping, 0.5, 0, 100)
+    };
+  }
+  return null;
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").DftSettings}
+ */
+function normalizeDft(value) {
+  /** @type {unknown[]} */
+  const raw = value && Array.isArray(value.frequencies) ? value.frequencies : [];
+  const frequencies = raw
+    .filter((f) => typeof f === "number" && Number.isFinite(f) && f > 0)
+    .map((f) => Number(f))
+    .map((f) => clamp(f, 0.01, 50))
+    .slice(0, 4);
+  return { frequencies };
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").RadioCalibration}
+ */
+function normalizeCalibration(value) {
+  const calibration = value && typeof value === "object" ? value : {};
+  return {
+    hzPerGHz: clamp(Number.isFinite(calibration.hzPerGHz) ? calibration.hzPerGHz : 0.625, 0.01, 7),
+    referenceEirpDbm: clamp(
+      Number.isFinite(calibration.referenceEirpDbm) ? calibration.referenceEirpDbm : 20,
+      -20,
+      60
+    ),
+    referenceDistance: clamp(
+      Number.isFinite(calibration.referenceDistance) ? calibration.referenceDistance : 1,
+      0.1,
+      10
+    ),
+    sphericalSpreading: calibration.sphericalSpreading !== false
+  };
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").ChannelAnalysisSettings}
+ */
+export function normalizeChannelAnalysis(value) {
+  const analysis = value && typeof value === "object" ? value : {};
+  return {
+    enabled: analysis.enabled === true,
+    noiseFloorDbm: clamp(
+      Number.isFinite(analysis.noiseFloorDbm) ? analysis.noiseFloorDbm : -95,
+      -120,
+      -40
+    ),
+    overlapThresholdDbm: clamp(
+      Number.isFinite(analysis.overlapThresholdDbm) ? analysis.overlapThresholdDbm : -82,
+      -110,
+      -30
+    )
+  };
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").EmpiricalSettings}
+ */
+function normalizeEmpirical(value) {
+  const empirical = value && typeof value === "object" ? value : {};
+  return {
+    model: empirical.model === "p1238" ? "p1238" : "logDistance",
+    exponent: clamp(Number.isFinite(empirical.exponent) ? empirical.exponent : 2, 1.5, 6),
+    split: empirical.split === true
+  };
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").RssiSettings}
+ */
+export function normalizeRssiSettings(value) {
+  const rssi = value && typeof value === "object" ? value : {};
+  const floor = clamp(Number.isFinite(rssi.floor) ? rssi.floor : -90, -150, 19);
+  const ceiling = clamp(Number.isFinite(rssi.ceiling) ? rssi.ceiling : -30, floor + 1, 20);
+  /** @type {unknown[]} */
+  const raw = Array.isArray(rssi.thresholds) ? rssi.thresholds : [-67, -80];
+  const thresholds = raw
+    .filter((level) => typeof level === "number" && Number.isFinite(level))
+    .map((level) => clamp(Number(level), -150, 20))
+    .slice(0, 4);
+  return { floor, ceiling, thresholds };
+}
+
+/**
+ * Radio settings of an access-point source; null for plain sources. An unknown
+ * channel falls back to the band's default one.
+ * @param {any} value
+ * @returns {import("./types.js").AccessPointSettings | null}
+ */
+function normalizeRadio(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  /** @type {import("./types.js").AccessPointSettings["band"]} */
+  const band = value.band === "5" || value.band === "6" ? value.band : "2.4";
+  const channel = WIFI_BANDS[band].channels.includes(value.channel)
+    ? value.channel
+    : DEFAULT_CHANNELS[band];
+  return {
+    band,
+    channel,
+    txPowerDbm: clamp(Number.isFinite(value.txPowerDbm) ? value.txPowerDbm : 20, -10, 36),
+    antennaGainDbi: clamp(Number.isFinite(value.antennaGainDbi) ? value.antennaGainDbi : 2, -10, 20)
+  };
+}
+
+/**
+ * @param {any} value
+ * @returns {import("./types.js").PmlSettings}
+ */
+export function normalizePml(value) {
+  const pml = value && typeof value === "object" ? value : {};
+  return {
+    thickness: Math.round(clamp(Number.isFinite(pml.thickness) ? pml.thickness : 24, 4, 64)),
+    order: clamp(Number.isFinite(pml.order) ? pml.order : 3, 1, 6),
+    kappaMax: clamp(Number.isFinite(pml.kappaMax) ? pml.kappaMax : 1, 1, 30),
+    alphaMax: clamp(Number.isFinite(pml.alphaMax) ? pml.alphaMax : 0.5, 0, 20),
+    reflection: clamp(Number.isFinite(pml.reflection) ? pml.reflection : 1e-5, 1e-12, 0.1)
   };
 }
 
@@ -379,26 +929,46 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
+/** Grid resolution target for the EM models (the scalar model uses 16). */
+export const EM_CELLS_PER_WAVELENGTH = 12;
+
+/**
+ * Frequency the grid is sized for: the highest of the default source frequency
+ * and the active sources' (unclamped; see normalizeGrid).
+ * @param {SimulationState["simulation"]} simulation
+ * @param {{ active?: boolean, frequency?: number }[]} [sources]
+ * @returns {number}
+ */
+export function getGridFrequency(simulation, sources = []) {
+  return sources.reduce(
+    (max, source) =>
+      source.active !== false && Number.isFinite(source.frequency)
+        ? Math.max(max, /** @type {number} */ (source.frequency))
+        : max,
+    simulation?.sourceDefaults?.frequency ?? (isEmModel(simulation?.model) ? 5 : 1.5)
+  );
+}
+
 /**
  * Auto-scales grid resolution based on domain size and wavelength to maintain
  * consistent quality (cells per wavelength) regardless of domain size.
  * This ensures PML effectiveness and reduces reflections in larger domains.
+ * The wavelength is the shortest of the default source frequency and the
+ * active sources, so a 5 or 6 GHz access point is resolved as well as a
+ * 2.4 GHz one, until the MAX_GRID cap is reached.
  * @param {{ nx?: number, ny?: number }} grid
  * @param {{ x: number, y: number }} worldSize
  * @param {SimulationState["simulation"]} simulation
+ * @param {{ active?: boolean, frequency?: number }[]} [sources]
  */
-function normalizeGrid(grid, worldSize, simulation) {
+export function normalizeGrid(grid, worldSize, simulation, sources = []) {
   // Auto-calculate grid resolution based on wavelength and domain size.
   // For EM, use a slightly lower cells/λ target for interactivity.
-  const isEm = simulation?.model === "em2d";
+  const isEm = isEmModel(simulation?.model);
   const speed = clamp(simulation?.solver?.speed ?? 1, 0.05, isEm ? 50 : 20);
-  const frequency = clamp(
-    simulation?.sourceDefaults?.frequency ?? (isEm ? 5 : 1.5),
-    isEm ? 0.01 : 0.1,
-    isEm ? 50 : 6
-  );
+  const frequency = clamp(getGridFrequency(simulation, sources), isEm ? 0.01 : 0.1, isEm ? 50 : 6);
   const wavelength = speed / frequency;
-  const cellsPerLambda = isEm ? 12 : 16;
+  const cellsPerLambda = isEm ? EM_CELLS_PER_WAVELENGTH : 16;
 
   const dx = clamp(wavelength / cellsPerLambda, 0.01, 10);
   let nx = Math.max(2, Math.round(worldSize.x / dx) + 1);
@@ -415,6 +985,44 @@ function normalizeGrid(grid, worldSize, simulation) {
   return { nx, ny };
 }
 
+/**
+ * Solver node spacing for a domain: nodes sit at origin + i·dx, edge to edge
+ * (the same division WaveSolver2D and the EM solvers use).
+ * @param {SimulationState["domain"]} domain
+ * @returns {{ dx: number, dy: number }}
+ */
+export function getCellSize(domain) {
+  return {
+    dx: domain.worldSize.x / Math.max(1, domain.grid.nx - 1),
+    dy: domain.worldSize.y / Math.max(1, domain.grid.ny - 1)
+  };
+}
+
+/**
+ * Swap a field-component output for its dual when the polarization does not
+ * carry it (hz in TMz shows ez, and so on). Other outputs pass through.
+ * @param {import("./types.js").OutputMode} output
+ * @param {unknown} model
+ * @returns {import("./types.js").OutputMode}
+ */
+export function matchOutputToModel(output, model) {
+  if (!isEmModel(model)) {
+    return output;
+  }
+  const other = FIELD_COMPONENTS[model === "em2d" ? "em2dTmz" : "em2d"];
+  const index = other.indexOf(/** @type {import("./types.js").FieldComponent} */ (output));
+  return index >= 0 ? FIELD_COMPONENTS[model][index] : output;
+}
+
+/**
+ * True for the electromagnetic models (TEz or TMz polarization).
+ * @param {unknown} model
+ * @returns {model is "em2d" | "em2dTmz"}
+ */
+export function isEmModel(model) {
+  return model === "em2d" || model === "em2dTmz";
+}
+
 /**
  * @param {unknown} value
  * @returns {value is SimulationState}
@@ -466,12 +1074,25 @@ export function safeClone(value) {
 }
 
 /**
+ * State container with bounded undo/redo.
+ *
+ * Only changes to the scene (domain, physics settings, sources, shapes) are
+ * recorded; view, editor and play/pause changes pass through without adding
+ * history. Updates made between `beginGesture()` and `endGesture()` (a drag,
+ * a resize) collapse into one undo entry.
  * @param {SimulationState} initialState
  */
 export function createStore(initialState) {
   /** @type {SimulationState} */
   let state = initialState;
   const listeners = new Set();
+  /** @type {SimulationState[]} */
+  const past = [];
+  /** @type {SimulationState[]} */
+  const future = [];
+  let documentKey = getDocumentKey(state);
+  let gestureDepth = 0;
+  let gestureRecorded = false;
 
   /**
    * @returns {SimulationState}
@@ -485,9 +1106,8 @@ export function createStore(initialState) {
    * @param {{ touch?: boolean }} [options]
    */
   function setState(nextState, options = {}) {
-    const shouldTouch = options.touch !== false;
-    state = shouldTouch ? touchUpdatedAt(nextState) : nextState;
-    listeners.forEach((listener) => listener(state));
+    record(state, nextState);
+    commit(nextState, options.touch !== false);
   }
 
   /**
@@ -508,10 +1128,129 @@ export function createStore(initialState) {
     return () => listeners.delete(listener);
   }
 
+  function beginGesture() {
+    if (gestureDepth === 0) {
+      gestureRecorded = false;
+    }
+    gestureDepth += 1;
+  }
+
+  function endGesture() {
+    gestureDepth = Math.max(0, gestureDepth - 1);
+  }
+
+  function undo() {
+    const previous = past.pop();
+    if (!previous) {
+      return;
+    }
+    future.push(state);
+    gestureDepth = 0;
+    commit(restoreDocument(state, previous), true);
+  }
+
+  function redo() {
+    const next = future.pop();
+    if (!next) {
+      return;
+    }
+    past.push(state);
+    gestureDepth = 0;
+    commit(restoreDocument(state, next), true);
+  }
+
+  function canUndo() {
+    return past.length > 0;
+  }
+
+  function canRedo() {
+    return future.length > 0;
+  }
+
+  /**
+   * Push `previous` onto the undo stack if the scene changed.
+   * @param {SimulationState} previous
+   * @param {SimulationState} next
+   */
+  function record(previous, next) {
+    const nextKey = getDocumentKey(next);
+    if (nextKey === documentKey) {
+      return;
+    }
+    documentKey = nextKey;
+    if (gestureDepth > 0) {
+      if (gestureRecorded) {
+        return;
+      }
+      gestureRecorded = true;
+    }
+    past.push(previous);
+    if (past.length > HISTORY_LIMIT) {
+      past.shift();
+    }
+    future.length = 0;
+  }
+
+  /**
+   * @param {SimulationState} nextState
+   * @param {boolean} touch
+   */
+  function commit(nextState, touch) {
+    state = touch ? touchUpdatedAt(nextState) : nextState;
+    documentKey = getDocumentKey(state);
+    listeners.forEach((listener) => listener(state));
+  }
+
   return {
     getState,
     setState,
     updateState,
-    subscribe
+    subscribe,
+    beginGesture,
+    endGesture,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  };
+}
+
+/**
+ * Serialized scene content used to decide whether an update is undoable.
+ * @param {SimulationState} state
+ * @returns {string}
+ */
+function getDocumentKey(state) {
+  const { running, timeScale, ...simulation } = state.simulation;
+  return JSON.stringify({
+    domain: state.domain,
+    simulation,
+    sources: state.sources,
+    shapes: state.shapes,
+    probes: state.probes,
+    receivers: state.receivers
+  });
+}
+
+/**
+ * Take the scene from a history snapshot while keeping the current view,
+ * tool and play state, so undo never flips the camera or pauses the run.
+ * @param {SimulationState} current
+ * @param {SimulationState} snapshot
+ * @returns {SimulationState}
+ */
+function restoreDocument(current, snapshot) {
+  return {
+    ...snapshot,
+    simulation: {
+      ...snapshot.simulation,
+      running: current.simulation.running,
+      timeScale: current.simulation.timeScale
+    },
+    visualization: current.visualization,
+    editor: {
+      ...current.editor,
+      selection: snapshot.editor.selection
+    }
   };
 }
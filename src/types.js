@@ -5,12 +5,24 @@
 
 /** @typedef {{ width: number, height: number }} Size2D */
 
+/**
+ * Single-pole dispersion models (frequencies in the solver's scaled Hz, times in seconds).
+ * - debye: relaxation, Δε / (1 + jωτ)
+ * - drude: free carriers, -ωp² / (ω² - jωγ) with ωp = 2π plasmaFrequency
+ * - lorentz: resonance, Δε ω0² / (ω0² - ω² + jωγ) with ω0 = 2π resonanceFrequency
+ * @typedef {{ model: "debye", deltaEps: number, tau: number }} DebyePole
+ * @typedef {{ model: "drude", plasmaFrequency: number, collisionFrequency: number }} DrudePole
+ * @typedef {{ model: "lorentz", deltaEps: number, resonanceFrequency: number, damping: number }} LorentzPole
+ * @typedef {DebyePole | DrudePole | LorentzPole} DispersionSettings
+ */
+
 /**
  * Shape material parameters for EM simulation.
- * - epsR: relative permittivity (dimensionless)
+ * - epsR: relative permittivity (dimensionless); ε∞ when a dispersion pole is set
  * - sigma: effective conductivity (1/s in our normalized solver)
- * @typedef {"air" | "drywall" | "concrete" | "metal" | "custom"} MaterialPreset
- * @typedef {{ preset: MaterialPreset, epsR: number, sigma: number }} MaterialSettings
+ * - dispersion: optional frequency-dependent pole added on top of epsR
+ * @typedef {"air" | "drywall" | "concrete" | "glass" | "wood" | "metal" | "custom"} MaterialPreset
+ * @typedef {{ preset: MaterialPreset, epsR: number, sigma: number, dispersion?: DispersionSettings | null }} MaterialSettings
  */
 
 /**
@@ -21,18 +33,42 @@
  * @property {"meters" | "units"} units
  */
 
+/**
+ * Convolutional PML (CPML) absorbing boundary.
+ * - thickness: layer thickness in grid cells
+ * - order: polynomial grading order of σ and κ
+ * - kappaMax: peak coordinate stretching (helps grazing/evanescent waves)
+ * - alphaMax: peak complex-frequency shift in 1/s (helps low frequencies)
+ * - reflection: target normal-incidence reflection used to size σmax
+ * @typedef {Object} PmlSettings
+ * @property {number} thickness
+ * @property {number} order
+ * @property {number} kappaMax
+ * @property {number} alphaMax
+ * @property {number} reflection
+ */
+
 /**
  * @typedef {Object} SolverSettings
  * @property {"sumOfSources"} type
  * @property {number} speed
  * @property {number} attenuation
+ * @property {PmlSettings} [pml]
+ */
+
+/**
+ * Running DFT (phasor) accumulation for steady-state maps.
+ * - frequencies: up to 4 frequencies (same scaled units as sources); empty disables it
+ * @typedef {Object} DftSettings
+ * @property {number[]} frequencies
  */
 
 /**
  * High-level physics model selection.
  * - scalarWave2d: 2D scalar wave equation (acoustic/membrane-like)
- * - em2d: electromagnetic (Maxwell/FDTD) placeholder for future work
- * @typedef {"scalarWave2d" | "em2d"} SimulationModel
+ * - em2d: electromagnetic FDTD, TEz polarization (Ex, Ey, Hz)
+ * - em2dTmz: electromagnetic FDTD, TMz polarization (Ez, Hx, Hy)
+ * @typedef {"scalarWave2d" | "em2d" | "em2dTmz"} SimulationModel
  */
 
 /**
@@ -49,10 +85,13 @@
  *  pulseWidth: number,
  *  pulseDelay: number,
  *  injection: "soft" | "hard",
- *  excite: "hz" | "ex" | "ey" | "e",
+ *  excite: "hz" | "ex" | "ey" | "e" | "ez",
  *  polarizationAngle: number
  * }} sourceDefaults
  * @property {SolverSettings} solver
+ * @property {DftSettings} dft
+ * @property {RadioCalibration} calibration
+ * @property {ChannelAnalysisSettings} channelAnalysis
  */
 
 /**
@@ -67,11 +106,80 @@
  * @property {number} pulseWidth
  * @property {number} pulseDelay
  * @property {"soft" | "hard"} injection
- * @property {"hz" | "ex" | "ey" | "e"} excite
+ * @property {"hz" | "ex" | "ey" | "e" | "ez"} excite
  * @property {number} polarizationAngle
  * @property {number} height
  * @property {Vec3} angles
  * @property {boolean} active
+ * @property {AccessPointSettings | null} radio set for access points; their
+ *   `frequency` and `amplitude` are then derived from it (see radio.js)
+ */
+
+/**
+ * Real radio settings of an access-point source.
+ * @typedef {Object} AccessPointSettings
+ * @property {"2.4" | "5" | "6"} band
+ * @property {number} channel 20 MHz channel number within the band
+ * @property {number} txPowerDbm transmit power at the antenna port
+ * @property {number} antennaGainDbi
+ */
+
+/**
+ * Maps access-point settings onto the solver's scaled units (see radio.js)
+ * and the averaged field back onto received power (see rssi.js).
+ * @typedef {Object} RadioCalibration
+ * @property {number} hzPerGHz scaled solver frequency per GHz of carrier
+ * @property {number} referenceEirpDbm EIRP that maps to source amplitude 1
+ * @property {number} referenceDistance metres from each access point where the
+ *   RSSI map is anchored to EIRP minus free-space loss
+ * @property {boolean} sphericalSpreading correct the 2D solver's cylindrical
+ *   spreading to the 1/r of a real antenna
+ */
+
+/**
+ * Co-channel interference analysis (see channels.js). Runs one extra solver per
+ * active access point, so it is off until a channel output asks for it.
+ * @typedef {Object} ChannelAnalysisSettings
+ * @property {boolean} enabled
+ * @property {number} noiseFloorDbm noise added to the interference in the SINR map
+ * @property {number} overlapThresholdDbm level at which two co-channel access
+ *   points count as overlapping (clients and APs defer to each other)
+ */
+
+/**
+ * Point receiver: records the field components and |E| at the nearest grid
+ * node every solver step (see probes.js).
+ * @typedef {Object} ProbeObject
+ * @property {string} id
+ * @property {string} name
+ * @property {Vec2} position
+ * @property {boolean} active
+ */
+
+/**
+ * Client device: reads the RSSI map at its node and estimates SNR, MCS and
+ * throughput from it (see link.js).
+ * @typedef {Object} ReceiverObject
+ * @property {string} id
+ * @property {string} name
+ * @property {Vec2} position
+ * @property {boolean} active
+ * @property {number} noiseFloorDbm noise plus receiver noise figure over the channel
+ * @property {number} spatialStreams 1-4, multiplies the PHY rate
+ */
+
+/**
+ * Door or window cut into a host rectangle or wall. `offset` is the distance
+ * of its center along the host: from the rectangle's local -x end, or along a
+ * wall's centerline from the first vertex. The cut spans the full host depth
+ * and is filled with `material`, or air when it is null (an open doorway).
+ * @typedef {Object} OpeningObject
+ * @property {string} id
+ * @property {string} name
+ * @property {"door" | "window"} kind
+ * @property {number} offset
+ * @property {number} width
+ * @property {MaterialSettings | null} material
  */
 
 /**
@@ -85,6 +193,7 @@
  * @property {number} height
  * @property {Vec3} angles
  * @property {MaterialSettings} material
+ * @property {OpeningObject[]} openings
  * @property {string[]} tags
  */
 
@@ -102,17 +211,118 @@
  * @property {string[]} tags
  */
 
-/** @typedef {RectangleShape | CircleShape} ShapeObject */
+/**
+ * Arbitrary simple polygon. `points` are vertex offsets from `center` (before
+ * the Z rotation), so moving the shape only changes `center`.
+ * @typedef {Object} PolygonShape
+ * @property {"polygon"} kind
+ * @property {string} id
+ * @property {string} name
+ * @property {Vec3} center
+ * @property {null} size
+ * @property {null} radius
+ * @property {Vec2[]} points
+ * @property {number} height
+ * @property {Vec3} angles
+ * @property {MaterialSettings} material
+ * @property {string[]} tags
+ */
+
+/**
+ * Chain of connected wall segments with mitred joins. `points` are centerline
+ * vertex offsets from `center` (before the Z rotation); a closed wall also
+ * joins the last vertex back to the first.
+ * @typedef {Object} WallShape
+ * @property {"wall"} kind
+ * @property {string} id
+ * @property {string} name
+ * @property {Vec3} center
+ * @property {null} size
+ * @property {null} radius
+ * @property {Vec2[]} points
+ * @property {number} thickness
+ * @property {boolean} closed
+ * @property {number} height
+ * @property {Vec3} angles
+ * @property {MaterialSettings} material
+ * @property {OpeningObject[]} openings
+ * @property {string[]} tags
+ */
+
+/** @typedef {RectangleShape | CircleShape | PolygonShape | WallShape} ShapeObject */
+
+/**
+ * Raw signed field component: hz/ex/ey exist in TEz, ez/hx/hy in TMz.
+ * @typedef {"hz" | "ex" | "ey" | "ez" | "hx" | "hy"} FieldComponent
+ */
+
+/**
+ * Field shown by the renderers.
+ * - instantaneous: |E| right now
+ * - averaged: EMA of |E|² (avgTau)
+ * - amplitude: steady-state |E| from the running DFT at `dftIndex`
+ * - phase: phasor phase (Hz in TEz, Ez in TMz) at `dftIndex`
+ * - a FieldComponent: that component's signed value right now
+ * - rssi: estimated received power in dBm from the averaged field (needs an access point)
+ * - channelPower: RSSI summed over the access points on `channel` (channel analysis)
+ * - sinr: strongest access point against the others and the noise floor (channel analysis)
+ * - empirical: received power in dBm from a path-loss formula with wall losses (see pathloss.js)
+ * - empiricalDiff: the RSSI map minus the empirical one, in dB
+ * @typedef {"instantaneous" | "averaged" | "amplitude" | "phase" | "rssi" | "channelPower" | "sinr" | "empirical" | "empiricalDiff" | FieldComponent} OutputMode
+ */
+
+/**
+ * Colour range and contour levels of the RSSI output (dBm).
+ * @typedef {Object} RssiSettings
+ * @property {number} floor dBm at the bottom of the palette
+ * @property {number} ceiling dBm at the top of the palette
+ * @property {number[]} thresholds levels drawn as contour lines (up to 4)
+ */
+
+/**
+ * Empirical path-loss model shown by the empirical outputs (see pathloss.js).
+ * @typedef {Object} EmpiricalSettings
+ * @property {"logDistance" | "p1238"} model log-distance or ITU-R P.1238 (office)
+ * @property {number} exponent log-distance path-loss exponent n
+ * @property {boolean} split show the RSSI map beside the empirical one (2D)
+ */
+
+/**
+ * How field values map onto the palette (phase ignores it and spans -π..π).
+ * - mode: linear (0.6 gamma) or dB, 20·log10(|value| / dbReference)
+ * - normalization: the palette top is the frame maximum (auto), fixedMax or
+ *   dbCeiling (fixed), or the largest value since the view last changed (peakHold)
+ * - dbFloor / dbCeiling: the dB range for fixed; auto and peak hold keep its width
+ * @typedef {Object} ColorScaleSettings
+ * @property {"linear" | "db"} mode
+ * @property {"auto" | "fixed" | "peakHold"} normalization
+ * @property {number} fixedMax
+ * @property {number} dbReference
+ * @property {number} dbFloor
+ * @property {number} dbCeiling
+ */
+
+/**
+ * Segment sampled by the cross-section tool (world units).
+ * @typedef {{ start: Vec2, end: Vec2 }} CrossSection
+ */
 
 /**
  * @typedef {Object} VisualizationSettings
  * @property {"2d" | "3d"} mode
- * @property {"instantaneous" | "averaged"} output
- * @property {string} colormap
+ * @property {OutputMode} output
+ * @property {number} dftIndex
+ * @property {string} colormap key into COLORMAPS (palette.js)
+ * @property {ColorScaleSettings} scale
  * @property {boolean} showGrid
  * @property {boolean} showAxes
  * @property {{ zScale: number, wireframe: boolean }} surface
- * @property {{ showSources: boolean, showShapes: boolean }} overlays2d
+ * @property {{ showSources: boolean, showShapes: boolean, showScaleBar: boolean, showPml: boolean, showReadout: boolean }} overlays2d
+ * @property {CrossSection | null} section cross-section line, null when none is drawn
+ * @property {RssiSettings} rssi
+ * @property {string} channel channel shown by the channelPower output, "band:channel"
+ *   (see channels.js); the first channel when empty or unused
+ * @property {EmpiricalSettings} empirical
  */
 
 /**
@@ -123,14 +333,16 @@
 
 /**
  * @typedef {Object} SelectionState
- * @property {"source" | "shape" | null} type
+ * @property {"source" | "shape" | "probe" | "receiver" | null} type
  * @property {string | null} id
  */
 
 /**
  * @typedef {Object} EditorSettings
- * @property {"select" | "draw-rectangle" | "draw-circle" | "place-source"} activeTool
+ * @property {"select" | "draw-rectangle" | "draw-circle" | "draw-polygon" | "draw-wall" | "place-source" | "place-probe" | "place-receiver" | "draw-section"} activeTool
  * @property {boolean} snapToGrid
+ * @property {number} gridSpacing snap spacing in world units, measured from the domain origin
+ * @property {boolean} gridMatchesCell snap to solver cell boundaries instead (spacing dx, dy)
  * @property {boolean} snapToShapes
  * @property {ModalState} modal
  * @property {SelectionState} selection
@@ -144,6 +356,8 @@
  * @property {SimulationSettings} simulation
  * @property {SourceObject[]} sources
  * @property {ShapeObject[]} shapes
+ * @property {ProbeObject[]} probes
+ * @property {ReceiverObject[]} receivers
  * @property {VisualizationSettings} visualization
  * @property {EditorSettings} editor
  */
@@ -2,15 +2,75 @@
 
 /** @typedef {import("./types.js").SimulationState} SimulationState */
 
+import { formatChannelKey, getChannelKeys } from "./channels.js";
+import { isTextEntryTarget } from "./dom.js";
+import { getHostLength, MAX_OPENING_FRACTION } from "./geometry.js";
+import { isFieldComponent } from "./output.js";
+import { COLORMAPS } from "./palette.js";
 import { exportStateToFile, importStateFromFile } from "./persistence.js";
-import { normalizeState } from "./state.js";
+import {
+  DEFAULT_CHANNELS,
+  getChannelFrequencyMHz,
+  getEirpDbm,
+  limitEirp,
+  radioToSource,
+  WIFI_BANDS
+} from "./radio.js";
+import {
+  DISPERSION_PARAMETERS,
+  EM_CELLS_PER_WAVELENGTH,
+  FIELD_COMPONENTS,
+  getCellSize,
+  isEmModel,
+  matchOutputToModel,
+  normalizeDispersion,
+  normalizeGrid,
+  normalizePml,
+  normalizeRssiSettings,
+  normalizeState,
+  SHAPE_LABELS
+} from "./state.js";
 
 /**
  * @typedef {Object} UIHandles
  * @property {HTMLButtonElement} modeToggle
- * @property {HTMLButtonElement} outputToggle
+ * @property {HTMLButtonElement} polarizationToggle
+ * @property {HTMLSelectElement} outputSelect
+ * @property {HTMLSelectElement} colormapSelect
+ * @property {HTMLSelectElement} scaleModeSelect
+ * @property {HTMLSelectElement} normalizationSelect
+ * @property {HTMLLabelElement} scaleRangeField
+ * @property {HTMLSpanElement} scaleRangeLabel
+ * @property {HTMLInputElement} scaleFixedMaxInput
+ * @property {HTMLInputElement} dbReferenceInput
+ * @property {HTMLInputElement} dbFloorInput
+ * @property {HTMLInputElement} dbCeilingInput
+ * @property {HTMLLabelElement} rssiField
+ * @property {HTMLInputElement} rssiFloorInput
+ * @property {HTMLInputElement} rssiCeilingInput
+ * @property {HTMLInputElement} rssiThresholdsInput
+ * @property {HTMLDivElement} channelField
+ * @property {HTMLInputElement} channelAnalysisCheckbox
+ * @property {HTMLSelectElement} channelSelect
+ * @property {HTMLInputElement} channelNoiseInput
+ * @property {HTMLInputElement} overlapThresholdInput
+ * @property {HTMLDivElement} empiricalField
+ * @property {HTMLSelectElement} empiricalModelSelect
+ * @property {HTMLInputElement} pathLossExponentInput
+ * @property {HTMLInputElement} empiricalSplitCheckbox
+ * @property {HTMLLabelElement} dftField
+ * @property {HTMLInputElement} dftFrequenciesInput
+ * @property {HTMLSelectElement} dftIndexSelect
+ * @property {HTMLDivElement} pmlField
+ * @property {HTMLInputElement} pmlThicknessInput
+ * @property {HTMLInputElement} pmlOrderInput
+ * @property {HTMLInputElement} pmlKappaInput
+ * @property {HTMLInputElement} pmlAlphaInput
+ * @property {HTMLInputElement} pmlReflectionInput
  * @property {HTMLButtonElement} playToggle
  * @property {HTMLButtonElement} resetBtn
+ * @property {HTMLButtonElement} undoBtn
+ * @property {HTMLButtonElement} redoBtn
  * @property {HTMLButtonElement} exportBtn
  * @property {HTMLButtonElement} importBtn
  * @property {HTMLInputElement} importInput
@@ -20,8 +80,20 @@ import { normalizeState } from "./state.js";
  * @property {HTMLInputElement} domainWidthInput
  * @property {HTMLInputElement} domainHeightInput
  * @property {HTMLInputElement} snapToShapesCheckbox
+ * @property {HTMLDivElement} snapGridField
+ * @property {HTMLInputElement} snapToGridCheckbox
+ * @property {HTMLInputElement} gridSpacingInput
+ * @property {HTMLInputElement} gridMatchesCellCheckbox
+ * @property {HTMLDivElement} overlayField
+ * @property {HTMLInputElement} showGridCheckbox
+ * @property {HTMLInputElement} showAxesCheckbox
+ * @property {HTMLInputElement} showScaleBarCheckbox
+ * @property {HTMLInputElement} showPmlCheckbox
+ * @property {HTMLInputElement} showReadoutCheckbox
  * @property {HTMLDivElement} sourceList
  * @property {HTMLDivElement} shapeList
+ * @property {HTMLDivElement} probeList
+ * @property {HTMLDivElement} receiverList
  * @property {HTMLDivElement} propertiesPane
  */
 
@@ -30,9 +102,43 @@ import { normalizeState } from "./state.js";
  */
 function getUIHandles() {
   const modeToggle = document.querySelector("#modeToggle");
-  const outputToggle = document.querySelector("#outputToggle");
+  const polarizationToggle = document.querySelector("#polarizationToggle");
+  const outputSelect = document.querySelector("#outputSelect");
+  const colormapSelect = document.querySelector("#colormapSelect");
+  const scaleModeSelect = document.querySelector("#scaleModeSelect");
+  const normalizationSelect = document.querySelector("#normalizationSelect");
+  const scaleRangeField = document.querySelector("#scaleRangeField");
+  const scaleRangeLabel = document.querySelector("#scaleRangeLabel");
+  const scaleFixedMaxInput = document.querySelector("#scaleFixedMaxInput");
+  const dbReferenceInput = document.querySelector("#dbReferenceInput");
+  const dbFloorInput = document.querySelector("#dbFloorInput");
+  const dbCeilingInput = document.querySelector("#dbCeilingInput");
+  const rssiField = document.querySelector("#rssiField");
+  const rssiFloorInput = document.querySelector("#rssiFloorInput");
+  const rssiCeilingInput = document.querySelector("#rssiCeilingInput");
+  const rssiThresholdsInput = document.querySelector("#rssiThresholdsInput");
+  const channelField = document.querySelector("#channelField");
+  const channelAnalysisCheckbox = document.querySelector("#channelAnalysisCheckbox");
+  const channelSelect = document.querySelector("#channelSelect");
+  const channelNoiseInput = document.querySelector("#channelNoiseInput");
+  const overlapThresholdInput = document.querySelector("#overlapThresholdInput");
+  const empiricalField = document.querySelector("#empiricalField");
+  const empiricalModelSelect = document.querySelector("#empiricalModelSelect");
+  const pathLossExponentInput = document.querySelector("#pathLossExponentInput");
+  const empiricalSplitCheckbox = document.querySelector("#empiricalSplitCheckbox");
+  const dftField = document.querySelector("#dftField");
+  const dftFrequenciesInput = document.querySelector("#dftFrequenciesInput");
+  const dftIndexSelect = document.querySelector("#dftIndexSelect");
+  const pmlField = document.querySelector("#pmlField");
+  const pmlThicknessInput = document.querySelector("#pmlThicknessInput");
+  const pmlOrderInput = document.querySelector("#pmlOrderInput");
+  const pmlKappaInput = document.querySelector("#pmlKappaInput");
+  const pmlAlphaInput = document.querySelector("#pmlAlphaInput");
+  const pmlReflectionInput = document.querySelector("#pmlReflectionInput");
   const playToggle = document.querySelector("#playToggle");
   const resetBtn = document.querySelector("#resetSim");
+  const undoBtn = document.querySelector("#undoBtn");
+  const redoBtn = document.querySelector("#redoBtn");
   const exportBtn = document.querySelector("#exportBtn");
   const importBtn = document.querySelector("#importBtn");
   const importInput = document.querySelector("#importInput");
@@ -42,15 +148,61 @@ function getUIHandles() {
   const domainWidthInput = document.querySelector("#domainWidthInput");
   const domainHeightInput = document.querySelector("#domainHeightInput");
   const snapToShapesCheckbox = document.querySelector("#snapToShapesCheckbox");
+  const snapGridField = document.querySelector("#snapGridField");
+  const snapToGridCheckbox = document.querySelector("#snapToGridCheckbox");
+  const gridSpacingInput = document.querySelector("#gridSpacingInput");
+  const gridMatchesCellCheckbox = document.querySelector("#gridMatchesCellCheckbox");
+  const overlayField = document.querySelector("#overlayField");
+  const showGridCheckbox = document.querySelector("#showGridCheckbox");
+  const showAxesCheckbox = document.querySelector("#showAxesCheckbox");
+  const showScaleBarCheckbox = document.querySelector("#showScaleBarCheckbox");
+  const showPmlCheckbox = document.querySelector("#showPmlCheckbox");
+  const showReadoutCheckbox = document.querySelector("#showReadoutCheckbox");
   const sourceList = document.querySelector("#sourceList");
   const shapeList = document.querySelector("#shapeList");
+  const probeList = document.querySelector("#probeList");
+  const receiverList = document.querySelector("#receiverList");
   const propertiesPane = document.querySelector("#propertiesPane");
 
   if (
     !(modeToggle instanceof HTMLButtonElement) ||
-    !(outputToggle instanceof HTMLButtonElement) ||
+    !(polarizationToggle instanceof HTMLButtonElement) ||
+    !(outputSelect instanceof HTMLSelectElement) ||
+    !(colormapSelect instanceof HTMLSelectElement) ||
+    !(scaleModeSelect instanceof HTMLSelectElement) ||
+    !(normalizationSelect instanceof HTMLSelectElement) ||
+    !(scaleRangeField instanceof HTMLLabelElement) ||
+    !(scaleRangeLabel instanceof HTMLSpanElement) ||
+    !(scaleFixedMaxInput instanceof HTMLInputElement) ||
+    !(dbReferenceInput instanceof HTMLInputElement) ||
+    !(dbFloorInput instanceof HTMLInputElement) ||
+    !(dbCeilingInput instanceof HTMLInputElement) ||
+    !(rssiField instanceof HTMLLabelElement) ||
+    !(rssiFloorInput instanceof HTMLInputElement) ||
+    !(rssiCeilingInput instanceof HTMLInputElement) ||
+    !(rssiThresholdsInput instanceof HTMLInputElement) ||
+    !(channelField instanceof HTMLDivElement) ||
+    !(channelAnalysisCheckbox instanceof HTMLInputElement) ||
+    !(channelSelect instanceof HTMLSelectElement) ||
+    !(channelNoiseInput instanceof HTMLInputElement) ||
+    !(overlapThresholdInput instanceof HTMLInputElement) ||
+    !(empiricalField instanceof HTMLDivElement) ||
+    !(empiricalModelSelect instanceof HTMLSelectElement) ||
+    !(pathLossExponentInput instanceof HTMLInputElement) ||
+    !(empiricalSplitCheckbox instanceof HTMLInputElement) ||
+    !(dftField instanceof HTMLLabelElement) ||
+    !(dftFrequenciesInput instanceof HTMLInputElement) ||
+    !(dftIndexSelect instanceof HTMLSelectElement) ||
+    !(pmlField instanceof HTMLDivElement) ||
+    !(pmlThicknessInput instanceof HTMLInputElement) ||
+    !(pmlOrderInput instanceof HTMLInputElement) ||
+    !(pmlKappaInput instanceof HTMLInputElement) ||
+    !(pmlAlphaInput instanceof HTMLInputElement) ||
+    !(pmlReflectionInput instanceof HTMLInputElement) ||
     !(playToggle instanceof HTMLButtonElement) ||
     !(resetBtn instanceof HTMLButtonElement) ||
+    !(undoBtn instanceof HTMLButtonElement) ||
+    !(redoBtn instanceof HTMLButtonElement) ||
     !(exportBtn instanceof HTMLButtonElement) ||
     !(importBtn instanceof HTMLButtonElement) ||
     !(importInput instanceof HTMLInputElement) ||
@@ -59,8 +211,20 @@ function getUIHandles() {
     !(domainWidthInput instanceof HTMLInputElement) ||
     !(domainHeightInput instanceof HTMLInputElement) ||
     !(snapToShapesCheckbox instanceof HTMLInputElement) ||
+    !(snapGridField instanceof HTMLDivElement) ||
+    !(snapToGridCheckbox instanceof HTMLInputElement) ||
+    !(gridSpacingInput instanceof HTMLInputElement) ||
+    !(gridMatchesCellCheckbox instanceof HTMLInputElement) ||
+    !(overlayField instanceof HTMLDivElement) ||
+    !(showGridCheckbox instanceof HTMLInputElement) ||
+    !(showAxesCheckbox instanceof HTMLInputElement) ||
+    !(showScaleBarCheckbox instanceof HTMLInputElement) ||
+    !(showPmlCheckbox instanceof HTMLInputElement) ||
+    !(showReadoutCheckbox instanceof HTMLInputElement) ||
     !(sourceList instanceof HTMLDivElement) ||
     !(shapeList instanceof HTMLDivElement) ||
+    !(probeList instanceof HTMLDivElement) ||
+    !(receiverList instanceof HTMLDivElement) ||
     !(propertiesPane instanceof HTMLDivElement)
   ) {
     throw new Error("UI elements not found.");
@@ -68,9 +232,43 @@ function getUIHandles() {
 
   return {
     modeToggle,
-    outputToggle,
+    polarizationToggle,
+    outputSelect,
+    colormapSelect,
+    scaleModeSelect,
+    normalizationSelect,
+    scaleRangeField,
+    scaleRangeLabel,
+    scaleFixedMaxInput,
+    dbReferenceInput,
+    dbFloorInput,
+    dbCeilingInput,
+    rssiField,
+    rssiFloorInput,
+    rssiCeilingInput,
+    rssiThresholdsInput,
+    channelField,
+    channelAnalysisCheckbox,
+    channelSelect,
+    channelNoiseInput,
+    overlapThresholdInput,
+    empiricalField,
+    empiricalModelSelect,
+    pathLossExponentInput,
+    empiricalSplitCheckbox,
+    dftField,
+    dftFrequenciesInput,
+    dftIndexSelect,
+    pmlField,
+    pmlThicknessInput,
+    pmlOrderInput,
+    pmlKappaInput,
+    pmlAlphaInput,
+    pmlReflectionInput,
     playToggle,
     resetBtn,
+    undoBtn,
+    redoBtn,
     exportBtn,
     importBtn,
     importInput,
@@ -80,8 +278,20 @@ function getUIHandles() {
     domainWidthInput,
     domainHeightInput,
     snapToShapesCheckbox,
+    snapGridField,
+    snapToGridCheckbox,
+    gridSpacingInput,
+    gridMatchesCellCheckbox,
+    overlayField,
+    showGridCheckbox,
+    showAxesCheckbox,
+    showScaleBarCheckbox,
+    showPmlCheckbox,
+    showReadoutCheckbox,
     sourceList,
     shapeList,
+    probeList,
+    receiverList,
     propertiesPane
   };
 }
@@ -90,7 +300,11 @@ function getUIHandles() {
  * @param {{
  *  getState: () => SimulationState,
  *  setState: (state: SimulationState, options?: { touch?: boolean }) => void,
- *  updateState: (updater: (draft: SimulationState) => SimulationState) => void
+ *  updateState: (updater: (draft: SimulationState) => SimulationState) => void,
+ *  undo: () => void,
+ *  redo: () => void,
+ *  canUndo: () => boolean,
+ *  canRedo: () => boolean
  * }} store
  * @param {{ onReset?: () => void }} [options]
  */
@@ -109,16 +323,253 @@ export function initUI(store, options = {}) {
     });
   });
 
-  handles.outputToggle.addEventListener("click", () => {
+  handles.polarizationToggle.addEventListener("click", () => {
+    store.updateState((draft) => {
+      draft.simulation.model = draft.simulation.model === "em2dTmz" ? "em2d" : "em2dTmz";
+      draft.visualization.output = matchOutputToModel(
+        draft.visualization.output,
+        draft.simulation.model
+      );
+      return draft;
+    });
+  });
+
+  handles.outputSelect.addEventListener("change", () => {
+    const value = handles.outputSelect.value;
     store.updateState((draft) => {
       draft.visualization.output =
-        draft.visualization.output === "instantaneous"
-          ? "averaged"
+        value === "averaged" ||
+        value === "amplitude" ||
+        value === "phase" ||
+        value === "rssi" ||
+        value === "channelPower" ||
+        value === "sinr" ||
+        value === "empirical" ||
+        value === "empiricalDiff" ||
+        isFieldComponent(value)
+          ? value
           : "instantaneous";
+      // The channel outputs only exist while the per-AP runs do.
+      if (value === "channelPower" || value === "sinr") {
+        draft.simulation.channelAnalysis.enabled = true;
+      }
+      // Likewise the DFT only accumulates once it has a frequency.
+      if ((value === "amplitude" || value === "phase") && !draft.simulation.dft.frequencies.length) {
+        draft.simulation.dft = { frequencies: [draft.simulation.sourceDefaults.frequency] };
+        draft.visualization.dftIndex = 0;
+      }
+      return draft;
+    });
+  });
+
+  for (const kind of /** @type {const} */ (["sequential", "diverging"])) {
+    const group = document.createElement("optgroup");
+    group.label = kind === "sequential" ? "Sequential" : "Diverging";
+    for (const [name, map] of Object.entries(COLORMAPS)) {
+      if (map.kind !== kind) continue;
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = map.colorblindSafe ? `${map.label} ✓` : map.label;
+      option.title = map.colorblindSafe ? `${map.label} (colorblind-safe)` : map.label;
+      group.appendChild(option);
+    }
+    handles.colormapSelect.appendChild(group);
+  }
+
+  handles.colormapSelect.addEventListener("change", () => {
+    const value = handles.colormapSelect.value;
+    store.updateState((draft) => {
+      draft.visualization.colormap = value;
+      return draft;
+    });
+  });
+
+  handles.scaleModeSelect.addEventListener("change", () => {
+    const value = handles.scaleModeSelect.value === "db" ? "db" : "linear";
+    store.updateState((draft) => {
+      draft.visualization.scale.mode = value;
+      return draft;
+    });
+  });
+
+  handles.normalizationSelect.addEventListener("change", () => {
+    const value = handles.normalizationSelect.value;
+    store.updateState((draft) => {
+      draft.visualization.scale.normalization =
+        value === "fixed" || value === "peakHold" ? value : "auto";
+      return draft;
+    });
+  });
+
+  /** @type {[HTMLInputElement, "fixedMax" | "dbReference" | "dbFloor" | "dbCeiling"][]} */
+  const scaleInputs = [
+    [handles.scaleFixedMaxInput, "fixedMax"],
+    [handles.dbReferenceInput, "dbReference"],
+    [handles.dbFloorInput, "dbFloor"],
+    [handles.dbCeilingInput, "dbCeiling"]
+  ];
+  for (const [input, key] of scaleInputs) {
+    input.addEventListener("change", () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      store.updateState((draft) => {
+        const scale = draft.visualization.scale;
+        if (key === "fixedMax" || key === "dbReference") {
+          scale[key] = Math.max(1e-12, value);
+        } else if (key === "dbFloor") {
+          scale.dbFloor = clamp(value, -200, 199);
+          scale.dbCeiling = Math.max(scale.dbCeiling, scale.dbFloor + 1);
+        } else {
+          scale.dbCeiling = clamp(value, -199, 200);
+          scale.dbFloor = Math.min(scale.dbFloor, scale.dbCeiling - 1);
+        }
+        return draft;
+      });
+    });
+  }
+
+  /** @type {[HTMLInputElement, "floor" | "ceiling"][]} */
+  const rssiInputs = [
+    [handles.rssiFloorInput, "floor"],
+    [handles.rssiCeilingInput, "ceiling"]
+  ];
+  for (const [input, key] of rssiInputs) {
+    input.addEventListener("change", () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      store.updateState((draft) => {
+        const rssi = draft.visualization.rssi;
+        // Keep the other end at least 1 dB away, as the dB scale inputs do.
+        if (key === "floor") {
+          rssi.floor = clamp(value, -150, 19);
+          rssi.ceiling = Math.max(rssi.ceiling, rssi.floor + 1);
+        } else {
+          rssi.ceiling = clamp(value, -149, 20);
+          rssi.floor = Math.min(rssi.floor, rssi.ceiling - 1);
+        }
+        return draft;
+      });
+    });
+  }
+
+  handles.rssiThresholdsInput.addEventListener("change", () => {
+    const thresholds = handles.rssiThresholdsInput.value
+      .split(/[,;\s]+/)
+      .map((part) => parseFloat(part));
+    store.updateState((draft) => {
+      draft.visualization.rssi = normalizeRssiSettings({ ...draft.visualization.rssi, thresholds });
+      return draft;
+    });
+  });
+
+  handles.channelAnalysisCheckbox.addEventListener("change", () => {
+    const checked = handles.channelAnalysisCheckbox.checked;
+    store.updateState((draft) => {
+      draft.simulation.channelAnalysis.enabled = checked;
+      return draft;
+    });
+  });
+
+  handles.channelSelect.addEventListener("change", () => {
+    const channel = handles.channelSelect.value;
+    store.updateState((draft) => {
+      draft.visualization.channel = channel;
+      return draft;
+    });
+  });
+
+  /** @type {[HTMLInputElement, "noiseFloorDbm" | "overlapThresholdDbm", number, number][]} */
+  const channelInputs = [
+    [handles.channelNoiseInput, "noiseFloorDbm", -120, -40],
+    [handles.overlapThresholdInput, "overlapThresholdDbm", -110, -30]
+  ];
+  for (const [input, key, min, max] of channelInputs) {
+    input.addEventListener("change", () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      store.updateState((draft) => {
+        draft.simulation.channelAnalysis[key] = clamp(value, min, max);
+        return draft;
+      });
+    });
+  }
+
+  handles.empiricalModelSelect.addEventListener("change", () => {
+    const model = handles.empiricalModelSelect.value === "p1238" ? "p1238" : "logDistance";
+    store.updateState((draft) => {
+      draft.visualization.empirical.model = model;
+      return draft;
+    });
+  });
+
+  handles.pathLossExponentInput.addEventListener("change", () => {
+    const value = parseFloat(handles.pathLossExponentInput.value);
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    store.updateState((draft) => {
+      draft.visualization.empirical.exponent = clamp(value, 1.5, 6);
+      return draft;
+    });
+  });
+
+  handles.empiricalSplitCheckbox.addEventListener("change", () => {
+    const checked = handles.empiricalSplitCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.empirical.split = checked;
+      return draft;
+    });
+  });
+
+  handles.dftFrequenciesInput.addEventListener("change", () => {
+    const frequencies = parseFrequencyList(handles.dftFrequenciesInput.value);
+    store.updateState((draft) => {
+      draft.simulation.dft = { frequencies };
+      draft.visualization.dftIndex = clamp(
+        draft.visualization.dftIndex,
+        0,
+        Math.max(0, frequencies.length - 1)
+      );
+      return draft;
+    });
+  });
+
+  handles.dftIndexSelect.addEventListener("change", () => {
+    const index = parseInt(handles.dftIndexSelect.value, 10);
+    store.updateState((draft) => {
+      draft.visualization.dftIndex = Number.isFinite(index) ? index : 0;
       return draft;
     });
   });
 
+  /** @type {[HTMLInputElement, keyof import("./types.js").PmlSettings][]} */
+  const pmlInputs = [
+    [handles.pmlThicknessInput, "thickness"],
+    [handles.pmlOrderInput, "order"],
+    [handles.pmlKappaInput, "kappaMax"],
+    [handles.pmlAlphaInput, "alphaMax"],
+    [handles.pmlReflectionInput, "reflection"]
+  ];
+  for (const [input, key] of pmlInputs) {
+    input.addEventListener("change", () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      // A new CPML rebuilds the solver, so the field restarts from rest.
+      store.updateState((draft) => {
+        draft.simulation.solver.pml = normalizePml({ ...draft.simulation.solver.pml, [key]: value });
+        return draft;
+      });
+    });
+  }
+
   handles.playToggle.addEventListener("click", () => {
     store.updateState((draft) => {
       draft.simulation.running = !draft.simulation.running;
@@ -157,22 +608,14 @@ export function initUI(store, options = {}) {
         return draft;
       }
 
-      const dx = computeTargetCellSize(draft);
-      // grid.nx/ny store sample counts, so add 1 to keep dx near target.
-      let nextNx = Math.max(2, Math.round(width / dx) + 1);
-      let nextNy = Math.max(2, Math.round(height / dx) + 1);
-      // Keep it interactive in the browser.
-      const MAX_GRID = 512;
-      if (nextNx > MAX_GRID || nextNy > MAX_GRID) {
-        const scale = Math.max(nextNx / MAX_GRID, nextNy / MAX_GRID);
-        nextNx = Math.max(2, Math.round(nextNx / scale));
-        nextNy = Math.max(2, Math.round(nextNy / scale));
-      }
-
       draft.domain.worldSize.x = width;
       draft.domain.worldSize.y = height;
-      draft.domain.grid.nx = nextNx;
-      draft.domain.grid.ny = nextNy;
+      draft.domain.grid = normalizeGrid(
+        draft.domain.grid,
+        draft.domain.worldSize,
+        draft.simulation,
+        draft.sources
+      );
 
       clampObjectsToDomain(draft);
       return draft;
@@ -206,6 +649,90 @@ export function initUI(store, options = {}) {
   // Sync checkbox with state on initialization
   handles.snapToShapesCheckbox.checked = store.getState().editor.snapToShapes ?? true;
 
+  handles.snapToGridCheckbox.addEventListener("change", () => {
+    const checked = handles.snapToGridCheckbox.checked;
+    store.updateState((draft) => {
+      draft.editor.snapToGrid = checked;
+      return draft;
+    });
+  });
+
+  handles.gridSpacingInput.addEventListener("change", () => {
+    const value = parseFloat(handles.gridSpacingInput.value);
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    store.updateState((draft) => {
+      draft.editor.gridSpacing = clamp(value, 0.001, 100);
+      return draft;
+    });
+  });
+
+  handles.gridMatchesCellCheckbox.addEventListener("change", () => {
+    const checked = handles.gridMatchesCellCheckbox.checked;
+    store.updateState((draft) => {
+      draft.editor.gridMatchesCell = checked;
+      return draft;
+    });
+  });
+
+  handles.showGridCheckbox.addEventListener("change", () => {
+    const checked = handles.showGridCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.showGrid = checked;
+      return draft;
+    });
+  });
+
+  handles.showAxesCheckbox.addEventListener("change", () => {
+    const checked = handles.showAxesCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.showAxes = checked;
+      return draft;
+    });
+  });
+
+  handles.showScaleBarCheckbox.addEventListener("change", () => {
+    const checked = handles.showScaleBarCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.overlays2d.showScaleBar = checked;
+      return draft;
+    });
+  });
+
+  handles.showPmlCheckbox.addEventListener("change", () => {
+    const checked = handles.showPmlCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.overlays2d.showPml = checked;
+      return draft;
+    });
+  });
+
+  handles.showReadoutCheckbox.addEventListener("change", () => {
+    const checked = handles.showReadoutCheckbox.checked;
+    store.updateState((draft) => {
+      draft.visualization.overlays2d.showReadout = checked;
+      return draft;
+    });
+  });
+
+  handles.undoBtn.addEventListener("click", () => store.undo());
+  handles.redoBtn.addEventListener("click", () => store.redo());
+
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextEntryTarget(event.target)) {
+      return;
+    }
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      store.undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+      event.preventDefault();
+      store.redo();
+    }
+  });
+
   handles.exportBtn.addEventListener("click", () => {
     exportStateToFile(store.getState());
   });
@@ -240,7 +767,11 @@ export function initUI(store, options = {}) {
 /**
  * @param {SimulationState} state
  * @param {UIHandles} handles
- * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ * @param {{
+ *  updateState: (updater: (draft: SimulationState) => SimulationState) => void,
+ *  canUndo: () => boolean,
+ *  canRedo: () => boolean
+ * }} store
  */
 function renderUI(state, handles, store) {
   const modeLabel = state.visualization.mode === "2d" ? "Mode: 2D" : "Mode: 3D";
@@ -250,13 +781,139 @@ function renderUI(state, handles, store) {
     String(state.visualization.mode === "3d")
   );
 
-  const isAveraged = state.visualization.output === "averaged";
-  const outputLabel = isAveraged ? "Output: Averaged" : "Output: Instant";
-  handles.outputToggle.textContent = outputLabel;
-  handles.outputToggle.setAttribute(
-    "aria-pressed",
-    String(isAveraged)
-  );
+  const isTmz = state.simulation.model === "em2dTmz";
+  handles.polarizationToggle.textContent = isTmz ? "Polarization: TMz" : "Polarization: TEz";
+  handles.polarizationToggle.setAttribute("aria-pressed", String(isTmz));
+
+  handles.undoBtn.disabled = !store.canUndo();
+  handles.redoBtn.disabled = !store.canRedo();
+
+  const carried = isEmModel(state.simulation.model)
+    ? FIELD_COMPONENTS[state.simulation.model]
+    : [];
+  for (const option of Array.from(handles.outputSelect.options)) {
+    if (isFieldComponent(option.value)) {
+      const hidden = !carried.includes(option.value);
+      option.hidden = hidden;
+      option.disabled = hidden;
+    }
+  }
+  handles.outputSelect.value = state.visualization.output;
+  handles.colormapSelect.value = state.visualization.colormap;
+  const scale = state.visualization.scale;
+  handles.scaleModeSelect.value = scale.mode;
+  handles.normalizationSelect.value = scale.normalization;
+  const isDb = scale.mode === "db";
+  const showFixedMax = !isDb && scale.normalization === "fixed";
+  // The dBm outputs have their own range and SINR and the model difference
+  // fixed ones, so the generic scale range does not apply.
+  const output = state.visualization.output;
+  const isRssi = output === "rssi" || output === "channelPower" || output === "empirical";
+  const isChannelOutput = output === "channelPower" || output === "sinr";
+  handles.scaleRangeField.style.display =
+    !isRssi && output !== "sinr" && output !== "empiricalDiff" && (isDb || showFixedMax)
+      ? "flex"
+      : "none";
+  handles.scaleRangeLabel.textContent = isDb ? "dB ref / floor / ceiling" : "Fixed max";
+  handles.scaleFixedMaxInput.style.display = showFixedMax ? "" : "none";
+  handles.dbReferenceInput.style.display = isDb ? "" : "none";
+  handles.dbFloorInput.style.display = isDb ? "" : "none";
+  handles.dbCeilingInput.style.display = isDb ? "" : "none";
+  for (const [input, value] of /** @type {[HTMLInputElement, number][]} */ ([
+    [handles.scaleFixedMaxInput, scale.fixedMax],
+    [handles.dbReferenceInput, scale.dbReference],
+    [handles.dbFloorInput, scale.dbFloor],
+    [handles.dbCeilingInput, scale.dbCeiling]
+  ])) {
+    if (document.activeElement !== input) {
+      input.value = String(value);
+    }
+  }
+  handles.rssiField.style.display = isRssi ? "flex" : "none";
+  const rssi = state.visualization.rssi;
+  for (const [input, value] of /** @type {[HTMLInputElement, string][]} */ ([
+    [handles.rssiFloorInput, String(rssi.floor)],
+    [handles.rssiCeilingInput, String(rssi.ceiling)],
+    [handles.rssiThresholdsInput, rssi.thresholds.join(", ")]
+  ])) {
+    if (document.activeElement !== input) {
+      input.value = value;
+    }
+  }
+  const analysis = state.simulation.channelAnalysis;
+  handles.channelField.style.display = output === "rssi" || isChannelOutput ? "flex" : "none";
+  handles.channelAnalysisCheckbox.checked = analysis.enabled;
+  handles.channelSelect.style.display = output === "channelPower" ? "" : "none";
+  const channels = getChannelKeys(state.sources);
+  const channelKey = channels.join(",");
+  if (handles.channelSelect.dataset.key !== channelKey) {
+    handles.channelSelect.textContent = "";
+    for (const channel of channels) {
+      const option = document.createElement("option");
+      option.value = channel;
+      option.textContent = formatChannelKey(channel);
+      handles.channelSelect.appendChild(option);
+    }
+    handles.channelSelect.dataset.key = channelKey;
+  }
+  handles.channelSelect.disabled = channels.length === 0;
+  handles.channelSelect.value = channels.includes(state.visualization.channel)
+    ? state.visualization.channel
+    : channels[0] ?? "";
+  for (const [input, value] of /** @type {[HTMLInputElement, number][]} */ ([
+    [handles.channelNoiseInput, analysis.noiseFloorDbm],
+    [handles.overlapThresholdInput, analysis.overlapThresholdDbm]
+  ])) {
+    if (document.activeElement !== input) {
+      input.value = String(value);
+    }
+  }
+  const empirical = state.visualization.empirical;
+  handles.empiricalField.style.display =
+    output === "empirical" || output === "empiricalDiff" ? "flex" : "none";
+  handles.empiricalModelSelect.value = empirical.model;
+  handles.pathLossExponentInput.style.display = empirical.model === "logDistance" ? "" : "none";
+  if (document.activeElement !== handles.pathLossExponentInput) {
+    handles.pathLossExponentInput.value = String(empirical.exponent);
+  }
+  const splitLabel = handles.empiricalSplitCheckbox.closest("label");
+  if (splitLabel instanceof HTMLElement) {
+    splitLabel.style.display =
+      output === "empirical" && state.visualization.mode === "2d" ? "inline-flex" : "none";
+  }
+  handles.empiricalSplitCheckbox.checked = empirical.split;
+  const isDftOutput = output === "amplitude" || output === "phase";
+  handles.dftField.style.display = isDftOutput ? "flex" : "none";
+  const frequencies = state.simulation.dft.frequencies;
+  if (document.activeElement !== handles.dftFrequenciesInput) {
+    handles.dftFrequenciesInput.value = frequencies.join(", ");
+  }
+  const indexKey = frequencies.join(",");
+  if (handles.dftIndexSelect.dataset.key !== indexKey) {
+    handles.dftIndexSelect.textContent = "";
+    frequencies.forEach((frequency, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = `f = ${frequency}`;
+      handles.dftIndexSelect.appendChild(option);
+    });
+    handles.dftIndexSelect.dataset.key = indexKey;
+  }
+  handles.dftIndexSelect.value = String(state.visualization.dftIndex);
+
+  handles.pmlField.style.display = isEmModel(state.simulation.model) ? "flex" : "none";
+  const pml = normalizePml(state.simulation.solver.pml);
+  for (const [input, value] of /** @type {[HTMLInputElement, number][]} */ ([
+    [handles.pmlThicknessInput, pml.thickness],
+    [handles.pmlOrderInput, pml.order],
+    [handles.pmlKappaInput, pml.kappaMax],
+    [handles.pmlAlphaInput, pml.alphaMax],
+    [handles.pmlReflectionInput, pml.reflection]
+  ])) {
+    if (document.activeElement !== input) {
+      input.value = String(value);
+    }
+  }
 
   const isRunning = state.simulation.running !== false;
   handles.playToggle.textContent = isRunning ? "Pause" : "Play";
@@ -264,6 +921,8 @@ function renderUI(state, handles, store) {
 
   renderObjectList(handles.sourceList, state.sources, "source", state, store);
   renderObjectList(handles.shapeList, state.shapes, "shape", state, store);
+  renderObjectList(handles.probeList, state.probes, "probe", state, store);
+  renderObjectList(handles.receiverList, state.receivers, "receiver", state, store);
   renderPropertiesPane(handles.propertiesPane, state, store);
 
   // Hide snap-to-shapes in 3D (it only applies to the 2D editor).
@@ -276,11 +935,38 @@ function renderUI(state, handles, store) {
       state.visualization.mode === "2d" ? "inline-flex" : "none";
   }
 
+  handles.overlayField.style.display = state.visualization.mode === "2d" ? "flex" : "none";
+  handles.snapGridField.style.display = state.visualization.mode === "2d" ? "flex" : "none";
+  handles.snapToGridCheckbox.checked = state.editor.snapToGrid;
+  handles.gridMatchesCellCheckbox.checked = state.editor.gridMatchesCell;
+  handles.gridSpacingInput.disabled = state.editor.gridMatchesCell;
+  if (document.activeElement !== handles.gridSpacingInput) {
+    // With "= cell" the field shows the solver dx it follows.
+    const spacing = state.editor.gridMatchesCell
+      ? getCellSize(state.domain).dx
+      : state.editor.gridSpacing;
+    handles.gridSpacingInput.value = String(Number(spacing.toPrecision(4)));
+  }
+  handles.showGridCheckbox.checked = state.visualization.showGrid;
+  handles.showAxesCheckbox.checked = state.visualization.showAxes;
+  handles.showScaleBarCheckbox.checked = state.visualization.overlays2d.showScaleBar;
+  handles.showPmlCheckbox.checked = state.visualization.overlays2d.showPml;
+  handles.showReadoutCheckbox.checked = state.visualization.overlays2d.showReadout;
+
   handles.toolButtons.forEach((button) => {
     const tool = button.getAttribute("data-tool");
     const isActive = tool === state.editor.activeTool;
     button.dataset.active = String(isActive);
-    if (tool === "draw-rectangle" || tool === "draw-circle" || tool === "place-source") {
+    if (
+      tool === "draw-rectangle" ||
+      tool === "draw-circle" ||
+      tool === "draw-polygon" ||
+      tool === "draw-wall" ||
+      tool === "place-source" ||
+      tool === "place-probe" ||
+      tool === "place-receiver" ||
+      tool === "draw-section"
+    ) {
       button.style.display = state.visualization.mode === "2d" ? "inline-flex" : "none";
     } else {
       button.style.display = "inline-flex";
@@ -311,7 +997,7 @@ function renderPropertiesPane(container, state, store) {
   if (!sel || !sel.type || !sel.id) {
     const empty = document.createElement("div");
     empty.className = "props-empty";
-    empty.textContent = "Select a source or shape to edit its properties.";
+    empty.textContent = "Select a source, shape, probe or receiver to edit its properties.";
     container.appendChild(empty);
     return;
   }
@@ -325,7 +1011,7 @@ function renderPropertiesPane(container, state, store) {
       container.appendChild(empty);
       return;
     }
-    renderSourceEditor(container, source, store);
+    renderSourceEditor(container, source, state, store);
     return;
   }
 
@@ -342,23 +1028,110 @@ function renderPropertiesPane(container, state, store) {
     return;
   }
 
+  if (sel.type === "probe") {
+    const probe = state.probes.find((p) => p.id === sel.id) || null;
+    if (!probe) {
+      const empty = document.createElement("div");
+      empty.className = "props-empty";
+      empty.textContent = "Selected probe not found.";
+      container.appendChild(empty);
+      return;
+    }
+    renderProbeEditor(container, probe, state.domain, store);
+    return;
+  }
+
+  if (sel.type === "receiver") {
+    const receiver = state.receivers.find((r) => r.id === sel.id) || null;
+    if (!receiver) {
+      const empty = document.createElement("div");
+      empty.className = "props-empty";
+      empty.textContent = "Selected receiver not found.";
+      container.appendChild(empty);
+      return;
+    }
+    renderReceiverEditor(container, receiver, state.domain, store);
+    return;
+  }
+
   const empty = document.createElement("div");
   empty.className = "props-empty";
-  empty.textContent = "Select a source or shape to edit its properties.";
+  empty.textContent = "Select a source, shape, probe or receiver to edit its properties.";
   container.appendChild(empty);
 }
 
 /**
  * @param {HTMLDivElement} container
  * @param {import("./types.js").SourceObject} source
+ * @param {SimulationState} state
  * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
  */
-function renderSourceEditor(container, source, store) {
+function renderSourceEditor(container, source, state, store) {
   const form = document.createElement("form");
   form.className = "props-form";
 
   const nameInput = createTextField("Name", source.name);
   const pos = createVec2Fields("Position (x, y)", source.position.x, source.position.y);
+  const type = createSelectField("Type", source.radio ? "ap" : "generic", [
+    ["generic", "Generic source"],
+    ["ap", "Access point"]
+  ]);
+
+  // Access-point settings; frequency and amplitude then follow from the calibration.
+  const radio = source.radio ?? {
+    band: /** @type {import("./types.js").AccessPointSettings["band"]} */ ("2.4"),
+    channel: DEFAULT_CHANNELS["2.4"],
+    txPowerDbm: 20,
+    antennaGainDbi: 2
+  };
+  const band = createSelectField(
+    "Band",
+    radio.band,
+    Object.entries(WIFI_BANDS).map(([value, info]) => [value, info.label])
+  );
+  const channel = createSelectField("Channel", "", []);
+  const txPower = createNumberField("Tx power (dBm)", radio.txPowerDbm, 1);
+  const gain = createNumberField("Antenna gain (dBi)", radio.antennaGainDbi, 0.5);
+  const calibrated = document.createElement("div");
+  calibrated.className = "props-field";
+  const calibratedLabel = document.createElement("span");
+  calibratedLabel.textContent = "Real → solver (scaled)";
+  const calibratedText = document.createElement("div");
+  calibratedText.className = "props-empty";
+  calibrated.appendChild(calibratedLabel);
+  calibrated.appendChild(calibratedText);
+  const radioFields = [band.field, channel.field, txPower.field, gain.field, calibrated];
+
+  /**
+   * @param {import("./types.js").AccessPointSettings["band"]} value
+   * @param {number} selected
+   */
+  function fillChannels(value, selected) {
+    channel.input.textContent = "";
+    for (const number of WIFI_BANDS[value].channels) {
+      const option = document.createElement("option");
+      option.value = String(number);
+      option.textContent = `${number} (${getChannelFrequencyMHz(value, number)} MHz)`;
+      channel.input.appendChild(option);
+    }
+    channel.input.value = String(
+      WIFI_BANDS[value].channels.includes(selected) ? selected : DEFAULT_CHANNELS[value]
+    );
+  }
+  fillChannels(radio.band, radio.channel);
+
+  /** @returns {import("./types.js").AccessPointSettings} */
+  function readRadio() {
+    const value = band.input.value === "5" || band.input.value === "6" ? band.input.value : "2.4";
+    const number = Number(channel.input.value);
+    return {
+      band: value,
+      channel: WIFI_BANDS[value].channels.includes(number) ? number : DEFAULT_CHANNELS[value],
+      txPowerDbm: clamp(readNumber(txPower.input, radio.txPowerDbm), -10, 36),
+      antennaGainDbi: clamp(readNumber(gain.input, radio.antennaGainDbi), -10, 20)
+    };
+  }
+
   const ampInput = createNumberField("Amplitude", source.amplitude, 0.1);
   const freqInput = createNumberField("Frequency", source.frequency, 0.1);
   const phaseInput = createNumberField("Phase", source.phase, 0.1);
@@ -378,7 +1151,8 @@ function renderSourceEditor(container, source, store) {
     ["hz", "Hz"],
     ["ex", "Ex"],
     ["ey", "Ey"],
-    ["e", "E (rotated)"]
+    ["e", "E (rotated)"],
+    ["ez", "Ez"]
   ]);
   const polAngle = createNumberField(
     "Pol angle (deg)",
@@ -398,6 +1172,40 @@ function renderSourceEditor(container, source, store) {
 
   // Keep fields visible; disable + dim when not applicable (matches Signal Settings).
   function updateDynamicEnablement() {
+    const isAp = type.input.value === "ap";
+    for (const field of radioFields) {
+      field.hidden = !isAp;
+    }
+    ampInput.input.disabled = isAp;
+    freqInput.input.disabled = isAp;
+    if (isAp) {
+      const requested = readRadio();
+      const next = limitEirp(requested, state.simulation.calibration);
+      const { frequency, amplitude } = radioToSource(next, state.simulation.calibration);
+      const scaledFrequency = clamp(frequency, 0.01, 50);
+      const scaledAmplitude = clamp(amplitude, 0, 10);
+      freqInput.input.value = String(Number(scaledFrequency.toFixed(4)));
+      ampInput.input.value = String(Number(scaledAmplitude.toFixed(4)));
+      const wavelength = state.simulation.solver.speed / scaledFrequency;
+      // Cells per wavelength on the grid Apply will fit to this frequency.
+      const others = state.sources.filter((other) => other.id !== source.id);
+      const grid = normalizeGrid(state.domain.grid, state.domain.worldSize, state.simulation, [
+        ...others,
+        { active: activeInput.checked, frequency: scaledFrequency }
+      ]);
+      const { dx, dy } = getCellSize({ ...state.domain, grid });
+      const cells = wavelength / Math.max(dx, dy);
+      const carrierMHz = getChannelFrequencyMHz(next.band, next.channel);
+      const eirp = getEirpDbm(next);
+      const requestedEirp = getEirpDbm(requested);
+      calibratedText.textContent =
+        `${carrierMHz} MHz, EIRP ${eirp.toFixed(1)} dBm` +
+        (requestedEirp > eirp ? ` (limited from ${requestedEirp.toFixed(1)})` : "") +
+        ` → f ${scaledFrequency.toFixed(3)} (λ ${wavelength.toFixed(2)}, ` +
+        `${cells.toFixed(1)} cells` +
+        (cells < EM_CELLS_PER_WAVELENGTH ? `, below ${EM_CELLS_PER_WAVELENGTH}: grid at its 512 cap` : "") +
+        `), amplitude ${scaledAmplitude.toFixed(3)}`;
+    }
     const isPulse = waveform.input.value !== "cw";
     pulseWidth.input.disabled = !isPulse;
     pulseDelay.input.disabled = !isPulse;
@@ -409,9 +1217,22 @@ function renderSourceEditor(container, source, store) {
   updateDynamicEnablement();
   waveform.input.addEventListener("change", () => updateDynamicEnablement());
   excite.input.addEventListener("change", () => updateDynamicEnablement());
+  type.input.addEventListener("change", () => updateDynamicEnablement());
+  band.input.addEventListener("change", () => {
+    const value = band.input.value === "5" || band.input.value === "6" ? band.input.value : "2.4";
+    fillChannels(value, Number(channel.input.value));
+    updateDynamicEnablement();
+  });
+  for (const input of [channel.input, txPower.input, gain.input]) {
+    input.addEventListener("input", () => updateDynamicEnablement());
+  }
 
   form.appendChild(nameInput.field);
   form.appendChild(pos.field);
+  form.appendChild(type.field);
+  for (const field of radioFields) {
+    form.appendChild(field);
+  }
   form.appendChild(ampInput.field);
   form.appendChild(freqInput.field);
   form.appendChild(phaseInput.field);
@@ -439,6 +1260,11 @@ function renderSourceEditor(container, source, store) {
       nameInput.input,
       pos.xInput,
       pos.yInput,
+      type.input,
+      band.input,
+      channel.input,
+      txPower.input,
+      gain.input,
       ampInput.input,
       freqInput.input,
       phaseInput.input,
@@ -460,8 +1286,16 @@ function renderSourceEditor(container, source, store) {
       s.name = nameInput.input.value.trim() || s.name;
       s.position.x = readNumber(pos.xInput, s.position.x);
       s.position.y = readNumber(pos.yInput, s.position.y);
-      s.amplitude = readNumber(ampInput.input, s.amplitude);
-      s.frequency = readNumber(freqInput.input, s.frequency);
+      if (type.input.value === "ap") {
+        s.radio = limitEirp(readRadio(), draft.simulation.calibration);
+        const derived = radioToSource(s.radio, draft.simulation.calibration);
+        s.amplitude = clamp(derived.amplitude, 0, 10);
+        s.frequency = clamp(derived.frequency, 0.01, 50);
+      } else {
+        s.radio = null;
+        s.amplitude = readNumber(ampInput.input, s.amplitude);
+        s.frequency = readNumber(freqInput.input, s.frequency);
+      }
       s.phase = readNumber(phaseInput.input, s.phase);
       s.waveform =
         waveform.input.value === "gaussian" || waveform.input.value === "ricker"
@@ -474,11 +1308,159 @@ function renderSourceEditor(container, source, store) {
         excite.input.value === "ex" ||
         excite.input.value === "ey" ||
         excite.input.value === "e" ||
-        excite.input.value === "hz"
+        excite.input.value === "hz" ||
+        excite.input.value === "ez"
           ? excite.input.value
           : "hz";
       s.polarizationAngle = readNumber(polAngle.input, s.polarizationAngle ?? 0);
       s.active = activeInput.checked;
+      // A higher source frequency needs finer cells.
+      draft.domain.grid = normalizeGrid(
+        draft.domain.grid,
+        draft.domain.worldSize,
+        draft.simulation,
+        draft.sources
+      );
+      return draft;
+    });
+    dirty.commitApplied();
+  });
+
+  container.appendChild(form);
+}
+
+/**
+ * @param {HTMLDivElement} container
+ * @param {import("./types.js").ProbeObject} probe
+ * @param {SimulationState["domain"]} domain
+ * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ */
+function renderProbeEditor(container, probe, domain, store) {
+  const form = document.createElement("form");
+  form.className = "props-form";
+
+  const nameInput = createTextField("Name", probe.name);
+  const pos = createVec2Fields("Position (x, y)", probe.position.x, probe.position.y);
+
+  const activeField = document.createElement("div");
+  activeField.className = "props-field";
+  const activeLabel = document.createElement("label");
+  activeLabel.textContent = "Active";
+  const activeInput = document.createElement("input");
+  activeInput.type = "checkbox";
+  activeInput.checked = probe.active;
+  activeInput.title = "Inactive probes stay on the canvas but are not recorded.";
+  activeLabel.appendChild(activeInput);
+  activeField.appendChild(activeLabel);
+
+  form.appendChild(nameInput.field);
+  form.appendChild(pos.field);
+  form.appendChild(activeField);
+
+  const actions = document.createElement("div");
+  actions.className = "props-actions";
+  const apply = document.createElement("button");
+  apply.type = "submit";
+  apply.textContent = "Apply";
+  apply.dataset.variant = "apply";
+  actions.appendChild(apply);
+  form.appendChild(actions);
+
+  const dirty = setupApplyDirtyTracking(apply, `probe:${probe.id}`, [
+    nameInput.input,
+    pos.xInput,
+    pos.yInput,
+    activeInput
+  ]);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const { origin, worldSize } = domain;
+    store.updateState((draft) => {
+      const p = draft.probes.find((x) => x.id === probe.id);
+      if (!p) return draft;
+      p.name = nameInput.input.value.trim() || p.name;
+      p.position.x = clamp(readNumber(pos.xInput, p.position.x), origin.x, origin.x + worldSize.x);
+      p.position.y = clamp(readNumber(pos.yInput, p.position.y), origin.y, origin.y + worldSize.y);
+      p.active = activeInput.checked;
+      return draft;
+    });
+    dirty.commitApplied();
+  });
+
+  container.appendChild(form);
+}
+
+/**
+ * @param {HTMLDivElement} container
+ * @param {import("./types.js").ReceiverObject} receiver
+ * @param {SimulationState["domain"]} domain
+ * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ */
+function renderReceiverEditor(container, receiver, domain, store) {
+  const form = document.createElement("form");
+  form.className = "props-form";
+
+  const nameInput = createTextField("Name", receiver.name);
+  const pos = createVec2Fields("Position (x, y)", receiver.position.x, receiver.position.y);
+  const noiseInput = createNumberField("Noise floor (dBm)", receiver.noiseFloorDbm, 1);
+  noiseInput.input.title =
+    "Thermal noise over the 20 MHz channel plus the device's noise figure (-95 dBm is typical).";
+  const streamsInput = createSelectField("Spatial streams", String(receiver.spatialStreams), [
+    ["1", "1"],
+    ["2", "2"],
+    ["3", "3"],
+    ["4", "4"]
+  ]);
+  streamsInput.input.title = "Streams the client can receive at once; multiplies the PHY rate.";
+
+  const activeField = document.createElement("div");
+  activeField.className = "props-field";
+  const activeLabel = document.createElement("label");
+  activeLabel.textContent = "Active";
+  const activeInput = document.createElement("input");
+  activeInput.type = "checkbox";
+  activeInput.checked = receiver.active;
+  activeInput.title = "Inactive receivers stay on the canvas but get no link estimate.";
+  activeLabel.appendChild(activeInput);
+  activeField.appendChild(activeLabel);
+
+  form.appendChild(nameInput.field);
+  form.appendChild(pos.field);
+  form.appendChild(noiseInput.field);
+  form.appendChild(streamsInput.field);
+  form.appendChild(activeField);
+
+  const actions = document.createElement("div");
+  actions.className = "props-actions";
+  const apply = document.createElement("button");
+  apply.type = "submit";
+  apply.textContent = "Apply";
+  apply.dataset.variant = "apply";
+  actions.appendChild(apply);
+  form.appendChild(actions);
+
+  const dirty = setupApplyDirtyTracking(apply, `receiver:${receiver.id}`, [
+    nameInput.input,
+    pos.xInput,
+    pos.yInput,
+    noiseInput.input,
+    streamsInput.input,
+    activeInput
+  ]);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const { origin, worldSize } = domain;
+    store.updateState((draft) => {
+      const r = draft.receivers.find((x) => x.id === receiver.id);
+      if (!r) return draft;
+      r.name = nameInput.input.value.trim() || r.name;
+      r.position.x = clamp(readNumber(pos.xInput, r.position.x), origin.x, origin.x + worldSize.x);
+      r.position.y = clamp(readNumber(pos.yInput, r.position.y), origin.y, origin.y + worldSize.y);
+      r.noiseFloorDbm = clamp(readNumber(noiseInput.input, r.noiseFloorDbm), -120, -40);
+      r.spatialStreams = clamp(Math.round(readNumber(streamsInput.input, r.spatialStreams)), 1, 4);
+      r.active = activeInput.checked;
       return draft;
     });
     dirty.commitApplied();
@@ -501,7 +1483,7 @@ function renderShapeEditor(container, shape, store) {
   const heightInput = createNumberField("Height (Z)", shape.height ?? 1, 0.1);
   heightInput.input.title = "3D visualization height (does not change 2D physics).";
   const angleZ =
-    shape.kind === "rectangle"
+    shape.kind === "rectangle" || shape.kind === "polygon" || shape.kind === "wall"
       ? createNumberField("Rotation Z (deg)", shape.angles?.z ?? 0, 1)
       : null;
   if (angleZ) {
@@ -528,12 +1510,32 @@ function renderShapeEditor(container, shape, store) {
     form.appendChild(rField.field);
   }
 
+  let thicknessField = null;
+  let closedInput = null;
+  if (shape.kind === "wall") {
+    thicknessField = createNumberField("Thickness", shape.thickness, 0.01);
+    form.appendChild(thicknessField.field);
+    const closedField = document.createElement("div");
+    closedField.className = "props-field";
+    const closedLabel = document.createElement("label");
+    closedLabel.textContent = "Closed loop";
+    closedInput = document.createElement("input");
+    closedInput.type = "checkbox";
+    closedInput.checked = shape.closed;
+    closedInput.disabled = shape.points.length < 3;
+    closedLabel.appendChild(closedInput);
+    closedField.appendChild(closedLabel);
+    form.appendChild(closedField);
+  }
+
   const matDefaults = getMaterialPresetDefaults();
   const mat = shape.material || { preset: "drywall", epsR: 2.7, sigma: 0.02 };
   const preset = createSelectField("Material", mat.preset, [
     ["air", "Air"],
     ["drywall", "Drywall"],
     ["concrete", "Concrete"],
+    ["glass", "Glass"],
+    ["wood", "Wood"],
     ["metal", "Metal"],
     ["custom", "Custom…"]
   ]);
@@ -564,6 +1566,51 @@ function renderShapeEditor(container, shape, store) {
   form.appendChild(preset.field);
   form.appendChild(matInlineField);
 
+  // Dispersion: one field per model parameter, shown for the selected model only.
+  const currentDispersion = mat.dispersion ?? null;
+  const dispersionModel = createSelectField(
+    "Dispersion",
+    currentDispersion ? currentDispersion.model : "none",
+    [
+      ["none", "None"],
+      ["debye", "Debye"],
+      ["drude", "Drude"],
+      ["lorentz", "Lorentz"]
+    ]
+  );
+  dispersionModel.input.title =
+    "Frequency-dependent pole added on top of εr (εr becomes ε∞). Ignored for Metal.";
+  form.appendChild(dispersionModel.field);
+  /** @type {{ model: string, key: string, field: HTMLDivElement, input: HTMLInputElement }[]} */
+  const dispersionFields = [];
+  for (const model of /** @type {const} */ (["debye", "drude", "lorentz"])) {
+    const values = /** @type {Record<string, number>} */ (
+      /** @type {unknown} */ (
+        currentDispersion && currentDispersion.model === model
+          ? currentDispersion
+          : normalizeDispersion({ model })
+      )
+    );
+    for (const [key, label, title] of DISPERSION_PARAMETERS[model]) {
+      const f = createNumberField(label, values[key], "any");
+      f.input.title = title;
+      dispersionFields.push({ model, key, field: f.field, input: f.input });
+      form.appendChild(f.field);
+    }
+  }
+  const updateDispersionFields = () => {
+    for (const f of dispersionFields) {
+      f.field.hidden = f.model !== dispersionModel.input.value;
+    }
+  };
+  updateDispersionFields();
+  dispersionModel.input.addEventListener("change", updateDispersionFields);
+
+  const openingFields =
+    shape.kind === "rectangle" || shape.kind === "wall"
+      ? renderOpeningFields(form, shape, store)
+      : [];
+
   const actions = document.createElement("div");
   actions.className = "props-actions";
   const apply = document.createElement("button");
@@ -581,12 +1628,19 @@ function renderShapeEditor(container, shape, store) {
     heightInput.input,
     preset.input,
     epsR.input,
-    sigma.input
+    sigma.input,
+    dispersionModel.input,
+    ...dispersionFields.map((f) => f.input)
   ];
   if (angleZ) inputs.push(angleZ.input);
   if (wField) inputs.push(wField.input);
   if (hField) inputs.push(hField.input);
   if (rField) inputs.push(rField.input);
+  if (thicknessField) inputs.push(thicknessField.input);
+  if (closedInput) inputs.push(closedInput);
+  for (const f of openingFields) {
+    inputs.push(f.name, f.kind, f.offset, f.width, f.fill);
+  }
 
   const dirty = setupApplyDirtyTracking(apply, `shape:${shape.id}`, inputs);
 
@@ -599,8 +1653,8 @@ function renderShapeEditor(container, shape, store) {
       s.center.x = readNumber(pos.xInput, s.center.x);
       s.center.y = readNumber(pos.yInput, s.center.y);
       s.height = readNumber(heightInput.input, s.height ?? 1);
-      // Rotation only applies to rectangles in 2D.
-      if (s.kind === "rectangle" && angleZ) {
+      // Rotation does not apply to circles.
+      if (s.kind !== "circle" && angleZ) {
         s.angles = s.angles || { x: 0, y: 0, z: 0 };
         s.angles.z = readNumber(angleZ.input, s.angles.z ?? 0);
       } else {
@@ -612,6 +1666,9 @@ function renderShapeEditor(container, shape, store) {
         s.size.height = Math.max(0.01, readNumber(hField.input, s.size.height));
       } else if (s.kind === "circle" && rField) {
         s.radius = Math.max(0.01, readNumber(rField.input, s.radius ?? 1));
+      } else if (s.kind === "wall" && thicknessField && closedInput) {
+        s.thickness = clamp(readNumber(thicknessField.input, s.thickness), 0.01, 5);
+        s.closed = closedInput.checked && s.points.length >= 3;
       }
 
       const p = preset.input.value;
@@ -619,12 +1676,34 @@ function renderShapeEditor(container, shape, store) {
       const isCustom = p === "custom";
       const epsVal = isCustom ? readNumber(epsR.input, base.epsR) : base.epsR;
       const sigVal = isCustom ? readNumber(sigma.input, base.sigma) : base.sigma;
+      /** @type {Record<string, number | string>} */
+      const pole = { model: dispersionModel.input.value };
+      for (const f of dispersionFields) {
+        if (f.model === pole.model) pole[f.key] = readNumber(f.input, NaN);
+      }
       s.material = {
         preset: /** @type {import("./types.js").MaterialSettings["preset"]} */ (p),
         epsR: epsVal,
-        sigma: sigVal
+        sigma: sigVal,
+        dispersion: normalizeDispersion(pole)
       };
 
+      if (s.kind === "rectangle" || s.kind === "wall") {
+        for (const f of openingFields) {
+          const o = s.openings.find((x) => x.id === f.id);
+          if (!o) continue;
+          o.name = f.name.value.trim() || o.name;
+          o.kind = f.kind.value === "window" ? "window" : "door";
+          o.offset = Math.max(0, readNumber(f.offset, o.offset));
+          o.width = clamp(
+            readNumber(f.width, o.width),
+            0.05,
+            Math.max(0.05, getHostLength(s) * MAX_OPENING_FRACTION)
+          );
+          o.material = readOpeningFill(f.fill.value, o.material, matDefaults);
+        }
+      }
+
       return draft;
     });
     dirty.commitApplied();
@@ -633,6 +1712,138 @@ function renderShapeEditor(container, shape, store) {
   container.appendChild(form);
 }
 
+/**
+ * Per-opening fields of a host shape plus Add/Remove buttons. Adding and
+ * removing apply immediately; field edits go through the form's Apply.
+ * @param {HTMLFormElement} form
+ * @param {import("./types.js").RectangleShape | import("./types.js").WallShape} shape
+ * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
+ */
+function renderOpeningFields(form, shape, store) {
+  const hostLength = getHostLength(shape);
+  const header = document.createElement("div");
+  header.className = "props-field";
+  const title = document.createElement("span");
+  title.textContent = `Openings (along 0–${hostLength.toFixed(2)})`;
+  header.appendChild(title);
+  form.appendChild(header);
+
+  /** @type {{ id: string, name: HTMLInputElement, kind: HTMLSelectElement, offset: HTMLInputElement, width: HTMLInputElement, fill: HTMLSelectElement }[]} */
+  const fields = [];
+  for (const opening of shape.openings) {
+    const nameField = createTextField("Name", opening.name);
+    const kind = createSelectField("Type", opening.kind, [
+      ["door", "Door"],
+      ["window", "Window"]
+    ]);
+    const offset = createNumberField("Center along host", opening.offset, 0.01);
+    offset.input.title =
+      shape.kind === "wall"
+        ? "Distance of the opening center along the wall centerline from its first corner."
+        : "Distance of the opening center along the rectangle's longer side, from its −x end (−y when taller than wide) before rotation.";
+    const width = createNumberField("Opening width", opening.width, 0.01);
+    const fillOptions = [
+      ["open", "Open (air)"],
+      ["glass", "Glass"],
+      ["wood", "Wood"],
+      ["drywall", "Drywall"],
+      ["concrete", "Concrete"],
+      ["metal", "Metal"]
+    ];
+    const currentFill = opening.material ? opening.material.preset : "open";
+    if (!fillOptions.some(([value]) => value === currentFill)) {
+      fillOptions.push([currentFill, `${currentFill} (current)`]);
+    }
+    const fill = createSelectField("Fill", currentFill, fillOptions);
+    fill.input.title = "What fills the cut: air for an open doorway, or a closed door/window material.";
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "object-delete";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      store.updateState((draft) => {
+        const s = draft.shapes.find((x) => x.id === shape.id);
+        if (s && (s.kind === "rectangle" || s.kind === "wall")) {
+          s.openings = s.openings.filter((x) => x.id !== opening.id);
+        }
+        return draft;
+      });
+    });
+    const removeRow = document.createElement("div");
+    removeRow.className = "props-actions";
+    removeRow.appendChild(remove);
+
+    form.appendChild(nameField.field);
+    form.appendChild(kind.field);
+    form.appendChild(offset.field);
+    form.appendChild(width.field);
+    form.appendChild(fill.field);
+    form.appendChild(removeRow);
+    fields.push({
+      id: opening.id,
+      name: nameField.input,
+      kind: kind.input,
+      offset: offset.input,
+      width: width.input,
+      fill: fill.input
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.className = "props-inline";
+  for (const kind of /** @type {const} */ (["door", "window"])) {
+    const add = document.createElement("button");
+    add.type = "button";
+    add.textContent = kind === "door" ? "Add door" : "Add window";
+    add.addEventListener("click", () => {
+      store.updateState((draft) => {
+        const s = draft.shapes.find((x) => x.id === shape.id);
+        if (!s || (s.kind !== "rectangle" && s.kind !== "wall")) return draft;
+        const count = s.openings.filter((x) => x.kind === kind).length;
+        const defaultWidth = kind === "door" ? 0.9 : 1.2;
+        s.openings.push({
+          id: `opening-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+          name: `${kind === "door" ? "Door" : "Window"} ${count + 1}`,
+          kind,
+          offset: hostLength * 0.5,
+          width: Math.min(defaultWidth, hostLength * MAX_OPENING_FRACTION),
+          material: kind === "door" ? null : { preset: "glass", epsR: 6, sigma: 0.004 }
+        });
+        return draft;
+      });
+    });
+    addRow.appendChild(add);
+  }
+  form.appendChild(addRow);
+
+  return fields;
+}
+
+/**
+ * Opening material from the Fill select. Unchanged selections keep the
+ * current material (including custom values and dispersion).
+ * @param {string} value
+ * @param {import("./types.js").MaterialSettings | null} current
+ * @param {Record<string, { epsR: number, sigma: number }>} defaults
+ * @returns {import("./types.js").MaterialSettings | null}
+ */
+function readOpeningFill(value, current, defaults) {
+  if (value === "open") {
+    return null;
+  }
+  if (current && current.preset === value) {
+    return current;
+  }
+  const base = defaults[value] || defaults.drywall;
+  return {
+    preset: /** @type {import("./types.js").MaterialSettings["preset"]} */ (value),
+    epsR: base.epsR,
+    sigma: base.sigma,
+    dispersion: null
+  };
+}
+
 const APPLY_FLASH_MS = 800;
 /** @type {Map<string, number>} */
 const lastAppliedAt = new Map();
@@ -716,6 +1927,8 @@ function getMaterialPresetDefaults() {
     air: { epsR: 1, sigma: 0 },
     drywall: { epsR: 2.7, sigma: 0.02 },
     concrete: { epsR: 6, sigma: 0.2 },
+    glass: { epsR: 6, sigma: 0.004 },
+    wood: { epsR: 2, sigma: 0.01 },
     metal: { epsR: 1, sigma: 50 },
     custom: { epsR: 2.7, sigma: 0.02 }
   };
@@ -803,7 +2016,7 @@ function readNumber(input, fallback) {
 /**
  * @param {HTMLDivElement} container
  * @param {Array} items
- * @param {"source" | "shape"} kind
+ * @param {"source" | "shape" | "probe" | "receiver"} kind
  * @param {SimulationState} state
  * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
  */
@@ -851,7 +2064,7 @@ function renderObjectList(container, items, kind, state, store) {
 
 /**
  * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
- * @param {"source" | "shape" | null} type
+ * @param {"source" | "shape" | "probe" | "receiver" | null} type
  * @param {string | null} id
  */
 function setSelection(store, type, id) {
@@ -867,13 +2080,17 @@ function setSelection(store, type, id) {
 
 /**
  * @param {{ updateState: (updater: (draft: SimulationState) => SimulationState) => void }} store
- * @param {"source" | "shape"} kind
+ * @param {"source" | "shape" | "probe" | "receiver"} kind
  * @param {string} id
  */
 function deleteItem(store, kind, id) {
   store.updateState((draft) => {
     if (kind === "source") {
       draft.sources = draft.sources.filter((item) => item.id !== id);
+    } else if (kind === "probe") {
+      draft.probes = draft.probes.filter((item) => item.id !== id);
+    } else if (kind === "receiver") {
+      draft.receivers = draft.receivers.filter((item) => item.id !== id);
     } else {
       draft.shapes = draft.shapes.filter((item) => item.id !== id);
     }
@@ -886,14 +2103,34 @@ function deleteItem(store, kind, id) {
 
 /**
  * @param {any} item
- * @param {"source" | "shape"} kind
+ * @param {"source" | "shape" | "probe" | "receiver"} kind
  * @param {number} index
  */
 function formatItemLabel(item, kind, index) {
   if (kind === "source") {
     return item.name || `Source ${index + 1}`;
   }
-  return item.name || `${item.kind === "circle" ? "Circle" : "Rectangle"} ${index + 1}`;
+  if (kind === "probe") {
+    return item.name || `Probe ${index + 1}`;
+  }
+  if (kind === "receiver") {
+    return item.name || `Receiver ${index + 1}`;
+  }
+  return item.name || `${SHAPE_LABELS[item.kind] ?? "Rectangle"} ${index + 1}`;
+}
+
+/**
+ * Parse "1.5, 2.4" into at most 4 positive frequencies.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function parseFrequencyList(text) {
+  return text
+    .split(/[,;\s]+/)
+    .map((part) => parseFloat(part))
+    .filter((value) => Number.isFinite(value) && value > 0)
+    .map((value) => clamp(value, 0.01, 50))
+    .slice(0, 4);
 }
 
 /**
@@ -905,36 +2142,6 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
-const CELLS_PER_WAVELENGTH = 16;
-
-/**
- * @param {SimulationState} state
- * @returns {number}
- */
-function computeTargetCellSize(state) {
-  const isEm = state.simulation.model === "em2d";
-  const speed = clamp(
-    Number.isFinite(state.simulation.solver.speed)
-      ? state.simulation.solver.speed
-      : 1,
-    0.05,
-    isEm ? 50 : 20
-  );
-  const refFrequency = clamp(
-    Number.isFinite(state.simulation.sourceDefaults?.frequency)
-      ? state.simulation.sourceDefaults.frequency
-      : isEm
-        ? 5
-      : 1.5,
-    isEm ? 0.01 : 0.1,
-    isEm ? 50 : 6
-  );
-  const wavelength = speed / refFrequency;
-  const cellsPerLambda = isEm ? 12 : CELLS_PER_WAVELENGTH;
-  const dx = wavelength / cellsPerLambda;
-  return clamp(dx, 0.01, 10);
-}
-
 /**
  * @param {SimulationState} draft
  */
@@ -953,6 +2160,22 @@ function clampObjectsToDomain(draft) {
     }
   }));
 
+  draft.probes = draft.probes.map((probe) => ({
+    ...probe,
+    position: {
+      x: clamp(probe.position.x, originX, maxX),
+      y: clamp(probe.position.y, originY, maxY)
+    }
+  }));
+
+  draft.receivers = draft.receivers.map((receiver) => ({
+    ...receiver,
+    position: {
+      x: clamp(receiver.position.x, originX, maxX),
+      y: clamp(receiver.position.y, originY, maxY)
+    }
+  }));
+
   draft.shapes = draft.shapes.map((shape) => {
     if (shape.kind === "circle") {
       const radius = Math.max(0, shape.radius ?? 0);
@@ -966,7 +2189,11 @@ function clampObjectsToDomain(draft) {
 
     const halfW = (shape.size?.width ?? 0) * 0.5;
     const halfH = (shape.size?.height ?? 0) * 0.5;
-    const padding = Math.hypot(halfW, halfH);
+    const padding =
+      shape.kind === "polygon" || shape.kind === "wall"
+        ? Math.max(0, ...shape.points.map((p) => Math.hypot(p.x, p.y))) +
+          (shape.kind === "wall" ? shape.thickness * 0.5 : 0)
+        : Math.hypot(halfW, halfH);
     const clampedX = clampWithPadding(shape.center.x, originX, maxX, padding);
     const clampedY = clampWithPadding(shape.center.y, originY, maxY, padding);
     return {
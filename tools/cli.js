@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+// @ts-check
+
+// Render a saved scene without a browser:
+//   node tools/cli.js wifi-wave-sim-state.json --seconds 20 --out report/
+// Writes PNG heatmaps, raw Float32 field dumps and a stats.json summary.
+
+/** @typedef {import("../src/headless.js").HeadlessResult} HeadlessResult */
+/** @typedef {import("../src/output.js").OutputField} OutputField */
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { parseArgs } from "node:util";
+import { runHeadless } from "../src/headless.js";
+import { colorizeOutput, computeColorScale } from "../src/output.js";
+import { buildPalette, COLORMAPS } from "../src/palette.js";
+import { encodePng } from "./png.js";
+
+const USAGE = `Usage: node tools/cli.js <state.json> (--seconds <t> | --steps <n>) [options]
+
+Options:
+  --seconds <t>   simulation time to run (scaled seconds)
+  --steps <n>     number of solver steps to run
+  --out <dir>     output directory (default: ./out/<state name>)
+  --scale <k>     upscale PNGs by an integer factor (default: 1)
+  --colormap <m>  palette for the PNGs (default: the state's colormap)
+                  one of: ${Object.keys(COLORMAPS).join(", ")}
+  --no-raw        skip the raw .f32 field dumps
+  -h, --help      show this message`;
+
+/**
+ * @typedef {Object} FieldSummary
+ * @property {number} min
+ * @property {number} max
+ * @property {number} mean
+ * @property {number} rms
+ */
+
+main(process.argv.slice(2));
+
+/**
+ * @param {string[]} argv
+ */
+function main(argv) {
+  /** @type {ReturnType<typeof parseCliArgs>} */
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : error);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    run(args);
+  } catch (error) {
+    console.error(`Failed: ${error instanceof Error ? error.message : error}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      seconds: { type: "string" },
+      steps: { type: "string" },
+      out: { type: "string" },
+      scale: { type: "string" },
+      colormap: { type: "string" },
+      "no-raw": { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  if (values.help) {
+    return { help: true, input: "", out: "", scale: 1, colormap: null, raw: false, options: {} };
+  }
+  if (positionals.length !== 1) {
+    throw new Error("Expected exactly one state file.");
+  }
+  if ((values.seconds === undefined) === (values.steps === undefined)) {
+    throw new Error("Pass either --seconds or --steps.");
+  }
+  const input = positionals[0];
+  const seconds = values.seconds === undefined ? undefined : parseNumber(values.seconds);
+  if (seconds !== undefined && !(seconds >= 0)) {
+    throw new Error(`Invalid --seconds: ${values.seconds}`);
+  }
+  const steps = values.steps === undefined ? undefined : parseNumber(values.steps);
+  if (steps !== undefined && !(Number.isInteger(steps) && steps >= 0)) {
+    throw new Error(`Invalid --steps: ${values.steps}`);
+  }
+  const scale = values.scale === undefined ? 1 : Number(values.scale);
+  if (!Number.isInteger(scale) || scale < 1 || scale > 16) {
+    throw new Error(`Invalid --scale: ${values.scale}`);
+  }
+  if (values.colormap !== undefined && !Object.prototype.hasOwnProperty.call(COLORMAPS, values.colormap)) {
+    throw new Error(`Unknown --colormap: ${values.colormap}`);
+  }
+  return {
+    help: false,
+    input,
+    out: values.out ?? join("out", basename(input).replace(/\.json$/i, "")),
+    scale,
+    colormap: values.colormap ?? null,
+    raw: !values["no-raw"],
+    options: seconds !== undefined ? { seconds } : { steps }
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {number} NaN unless `text` is a finite number
+ */
+function parseNumber(text) {
+  return text.trim() === "" ? NaN : Number(text);
+}
+
+/**
+ * @param {ReturnType<typeof parseCliArgs>} args
+ */
+function run(args) {
+  const text = readFileSync(args.input, "utf8");
+  const startedAt = Date.now();
+  const result = runHeadless(text, args.options);
+  const elapsedMs = Date.now() - startedAt;
+
+  mkdirSync(args.out, { recursive: true });
+  if (args.raw) {
+    mkdirSync(join(args.out, "fields"), { recursive: true });
+  }
+
+  const palette = buildPalette(args.colormap ?? result.state.visualization.colormap);
+  /** @type {{ name: string, file: string, kind: OutputField["kind"], max: number }[]} */
+  const images = [];
+  for (const [name, output] of listImages(result)) {
+    const file = `${name}.png`;
+    const colorScale = computeColorScale(output, result.state.visualization.scale);
+    const max = writeHeatmap(join(args.out, file), output, result.nx, result.ny, palette, colorScale, args.scale);
+    images.push({ name, file, kind: output.kind, max });
+  }
+
+  /** @type {Record<string, FieldSummary & { file: string | null }>} */
+  const fields = {};
+  for (const [name, values] of listArrays(result)) {
+    const file = args.raw ? join("fields", `${name}.f32`) : null;
+    if (file) {
+      writeFileSync(join(args.out, file), toFloat32LE(values));
+    }
+    fields[name] = { ...summarize(values), file };
+  }
+
+  const summary = {
+    input: args.input,
+    model: result.model,
+    grid: { nx: result.nx, ny: result.ny, dx: result.dx, dy: result.dy },
+    dt: result.dt,
+    steps: result.steps,
+    time: result.time,
+    elapsedMs,
+    stats: result.stats,
+    dft: result.dft
+      ? { frequencies: result.dft.frequencies, duration: result.dft.duration }
+      : null,
+    rawFormat: args.raw ? "float32 little-endian, row-major, nx columns, top row first" : null,
+    images,
+    fields
+  };
+  writeFileSync(join(args.out, "stats.json"), `${JSON.stringify(summary, null, 2)}\n`);
+
+  console.log(
+    `${result.model} ${result.nx}x${result.ny}: ${result.steps} steps ` +
+      `(t=${result.time.toFixed(3)}) in ${elapsedMs} ms -> ${args.out}`
+  );
+}
+
+/**
+ * Heatmaps in the same order as the Output selector.
+ * @param {HeadlessResult} result
+ * @returns {[string, OutputField][]}
+ */
+function listImages(result) {
+  /** @type {[string, OutputField][]} */
+  const images = [
+    ["instantaneous", { values: result.fields.instantaneous, kind: "magnitude" }],
+    ["averaged", { values: result.fields.averaged, kind: "magnitude" }]
+  ];
+  if (result.dft) {
+    result.dft.frequencies.forEach((frequency, index) => {
+      const dft = /** @type {NonNullable<HeadlessResult["dft"]>} */ (result.dft);
+      images.push([`dft-amplitude-f${frequency}`, { values: dft.amplitude[index], kind: "magnitude" }]);
+      images.push([`dft-phase-f${frequency}`, { values: dft.phase[index], kind: "phase" }]);
+    });
+  }
+  return images;
+}
+
+/**
+ * @param {HeadlessResult} result
+ * @returns {[string, Float32Array][]}
+ */
+function listArrays(result) {
+  /** @type {[string, Float32Array][]} */
+  const arrays = Object.entries(result.fields);
+  if (result.dft) {
+    result.dft.frequencies.forEach((frequency, index) => {
+      const dft = /** @type {NonNullable<HeadlessResult["dft"]>} */ (result.dft);
+      arrays.push([`dft-amplitude-f${frequency}`, dft.amplitude[index]]);
+      arrays.push([`dft-phase-f${frequency}`, dft.phase[index]]);
+    });
+  }
+  return arrays;
+}
+
+/**
+ * @param {string} path
+ * @param {OutputField} output
+ * @param {number} nx
+ * @param {number} ny
+ * @param {Uint8ClampedArray} palette
+ * @param {import("../src/output.js").ColorScale} colorScale
+ * @param {number} scale
+ * @returns {number} value (or dB) at the top of the palette
+ */
+function writeHeatmap(path, output, nx, ny, palette, colorScale, scale) {
+  const pixels = new Uint8ClampedArray(nx * ny * 4);
+  const max = colorizeOutput(output, palette, pixels, colorScale).top;
+  const width = nx * scale;
+  const height = ny * scale;
+  const scaled = scale === 1 ? pixels : upscale(pixels, nx, ny, scale);
+  writeFileSync(path, encodePng(width, height, scaled));
+  return max;
+}
+
+/**
+ * Nearest-neighbour upscale so single cells stay crisp.
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} scale
+ */
+function upscale(pixels, nx, ny, scale) {
+  const width = nx * scale;
+  const out = new Uint8ClampedArray(width * ny * scale * 4);
+  for (let y = 0; y < ny * scale; y += 1) {
+    const srcRow = Math.floor(y / scale) * nx;
+    for (let x = 0; x < width; x += 1) {
+      const src = (srcRow + Math.floor(x / scale)) * 4;
+      const dst = (y * width + x) * 4;
+      out[dst] = pixels[src];
+      out[dst + 1] = pixels[src + 1];
+      out[dst + 2] = pixels[src + 2];
+      out[dst + 3] = pixels[src + 3];
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Float32Array} values
+ * @returns {Buffer}
+ */
+function toFloat32LE(values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  for (let i = 0; i < values.length; i += 1) {
+    buffer.writeFloatLE(values[i], i * 4);
+  }
+  return buffer;
+}
+
+/**
+ * @param {Float32Array} values
+ * @returns {FieldSummary}
+ */
+function summarize(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    const v = values[i];
+    if (v < min) min = v;
+    if (v > max) max = v;
+    sum += v;
+    sumSq += v * v;
+  }
+  const count = Math.max(1, values.length);
+  return {
+    min: values.length ? min : 0,
+    max: values.length ? max : 0,
+    mean: sum / count,
+    rms: Math.sqrt(sumSq / count)
+  };
+}